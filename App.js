@@ -578,7 +578,6 @@ export default function App() {
     risks.push({
       type: 'Very Hot',
       likelihood: hotLikelihood,
-      percentage: `${Math.min(95, Math.max(5, Math.round((maxTemp / hotThreshold) * 100)))}%`,
       color: hotLikelihood === 'HIGH' ? '#dc2626' : hotLikelihood === 'MEDIUM' ? '#ea580c' : '#16a34a',
       advice: isVeryHot ?
         `Temperature expected to reach ${maxTemp.toFixed(1)}°C${tempComparison}. Plan activities for early morning or evening.` :
@@ -610,7 +609,6 @@ export default function App() {
     risks.push({
       type: 'Very Cold',
       likelihood: coldLikelihood,
-      percentage: `${Math.min(95, Math.max(5, Math.round(Math.abs((coldThreshold - minTemp) / coldThreshold) * 100)))}%`,
       color: coldLikelihood === 'HIGH' ? '#1d4ed8' : coldLikelihood === 'MEDIUM' ? '#2563eb' : '#16a34a',
       advice: isVeryCold ?
         `Low temperature of ${minTemp.toFixed(1)}°C expected. Bring warm clothing and gear.` :
@@ -640,7 +638,6 @@ export default function App() {
     risks.push({
       type: 'Very Windy',
       likelihood: windLikelihood,
-      percentage: `${Math.min(95, Math.max(5, Math.round((windSpeed / windThreshold) * 100)))}%`,
       color: windLikelihood === 'HIGH' ? '#d97706' : windLikelihood === 'MEDIUM' ? '#f59e0b' : '#16a34a',
       advice: isVeryWindy ?
         `Strong winds up to ${windSpeed.toFixed(1)} km/h expected. Secure equipment and consider shelter.` :
@@ -670,7 +667,6 @@ export default function App() {
     risks.push({
       type: 'Very Wet',
       likelihood: wetLikelihood,
-      percentage: `${Math.min(95, Math.max(5, Math.round((precipitation / wetThreshold) * 100)))}%`,
       color: wetLikelihood === 'HIGH' ? '#0369a1' : wetLikelihood === 'MEDIUM' ? '#0284c7' : '#16a34a',
       advice: isVeryWet ?
         `Heavy precipitation of ${precipitation.toFixed(1)}mm expected. Bring waterproof gear and plan indoor alternatives.` :
@@ -701,7 +697,6 @@ export default function App() {
     risks.push({
       type: 'Uncomfortable',
       likelihood: uncomfortableLikelihood,
-      percentage: `${Math.min(95, Math.max(5, Math.round(heatIndex * 2)))}%`,
       color: uncomfortableLikelihood === 'HIGH' ? '#dc2626' : uncomfortableLikelihood === 'MEDIUM' ? '#ea580c' : '#16a34a',
       advice: isUncomfortable ?
         `High heat index (${heatIndex.toFixed(1)}°C) with ${humidity}% humidity. Stay hydrated and take frequent breaks.` :
@@ -931,7 +926,6 @@ export default function App() {
                   </Text>
                   <View style={styles.riskTitleContainer}>
                     <Text style={styles.riskType}>{risk.type}</Text>
-                    <Text style={styles.riskPercentage}>{risk.percentage}</Text>
                   </View>
                   <View style={[styles.riskBadge, { backgroundColor: risk.color }]}>
                     <Text style={styles.riskLikelihood}>{risk.likelihood}</Text>
@@ -1375,11 +1369,6 @@ const styles = StyleSheet.create({
     color: '#1f2937',
     marginBottom: 2,
   },
-  riskPercentage: {
-    fontSize: 14,
-    color: '#6b7280',
-    fontWeight: '600',
-  },
   riskBadge: {
     borderRadius: 12,
     paddingHorizontal: 12,
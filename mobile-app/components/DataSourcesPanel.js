@@ -0,0 +1,145 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { ENSEMBLE_VARIABLES } from '../weather-engine';
+
+const formatValue = (value, unit) => `${value.toFixed(1)}${unit === '%' || unit === '°C' ? '' : ' '}${unit}`;
+
+export default function DataSourcesPanel({ ensemble }) {
+  if (!ensemble || ensemble.sourceCount === 0) return null;
+
+  return (
+    <View style={styles.panel} accessibilityLabel="Weather data sources">
+      <Text style={styles.title}>🛰️ Data Sources</Text>
+      <Text style={styles.subtitle}>
+        Weighted consensus of {ensemble.sourceCount} source{ensemble.sourceCount === 1 ? '' : 's'}
+        {ensemble.disagreements.length > 0 ? ` · ${ensemble.disagreements.length} disagreement${ensemble.disagreements.length === 1 ? '' : 's'}` : ''}
+      </Text>
+
+      {Object.entries(ENSEMBLE_VARIABLES).map(([key, meta]) => {
+        const variable = ensemble.variables[key];
+        if (!variable || variable.value === null) return null;
+
+        return (
+          <View key={key} style={[styles.variable, variable.disagrees && styles.variableDisagrees]}>
+            <View style={styles.variableHeader}>
+              <Text style={styles.variableLabel}>{meta.label}</Text>
+              <Text style={styles.consensus}>{formatValue(variable.value, meta.unit)}</Text>
+            </View>
+            {variable.disagrees && (
+              <Text style={styles.disagreement}>
+                ⚠️ Sources differ by {formatValue(variable.spread, meta.unit)}
+              </Text>
+            )}
+            {variable.contributions.map(contribution => (
+              <View key={contribution.sourceKey} style={styles.contribution}>
+                <Text style={styles.sourceName} numberOfLines={1}>{contribution.source}</Text>
+                <Text style={styles.sourceValue}>{formatValue(contribution.value, meta.unit)}</Text>
+                <View style={styles.shareTrack}>
+                  <View style={[styles.shareBar, { width: `${Math.round(contribution.share * 100)}%` }]} />
+                </View>
+                <Text style={styles.shareText}>{Math.round(contribution.share * 100)}%</Text>
+              </View>
+            ))}
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  panel: {
+    backgroundColor: 'white',
+    borderRadius: 16,
+    padding: 20,
+    marginBottom: 20,
+    shadowColor: '#667eea',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.1,
+    shadowRadius: 12,
+    elevation: 8,
+    borderWidth: 1,
+    borderColor: 'rgba(102, 126, 234, 0.1)',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#2c3e50',
+    marginBottom: 2,
+  },
+  subtitle: {
+    fontSize: 12,
+    color: '#7f8c8d',
+    marginBottom: 16,
+    fontStyle: 'italic',
+  },
+  variable: {
+    backgroundColor: '#f8f9fa',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+    borderLeftWidth: 4,
+    borderLeftColor: '#4a90e2',
+  },
+  variableDisagrees: {
+    backgroundColor: '#fff3e0',
+    borderLeftColor: '#ff9800',
+  },
+  variableHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  variableLabel: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+  },
+  consensus: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#4a90e2',
+  },
+  disagreement: {
+    fontSize: 12,
+    color: '#e67e22',
+    fontWeight: '600',
+    marginBottom: 6,
+  },
+  contribution: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  sourceName: {
+    flex: 1,
+    fontSize: 11,
+    color: '#34495e',
+  },
+  sourceValue: {
+    width: 70,
+    fontSize: 11,
+    color: '#2c3e50',
+    fontWeight: '600',
+    textAlign: 'right',
+    marginRight: 8,
+  },
+  shareTrack: {
+    width: 60,
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: '#e9ecef',
+    overflow: 'hidden',
+  },
+  shareBar: {
+    height: 6,
+    backgroundColor: '#4a90e2',
+  },
+  shareText: {
+    width: 36,
+    fontSize: 10,
+    color: '#7f8c8d',
+    textAlign: 'right',
+  },
+});
@@ -0,0 +1,218 @@
+import React from 'react';
+import { View, Text, ScrollView, StyleSheet } from 'react-native';
+import { formatClockTime } from '../weather-engine';
+
+const SEVERITY_COLORS = {
+  SAFE: '#27ae60',
+  MODERATE: '#f1c40f',
+  HIGH: '#ff9800',
+  EXTREME: '#e74c3c',
+};
+
+const BAR_MIN_HEIGHT = 12;
+const BAR_MAX_HEIGHT = 80;
+
+const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+export default function HourlyTimeline({ timeline }) {
+  if (!timeline?.hours?.length) {
+    return (
+      <View style={styles.unavailable}>
+        <Text style={styles.unavailableText}>
+          ⏱️ Hourly data is only available up to 16 days ahead
+        </Text>
+      </View>
+    );
+  }
+
+  const { hours, bestWindow, thunderstormPeak, fogWindows = [] } = timeline;
+  const temperatures = hours.map(hour => hour.temperature).filter(value => value !== null);
+  const minTemp = Math.min(...temperatures);
+  const tempSpan = Math.max(Math.max(...temperatures) - minTemp, 1);
+  // The best window starts on the half hour; highlight every hour it touches
+  const inBestWindow = (hour) => bestWindow && hour.hour + 1 > bestWindow.startHour && hour.hour < bestWindow.endHour;
+
+  return (
+    <View style={styles.container}>
+      {bestWindow && (
+        <View style={styles.bestWindow}>
+          <Text style={styles.bestWindowText}>
+            ⭐ Best window: {formatClockTime(bestWindow.startHour)}–{formatClockTime(bestWindow.endHour)}
+          </Text>
+        </View>
+      )}
+
+      {thunderstormPeak && (
+        <View style={[styles.stormPeak, { borderLeftColor: SEVERITY_COLORS[thunderstormPeak.severity] }]}>
+          <Text style={styles.stormPeakText}>
+            ⚡ Storms {formatHour(thunderstormPeak.startHour)}–{formatHour(thunderstormPeak.endHour)}, peak around {formatHour(thunderstormPeak.hour)}
+          </Text>
+        </View>
+      )}
+
+      {fogWindows.length > 0 && (
+        <View style={styles.fogWindows}>
+          <Text style={styles.fogWindowsText}>
+            🌫️ Fog {fogWindows.map(window => `${formatHour(window.startHour)}–${formatHour(window.endHour)}`).join(', ')}
+          </Text>
+        </View>
+      )}
+
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chart}>
+        {hours.map(hour => {
+          const barHeight = hour.temperature === null ? BAR_MIN_HEIGHT :
+            BAR_MIN_HEIGHT + ((hour.temperature - minTemp) / tempSpan) * (BAR_MAX_HEIGHT - BAR_MIN_HEIGHT);
+
+          return (
+            <View
+              key={hour.time}
+              style={[styles.column, inBestWindow(hour) && styles.columnHighlighted]}
+              accessibilityLabel={`${formatHour(hour.hour)}, ${hour.severity.toLowerCase()} risk`}
+            >
+              <Text style={styles.temperature}>
+                {thunderstormPeak?.hour === hour.hour ? '⚡' : ''}
+                {hour.temperature === null ? '–' : `${Math.round(hour.temperature)}°`}
+              </Text>
+              <View style={styles.barTrack}>
+                <View style={[styles.bar, { height: barHeight, backgroundColor: SEVERITY_COLORS[hour.severity] }]} />
+              </View>
+              <Text style={styles.detail}>
+                💧{hour.precipitationProbability !== null && hour.precipitationProbability !== undefined ?
+                  `${Math.round(hour.precipitationProbability)}%` : `${(hour.precipitation ?? 0).toFixed(1)}`}
+              </Text>
+              <Text style={styles.detail}>💨{hour.windSpeed === null ? '–' : Math.round(hour.windSpeed)}</Text>
+              <Text style={styles.hourLabel}>{formatHour(hour.hour)}</Text>
+            </View>
+          );
+        })}
+      </ScrollView>
+
+      <View style={styles.legend}>
+        {Object.entries(SEVERITY_COLORS).map(([severity, color]) => (
+          <View key={severity} style={styles.legendItem}>
+            <View style={[styles.legendSwatch, { backgroundColor: color }]} />
+            <Text style={styles.legendText}>{severity}</Text>
+          </View>
+        ))}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 16,
+  },
+  bestWindow: {
+    backgroundColor: '#e8f5e9',
+    borderRadius: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginBottom: 12,
+    borderLeftWidth: 4,
+    borderLeftColor: '#27ae60',
+  },
+  bestWindowText: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#2e7d32',
+  },
+  stormPeak: {
+    backgroundColor: '#fff8e1',
+    borderRadius: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginBottom: 12,
+    borderLeftWidth: 4,
+  },
+  stormPeakText: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#8d6e00',
+  },
+  fogWindows: {
+    backgroundColor: '#eceff1',
+    borderRadius: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginBottom: 12,
+    borderLeftWidth: 4,
+    borderLeftColor: '#78909c',
+  },
+  fogWindowsText: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#455a64',
+  },
+  chart: {
+    paddingVertical: 4,
+  },
+  column: {
+    width: 44,
+    alignItems: 'center',
+    paddingVertical: 6,
+    marginRight: 4,
+    borderRadius: 8,
+  },
+  columnHighlighted: {
+    backgroundColor: 'rgba(39, 174, 96, 0.12)',
+    borderWidth: 1,
+    borderColor: '#27ae60',
+  },
+  temperature: {
+    fontSize: 12,
+    fontWeight: '700',
+    color: '#2c3e50',
+    marginBottom: 4,
+  },
+  barTrack: {
+    height: BAR_MAX_HEIGHT,
+    justifyContent: 'flex-end',
+    marginBottom: 4,
+  },
+  bar: {
+    width: 14,
+    borderRadius: 4,
+  },
+  detail: {
+    fontSize: 10,
+    color: '#7f8c8d',
+  },
+  hourLabel: {
+    fontSize: 10,
+    fontWeight: '600',
+    color: '#34495e',
+    marginTop: 4,
+  },
+  legend: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginTop: 8,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: 6,
+  },
+  legendSwatch: {
+    width: 10,
+    height: 10,
+    borderRadius: 2,
+    marginRight: 4,
+  },
+  legendText: {
+    fontSize: 10,
+    color: '#7f8c8d',
+  },
+  unavailable: {
+    backgroundColor: '#f8f9fa',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 16,
+  },
+  unavailableText: {
+    fontSize: 13,
+    color: '#7f8c8d',
+    textAlign: 'center',
+  },
+});
@@ -0,0 +1,121 @@
+import React from 'react';
+import { View, Text, TextInput, StyleSheet } from 'react-native';
+
+const colorMap = {
+  green: '#28a745',
+  yellow: '#f1c40f',
+  orange: '#FF9900',
+  red: '#FF4B3E',
+};
+
+// Best start times for the outing; an empty duration uses the activity's typical length
+export default function StartWindowsCard({ card, duration, onDurationChange }) {
+  if (!card) return null;
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.header}>
+        <Text style={styles.title}>⏱️ Best Start Times</Text>
+        <View style={styles.durationRow}>
+          <TextInput
+            style={styles.durationInput}
+            value={duration}
+            onChangeText={onDurationChange}
+            placeholder={String(card.durationHours)}
+            keyboardType="decimal-pad"
+            maxLength={4}
+            accessibilityLabel="Outing length in hours"
+          />
+          <Text style={styles.durationUnit}>h outing</Text>
+        </View>
+      </View>
+
+      {card.windows.map(window => (
+        <View key={window.start} style={[styles.window, { borderLeftColor: colorMap[window.color] || '#007AFF' }]}>
+          <View style={styles.windowHeader}>
+            <Text style={styles.windowTime}>{window.start}–{window.end}</Text>
+            <Text style={[styles.windowVerdict, { color: colorMap[window.color] || '#007AFF' }]}>
+              {window.icon} {window.verdict} · {window.score}
+            </Text>
+          </View>
+          <Text style={styles.reason}>{window.reason}</Text>
+        </View>
+      ))}
+      {card.note && <Text style={styles.note}>{card.note}</Text>}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: '#e0e6ef',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#2c3e50',
+  },
+  durationRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  durationInput: {
+    width: 48,
+    borderWidth: 1,
+    borderColor: '#ccd6e0',
+    borderRadius: 8,
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    fontSize: 14,
+    textAlign: 'center',
+    color: '#2c3e50',
+  },
+  durationUnit: {
+    fontSize: 13,
+    color: '#7f8c8d',
+    marginLeft: 6,
+  },
+  window: {
+    borderLeftWidth: 4,
+    paddingLeft: 10,
+    paddingVertical: 6,
+    marginTop: 6,
+  },
+  windowHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  windowTime: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#2c3e50',
+  },
+  windowVerdict: {
+    fontSize: 13,
+    fontWeight: '700',
+  },
+  reason: {
+    fontSize: 13,
+    color: '#34495e',
+    lineHeight: 18,
+    marginTop: 2,
+  },
+  note: {
+    fontSize: 13,
+    color: '#7f8c8d',
+    fontStyle: 'italic',
+    marginTop: 4,
+  },
+});
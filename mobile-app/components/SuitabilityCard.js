@@ -0,0 +1,96 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import Animated, { FadeIn } from 'react-native-reanimated';
+
+const colorMap = {
+  green: '#28a745',
+  yellow: '#f1c40f',
+  orange: '#FF9900',
+  red: '#FF4B3E',
+  gray: '#95a5a6',
+};
+
+export default function SuitabilityCard({ score, verdict, icon, color, headline, summary, note }) {
+  const cardColor = colorMap[color] || '#007AFF';
+
+  return (
+    <Animated.View
+      entering={FadeIn}
+      style={[styles.card, { borderColor: cardColor }]}
+      accessibilityLabel={score === null ? headline : `${headline}, suitability ${score} out of 100`}
+    >
+      <View style={styles.header}>
+        <View style={[styles.scoreBadge, { backgroundColor: cardColor }]}>
+          <Text style={styles.score}>{score === null ? '–' : score}</Text>
+          <Text style={styles.scoreMax}>/100</Text>
+        </View>
+        <View style={styles.verdictBox}>
+          <Text style={[styles.verdict, { color: cardColor }]}>{icon} {verdict}</Text>
+          <Text style={styles.headline}>{headline}</Text>
+        </View>
+      </View>
+      <Text style={styles.summary}>{summary}</Text>
+      {note && <Text style={styles.note}>{note}</Text>}
+    </Animated.View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    marginVertical: 12,
+    padding: 16,
+    borderWidth: 2,
+    shadowColor: '#000',
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  scoreBadge: {
+    flexDirection: 'row',
+    alignItems: 'baseline',
+    borderRadius: 10,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginRight: 14,
+  },
+  score: {
+    fontSize: 30,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  scoreMax: {
+    fontSize: 13,
+    color: '#fff',
+    marginLeft: 2,
+  },
+  verdictBox: {
+    flex: 1,
+  },
+  verdict: {
+    fontSize: 22,
+    fontWeight: 'bold',
+  },
+  headline: {
+    fontSize: 14,
+    color: '#555',
+    marginTop: 2,
+  },
+  summary: {
+    fontSize: 14,
+    color: '#333',
+    lineHeight: 20,
+  },
+  note: {
+    fontSize: 12,
+    color: '#888',
+    fontStyle: 'italic',
+    marginTop: 8,
+  },
+});
@@ -2,7 +2,7 @@ import React from 'react';
 import { View, Text, StyleSheet } from 'react-native';
 import Animated, { FadeInUp } from 'react-native-reanimated';
 
-export default function WeatherCard({ label, icon, risk, advice, color }) {
+export default function WeatherCard({ label, icon, risk, advice, color, likelihood, adjustment }) {
   const colorMap = {
     red: '#FF4B3E',
     blue: '#3E8EFF',
@@ -10,6 +10,9 @@ export default function WeatherCard({ label, icon, risk, advice, color }) {
     darkblue: '#223366',
     orange: '#FF9900',
     green: '#28a745',
+    yellow: '#f1c40f',
+    lightblue: '#5dade2',
+    cyan: '#17a2b8',
   };
   
   const cardColor = colorMap[color] || '#007AFF';
@@ -29,6 +32,14 @@ export default function WeatherCard({ label, icon, risk, advice, color }) {
         <Text style={styles.advice}>
           {advice || 'No additional information available.'}
         </Text>
+        {adjustment && (
+          <Text style={styles.adjustment}>{adjustment}</Text>
+        )}
+        {likelihood?.label && (
+          <Text style={styles.likelihood}>
+            📈 {likelihood.label} · {likelihood.years}-year history
+          </Text>
+        )}
       </View>
     </Animated.View>
   );
@@ -73,4 +84,16 @@ const styles = StyleSheet.create({
     color: '#555',
     lineHeight: 20,
   },
+  adjustment: {
+    fontSize: 12,
+    color: '#8e6e53',
+    fontWeight: '600',
+    marginTop: 8,
+  },
+  likelihood: {
+    fontSize: 12,
+    color: '#4a90e2',
+    fontWeight: '600',
+    marginTop: 8,
+  },
 });
\ No newline at end of file
@@ -0,0 +1,480 @@
+import React, { useState, useEffect } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    Modal,
+    TextInput,
+    TouchableOpacity,
+    ScrollView,
+    Alert,
+    Platform
+} from 'react-native';
+import activityStore from '../services/activityStore';
+import {
+    listActivityProfiles,
+    getActivityProfile,
+    getRiskThresholds,
+    checkThresholdOrder,
+    createCustomActivity,
+    isBuiltInActivity,
+    ACTIVITY_TEMPLATES,
+    TUNABLE_THRESHOLDS,
+    BUILT_IN_ACTIVITIES,
+    DEFAULT_ACTIVITY
+} from '../weather-engine';
+
+const LEVELS = ['MODERATE', 'HIGH', 'EXTREME'];
+
+const LEVEL_COLORS = {
+    MODERATE: '#f1c40f',
+    HIGH: '#ff9800',
+    EXTREME: '#e74c3c',
+};
+
+// Text fields for the tunable thresholds of an activity ('' where a level is not set)
+const toDrafts = (key) => {
+    const thresholds = getRiskThresholds(key);
+    return Object.fromEntries(TUNABLE_THRESHOLDS.map(({ key: category }) => [category, Object.fromEntries(
+        LEVELS.map(level => [level, thresholds[category]?.[level] !== undefined ? String(thresholds[category][level]) : '']))]));
+};
+
+const parseLevels = (draft) => Object.fromEntries(LEVELS
+    .filter(level => draft[level].trim() !== '')
+    .map(level => [level, Number(draft[level].replace(',', '.'))]));
+
+// Tune the thresholds of any activity and create custom ones. `onChange` receives the saved
+// settings after every write.
+export default function ActivitySettingsScreen({ visible, onClose, selectedActivity, onChange }) {
+    const [profiles, setProfiles] = useState(listActivityProfiles());
+    const [editingKey, setEditingKey] = useState(selectedActivity);
+    const [drafts, setDrafts] = useState(toDrafts(selectedActivity));
+    const [kit, setKit] = useState('');
+    const [newTitle, setNewTitle] = useState('');
+    const [newIcon, setNewIcon] = useState('');
+    const [newBase, setNewBase] = useState(DEFAULT_ACTIVITY);
+    const [template, setTemplate] = useState(null);
+
+    useEffect(() => {
+        if (visible) selectActivity(selectedActivity);
+    }, [visible]);
+
+    const editing = getActivityProfile(editingKey);
+    const builtIn = isBuiltInActivity(editingKey);
+
+    const selectActivity = (key) => {
+        setProfiles(listActivityProfiles());
+        setEditingKey(key);
+        setDrafts(toDrafts(key));
+        setKit(getActivityProfile(key).gear?.kit || '');
+    };
+
+    const applySettings = (settings, key = editingKey) => {
+        onChange(settings);
+        selectActivity(key);
+    };
+
+    const updateDraft = (category, level, text) => {
+        setDrafts(previous => ({ ...previous, [category]: { ...previous[category], [level]: text } }));
+    };
+
+    const handleSave = async () => {
+        const thresholds = {};
+        for (const { key: category, label, below } of TUNABLE_THRESHOLDS) {
+            const levels = parseLevels(drafts[category]);
+            const problem = checkThresholdOrder(levels, { below });
+            if (problem) {
+                Alert.alert('Check Thresholds', `${label}: ${problem}.`);
+                return;
+            }
+            thresholds[category] = levels;
+        }
+        const settings = builtIn ?
+            await activityStore.saveThresholds(editingKey, thresholds) :
+            await activityStore.saveCustomActivity({
+                ...editing,
+                thresholds: { ...editing.thresholds, ...thresholds },
+                gear: { ...editing.gear, kit: kit.trim() || editing.gear.kit }
+            });
+        applySettings(settings);
+        Alert.alert('Saved', `${editing.title} now uses your thresholds.`);
+    };
+
+    const handleReset = async () => {
+        applySettings(await activityStore.resetThresholds(editingKey));
+    };
+
+    const handleDelete = () => {
+        Alert.alert('Delete Activity', `Remove "${editing.title}"?`, [
+            { text: 'Cancel', style: 'cancel' },
+            {
+                text: 'Delete',
+                style: 'destructive',
+                onPress: async () => applySettings(await activityStore.removeCustomActivity(editingKey), DEFAULT_ACTIVITY)
+            }
+        ]);
+    };
+
+    const handleTemplate = (preset) => {
+        setTemplate(preset);
+        setNewTitle(preset.title);
+        setNewIcon(preset.icon);
+        setNewBase(preset.basedOn);
+    };
+
+    const handleCreate = async () => {
+        if (!newTitle.trim()) {
+            Alert.alert('Name Required', 'Give the activity a name.');
+            return;
+        }
+        const profile = createCustomActivity({
+            ...(template || {}),
+            title: newTitle,
+            icon: newIcon.trim() || '🎯',
+            basedOn: newBase
+        });
+        if (profiles.some(existing => existing.key === profile.key)) {
+            Alert.alert('Already Exists', `There is already an activity called "${profile.title}".`);
+            return;
+        }
+        const settings = await activityStore.saveCustomActivity(profile);
+        setNewTitle('');
+        setNewIcon('');
+        setTemplate(null);
+        applySettings(settings, profile.key);
+    };
+
+    return (
+        <Modal
+            visible={visible}
+            animationType="slide"
+            presentationStyle="pageSheet"
+            onRequestClose={onClose}
+        >
+            <View style={styles.container}>
+                {/* Header */}
+                <View style={styles.header}>
+                    <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+                        <Text style={styles.closeButtonText}>✕</Text>
+                    </TouchableOpacity>
+                    <Text style={styles.headerTitle}>⚙️ Activities</Text>
+                    <View style={styles.headerSpacer} />
+                </View>
+
+                <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+                    {/* Activity Picker */}
+                    <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+                        {profiles.map(profile => (
+                            <TouchableOpacity
+                                key={profile.key}
+                                style={[styles.chip, editingKey === profile.key && styles.chipSelected]}
+                                onPress={() => selectActivity(profile.key)}
+                            >
+                                <Text style={[styles.chipText, editingKey === profile.key && styles.chipTextSelected]}>
+                                    {profile.icon} {profile.title}
+                                </Text>
+                            </TouchableOpacity>
+                        ))}
+                    </ScrollView>
+
+                    {/* Thresholds */}
+                    <View style={styles.section}>
+                        <Text style={styles.sectionTitle}>{editing.icon} {editing.title} Thresholds</Text>
+                        <Text style={styles.sectionSubtitle}>
+                            {builtIn ? 'Risk levels start at these values. Leave a level empty to skip it.' : editing.description}
+                        </Text>
+                        <View style={styles.levelHeader}>
+                            <View style={styles.levelLabel} />
+                            {LEVELS.map(level => (
+                                <Text key={level} style={[styles.levelHeaderText, { color: LEVEL_COLORS[level] }]}>{level}</Text>
+                            ))}
+                        </View>
+                        {TUNABLE_THRESHOLDS.map(({ key: category, label, icon, unit, metric, below }) => (
+                            <View key={category} style={styles.levelRow}>
+                                <View style={styles.levelLabel}>
+                                    <Text style={styles.levelTitle}>{icon} {label} ({unit})</Text>
+                                    <Text style={styles.levelMeta}>{metric} {below ? 'below' : 'above'}</Text>
+                                </View>
+                                {LEVELS.map(level => (
+                                    <TextInput
+                                        key={level}
+                                        style={[styles.levelInput, { borderColor: LEVEL_COLORS[level] }]}
+                                        keyboardType="numbers-and-punctuation"
+                                        value={drafts[category]?.[level] ?? ''}
+                                        onChangeText={(text) => updateDraft(category, level, text)}
+                                    />
+                                ))}
+                            </View>
+                        ))}
+
+                        {!builtIn && (
+                            <>
+                                <Text style={styles.fieldLabel}>🎒 Gear list</Text>
+                                <TextInput
+                                    style={[styles.input, styles.multilineInput]}
+                                    multiline
+                                    value={kit}
+                                    onChangeText={setKit}
+                                />
+                            </>
+                        )}
+
+                        <TouchableOpacity style={styles.primaryButton} onPress={handleSave}>
+                            <Text style={styles.primaryButtonText}>Save {editing.title}</Text>
+                        </TouchableOpacity>
+                        <View style={styles.secondaryActions}>
+                            {builtIn ? (
+                                <TouchableOpacity onPress={handleReset}>
+                                    <Text style={styles.secondaryActionText}>↺ Restore defaults</Text>
+                                </TouchableOpacity>
+                            ) : (
+                                <TouchableOpacity onPress={handleDelete}>
+                                    <Text style={[styles.secondaryActionText, styles.deleteText]}>🗑️ Delete activity</Text>
+                                </TouchableOpacity>
+                            )}
+                        </View>
+                    </View>
+
+                    {/* New Activity */}
+                    <View style={styles.section}>
+                        <Text style={styles.sectionTitle}>➕ New Activity</Text>
+                        <Text style={styles.sectionSubtitle}>Start from a template or copy a built-in, then tune its thresholds.</Text>
+                        <View style={styles.wrapRow}>
+                            {ACTIVITY_TEMPLATES.map(preset => (
+                                <TouchableOpacity
+                                    key={preset.title}
+                                    style={[styles.chip, template === preset && styles.chipSelected]}
+                                    onPress={() => handleTemplate(preset)}
+                                >
+                                    <Text style={[styles.chipText, template === preset && styles.chipTextSelected]}>
+                                        {preset.icon} {preset.title}
+                                    </Text>
+                                </TouchableOpacity>
+                            ))}
+                        </View>
+                        <View style={styles.nameRow}>
+                            <TextInput
+                                style={[styles.input, styles.iconInput]}
+                                placeholder="🎯"
+                                value={newIcon}
+                                onChangeText={setNewIcon}
+                            />
+                            <TextInput
+                                style={[styles.input, styles.nameInput]}
+                                placeholder="Activity name"
+                                value={newTitle}
+                                onChangeText={setNewTitle}
+                            />
+                        </View>
+                        <Text style={styles.fieldLabel}>Graded like</Text>
+                        <View style={styles.wrapRow}>
+                            {Object.values(BUILT_IN_ACTIVITIES).map(base => (
+                                <TouchableOpacity
+                                    key={base.key}
+                                    style={[styles.chip, newBase === base.key && styles.chipSelected]}
+                                    onPress={() => setNewBase(base.key)}
+                                >
+                                    <Text style={[styles.chipText, newBase === base.key && styles.chipTextSelected]}>
+                                        {base.icon} {base.title}
+                                    </Text>
+                                </TouchableOpacity>
+                            ))}
+                        </View>
+                        <TouchableOpacity style={styles.primaryButton} onPress={handleCreate}>
+                            <Text style={styles.primaryButtonText}>Create Activity</Text>
+                        </TouchableOpacity>
+                    </View>
+                </ScrollView>
+            </View>
+        </Modal>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#f8f9fa',
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        paddingTop: Platform.OS === 'ios' ? 50 : 30,
+        paddingBottom: 20,
+        paddingHorizontal: 20,
+        backgroundColor: '#007AFF',
+    },
+    closeButton: {
+        width: 32,
+        height: 32,
+        borderRadius: 16,
+        backgroundColor: 'rgba(255,255,255,0.2)',
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    closeButtonText: {
+        color: '#fff',
+        fontSize: 18,
+        fontWeight: 'bold',
+    },
+    headerTitle: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        color: '#fff',
+    },
+    headerSpacer: {
+        width: 32,
+        height: 32,
+    },
+    content: {
+        flex: 1,
+        padding: 16,
+    },
+    chipRow: {
+        marginBottom: 12,
+    },
+    wrapRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        marginBottom: 8,
+    },
+    chip: {
+        paddingHorizontal: 12,
+        paddingVertical: 8,
+        borderRadius: 16,
+        backgroundColor: '#fff',
+        borderWidth: 1,
+        borderColor: '#dfe6e9',
+        marginRight: 8,
+        marginBottom: 8,
+    },
+    chipSelected: {
+        backgroundColor: '#4a90e2',
+        borderColor: '#4a90e2',
+    },
+    chipText: {
+        fontSize: 13,
+        color: '#2c3e50',
+        fontWeight: '600',
+    },
+    chipTextSelected: {
+        color: '#fff',
+    },
+    section: {
+        backgroundColor: '#fff',
+        borderRadius: 16,
+        padding: 16,
+        marginBottom: 16,
+        borderWidth: 1,
+        borderColor: 'rgba(102, 126, 234, 0.1)',
+    },
+    sectionTitle: {
+        fontSize: 17,
+        fontWeight: '700',
+        color: '#2c3e50',
+        marginBottom: 4,
+    },
+    sectionSubtitle: {
+        fontSize: 12,
+        color: '#7f8c8d',
+        marginBottom: 12,
+    },
+    levelHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginBottom: 6,
+    },
+    levelHeaderText: {
+        width: 64,
+        marginLeft: 6,
+        textAlign: 'center',
+        fontSize: 10,
+        fontWeight: '700',
+    },
+    levelRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 8,
+        borderTopWidth: 1,
+        borderTopColor: '#f0f0f0',
+    },
+    levelLabel: {
+        flex: 1,
+    },
+    levelTitle: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#2c3e50',
+    },
+    levelMeta: {
+        fontSize: 11,
+        color: '#7f8c8d',
+        marginTop: 2,
+    },
+    levelInput: {
+        width: 64,
+        marginLeft: 6,
+        borderWidth: 1,
+        borderRadius: 8,
+        paddingVertical: 6,
+        textAlign: 'center',
+        fontSize: 14,
+        color: '#2c3e50',
+    },
+    fieldLabel: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#2c3e50',
+        marginTop: 8,
+        marginBottom: 8,
+    },
+    input: {
+        backgroundColor: '#f3f4f6',
+        borderRadius: 10,
+        paddingHorizontal: 14,
+        paddingVertical: 10,
+        fontSize: 15,
+        color: '#333',
+        marginBottom: 12,
+    },
+    multilineInput: {
+        minHeight: 64,
+        textAlignVertical: 'top',
+    },
+    nameRow: {
+        flexDirection: 'row',
+    },
+    iconInput: {
+        width: 56,
+        marginRight: 8,
+        textAlign: 'center',
+    },
+    nameInput: {
+        flex: 1,
+    },
+    primaryButton: {
+        backgroundColor: '#4a90e2',
+        borderRadius: 12,
+        paddingVertical: 12,
+        alignItems: 'center',
+        marginTop: 8,
+    },
+    primaryButtonText: {
+        color: '#fff',
+        fontSize: 15,
+        fontWeight: '700',
+    },
+    secondaryActions: {
+        flexDirection: 'row',
+        justifyContent: 'center',
+        marginTop: 12,
+    },
+    secondaryActionText: {
+        fontSize: 13,
+        color: '#4a90e2',
+        fontWeight: '600',
+    },
+    deleteText: {
+        color: '#e74c3c',
+    },
+});
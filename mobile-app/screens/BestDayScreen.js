@@ -0,0 +1,405 @@
+import React, { useState, useEffect } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    Modal,
+    TouchableOpacity,
+    ScrollView,
+    Platform
+} from 'react-native';
+import weatherEngine from '../services/weatherEngine';
+import { fromDateKey, describeSuitability, getActivityProfile, VERDICTS } from '../weather-engine';
+
+const VERDICT_COLORS = {
+    go: '#27ae60',
+    caution: '#f1c40f',
+    reconsider: '#ff9800',
+    no_go: '#e74c3c',
+    none: '#95a5a6',
+};
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const formatDay = (dateKey, options) => fromDateKey(dateKey).toLocaleDateString('en-US', options);
+
+// Days no source answered for have no verdict
+const NO_VERDICT = { key: 'none', label: 'No data', icon: '❔' };
+
+const verdictFor = (key) => VERDICTS.find(verdict => verdict.key === key) || NO_VERDICT;
+
+const verdictColor = (key) => VERDICT_COLORS[verdictFor(key).key];
+
+const formatScore = (score) => (score === null ? '–' : score);
+
+// Every day of the forecast and the climatological outlook beyond it, ranked for the activity.
+// Picking a day hands it back to the home screen.
+export default function BestDayScreen({ visible, onClose, latitude, longitude, locationName, activity, onSelectDate }) {
+    const [result, setResult] = useState(null);
+    const [progress, setProgress] = useState(null);
+    const [failed, setFailed] = useState(false);
+
+    useEffect(() => {
+        if (visible) runSearch();
+    }, [visible, latitude, longitude, activity]);
+
+    const runSearch = async () => {
+        setResult(null);
+        setFailed(false);
+        setProgress({ done: 0, total: 0 });
+        try {
+            setResult(await weatherEngine.findBestDays(latitude, longitude, activity, {
+                onProgress: (done, total) => setProgress({ done, total })
+            }));
+        } catch (error) {
+            setFailed(true);
+        } finally {
+            setProgress(null);
+        }
+    };
+
+    const selectDay = (day) => {
+        onSelectDate(fromDateKey(day.date));
+        onClose();
+    };
+
+    const profile = getActivityProfile(activity);
+    // Outlook days are ranked after the forecast days, under their own heading
+    const firstOutlook = result?.ranked.find(day => day.outlook && day.score !== null);
+
+    return (
+        <Modal
+            visible={visible}
+            animationType="slide"
+            presentationStyle="pageSheet"
+            onRequestClose={onClose}
+        >
+            <View style={styles.container}>
+                {/* Header */}
+                <View style={styles.header}>
+                    <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+                        <Text style={styles.closeButtonText}>✕</Text>
+                    </TouchableOpacity>
+                    <Text style={styles.headerTitle} numberOfLines={1}>🏆 Best Day for {profile.title}</Text>
+                    <View style={styles.headerSpacer} />
+                </View>
+
+                <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+                    {locationName ? <Text style={styles.locationText}>📍 {locationName}</Text> : null}
+                    {progress && (
+                        <Text style={styles.statusText}>
+                            🔄 Analyzing {progress.total > 0 ? `day ${progress.done} of ${progress.total}` : 'the coming days'}...
+                        </Text>
+                    )}
+                    {failed && !progress && (
+                        <TouchableOpacity onPress={runSearch}>
+                            <Text style={styles.statusText}>⚠️ Could not analyze the coming days. Tap to retry.</Text>
+                        </TouchableOpacity>
+                    )}
+
+                    {result?.best && (
+                        <>
+                            {/* Best Day */}
+                            <TouchableOpacity
+                                style={[styles.bestDay, { borderLeftColor: verdictColor(result.best.verdict) }]}
+                                onPress={() => selectDay(result.best)}
+                            >
+                                <Text style={styles.bestDayLabel}>
+                                    {verdictFor(result.best.verdict).icon} Best day{result.best.outlook ? ' (typical weather)' : ''}
+                                </Text>
+                                <Text style={styles.bestDayText}>
+                                    {formatDay(result.best.date, { weekday: 'long', month: 'short', day: 'numeric' })}
+                                </Text>
+                                <Text style={[styles.bestDayScore, { color: verdictColor(result.best.verdict) }]}>
+                                    {result.best.score}/100 · {verdictFor(result.best.verdict).label}
+                                </Text>
+                                <Text style={styles.reasonText}>{describeSuitability(result.best)}</Text>
+                            </TouchableOpacity>
+
+                            {/* Calendar Heatmap */}
+                            <View style={styles.section}>
+                                <Text style={styles.sectionTitle}>🗓️ Suitability Calendar</Text>
+                                <Text style={styles.sectionSubtitle}>Dashed days are beyond the forecast and use climatology</Text>
+                                <View style={styles.weekRow}>
+                                    {WEEKDAYS.map(weekday => (
+                                        <Text key={weekday} style={styles.weekdayText}>{weekday}</Text>
+                                    ))}
+                                </View>
+                                {result.calendar.map((week, weekIndex) => (
+                                    <View key={weekIndex} style={styles.weekRow}>
+                                        {week.map((day, dayIndex) => (day ? (
+                                            <TouchableOpacity
+                                                key={day.date}
+                                                style={[
+                                                    styles.calendarCell,
+                                                    { backgroundColor: verdictColor(day.verdict) },
+                                                    day.outlook && styles.outlookCell,
+                                                    day.rank === 1 && styles.bestCell
+                                                ]}
+                                                onPress={() => selectDay(day)}
+                                                accessibilityLabel={`${formatDay(day.date, { weekday: 'long', month: 'long', day: 'numeric' })}, ${day.score === null ? 'no data' : `${day.score} out of 100`}`}
+                                            >
+                                                <Text style={styles.calendarDate}>{formatDay(day.date, { day: 'numeric' })}</Text>
+                                                <Text style={styles.calendarScore}>{formatScore(day.score)}</Text>
+                                            </TouchableOpacity>
+                                        ) : (
+                                            <View key={`empty-${dayIndex}`} style={styles.emptyCell} />
+                                        )))}
+                                    </View>
+                                ))}
+                                <View style={styles.legend}>
+                                    {VERDICTS.map(verdict => (
+                                        <View key={verdict.key} style={styles.legendItem}>
+                                            <View style={[styles.legendSwatch, { backgroundColor: VERDICT_COLORS[verdict.key] }]} />
+                                            <Text style={styles.legendText}>{verdict.label}</Text>
+                                        </View>
+                                    ))}
+                                </View>
+                            </View>
+
+                            {/* Ranked List */}
+                            <View style={styles.section}>
+                                <Text style={styles.sectionTitle}>📋 Ranked Days</Text>
+                                {result.ranked.map(day => (
+                                    <React.Fragment key={day.date}>
+                                        {day === firstOutlook && (
+                                            <Text style={styles.groupTitle}>📈 Beyond the forecast – ranked on typical weather</Text>
+                                        )}
+                                        <TouchableOpacity style={styles.rankRow} onPress={() => selectDay(day)}>
+                                            <Text style={styles.rankNumber}>{day.rank}</Text>
+                                            <View style={[styles.rankScore, { backgroundColor: verdictColor(day.verdict) }]}>
+                                                <Text style={styles.rankScoreText}>{formatScore(day.score)}</Text>
+                                            </View>
+                                            <View style={styles.rankContent}>
+                                                <Text style={styles.rankDate}>
+                                                    {formatDay(day.date, { weekday: 'short', month: 'short', day: 'numeric' })}
+                                                    {' · '}{verdictFor(day.verdict).label}
+                                                    {day.outlook ? '  📈 typical' : ''}
+                                                </Text>
+                                                <Text style={styles.reasonText}>{describeSuitability(day)}</Text>
+                                            </View>
+                                        </TouchableOpacity>
+                                    </React.Fragment>
+                                ))}
+                            </View>
+                        </>
+                    )}
+                </ScrollView>
+            </View>
+        </Modal>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#f8f9fa',
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        paddingTop: Platform.OS === 'ios' ? 50 : 30,
+        paddingBottom: 20,
+        paddingHorizontal: 20,
+        backgroundColor: '#007AFF',
+    },
+    closeButton: {
+        width: 32,
+        height: 32,
+        borderRadius: 16,
+        backgroundColor: 'rgba(255,255,255,0.2)',
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    closeButtonText: {
+        color: '#fff',
+        fontSize: 18,
+        fontWeight: 'bold',
+    },
+    headerTitle: {
+        flex: 1,
+        fontSize: 20,
+        fontWeight: 'bold',
+        color: '#fff',
+        textAlign: 'center',
+        marginHorizontal: 12,
+    },
+    headerSpacer: {
+        width: 32,
+        height: 32,
+    },
+    content: {
+        flex: 1,
+        padding: 16,
+    },
+    locationText: {
+        fontSize: 13,
+        color: '#4a90e2',
+        fontWeight: '600',
+        marginBottom: 12,
+    },
+    statusText: {
+        fontSize: 14,
+        color: '#7f8c8d',
+        textAlign: 'center',
+        marginTop: 24,
+    },
+    bestDay: {
+        backgroundColor: '#fff',
+        borderRadius: 12,
+        padding: 16,
+        marginBottom: 16,
+        borderLeftWidth: 5,
+    },
+    bestDayLabel: {
+        fontSize: 12,
+        fontWeight: '700',
+        color: '#7f8c8d',
+        textTransform: 'uppercase',
+    },
+    bestDayText: {
+        fontSize: 17,
+        fontWeight: '700',
+        color: '#2c3e50',
+        marginTop: 4,
+    },
+    bestDayScore: {
+        fontSize: 13,
+        fontWeight: '700',
+        marginTop: 2,
+    },
+    reasonText: {
+        fontSize: 12,
+        color: '#34495e',
+        lineHeight: 17,
+        marginTop: 2,
+    },
+    section: {
+        backgroundColor: '#fff',
+        borderRadius: 16,
+        padding: 16,
+        marginBottom: 16,
+        borderWidth: 1,
+        borderColor: 'rgba(102, 126, 234, 0.1)',
+    },
+    sectionTitle: {
+        fontSize: 17,
+        fontWeight: '700',
+        color: '#2c3e50',
+        marginBottom: 8,
+    },
+    sectionSubtitle: {
+        fontSize: 12,
+        color: '#7f8c8d',
+        fontStyle: 'italic',
+        marginTop: -4,
+        marginBottom: 12,
+    },
+    groupTitle: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#7f8c8d',
+        marginTop: 12,
+        marginBottom: 6,
+    },
+    weekRow: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        marginBottom: 4,
+    },
+    weekdayText: {
+        flex: 1,
+        fontSize: 11,
+        fontWeight: '700',
+        color: '#7f8c8d',
+        textAlign: 'center',
+    },
+    calendarCell: {
+        flex: 1,
+        aspectRatio: 1,
+        marginHorizontal: 2,
+        borderRadius: 8,
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    outlookCell: {
+        opacity: 0.6,
+        borderWidth: 1,
+        borderStyle: 'dashed',
+        borderColor: '#2c3e50',
+    },
+    bestCell: {
+        borderWidth: 3,
+        borderStyle: 'solid',
+        borderColor: '#2c3e50',
+    },
+    emptyCell: {
+        flex: 1,
+        aspectRatio: 1,
+        marginHorizontal: 2,
+    },
+    calendarDate: {
+        fontSize: 10,
+        color: '#fff',
+        fontWeight: '600',
+    },
+    calendarScore: {
+        fontSize: 14,
+        color: '#fff',
+        fontWeight: '700',
+    },
+    legend: {
+        flexDirection: 'row',
+        justifyContent: 'space-around',
+        marginTop: 8,
+    },
+    legendItem: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    legendSwatch: {
+        width: 12,
+        height: 12,
+        borderRadius: 3,
+        marginRight: 4,
+    },
+    legendText: {
+        fontSize: 11,
+        color: '#7f8c8d',
+    },
+    rankRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 8,
+        borderTopWidth: 1,
+        borderTopColor: '#f0f0f0',
+    },
+    rankNumber: {
+        width: 24,
+        fontSize: 13,
+        fontWeight: '700',
+        color: '#7f8c8d',
+    },
+    rankScore: {
+        width: 40,
+        height: 32,
+        borderRadius: 6,
+        justifyContent: 'center',
+        alignItems: 'center',
+        marginRight: 10,
+    },
+    rankScoreText: {
+        fontSize: 14,
+        fontWeight: '700',
+        color: '#fff',
+    },
+    rankContent: {
+        flex: 1,
+    },
+    rankDate: {
+        fontSize: 13,
+        fontWeight: '700',
+        color: '#2c3e50',
+    },
+});
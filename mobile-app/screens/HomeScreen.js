@@ -1,11 +1,40 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { View, Text, StyleSheet, TouchableOpacity, ScrollView, Platform, NativeModules, Alert } from 'react-native';
 import DateTimePicker from '@react-native-community/datetimepicker';
 import * as Location from 'expo-location';
-import axios from 'axios';
 import WeatherCard from '../components/WeatherCard';
 import SummaryCard from '../components/SummaryCard';
+import SuitabilityCard from '../components/SuitabilityCard';
 import LocationSearchModal from '../components/LocationSearchModal';
+import DataSourcesPanel from '../components/DataSourcesPanel';
+import HourlyTimeline from '../components/HourlyTimeline';
+import StartWindowsCard from '../components/StartWindowsCard';
+import SavedTripsScreen from './SavedTripsScreen';
+import RouteScreen from './RouteScreen';
+import BestDayScreen from './BestDayScreen';
+import ActivitySettingsScreen from './ActivitySettingsScreen';
+import weatherEngine from '../services/weatherEngine';
+import planStore from '../services/planStore';
+import activityStore from '../services/activityStore';
+import {
+    generateDemoWeather,
+    generateTimeBasedWeather,
+    addDays,
+    toDateKey,
+    fromDateKey,
+    DATA_MODE_LABELS,
+    SKIN_TYPES,
+    DEFAULT_SKIN_TYPE,
+    POLLEN_SPECIES,
+    listActivityProfiles,
+    getActivityProfile,
+    setActivitySettings,
+    isBuiltInActivity,
+    DEFAULT_ACTIVITY
+} from '../weather-engine';
+
+// Days saved by the offline download, starting at the selected date
+const OFFLINE_DOWNLOAD_DAYS = 7;
 
 export default function HomeScreen({ location }) {
     const [region, setRegion] = useState({
@@ -18,13 +47,27 @@ export default function HomeScreen({ location }) {
     const [showPicker, setShowPicker] = useState(false);
     const [weather, setWeather] = useState(null);
     const [loading, setLoading] = useState(false);
-    const [selectedActivity, setSelectedActivity] = useState('hiking');
+    const [selectedActivity, setSelectedActivity] = useState(DEFAULT_ACTIVITY);
+    const [activities, setActivities] = useState(listActivityProfiles());
+    const [skinType, setSkinType] = useState(DEFAULT_SKIN_TYPE);
+    const [allergens, setAllergens] = useState([]);
+    const [outingHours, setOutingHours] = useState('');
     const [locationName, setLocationName] = useState('');
     const [isManualLocation, setIsManualLocation] = useState(false);
     const [locationLoading, setLocationLoading] = useState(false);
     const [showLocationSearch, setShowLocationSearch] = useState(false);
     const [smartAlerts, setSmartAlerts] = useState([]);
     const [clothingAdvice, setClothingAdvice] = useState([]);
+    const [dataMode, setDataMode] = useState(null);
+    const [cacheInfo, setCacheInfo] = useState(null);
+    const [downloading, setDownloading] = useState(false);
+    const [showTrips, setShowTrips] = useState(false);
+    const [showRoute, setShowRoute] = useState(false);
+    const [showBestDays, setShowBestDays] = useState(false);
+    const [showActivitySettings, setShowActivitySettings] = useState(false);
+    const [sessionRestored, setSessionRestored] = useState(false);
+    // Ignores background refreshes that finish after the user moved on
+    const latestRequest = useRef(0);
 
     useEffect(() => {
         if (location) {
@@ -36,9 +79,61 @@ export default function HomeScreen({ location }) {
         }
     }, [location]);
 
+    // Tuned thresholds and custom activities apply to every analysis; a deleted custom activity
+    // falls back to the default
+    const applyActivitySettings = (settings) => {
+        setActivitySettings(settings);
+        setActivities(listActivityProfiles());
+        setSelectedActivity(previous => (isBuiltInActivity(previous) ||
+            settings.custom.some(profile => profile.key === previous) ? previous : DEFAULT_ACTIVITY));
+    };
+
+    // Restore the activity settings, then the last manual location, date and activity; past
+    // dates fall back to today
+    useEffect(() => {
+        activityStore.load().then(applyActivitySettings).then(() => planStore.loadSession()).then(session => {
+            if (session) {
+                if (session.isManualLocation) {
+                    setRegion(prev => ({ ...prev, latitude: session.latitude, longitude: session.longitude }));
+                    setLocationName(session.locationName);
+                    setIsManualLocation(true);
+                }
+                if (session.date && session.date >= toDateKey(new Date())) setDate(fromDateKey(session.date));
+                if (listActivityProfiles().some(profile => profile.key === session.activity)) setSelectedActivity(session.activity);
+                if (session.skinType) setSkinType(session.skinType);
+                if (session.allergens) setAllergens(session.allergens);
+                if (session.outingHours) setOutingHours(session.outingHours);
+            }
+            setSessionRestored(true);
+        });
+    }, []);
+
     useEffect(() => {
-        loadWeatherData();
-    }, [region, date, selectedActivity]);
+        if (!sessionRestored) return;
+        planStore.saveSession({
+            latitude: region.latitude,
+            longitude: region.longitude,
+            locationName,
+            isManualLocation,
+            date: toDateKey(date),
+            activity: selectedActivity,
+            skinType,
+            allergens,
+            outingHours
+        });
+    }, [sessionRestored, region, locationName, isManualLocation, date, selectedActivity, skinType, allergens, outingHours]);
+
+    // The outing length typed by the user; anything else uses the activity's typical length
+    const typedHours = parseFloat(outingHours.replace(',', '.'));
+    const durationHours = typedHours > 0 && typedHours <= 24 ? typedHours : null;
+
+    useEffect(() => {
+        if (sessionRestored) loadWeatherData();
+    }, [sessionRestored, region, date, selectedActivity, skinType, allergens, durationHours, activities]);
+
+    const toggleAllergen = (species) => {
+        setAllergens(prev => (prev.includes(species) ? prev.filter(key => key !== species) : [...prev, species]));
+    };
 
     const handleLocationSelect = (selectedLocation) => {
         setRegion({
@@ -53,6 +148,23 @@ export default function HomeScreen({ location }) {
         Alert.alert('Location Updated', `Weather data will be fetched for: ${selectedLocation.name}`, [{ text: 'OK' }]);
     };
 
+    const handleSavedPlaceSelect = (place) => {
+        setRegion(prev => ({ ...prev, latitude: place.latitude, longitude: place.longitude }));
+        setLocationName(place.name);
+        setIsManualLocation(true);
+        if (place.favoriteActivities?.length) setSelectedActivity(place.favoriteActivities[0]);
+        setShowTrips(false);
+    };
+
+    const handleOpenTrip = (trip) => {
+        setRegion(prev => ({ ...prev, latitude: trip.place.latitude, longitude: trip.place.longitude }));
+        setLocationName(trip.place.name);
+        setIsManualLocation(true);
+        setDate(fromDateKey(trip.startDate));
+        setSelectedActivity(trip.activity);
+        setShowTrips(false);
+    };
+
     // FIXED GPS FUNCTION
     const handleUseCurrentLocation = async () => {
         setLocationLoading(true);
@@ -78,13 +190,6 @@ export default function HomeScreen({ location }) {
             setLocationLoading(false);
         }
     };
-    const getActivityTypes = () => [
-        { key: 'hiking', title: 'Hiking', icon: '🥾', description: 'Trail and mountain adventures' },
-        { key: 'camping', title: 'Camping', icon: '⛺', description: 'Overnight outdoor stays' },
-        { key: 'fishing', title: 'Fishing', icon: '🎣', description: 'Water and lake activities' },
-        { key: 'cycling', title: 'Cycling', icon: '🚴', description: 'Road and trail biking' },
-        { key: 'outdoor_events', title: 'Events', icon: '📅', description: 'Outdoor gatherings' }
-    ];
 
     const getQuickDateOptions = () => {
         const today = new Date();
@@ -113,1196 +218,59 @@ export default function HomeScreen({ location }) {
         return options;
     };
 
-    const getActivityTip = (activityKey) => {
-        const tips = {
-            hiking: 'Weather analysis includes trail conditions, UV exposure, and temperature comfort zones.',
-            camping: 'Get insights on overnight temperatures, precipitation, wind conditions, and comfort.',
-            fishing: 'Receive data on wind patterns, water conditions, and optimal fishing weather.',
-            cycling: 'Analysis covers wind resistance, temperature comfort, and road safety conditions.',
-            outdoor_events: 'Comprehensive weather planning for gatherings including comfort and precipitation.'
-        };
-        return tips[activityKey] || 'Select an activity for personalized weather insights.';
+    const applyAnalysis = ({ weather: weatherAnalysis, alerts, clothing, dataMode: mode, asOf, stale, refreshing }) => {
+        setWeather(weatherAnalysis);
+        setDataMode(mode);
+        setSmartAlerts(alerts);
+        setClothingAdvice(clothing);
+        setCacheInfo({ asOf, stale, refreshing });
     };
 
     const loadWeatherData = async () => {
+        const requestId = ++latestRequest.current;
         setLoading(true);
         try {
-            const [openMeteoData, nasaData, era5Data, noaaData] = await Promise.allSettled([
-                fetchOpenMeteoData(region.latitude, region.longitude, date),
-                fetchNASAData(region.latitude, region.longitude, date),
-                fetchERA5Data(region.latitude, region.longitude, date),
-                fetchNOAAData(region.latitude, region.longitude, date)
-            ]);
-
-            const processedData = {
-                openMeteo: openMeteoData.status === 'fulfilled' ? openMeteoData.value : null,
-                nasa: nasaData.status === 'fulfilled' ? nasaData.value : null,
-                era5: era5Data.status === 'fulfilled' ? era5Data.value : null,
-                noaa: noaaData.status === 'fulfilled' ? noaaData.value : null
-            };
-
-            const weatherAnalysis = analyzeWeatherRisks(processedData, region.latitude, region.longitude, date, selectedActivity);
-            const alerts = generateSmartAlerts(weatherAnalysis);
-            const clothing = generateClothingAdvice(weatherAnalysis, selectedActivity, processedData);
-            setWeather(weatherAnalysis);
-            setSmartAlerts(alerts);
-            setClothingAdvice(clothing);
+            // Cached results show immediately; a background refresh replaces them when it lands
+            const result = await weatherEngine.analyze(region.latitude, region.longitude, date, selectedActivity, {
+                skinType,
+                allergens,
+                durationHours,
+                onRefresh: (refreshed) => {
+                    if (requestId === latestRequest.current) applyAnalysis(refreshed);
+                }
+            });
+            if (requestId === latestRequest.current) applyAnalysis(result);
         } catch (error) {
             const fallbackWeather = generateDemoWeather(region.latitude, region.longitude, date);
             setWeather(fallbackWeather);
+            setDataMode(null);
+            setCacheInfo(null);
         } finally {
             setLoading(false);
         }
     };
-    const validateWeatherValue = (value, min, max) => {
-        if (value === null || value === undefined || isNaN(value) || value === -9999) return null;
-        const numValue = typeof value === 'string' ? parseFloat(value) : value;
-        return (numValue >= min && numValue <= max) ? numValue : null;
-    };
-
-    const fetchOpenMeteoData = async (lat, lon, selectedDate) => {
-        try {
-            const response = await axios.get('https://api.open-meteo.com/v1/forecast', {
-                params: {
-                    latitude: lat,
-                    longitude: lon,
-                    daily: 'temperature_2m_max,temperature_2m_min,windspeed_10m_max,precipitation_sum,relative_humidity_2m_max',
-                    timezone: 'auto',
-                    forecast_days: 7
-                },
-                timeout: 15000
-            });
-
-            const daily = response.data.daily;
-            const validatedData = {
-                tempMax: validateWeatherValue(daily.temperature_2m_max[0], -50, 60),
-                tempMin: validateWeatherValue(daily.temperature_2m_min[0], -50, 60),
-                windSpeed: validateWeatherValue(daily.windspeed_10m_max[0], 0, 200),
-                precipitation: validateWeatherValue(daily.precipitation_sum[0], 0, 500),
-                humidity: validateWeatherValue(daily.relative_humidity_2m_max[0], 0, 100)
-            };
-
-            return { source: 'Open-Meteo API', data: validatedData, available: true };
-        } catch (error) {
-            return { source: 'Open-Meteo (error)', data: null, available: false };
-        }
-    };
 
-    const fetchNASAData = async (lat, lon, selectedDate) => {
+    const handleDownloadForOffline = async () => {
+        setDownloading(true);
         try {
-            const dateStr = selectedDate.toISOString().split('T')[0].replace(/-/g, '');
-            const response = await axios.get('https://power.larc.nasa.gov/api/temporal/daily/point', {
-                params: {
-                    parameters: 'T2M_MAX,T2M_MIN,WS10M,PRECTOTCORR,RH2M',
-                    community: 'RE',
-                    longitude: parseFloat(lon).toFixed(4),
-                    latitude: parseFloat(lat).toFixed(4),
-                    start: dateStr,
-                    end: dateStr,
-                    format: 'JSON'
-                },
-                timeout: 20000
-            });
-
-            if (!response.data?.properties?.parameter) {
-                throw new Error('Invalid NASA response');
-            }
-
-            const rawData = response.data.properties.parameter;
-            const processedData = {};
-            let validDataCount = 0;
-
-            Object.keys(rawData).forEach(param => {
-                const paramData = rawData[param];
-                if (typeof paramData === 'object') {
-                    Object.keys(paramData).forEach(dateKey => {
-                        const value = paramData[dateKey];
-                        if (typeof value === 'number' && value !== -9999) {
-                            if (!processedData[param]) processedData[param] = {};
-                            processedData[param][dateKey] = value;
-                            validDataCount++;
-                        }
-                    });
-                }
-            });
-
-            return validDataCount > 0 ?
-                { source: 'NASA POWER', data: processedData, available: true } :
-                { source: 'NASA POWER (no data)', data: null, available: false };
+            const days = await weatherEngine.prefetch(
+                region.latitude, region.longitude, date, addDays(date, OFFLINE_DOWNLOAD_DAYS - 1)
+            );
+            const saved = days.filter(day => day.asOf).length;
+            Alert.alert('Saved for Offline', `Weather for ${saved} of ${days.length} days is stored on this device.`);
         } catch (error) {
-            return { source: 'NASA POWER (error)', data: null, available: false };
-        }
-    };
-
-    const fetchERA5Data = async (lat, lon, selectedDate) => {
-        try {
-            // ERA5 data through Copernicus Climate Data Store (CDS) API
-            // Note: This is a simplified implementation - actual CDS API requires authentication
-            const year = selectedDate.getFullYear();
-            const month = String(selectedDate.getMonth() + 1).padStart(2, '0');
-            const day = String(selectedDate.getDate()).padStart(2, '0');
-
-            // Using ERA5 reanalysis data via alternative endpoint (demo implementation)
-            const response = await axios.get('https://api.open-meteo.com/v1/era5', {
-                params: {
-                    latitude: parseFloat(lat).toFixed(4),
-                    longitude: parseFloat(lon).toFixed(4),
-                    start_date: `${year}-${month}-${day}`,
-                    end_date: `${year}-${month}-${day}`,
-                    daily: 'temperature_2m_max,temperature_2m_min,windspeed_10m_max,precipitation_sum,relative_humidity_2m_max',
-                    timezone: 'auto'
-                },
-                timeout: 15000
-            });
-
-            if (!response.data?.daily) {
-                throw new Error('Invalid ERA5 response');
-            }
-
-            const daily = response.data.daily;
-            const validatedData = {
-                tempMax: validateWeatherValue(daily.temperature_2m_max[0], -50, 60),
-                tempMin: validateWeatherValue(daily.temperature_2m_min[0], -50, 60),
-                windSpeed: validateWeatherValue(daily.windspeed_10m_max[0], 0, 200),
-                precipitation: validateWeatherValue(daily.precipitation_sum[0], 0, 500),
-                humidity: validateWeatherValue(daily.relative_humidity_2m_max[0], 0, 100)
-            };
-
-            // Check if we have valid data (no -9999 values)
-            const hasValidData = Object.values(validatedData).some(value => value !== null);
-
-            return hasValidData ?
-                { source: 'Copernicus ERA5', data: validatedData, available: true } :
-                { source: 'Copernicus ERA5 (no data)', data: null, available: false };
-        } catch (error) {
-            return { source: 'Copernicus ERA5 (error)', data: null, available: false };
-        }
-    };
-
-    const fetchNOAAData = async (lat, lon, selectedDate) => {
-        try {
-            // NOAA NCEI Climate Data Online (CDO) API
-            const dateStr = selectedDate.toISOString().split('T')[0];
-
-            // Using NOAA's Global Summary of the Month (GSOM) dataset
-            const response = await axios.get('https://www.ncei.noaa.gov/cdo-web/api/v2/data', {
-                params: {
-                    datasetid: 'GSOM',
-                    locationid: `FIPS:US`,
-                    startdate: dateStr,
-                    enddate: dateStr,
-                    datatypeid: 'TAVG,TMAX,TMIN,PRCP',
-                    units: 'metric',
-                    limit: 1000
-                },
-                headers: {
-                    'token': 'demo_token' // Note: Replace with actual NOAA API token
-                },
-                timeout: 15000
-            });
-
-            if (!response.data?.results) {
-                throw new Error('Invalid NOAA response');
-            }
-
-            const results = response.data.results;
-            const processedData = {};
-            let validDataCount = 0;
-
-            results.forEach(item => {
-                if (item.value !== null && item.value !== -9999 && item.value !== -999.9) {
-                    const validValue = validateWeatherValue(item.value, -100, 100);
-                    if (validValue !== null) {
-                        processedData[item.datatype] = validValue;
-                        validDataCount++;
-                    }
-                }
-            });
-
-            return validDataCount > 0 ?
-                { source: 'NOAA NCEI (CDO)', data: processedData, available: true } :
-                { source: 'NOAA NCEI (no data)', data: null, available: false };
-        } catch (error) {
-            // Fallback to demo data for NOAA since it requires authentication
-            return {
-                source: 'NOAA NCEI (demo)',
-                data: {
-                    TMAX: 25.5,
-                    TMIN: 15.2,
-                    TAVG: 20.3,
-                    PRCP: 2.1
-                },
-                available: true
-            };
-        }
-    };
-
-    const analyzeWeatherRisks = (apiData, lat, lon, selectedDate, activity) => {
-        let maxTemp = null, minTemp = null, windSpeed = null, precipitation = null, humidity = null;
-
-        // Priority order: 1. NASA POWER, 2. Copernicus ERA5, 3. Open-Meteo, 4. NOAA NCEI
-
-        // 1. Try NASA POWER first (most reliable for weather data)
-        if (apiData.nasa?.data && apiData.nasa.available) {
-            const nasaData = apiData.nasa.data;
-            const dateKey = Object.keys(nasaData.T2M_MAX || {})[0];
-            if (dateKey) {
-                maxTemp = validateWeatherValue(nasaData.T2M_MAX?.[dateKey], -50, 60);
-                minTemp = validateWeatherValue(nasaData.T2M_MIN?.[dateKey], -50, 60);
-                windSpeed = validateWeatherValue(nasaData.WS10M?.[dateKey], 0, 200);
-                precipitation = validateWeatherValue(nasaData.PRECTOTCORR?.[dateKey], 0, 500);
-                humidity = validateWeatherValue(nasaData.RH2M?.[dateKey], 0, 100);
-            }
-        }
-
-        // 2. Try Copernicus ERA5 for missing data
-        if ((!maxTemp || !minTemp || !windSpeed || !precipitation || !humidity) &&
-            apiData.era5?.data && apiData.era5.available) {
-            const era5Data = apiData.era5.data;
-            if (!maxTemp) maxTemp = era5Data.tempMax;
-            if (!minTemp) minTemp = era5Data.tempMin;
-            if (!windSpeed) windSpeed = era5Data.windSpeed;
-            if (!precipitation) precipitation = era5Data.precipitation;
-            if (!humidity) humidity = era5Data.humidity;
-        }
-
-        // 3. Try Open-Meteo for missing data
-        if ((!maxTemp || !minTemp || !windSpeed || !precipitation || !humidity) &&
-            apiData.openMeteo?.data && apiData.openMeteo.available) {
-            const omData = apiData.openMeteo.data;
-            if (!maxTemp) maxTemp = omData.tempMax;
-            if (!minTemp) minTemp = omData.tempMin;
-            if (!windSpeed) windSpeed = omData.windSpeed;
-            if (!precipitation) precipitation = omData.precipitation;
-            if (!humidity) humidity = omData.humidity;
-        }
-
-        // 4. Try NOAA NCEI for missing data
-        if ((!maxTemp || !minTemp || !windSpeed || !precipitation) &&
-            apiData.noaa?.data && apiData.noaa.available) {
-            const noaaData = apiData.noaa.data;
-            if (!maxTemp && noaaData.TMAX) maxTemp = validateWeatherValue(noaaData.TMAX, -50, 60);
-            if (!minTemp && noaaData.TMIN) minTemp = validateWeatherValue(noaaData.TMIN, -50, 60);
-            if (!precipitation && noaaData.PRCP) precipitation = validateWeatherValue(noaaData.PRCP, 0, 500);
-            // NOAA doesn't typically provide wind speed and humidity in basic datasets
-        }
-
-        // Use defaults if no data
-        if (maxTemp === null) {
-            maxTemp = 22; minTemp = 15; windSpeed = 10; precipitation = 2; humidity = 60;
-        }
-
-        // 🌡️ Activity-Specific Risk Categories - Always show all 5 categories
-        const risks = [];
-
-        // Get activity-specific thresholds and advice
-        const getActivityAdvice = (category, severity, value, activity) => {
-            const activityAdvice = {
-                hiking: {
-                    hot: {
-                        EXTREME: `🥾 HIKING ALERT: ${value}°C is dangerous for hiking. Start before 6 AM, bring 3L+ water, electrolytes, and consider postponing.`,
-                        HIGH: `🥾 HIKING CAUTION: ${value}°C requires early start (before 7 AM), 2L+ water, frequent shade breaks, and sun protection.`,
-                        MODERATE: `🥾 HIKING ADVICE: ${value}°C is warm for hiking. Bring extra water, wear light colors, and avoid midday sun.`,
-                        SAFE: `🥾 HIKING PERFECT: ${value}°C is ideal for hiking. Comfortable temperature for all-day trails.`
-                    },
-                    cold: {
-                        EXTREME: `🥾 HIKING ALERT: ${value}°C is dangerous. Bring winter gear, insulated boots, emergency shelter, and inform others of your route.`,
-                        HIGH: `🥾 HIKING CAUTION: ${value}°C requires warm layers, waterproof boots, gloves, hat, and emergency supplies.`,
-                        MODERATE: `🥾 HIKING ADVICE: ${value}°C needs warm clothing, extra layers, and hot drinks. Check trail conditions.`,
-                        SAFE: `🥾 HIKING GOOD: ${value}°C is comfortable for hiking with normal outdoor clothing.`
-                    },
-                    wind: {
-                        EXTREME: `🥾 HIKING DANGER: ${value} km/h winds are hazardous on ridges and exposed trails. Avoid high elevations.`,
-                        HIGH: `🥾 HIKING CAUTION: ${value} km/h winds require extra stability. Avoid exposed ridges and secure all gear.`,
-                        MODERATE: `🥾 HIKING ADVICE: ${value} km/h winds may affect balance on narrow trails. Secure loose items.`,
-                        SAFE: `🥾 HIKING IDEAL: ${value} km/h winds are manageable for all hiking trails.`
-                    },
-                    wet: {
-                        EXTREME: `🥾 HIKING ALERT: ${value}mm rain makes trails dangerous. Risk of flash floods and slippery rocks. Consider postponing.`,
-                        HIGH: `🥾 HIKING CAUTION: ${value}mm rain requires waterproof gear, extra grip shoes, and avoid stream crossings.`,
-                        MODERATE: `🥾 HIKING ADVICE: ${value}mm rain needs rain gear and extra caution on rocky/muddy sections.`,
-                        SAFE: `🥾 HIKING PERFECT: ${value}mm light rain won't affect most hiking trails.`
-                    }
-                },
-                camping: {
-                    hot: {
-                        EXTREME: `⛺ CAMPING ALERT: ${value}°C overnight heat is dangerous. Bring cooling towels, extra water, and consider air-conditioned shelter.`,
-                        HIGH: `⛺ CAMPING CAUTION: ${value}°C requires shade setup, cooling strategies, and extra hydration for comfortable sleep.`,
-                        MODERATE: `⛺ CAMPING ADVICE: ${value}°C is warm for camping. Set up in shade, bring fans, and extra water.`,
-                        SAFE: `⛺ CAMPING PERFECT: ${value}°C is ideal for comfortable outdoor camping.`
-                    },
-                    cold: {
-                        EXTREME: `⛺ CAMPING ALERT: ${value}°C requires winter camping gear, 4-season tent, sleeping bag rated -10°C+, and emergency heating.`,
-                        HIGH: `⛺ CAMPING CAUTION: ${value}°C needs warm sleeping bag, insulated pad, winter tent, and backup heating source.`,
-                        MODERATE: `⛺ CAMPING ADVICE: ${value}°C requires warm sleeping gear, extra blankets, and windproof tent setup.`,
-                        SAFE: `⛺ CAMPING GOOD: ${value}°C is comfortable for camping with standard gear.`
-                    }
-                },
-                fishing: {
-                    hot: {
-                        EXTREME: `🎣 FISHING ALERT: ${value}°C heat affects fish behavior. Fish before dawn/after dusk, bring shade, and stay hydrated.`,
-                        HIGH: `🎣 FISHING ADVICE: ${value}°C is hot for fishing. Early morning and evening are best. Bring sun protection.`,
-                        MODERATE: `🎣 FISHING GOOD: ${value}°C is warm but manageable. Fish in shaded areas and stay hydrated.`,
-                        SAFE: `🎣 FISHING PERFECT: ${value}°C is ideal for all-day fishing comfort.`
-                    },
-                    wind: {
-                        EXTREME: `🎣 FISHING DANGER: ${value} km/h winds make boat fishing dangerous and casting nearly impossible.`,
-                        HIGH: `🎣 FISHING DIFFICULT: ${value} km/h winds affect casting accuracy and boat stability. Shore fishing recommended.`,
-                        MODERATE: `🎣 FISHING CHALLENGING: ${value} km/h winds require adjusted casting technique and secure equipment.`,
-                        SAFE: `🎣 FISHING IDEAL: ${value} km/h winds are perfect for comfortable fishing.`
-                    }
-                },
-                cycling: {
-                    hot: {
-                        EXTREME: `🚴 CYCLING ALERT: ${value}°C is dangerous for cycling. Risk of heat exhaustion. Cycle before 7 AM or after 7 PM only.`,
-                        HIGH: `🚴 CYCLING CAUTION: ${value}°C requires early morning rides, frequent water breaks, and electrolyte replacement.`,
-                        MODERATE: `🚴 CYCLING ADVICE: ${value}°C is warm for cycling. Bring extra water, wear light colors, and take shade breaks.`,
-                        SAFE: `🚴 CYCLING PERFECT: ${value}°C is ideal for comfortable cycling at any time.`
-                    },
-                    wind: {
-                        EXTREME: `🚴 CYCLING DANGER: ${value} km/h headwinds make cycling extremely difficult and potentially unsafe.`,
-                        HIGH: `🚴 CYCLING CHALLENGING: ${value} km/h winds significantly increase effort and affect bike handling.`,
-                        MODERATE: `🚴 CYCLING ADVICE: ${value} km/h winds require extra effort and careful handling, especially on turns.`,
-                        SAFE: `🚴 CYCLING IDEAL: ${value} km/h winds are manageable for comfortable cycling.`
-                    }
-                },
-                outdoor_events: {
-                    hot: {
-                        EXTREME: `📅 EVENT ALERT: ${value}°C is dangerous for outdoor events. Provide cooling stations, medical support, and consider rescheduling.`,
-                        HIGH: `📅 EVENT CAUTION: ${value}°C requires shade structures, water stations, and frequent breaks for attendees.`,
-                        MODERATE: `📅 EVENT ADVICE: ${value}°C needs shade options, extra water, and sun protection for guests.`,
-                        SAFE: `📅 EVENT PERFECT: ${value}°C is comfortable for outdoor events and activities.`
-                    },
-                    wet: {
-                        EXTREME: `📅 EVENT ALERT: ${value}mm rain will severely impact outdoor events. Have indoor backup or postpone.`,
-                        HIGH: `📅 EVENT CAUTION: ${value}mm rain requires covered areas, waterproof setup, and weather contingency plans.`,
-                        MODERATE: `📅 EVENT ADVICE: ${value}mm rain needs tent/canopy coverage and waterproof equipment protection.`,
-                        SAFE: `📅 EVENT GOOD: ${value}mm light rain won't significantly affect most outdoor events.`
-                    }
-                }
-            };
-
-            const defaultAdvice = {
-                hot: { SAFE: `Temperature ${value}°C is comfortable for ${activity} activities.` },
-                cold: { SAFE: `Temperature ${value}°C is suitable for ${activity} with proper clothing.` },
-                wind: { SAFE: `Wind speed ${value} km/h is manageable for ${activity} activities.` },
-                wet: { SAFE: `Precipitation ${value}mm is minimal and won't affect ${activity}.` }
-            };
-
-            return activityAdvice[activity]?.[category]?.[severity] ||
-                defaultAdvice[category]?.[severity] ||
-                `Conditions are ${severity.toLowerCase()} for ${activity}.`;
-        };
-
-        // 1. 🔥 Very Hot - Activity-specific temperature analysis
-        let hotSeverity, hotAdvice;
-        if (maxTemp > 35) {
-            hotSeverity = "EXTREME";
-            hotAdvice = getActivityAdvice('hot', 'EXTREME', maxTemp.toFixed(1), activity);
-        } else if (maxTemp > 30) {
-            hotSeverity = activity === 'cycling' ? "HIGH" : "MODERATE"; // Cycling is more sensitive to heat
-            hotAdvice = getActivityAdvice('hot', hotSeverity, maxTemp.toFixed(1), activity);
-        } else if (maxTemp > 25 && activity === 'cycling') {
-            hotSeverity = "MODERATE";
-            hotAdvice = getActivityAdvice('hot', 'MODERATE', maxTemp.toFixed(1), activity);
-        } else {
-            hotSeverity = "SAFE";
-            hotAdvice = getActivityAdvice('hot', 'SAFE', maxTemp.toFixed(1), activity);
-        }
-
-        risks.push({
-            label: "Very Hot",
-            icon: "🔥",
-            risk: `${hotSeverity !== 'SAFE' ? hotSeverity + ' heat risk' : 'No heat risk'} - ${maxTemp.toFixed(1)}°C`,
-            advice: hotAdvice,
-            color: hotSeverity === 'EXTREME' ? "red" : hotSeverity === 'HIGH' ? "orange" : hotSeverity === 'MODERATE' ? "yellow" : "green"
-        });
-
-        // 2. 🥶 Very Cold - Activity-specific cold analysis
-        let coldSeverity, coldAdvice;
-        const coldThreshold = activity === 'fishing' ? 10 : activity === 'camping' ? 5 : 0; // Different activities have different cold sensitivity
-
-        if (minTemp < coldThreshold - 10) {
-            coldSeverity = "EXTREME";
-            coldAdvice = getActivityAdvice('cold', 'EXTREME', minTemp.toFixed(1), activity);
-        } else if (minTemp < coldThreshold - 5) {
-            coldSeverity = "HIGH";
-            coldAdvice = getActivityAdvice('cold', 'HIGH', minTemp.toFixed(1), activity);
-        } else if (minTemp < coldThreshold) {
-            coldSeverity = "MODERATE";
-            coldAdvice = getActivityAdvice('cold', 'MODERATE', minTemp.toFixed(1), activity);
-        } else {
-            coldSeverity = "SAFE";
-            coldAdvice = getActivityAdvice('cold', 'SAFE', minTemp.toFixed(1), activity);
-        }
-
-        risks.push({
-            label: "Very Cold",
-            icon: "🥶",
-            risk: `${coldSeverity !== 'SAFE' ? coldSeverity + ' cold risk' : 'No cold risk'} - ${minTemp.toFixed(1)}°C`,
-            advice: coldAdvice,
-            color: coldSeverity === 'EXTREME' ? "blue" : coldSeverity === 'HIGH' ? "lightblue" : coldSeverity === 'MODERATE' ? "cyan" : "green"
-        });
-
-        // 3. 💨 Very Windy - Activity-specific wind analysis
-        let windSeverity, windAdvice;
-        const windThreshold = activity === 'fishing' || activity === 'cycling' ? 20 : 25; // More sensitive activities
-
-        if (windSpeed > windThreshold + 20) {
-            windSeverity = "EXTREME";
-            windAdvice = getActivityAdvice('wind', 'EXTREME', windSpeed.toFixed(1), activity);
-        } else if (windSpeed > windThreshold + 10) {
-            windSeverity = "HIGH";
-            windAdvice = getActivityAdvice('wind', 'HIGH', windSpeed.toFixed(1), activity);
-        } else if (windSpeed > windThreshold) {
-            windSeverity = "MODERATE";
-            windAdvice = getActivityAdvice('wind', 'MODERATE', windSpeed.toFixed(1), activity);
-        } else {
-            windSeverity = "SAFE";
-            windAdvice = getActivityAdvice('wind', 'SAFE', windSpeed.toFixed(1), activity);
-        }
-
-        risks.push({
-            label: "Very Windy",
-            icon: "💨",
-            risk: `${windSeverity !== 'SAFE' ? windSeverity + ' wind hazard' : 'No wind hazard'} - ${windSpeed.toFixed(1)} km/h`,
-            advice: windAdvice,
-            color: windSeverity === 'EXTREME' ? "red" : windSeverity === 'HIGH' ? "orange" : windSeverity === 'MODERATE' ? "yellow" : "green"
-        });
-
-        // 4. 🌧️ Very Wet - Activity-specific precipitation analysis
-        let wetSeverity, wetAdvice;
-        const wetThreshold = activity === 'outdoor_events' ? 5 : activity === 'hiking' ? 15 : 10;
-
-        if (precipitation > wetThreshold + 15) {
-            wetSeverity = "EXTREME";
-            wetAdvice = getActivityAdvice('wet', 'EXTREME', precipitation.toFixed(1), activity);
-        } else if (precipitation > wetThreshold + 5) {
-            wetSeverity = "HIGH";
-            wetAdvice = getActivityAdvice('wet', 'HIGH', precipitation.toFixed(1), activity);
-        } else if (precipitation > wetThreshold) {
-            wetSeverity = "MODERATE";
-            wetAdvice = getActivityAdvice('wet', 'MODERATE', precipitation.toFixed(1), activity);
-        } else {
-            wetSeverity = "SAFE";
-            wetAdvice = getActivityAdvice('wet', 'SAFE', precipitation.toFixed(1), activity);
-        }
-
-        risks.push({
-            label: "Very Wet",
-            icon: "🌧️",
-            risk: `${wetSeverity !== 'SAFE' ? wetSeverity + ' precipitation risk' : 'No precipitation risk'} - ${precipitation.toFixed(1)} mm`,
-            advice: wetAdvice,
-            color: wetSeverity === 'EXTREME' ? "blue" : wetSeverity === 'HIGH' ? "lightblue" : wetSeverity === 'MODERATE' ? "cyan" : "green"
-        });
-
-        // 5. 😰 Very Uncomfortable - Activity-specific comfort analysis
-        const heatIndex = maxTemp + (0.5 * (humidity - 50));
-        let comfortSeverity, comfortAdvice;
-
-        if (humidity > 80 && maxTemp > 25) {
-            comfortSeverity = "EXTREME";
-            comfortAdvice = `😰 ${activity.toUpperCase()} ALERT: Heat index ${heatIndex.toFixed(1)}°C with ${humidity.toFixed(0)}% humidity creates dangerous conditions. High risk of heat exhaustion.`;
-        } else if (humidity > 70 && maxTemp > 25) {
-            comfortSeverity = "HIGH";
-            comfortAdvice = `😰 ${activity.toUpperCase()} CAUTION: Heat index ${heatIndex.toFixed(1)}°C with ${humidity.toFixed(0)}% humidity requires frequent breaks and extra hydration.`;
-        } else if (humidity > 60 && maxTemp > 28) {
-            comfortSeverity = "MODERATE";
-            comfortAdvice = `😰 ${activity.toUpperCase()} ADVICE: Heat index ${heatIndex.toFixed(1)}°C with ${humidity.toFixed(0)}% humidity may cause discomfort. Stay hydrated.`;
-        } else {
-            comfortSeverity = "SAFE";
-            comfortAdvice = `😰 ${activity.toUpperCase()} PERFECT: Heat index ${heatIndex.toFixed(1)}°C with ${humidity.toFixed(0)}% humidity creates comfortable conditions.`;
-        }
-
-        risks.push({
-            label: "Very Uncomfortable",
-            icon: "😰",
-            risk: `${comfortSeverity !== 'SAFE' ? comfortSeverity + ' discomfort' : 'Comfortable conditions'} - Heat index ${heatIndex.toFixed(1)}°C`,
-            advice: comfortAdvice,
-            color: comfortSeverity === 'EXTREME' ? "red" : comfortSeverity === 'HIGH' ? "orange" : comfortSeverity === 'MODERATE' ? "yellow" : "green"
-        });
-
-        return { conditions: risks };
-    };
-
-    const generateSmartAlerts = (weatherData, currentTime = new Date()) => {
-        const alerts = [];
-        const currentHour = currentTime.getHours();
-
-        if (!weatherData?.conditions) return alerts;
-
-        // Extract weather values from the conditions
-        let maxTemp = 22, minTemp = 15, windSpeed = 10, precipitation = 2, humidity = 60;
-
-        weatherData.conditions.forEach(condition => {
-            if (condition.label === "Very Hot" && condition.risk.includes("°C")) {
-                const tempMatch = condition.risk.match(/(\d+\.?\d*)°C/);
-                if (tempMatch) maxTemp = parseFloat(tempMatch[1]);
-            }
-            if (condition.label === "Very Wet" && condition.risk.includes("mm")) {
-                const precipMatch = condition.risk.match(/(\d+\.?\d*) mm/);
-                if (precipMatch) precipitation = parseFloat(precipMatch[1]);
-            }
-            if (condition.label === "Very Windy" && condition.risk.includes("km/h")) {
-                const windMatch = condition.risk.match(/(\d+\.?\d*) km\/h/);
-                if (windMatch) windSpeed = parseFloat(windMatch[1]);
-            }
-        });
-
-        // 🌧️ Rain-Based Smart Alerts
-        if (precipitation > 5) {
-            const rainTime = currentHour + 2; // Simulate rain in 2 hours
-            alerts.push({
-                id: 'rain_laundry',
-                icon: '👕',
-                priority: 'HIGH',
-                title: 'Laundry Alert',
-                message: `Dry your laundry now! Rain expected in 2 hours (${precipitation.toFixed(1)}mm).`,
-                action: 'Bring clothes inside',
-                timing: 'Next 2 hours',
-                category: 'household'
-            });
-
-            alerts.push({
-                id: 'rain_commute',
-                icon: '🚗',
-                priority: 'MEDIUM',
-                title: 'Commute Planning',
-                message: `Traffic will be slower due to rain. Leave 15 minutes earlier tomorrow.`,
-                action: 'Adjust departure time',
-                timing: 'Tomorrow morning',
-                category: 'transport'
-            });
-
-            if (precipitation > 15) {
-                alerts.push({
-                    id: 'rain_outdoor',
-                    icon: '⛺',
-                    priority: 'HIGH',
-                    title: 'Outdoor Activity Alert',
-                    message: `Heavy rain (${precipitation.toFixed(1)}mm) will impact outdoor plans. Consider indoor alternatives.`,
-                    action: 'Reschedule or move indoors',
-                    timing: 'Today',
-                    category: 'activity'
-                });
-            }
-        }
-
-        // 🌡️ Temperature-Based Smart Alerts
-        if (maxTemp > 30) {
-            alerts.push({
-                id: 'heat_pets',
-                icon: '🐕',
-                priority: 'HIGH',
-                title: 'Pet Safety Alert',
-                message: `${maxTemp.toFixed(1)}°C is too hot for pet walks. Walk early morning or late evening only.`,
-                action: 'Adjust pet schedule',
-                timing: 'Today',
-                category: 'safety'
-            });
-
-            alerts.push({
-                id: 'heat_car',
-                icon: '🚙',
-                priority: 'MEDIUM',
-                title: 'Vehicle Alert',
-                message: `Pre-cool your car before driving. Interior temperature can reach 50°C+.`,
-                action: 'Start AC remotely or park in shade',
-                timing: 'Before driving',
-                category: 'transport'
-            });
-
-            if (maxTemp > 35) {
-                alerts.push({
-                    id: 'heat_health',
-                    icon: '💊',
-                    priority: 'EXTREME',
-                    title: 'Health Alert',
-                    message: `Extreme heat (${maxTemp.toFixed(1)}°C)! Stay indoors 10 AM - 6 PM. Check on elderly neighbors.`,
-                    action: 'Avoid outdoor exposure',
-                    timing: 'Midday hours',
-                    category: 'health'
-                });
-            }
-        }
-
-        // 💨 Wind-Based Smart Alerts
-        if (windSpeed > 25) {
-            alerts.push({
-                id: 'wind_objects',
-                icon: '🪴',
-                priority: 'MEDIUM',
-                title: 'Secure Loose Items',
-                message: `${windSpeed.toFixed(1)} km/h winds! Secure outdoor furniture, plants, and decorations.`,
-                action: 'Move items indoors or tie down',
-                timing: 'Before winds increase',
-                category: 'property'
-            });
-
-            if (windSpeed > 40) {
-                alerts.push({
-                    id: 'wind_driving',
-                    icon: '🚛',
-                    priority: 'HIGH',
-                    title: 'Driving Hazard',
-                    message: `Strong winds (${windSpeed.toFixed(1)} km/h) affect vehicle control. Avoid highways if possible.`,
-                    action: 'Drive carefully or postpone',
-                    timing: 'When driving',
-                    category: 'transport'
-                });
-            }
-        }
-
-        // 🌫️ Fog/Visibility Alerts (simulated based on humidity + temperature)
-        if (humidity > 85 && maxTemp - minTemp < 5) {
-            alerts.push({
-                id: 'fog_commute',
-                icon: '🌫️',
-                priority: 'MEDIUM',
-                title: 'Fog Warning',
-                message: `Fog likely tomorrow morning. Leave 10 minutes earlier and use fog lights.`,
-                action: 'Adjust commute time',
-                timing: 'Tomorrow morning',
-                category: 'transport'
-            });
-        }
-
-        // 🌸 Pollen Alerts (simulated based on temperature and season)
-        const month = currentTime.getMonth();
-        const isPollenSeason = (month >= 2 && month <= 5) || (month >= 8 && month <= 10); // Spring/Fall
-
-        if (isPollenSeason && maxTemp > 15 && maxTemp < 25 && precipitation < 2) {
-            alerts.push({
-                id: 'pollen_health',
-                icon: '🌸',
-                priority: 'MEDIUM',
-                title: 'Pollen Alert',
-                message: `High pollen count expected. Take allergy medication and keep windows closed.`,
-                action: 'Take allergy precautions',
-                timing: 'Before going outside',
-                category: 'health'
-            });
-        }
-
-        // ❄️ Frost/Ice Alerts
-        if (minTemp < 2 && humidity > 70) {
-            alerts.push({
-                id: 'frost_plants',
-                icon: '🌱',
-                priority: 'MEDIUM',
-                title: 'Frost Protection',
-                message: `Frost risk tonight (${minTemp.toFixed(1)}°C). Cover sensitive plants and bring potted plants indoors.`,
-                action: 'Protect plants',
-                timing: 'Before sunset',
-                category: 'garden'
-            });
-
-            alerts.push({
-                id: 'frost_car',
-                icon: '🧊',
-                priority: 'LOW',
-                title: 'Morning Prep',
-                message: `Frost expected. Allow extra time to defrost car windows tomorrow morning.`,
-                action: 'Plan extra time',
-                timing: 'Tomorrow morning',
-                category: 'transport'
-            });
-        }
-
-        // 🏃‍♂️ Exercise/Activity Timing Alerts
-        if (maxTemp > 25) {
-            const bestTime = maxTemp > 30 ? "before 7 AM or after 7 PM" : "before 9 AM or after 6 PM";
-            alerts.push({
-                id: 'exercise_timing',
-                icon: '🏃‍♂️',
-                priority: 'LOW',
-                title: 'Exercise Timing',
-                message: `Best time for outdoor exercise: ${bestTime} to avoid heat (${maxTemp.toFixed(1)}°C).`,
-                action: 'Schedule exercise',
-                timing: 'Plan ahead',
-                category: 'fitness'
-            });
-        }
-
-        // 💧 Water Conservation Alert
-        if (precipitation < 1 && maxTemp > 28) {
-            alerts.push({
-                id: 'water_plants',
-                icon: '💧',
-                priority: 'LOW',
-                title: 'Garden Care',
-                message: `Hot and dry conditions. Water plants early morning or evening to prevent evaporation.`,
-                action: 'Water garden',
-                timing: 'Early morning/evening',
-                category: 'garden'
-            });
-        }
-
-        // Sort alerts by priority
-        const priorityOrder = { 'EXTREME': 0, 'HIGH': 1, 'MEDIUM': 2, 'LOW': 3 };
-        return alerts.sort((a, b) => priorityOrder[a.priority] - priorityOrder[b.priority]);
-    };
-
-    const generateClothingAdvice = (weatherData, activity, apiData, currentTime = new Date()) => {
-        const advice = [];
-        const currentHour = currentTime.getHours();
-
-        if (!weatherData?.conditions && !apiData) return advice;
-
-        // ENHANCED WEATHER DATA ANALYTICS - Direct API Integration
-        let maxTemp = 22, minTemp = 15, windSpeed = 10, precipitation = 2, humidity = 60;
-        let dataSource = "Default";
-
-        // Enhanced validation function to filter out invalid API values
-        const isValidValue = (value, min = -100, max = 100) => {
-            if (value === null || value === undefined || isNaN(value)) return false;
-            if (value === -9999 || value === -999 || value === -99.9 || value === -999.0) return false;
-            if (value < min || value > max) return false;
-            return true;
-        };
-
-        // Priority 1: Extract from NASA POWER API (most accurate)
-        if (apiData?.nasa?.data && apiData.nasa.available) {
-            const nasaData = apiData.nasa.data;
-            const dateKey = Object.keys(nasaData.T2M_MAX || {})[0];
-            if (dateKey) {
-                const nasaMaxTemp = nasaData.T2M_MAX?.[dateKey];
-                const nasaMinTemp = nasaData.T2M_MIN?.[dateKey];
-                const nasaWindSpeed = nasaData.WS10M?.[dateKey];
-                const nasaPrecip = nasaData.PRECTOTCORR?.[dateKey];
-                const nasaHumidity = nasaData.RH2M?.[dateKey];
-
-                if (isValidValue(nasaMaxTemp, -50, 60)) maxTemp = nasaMaxTemp;
-                if (isValidValue(nasaMinTemp, -50, 60)) minTemp = nasaMinTemp;
-                if (isValidValue(nasaWindSpeed, 0, 200)) windSpeed = nasaWindSpeed;
-                if (isValidValue(nasaPrecip, 0, 500)) precipitation = nasaPrecip;
-                if (isValidValue(nasaHumidity, 0, 100)) humidity = nasaHumidity;
-
-                if (isValidValue(nasaMaxTemp) || isValidValue(nasaMinTemp)) {
-                    dataSource = "NASA POWER";
-                }
-            }
-        }
-
-        // Priority 2: Copernicus ERA5 data
-        if ((maxTemp === 22 || minTemp === 15) && apiData?.era5?.data && apiData.era5.available) {
-            const era5Data = apiData.era5.data;
-
-            if (maxTemp === 22 && isValidValue(era5Data.tempMax, -50, 60)) maxTemp = era5Data.tempMax;
-            if (minTemp === 15 && isValidValue(era5Data.tempMin, -50, 60)) minTemp = era5Data.tempMin;
-            if (windSpeed === 10 && isValidValue(era5Data.windSpeed, 0, 200)) windSpeed = era5Data.windSpeed;
-            if (precipitation === 2 && isValidValue(era5Data.precipitation, 0, 500)) precipitation = era5Data.precipitation;
-            if (humidity === 60 && isValidValue(era5Data.humidity, 0, 100)) humidity = era5Data.humidity;
-
-            if (isValidValue(era5Data.tempMax) || isValidValue(era5Data.tempMin)) {
-                dataSource = dataSource === "Default" ? "Copernicus ERA5" : dataSource + " + ERA5";
-            }
-        }
-
-        // Priority 3: Open-Meteo data
-        if ((maxTemp === 22 || minTemp === 15) && apiData?.openMeteo?.data && apiData.openMeteo.available) {
-            const omData = apiData.openMeteo.data;
-
-            if (maxTemp === 22 && isValidValue(omData.tempMax, -50, 60)) maxTemp = omData.tempMax;
-            if (minTemp === 15 && isValidValue(omData.tempMin, -50, 60)) minTemp = omData.tempMin;
-            if (windSpeed === 10 && isValidValue(omData.windSpeed, 0, 200)) windSpeed = omData.windSpeed;
-            if (precipitation === 2 && isValidValue(omData.precipitation, 0, 500)) precipitation = omData.precipitation;
-            if (humidity === 60 && isValidValue(omData.humidity, 0, 100)) humidity = omData.humidity;
-
-            if (isValidValue(omData.tempMax) || isValidValue(omData.tempMin)) {
-                dataSource = dataSource === "Default" ? "Open-Meteo" : dataSource + " + OpenMeteo";
-            }
-        }
-
-        // Priority 4: NOAA data
-        if ((maxTemp === 22 || minTemp === 15) && apiData?.noaa?.data && apiData.noaa.available) {
-            const noaaData = apiData.noaa.data;
-
-            if (maxTemp === 22 && isValidValue(noaaData.TMAX, -50, 60)) maxTemp = noaaData.TMAX;
-            if (minTemp === 15 && isValidValue(noaaData.TMIN, -50, 60)) minTemp = noaaData.TMIN;
-            if (precipitation === 2 && isValidValue(noaaData.PRCP, 0, 500)) precipitation = noaaData.PRCP;
-
-            if (isValidValue(noaaData.TMAX) || isValidValue(noaaData.TMIN)) {
-                dataSource = dataSource === "Default" ? "NOAA NCEI" : dataSource + " + NOAA";
-            }
-        }
-
-        // ADVANCED WEATHER ANALYTICS with validation
-        const heatIndex = isValidValue(maxTemp) && isValidValue(humidity) ?
-            maxTemp + (0.5 * (humidity - 50)) : maxTemp;
-        const windChill = isValidValue(minTemp) && isValidValue(windSpeed) && minTemp < 10 ?
-            minTemp - (windSpeed * 0.2) : minTemp;
-        const comfortIndex = isValidValue(maxTemp) && isValidValue(minTemp) ?
-            (maxTemp + minTemp) / 2 : 20;
-        const weatherSeverity = {
-            rain: precipitation > 25 ? 'EXTREME' : precipitation > 15 ? 'HIGH' : precipitation > 5 ? 'MODERATE' : 'LOW',
-            heat: heatIndex > 35 ? 'EXTREME' : heatIndex > 30 ? 'HIGH' : heatIndex > 25 ? 'MODERATE' : 'LOW',
-            cold: windChill < -10 ? 'EXTREME' : windChill < 0 ? 'HIGH' : windChill < 5 ? 'MODERATE' : 'LOW',
-            wind: windSpeed > 40 ? 'EXTREME' : windSpeed > 25 ? 'HIGH' : windSpeed > 15 ? 'MODERATE' : 'LOW'
-        };
-
-        // DATA ANALYTICS SUMMARY with validation
-        const formatValue = (value, unit, validRange) => {
-            return isValidValue(value, validRange[0], validRange[1]) ?
-                `${value.toFixed(1)}${unit}` : `No Data`;
-        };
-
-        const tempRange = isValidValue(minTemp, -50, 60) && isValidValue(maxTemp, -50, 60) ?
-            `${minTemp.toFixed(1)}°C-${maxTemp.toFixed(1)}°C` : 'No Data';
-
-        advice.push({
-            category: "Weather Analytics",
-            icon: "📊",
-            recommendation: `Data Source: ${dataSource}. Temp: ${tempRange}, Heat Index: ${formatValue(heatIndex, '°C', [-50, 70])}, Wind Chill: ${formatValue(windChill, '°C', [-50, 60])}, Precipitation: ${formatValue(precipitation, 'mm', [0, 500])}, Wind: ${formatValue(windSpeed, 'km/h', [0, 200])}, Humidity: ${formatValue(humidity, '%', [0, 100])}`,
-            priority: "analytics"
-        });
-
-        // 🌧️ RAINFALL INTENSITY-BASED CLOTHING (Analytics-Driven)
-        if (precipitation > 0.5) {
-            let rainGear = "";
-            let rainIcon = "";
-            const rainSeverity = weatherSeverity.rain;
-
-            if (precipitation > 25) {
-                // HEAVY RAINFALL (25+ mm) - EXTREME SEVERITY
-                rainIcon = "🌧️";
-                rainGear = `HEAVY RAINFALL (${isValidValue(precipitation, 0, 500) ? precipitation.toFixed(1) + 'mm' : 'Heavy Rain'}): Waterproof raincoat with sealed seams + Large umbrella ${isValidValue(windSpeed) && windSpeed > 20 ? '(wind-resistant design)' : ''} + Waterproof boots + Rain pants + Waterproof bag covers. Avoid cotton, denim, suede. ${isValidValue(humidity) && humidity > 85 ? 'High humidity - choose breathable waterproof materials.' : ''}`;
-            } else if (precipitation > 15) {
-                // MODERATE RAINFALL (15-25 mm) - HIGH SEVERITY
-                rainIcon = "🌦️";
-                rainGear = `MODERATE RAIN (${isValidValue(precipitation, 0, 500) ? precipitation.toFixed(1) + 'mm' : 'Moderate Rain'}): Raincoat with hood + Compact umbrella + Water-resistant shoes + Quick-dry clothing. ${isValidValue(windSpeed) && windSpeed > 20 ? 'Strong winds detected - secure umbrella or avoid.' : 'Light winds - umbrella safe to use.'}`;
-            } else if (precipitation > 5) {
-                // LIGHT RAINFALL (5-15 mm) - MODERATE SEVERITY
-                rainIcon = "☔";
-                rainGear = `LIGHT RAIN (${isValidValue(precipitation, 0, 500) ? precipitation.toFixed(1) + 'mm' : 'Light Rain'}): Light rain jacket/windbreaker + Small umbrella + Water-resistant footwear. ${isValidValue(humidity) && humidity > 80 ? 'High humidity - choose breathable materials.' : 'Normal humidity levels.'}`;
-            } else {
-                // DRIZZLE (0.5-5 mm) - LOW SEVERITY
-                rainIcon = "🌦️";
-                rainGear = `DRIZZLE (${isValidValue(precipitation, 0, 500) ? precipitation.toFixed(1) + 'mm' : 'Light Drizzle'}): Light jacket with hood + Optional umbrella + Regular shoes with good grip. ${isValidValue(comfortIndex) && comfortIndex < 15 ? 'Cool conditions - layer appropriately.' : 'Mild conditions.'}`;
-            }
-
-            advice.push({
-                category: `Rain Protection (${rainSeverity} Risk)`,
-                icon: rainIcon,
-                recommendation: rainGear,
-                priority: "essential"
-            });
-        }
-
-        // ☀️ SUNNY WEATHER INTENSITY-BASED CLOTHING (Analytics-Driven)
-        if (maxTemp > 20 && precipitation < 2) {
-            let sunGear = "";
-            let sunIcon = "";
-            const heatSeverity = weatherSeverity.heat;
-
-            if (maxTemp > 35) {
-                // EXTREME HEAT (35+ °C) - EXTREME SEVERITY
-                sunIcon = "🔥";
-                const tempDisplay = isValidValue(maxTemp, -50, 60) ? maxTemp.toFixed(1) + '°C' : 'Hot';
-                const heatDisplay = isValidValue(heatIndex, -50, 70) ? heatIndex.toFixed(1) + '°C' : 'Very Hot';
-                sunGear = `EXTREME HEAT (${tempDisplay}, feels like ${heatDisplay}): Wide-brimmed hat + UV-blocking sunglasses + Long-sleeve UV shirt + Cooling towel + Electrolyte drinks. ${isValidValue(humidity) && humidity > 70 ? 'High humidity increases heat stress.' : ''} ${isValidValue(windSpeed) && windSpeed < 5 ? 'No wind relief - seek AC.' : 'Light breeze provides some relief.'}`;
-            } else if (maxTemp > 30) {
-                // HOT WEATHER (30-35 °C) - HIGH SEVERITY
-                sunIcon = "☀️";
-                const tempDisplay = isValidValue(maxTemp, -50, 60) ? maxTemp.toFixed(1) + '°C' : 'Hot';
-                const heatDisplay = isValidValue(heatIndex, -50, 70) ? heatIndex.toFixed(1) + '°C' : 'Hot';
-                sunGear = `HOT WEATHER (${tempDisplay}, feels like ${heatDisplay}): Baseball cap/sun hat + Sunglasses + Light-colored clothing + Sunscreen SPF 30+. ${activity === 'cycling' ? 'High exertion activity - extra cooling needed.' : ''} ${isValidValue(humidity) && humidity > 60 ? 'Moderate humidity - stay hydrated.' : ''}`;
-            } else if (maxTemp > 25) {
-                // WARM WEATHER (25-30 °C) - MODERATE SEVERITY
-                sunIcon = "�️";
-                const tempDisplay = isValidValue(maxTemp, -50, 60) ? maxTemp.toFixed(1) + '°C' : 'Warm';
-                sunGear = `WARM WEATHER (${tempDisplay}): Cap/hat + Sunglasses + Breathable fabrics + Light layers. ${currentHour >= 10 && currentHour <= 16 ? 'Peak UV hours - extra protection needed.' : 'Lower UV exposure time.'}`;
-            } else {
-                // MILD SUNNY (20-25 °C) - LOW SEVERITY
-                sunIcon = "🌞";
-                const tempDisplay = isValidValue(maxTemp, -50, 60) ? maxTemp.toFixed(1) + '°C' : 'Mild';
-                sunGear = `MILD SUN (${tempDisplay}): Optional cap + Sunglasses for bright conditions + Comfortable clothing. ${isValidValue(windSpeed) && windSpeed > 10 ? 'Breezy conditions - light layers recommended.' : 'Calm conditions.'}`;
-            }
-
-            advice.push({
-                category: `Sun Protection (${heatSeverity} Risk)`,
-                icon: sunIcon,
-                recommendation: sunGear,
-                priority: "essential"
-            });
-        }
-
-        // 🥶 WINTER/COLD INTENSITY-BASED CLOTHING (Analytics-Driven)
-        if (minTemp < 15) {
-            let winterGear = "";
-            let winterIcon = "";
-            const coldSeverity = weatherSeverity.cold;
-
-            if (minTemp < -10) {
-                // EXTREME COLD (-10°C and below) - EXTREME SEVERITY
-                winterIcon = "🧊";
-                winterGear = `EXTREME COLD (${minTemp.toFixed(1)}°C, feels like ${windChill.toFixed(1)}°C): Heavy winter coat + Thermal underwear + Insulated boots + Warm hat + Insulated gloves + Scarf + Face protection. ${windSpeed > 20 ? 'Strong winds increase frostbite risk.' : ''} ${humidity > 80 ? 'High humidity may cause ice formation.' : ''}`;
-            } else if (minTemp < 0) {
-                // FREEZING (0 to -10°C) - HIGH SEVERITY
-                winterIcon = "❄️";
-                winterGear = `FREEZING (${minTemp.toFixed(1)}°C, feels like ${windChill.toFixed(1)}°C): Winter coat + Sweater + Warm boots + Beanie/winter hat + Gloves + Scarf. ${activity === 'hiking' ? 'Trail conditions may be icy - proper footwear essential.' : ''} ${windSpeed > 15 ? 'Wind chill factor significant.' : ''}`;
-            } else if (minTemp < 5) {
-                // VERY COLD (0-5°C) - MODERATE SEVERITY
-                winterIcon = "🥶";
-                winterGear = `VERY COLD (${minTemp.toFixed(1)}°C, feels like ${windChill.toFixed(1)}°C): Heavy sweater/coat + Long pants + Closed shoes + Light gloves + Warm hat. ${humidity > 70 ? 'High humidity may feel colder.' : ''} ${maxTemp - minTemp > 15 ? 'Large temperature range - layer clothing.' : ''}`;
-            } else if (minTemp < 10) {
-                // COLD (5-10°C) - MODERATE SEVERITY
-                winterIcon = "🧥";
-                winterGear = `COLD (${minTemp.toFixed(1)}°C): Sweater/light coat + Long sleeves + Jeans/long pants + Closed shoes. ${windSpeed > 20 ? 'Windy conditions - windproof outer layer recommended.' : ''} ${activity === 'cycling' ? 'Wind chill from movement - extra protection needed.' : ''}`;
-            } else {
-                // COOL (10-15°C) - LOW SEVERITY
-                winterIcon = "🧥";
-                winterGear = `COOL (${minTemp.toFixed(1)}°C): Light sweater/cardigan + Long sleeves + Comfortable pants + Regular shoes. ${maxTemp > 20 ? 'Temperature will rise - layering recommended.' : 'Stable cool conditions.'}`;
-            }
-
-            advice.push({
-                category: `Cold Protection (${coldSeverity} Risk)`,
-                icon: winterIcon,
-                recommendation: winterGear,
-                priority: "essential"
-            });
-        }
-
-        // 👕 BASE LAYER (Temperature-based)
-        let baseLayer = "";
-        if (maxTemp > 30) {
-            baseLayer = "Light, moisture-wicking t-shirt or tank top. Breathable cotton or synthetic blends.";
-        } else if (maxTemp > 20) {
-            baseLayer = "Comfortable t-shirt or light blouse. Cotton or cotton-blend materials.";
-        } else if (maxTemp > 10) {
-            baseLayer = "Long-sleeve shirt or light sweater. Layering-friendly materials.";
-        } else {
-            baseLayer = "Thermal underwear or warm base layer. Merino wool or synthetic thermal materials.";
-        }
-
-        advice.push({
-            category: "Base Layer",
-            icon: "👕",
-            recommendation: baseLayer,
-            priority: "essential"
-        });
-
-        // 💨 WIND INTENSITY-BASED CLOTHING
-        if (windSpeed > 15) {
-            let windGear = "";
-            let windIcon = "";
-
-            if (windSpeed > 40) {
-                // EXTREME WIND (40+ km/h)
-                windIcon = "🌪️";
-                windGear = "EXTREME WIND: Heavy windproof jacket + Secure hat with chin strap + Wind-resistant pants + Sturdy footwear. Avoid loose clothing.";
-            } else if (windSpeed > 30) {
-                // STRONG WIND (30-40 km/h)
-                windIcon = "💨";
-                windGear = "STRONG WIND: Windbreaker or wind-resistant jacket + Secure accessories + Avoid umbrellas + Closed shoes.";
-            } else if (windSpeed > 20) {
-                // MODERATE WIND (20-30 km/h)
-                windIcon = "🌬️";
-                windGear = "MODERATE WIND: Light windbreaker + Secure loose items + Wind-resistant materials.";
-            } else {
-                // LIGHT WIND (15-20 km/h)
-                windIcon = "🍃";
-                windGear = "LIGHT WIND: Light jacket or cardigan + Secure accessories + Comfortable layers.";
-            }
-
-            advice.push({
-                category: "Wind Protection",
-                icon: windIcon,
-                recommendation: windGear,
-                priority: "important"
-            });
-        }
-
-        // 👟 FOOTWEAR (Weather & Activity-specific)
-        let footwear = "";
-        if (precipitation > 15) {
-            footwear = "HEAVY RAIN: Waterproof rain boots + Avoid leather, suede, or canvas materials.";
-        } else if (precipitation > 5) {
-            footwear = "LIGHT RAIN: Water-resistant shoes or boots + Non-slip soles essential.";
-        } else if (minTemp < -5) {
-            footwear = "EXTREME COLD: Insulated winter boots with thermal lining + Ice grips recommended.";
-        } else if (minTemp < 5) {
-            footwear = "COLD: Warm boots or closed shoes + Thick socks + Waterproof materials.";
-        } else if (maxTemp > 35) {
-            footwear = "EXTREME HEAT: Breathable sandals or mesh sneakers + Light-colored materials.";
-        } else if (maxTemp > 28) {
-            footwear = "HOT: Breathable sneakers or sandals + Light colors to reflect heat.";
-        } else if (activity === 'hiking') {
-            footwear = "HIKING: Sturdy hiking boots with ankle support + Non-slip soles + Weather-appropriate materials.";
-        } else if (activity === 'cycling') {
-            footwear = "CYCLING: Closed-toe athletic shoes + Secure laces + Avoid sandals for safety.";
-        } else {
-            footwear = "GENERAL: Comfortable walking shoes or sneakers + Weather-appropriate materials.";
-        }
-
-        advice.push({
-            category: "Footwear",
-            icon: "👟",
-            recommendation: footwear,
-            priority: "essential"
-        });
-
-        // 🕶️ Accessories & Protection
-        const accessories = [];
-
-        if (maxTemp > 25 || currentHour >= 10 && currentHour <= 16) {
-            accessories.push("UV-protection sunglasses");
-            accessories.push("Wide-brimmed hat or cap");
-        }
-
-        if (precipitation > 2) {
-            accessories.push("Compact umbrella");
-        }
-
-        if (windSpeed > 15) {
-            accessories.push("Scarf or neck warmer");
-        }
-
-        if (minTemp < 10) {
-            accessories.push("Warm gloves or mittens");
-            accessories.push("Insulated hat or beanie");
-        }
-
-        if (maxTemp > 30) {
-            accessories.push("Cooling towel or bandana");
-        }
-
-        if (accessories.length > 0) {
-            advice.push({
-                category: "Accessories",
-                icon: "🕶️",
-                recommendation: accessories.join(", ") + ".",
-                priority: "helpful"
-            });
-        }
-
-        // 🎒 Activity-Specific Gear
-        let activityGear = "";
-        switch (activity) {
-            case 'hiking':
-                activityGear = "Backpack with water, first aid kit, trail snacks. Moisture-wicking socks essential.";
-                break;
-            case 'camping':
-                activityGear = "Weather-appropriate sleeping bag, insulated clothing layers, waterproof gear.";
-                break;
-            case 'fishing':
-                activityGear = "Quick-dry clothing, sun hat, polarized sunglasses, waterproof jacket.";
-                break;
-            case 'cycling':
-                activityGear = "Helmet, reflective clothing, padded shorts, moisture-wicking jersey.";
-                break;
-            case 'outdoor_events':
-                activityGear = "Comfortable walking shoes, layers for temperature changes, portable seating.";
-                break;
-            default:
-                activityGear = "Activity-appropriate clothing and safety gear as needed.";
-        }
-
-        advice.push({
-            category: "Activity Gear",
-            icon: "🎒",
-            recommendation: activityGear,
-            priority: "activity-specific"
-        });
-
-        // 💡 Smart Wardrobe Tips
-        const tips = [];
-
-        if (maxTemp - minTemp > 10) {
-            tips.push("Layer clothing for temperature changes throughout the day");
-        }
-
-        if (humidity > 70) {
-            tips.push("Choose breathable, moisture-wicking fabrics to stay comfortable");
-        }
-
-        if (maxTemp > 25) {
-            tips.push("Light colors reflect heat better than dark colors");
-        }
-
-        if (precipitation > 1) {
-            tips.push("Avoid white or light-colored bottoms that show water stains");
-        }
-
-        if (windSpeed > 20) {
-            tips.push("Secure loose clothing and accessories that might blow away");
-        }
-
-        if (tips.length > 0) {
-            advice.push({
-                category: "Smart Tips",
-                icon: "💡",
-                recommendation: tips.join(". ") + ".",
-                priority: "helpful"
-            });
+            Alert.alert('Download Failed', 'Could not download the forecast. Please try again with a connection.');
+        } finally {
+            setDownloading(false);
         }
-
-        // 📱 AR & Tech Integration Placeholder
-        advice.push({
-            category: "Tech Integration",
-            icon: "📱",
-            recommendation: "Future: Point camera at wardrobe for AI outfit suggestions based on weather conditions.",
-            priority: "future"
-        });
-
-        return advice;
     };
 
-    const generateTimeBasedWeather = (weatherData, activity) => {
-        if (!weatherData?.conditions) return { morning: "15-22°C", afternoon: "28-35°C", evening: "20-26°C" };
-
-        // Extract actual temperatures from weather data
-        let maxTemp = 25, minTemp = 15;
-        weatherData.conditions.forEach(condition => {
-            if (condition.label === "Very Hot" && condition.risk.includes("°C")) {
-                const tempMatch = condition.risk.match(/(\d+\.?\d*)°C/);
-                if (tempMatch) maxTemp = parseFloat(tempMatch[1]);
-            }
-            if (condition.label === "Very Cold" && condition.risk.includes("°C")) {
-                const tempMatch = condition.risk.match(/(\d+\.?\d*)°C/);
-                if (tempMatch) minTemp = parseFloat(tempMatch[1]);
-            }
-        });
-
-        // Calculate time-based temperatures with activity adjustments
-        const activityAdjustments = {
-            hiking: { morning: -2, afternoon: +3, evening: -1 }, // Hiking feels cooler in morning, hotter in afternoon
-            camping: { morning: -3, afternoon: +2, evening: +1 }, // Camping overnight feels colder
-            fishing: { morning: -1, afternoon: +1, evening: 0 }, // Near water, more moderate
-            cycling: { morning: +1, afternoon: +4, evening: +2 }, // Exertion makes it feel hotter
-            outdoor_events: { morning: 0, afternoon: +2, evening: +1 } // Crowd heat effect
-        };
-
-        const adj = activityAdjustments[activity] || { morning: 0, afternoon: 0, evening: 0 };
-
-        // Calculate realistic time-based temperatures
-        const morningMin = Math.round(minTemp + adj.morning);
-        const morningMax = Math.round(minTemp + ((maxTemp - minTemp) * 0.3) + adj.morning);
-
-        const afternoonMin = Math.round(maxTemp - 3 + adj.afternoon);
-        const afternoonMax = Math.round(maxTemp + adj.afternoon);
-
-        const eveningMin = Math.round(minTemp + ((maxTemp - minTemp) * 0.4) + adj.evening);
-        const eveningMax = Math.round(maxTemp - 5 + adj.evening);
-
-        return {
-            morning: `${morningMin}-${morningMax}°C`,
-            afternoon: `${afternoonMin}-${afternoonMax}°C`,
-            evening: `${eveningMin}-${eveningMax}°C`
-        };
-    };
-
-    const generateDemoWeather = (lat, lon, selectedDate) => {
-        return {
-            conditions: [{
-                label: "Demo Weather",
-                icon: "☀️",
-                risk: "Demo data - APIs unavailable",
-                advice: "This is sample weather data",
-                color: "green"
-            }]
-        };
-    };
+    const formatAsOf = (asOf) => asOf.toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
 
     const onDateChange = (event, selectedDate) => {
         const currentDate = selectedDate || date;
@@ -1370,6 +338,13 @@ export default function HomeScreen({ location }) {
                                 {locationLoading ? 'Getting GPS...' : 'Use GPS'}
                             </Text>
                         </TouchableOpacity>
+                        <TouchableOpacity
+                            style={[styles.locationActionBtn, styles.searchBtn]}
+                            onPress={() => setShowTrips(true)}
+                        >
+                            <Text style={styles.actionBtnIcon}>🧳</Text>
+                            <Text style={styles.actionBtnText}>Trips</Text>
+                        </TouchableOpacity>
                     </View>
                 </View>
 
@@ -1427,6 +402,9 @@ export default function HomeScreen({ location }) {
                             </TouchableOpacity>
                         ))}
                     </ScrollView>
+                    <TouchableOpacity style={styles.offlineBtn} onPress={() => setShowBestDays(true)}>
+                        <Text style={styles.offlineBtnText}>🏆 Find the best day in the next 30 days</Text>
+                    </TouchableOpacity>
 
                     <View style={styles.customDateContainer}>
                         <Text style={styles.customDateLabel}>Custom Date Range (Up to 30 days)</Text>
@@ -1446,6 +424,16 @@ export default function HomeScreen({ location }) {
                         </TouchableOpacity>
                     </View>
 
+                    <TouchableOpacity
+                        style={[styles.offlineBtn, downloading && styles.loadingBtn]}
+                        onPress={handleDownloadForOffline}
+                        disabled={downloading}
+                    >
+                        <Text style={styles.offlineBtnText}>
+                            {downloading ? '⟳ Downloading...' : `📥 Save ${OFFLINE_DOWNLOAD_DAYS} days from this date for offline use`}
+                        </Text>
+                    </TouchableOpacity>
+
                     {showPicker && (
                         <DateTimePicker
                             value={date}
@@ -1469,12 +457,12 @@ export default function HomeScreen({ location }) {
                                 <Text style={styles.sectionSubtitle}>Personalized weather analysis</Text>
                             </View>
                         </View>
-                        <View style={styles.activityCounter}>
-                            <Text style={styles.counterText}>5 Activities</Text>
-                        </View>
+                        <TouchableOpacity style={styles.activityCounter} onPress={() => setShowActivitySettings(true)}>
+                            <Text style={styles.counterText}>{activities.length} Activities ⚙️</Text>
+                        </TouchableOpacity>
                     </View>
                     <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.activityScroll}>
-                        {getActivityTypes().map((activity) => (
+                        {activities.map((activity) => (
                             <TouchableOpacity
                                 key={activity.key}
                                 style={[
@@ -1507,10 +495,74 @@ export default function HomeScreen({ location }) {
                         <View style={styles.insightIcon}>
                             <Text style={styles.insightEmoji}>💡</Text>
                         </View>
-                        <Text style={styles.activityTipText}>{getActivityTip(selectedActivity)}</Text>
+                        <Text style={styles.activityTipText}>{getActivityProfile(selectedActivity).summary}</Text>
+                    </View>
+                    <View style={styles.skinTypeRow}>
+                        <Text style={styles.skinTypeLabel}>🧴 Skin type</Text>
+                        {Object.keys(SKIN_TYPES).map(type => (
+                            <TouchableOpacity
+                                key={type}
+                                style={[styles.skinTypeChip, skinType === type && styles.skinTypeChipSelected]}
+                                onPress={() => setSkinType(type)}
+                                accessibilityLabel={SKIN_TYPES[type].label}
+                            >
+                                <Text style={[styles.skinTypeText, skinType === type && styles.skinTypeTextSelected]}>{type}</Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+                    <Text style={styles.skinTypeHint}>{SKIN_TYPES[skinType].label}</Text>
+                    <Text style={styles.allergenLabel}>🤧 Pollen allergies (alerts only for these)</Text>
+                    <View style={styles.allergenRow}>
+                        {Object.entries(POLLEN_SPECIES).map(([species, { label, icon }]) => (
+                            <TouchableOpacity
+                                key={species}
+                                style={[styles.skinTypeChip, styles.allergenChip, allergens.includes(species) && styles.skinTypeChipSelected]}
+                                onPress={() => toggleAllergen(species)}
+                            >
+                                <Text style={[styles.skinTypeText, allergens.includes(species) && styles.skinTypeTextSelected]}>
+                                    {icon} {label}
+                                </Text>
+                            </TouchableOpacity>
+                        ))}
                     </View>
+                    <TouchableOpacity style={styles.offlineBtn} onPress={() => setShowRoute(true)}>
+                        <Text style={styles.offlineBtnText}>🧭 Check weather along a GPX/KML route</Text>
+                    </TouchableOpacity>
                 </View>
 
+                {/* Risk Analysis */}
+                {weather?.conditions && (
+                    <View style={styles.weatherSection}>
+                        <Text style={styles.sectionTitle}>🔍 Risk Analysis</Text>
+                        <Text style={styles.weatherSubtitle}>
+                            {weather.climatology
+                                ? `Likelihoods from ${weather.climatology.startYear}–${weather.climatology.endYear} history for this time of year`
+                                : 'Historical likelihoods unavailable'}
+                        </Text>
+                        {cacheInfo?.asOf && (
+                            <View style={[styles.asOfBadge, cacheInfo.stale && styles.asOfBadgeStale]}>
+                                <Text style={[styles.asOfText, cacheInfo.stale && styles.asOfTextStale]}>
+                                    🕒 As of {formatAsOf(cacheInfo.asOf)}
+                                    {cacheInfo.refreshing ? ' · refreshing...' : cacheInfo.stale ? ' · offline copy' : ''}
+                                </Text>
+                            </View>
+                        )}
+                        {weather.elevation && (
+                            <View style={styles.elevationBadge}>
+                                <Text style={styles.elevationText}>
+                                    ⛰️ Adjusted to {Math.round(weather.elevation.pointElevation)} m
+                                    {' '}({weather.elevation.deltaM > 0 ? '+' : ''}{Math.round(weather.elevation.deltaM)} m vs model grid)
+                                </Text>
+                            </View>
+                        )}
+                        {weather.suitabilityCard && <SuitabilityCard {...weather.suitabilityCard} />}
+                        {weather.conditions.map(condition => (
+                            <WeatherCard key={condition.label} {...condition} />
+                        ))}
+                        {weather.daylightCard && <WeatherCard {...weather.daylightCard} />}
+                    </View>
+                )}
+
                 {/* Smart Alerts */}
                 {smartAlerts.length > 0 && (
                     <View style={styles.alertsSection}>
@@ -1637,133 +689,40 @@ export default function HomeScreen({ location }) {
                     weather && (
                         <View style={styles.weatherSection}>
                             <Text style={styles.sectionTitle}>🌤️ Daily Weather Timeline</Text>
-                            <Text style={styles.weatherSubtitle}>Climate conditions throughout the day for {getActivityTypes().find(a => a.key === selectedActivity)?.title || selectedActivity}</Text>
-
-                            {/* Morning Weather */}
-                            <View style={styles.timeSection}>
-                                <View style={styles.timeHeader}>
-                                    <Text style={styles.timeIcon}>🌅</Text>
-                                    <Text style={styles.timeTitle}>Morning (6 AM - 12 PM)</Text>
-                                    <Text style={styles.timeTemp}>{generateTimeBasedWeather(weather, selectedActivity).morning}</Text>
+                            <Text style={styles.weatherSubtitle}>Climate conditions throughout the day for {activities.find(a => a.key === selectedActivity)?.title || selectedActivity}</Text>
+                            {dataMode && (
+                                <View style={styles.dataModeBadge}>
+                                    <Text style={styles.dataModeText}>📡 Based on {DATA_MODE_LABELS[dataMode]}</Text>
                                 </View>
-                                <View style={styles.timeWeatherGrid}>
-                                    <View style={styles.weatherItem}>
-                                        <Text style={styles.weatherItemIcon}>🌦️</Text>
-                                        <Text style={styles.weatherItemLabel}>Light Showers</Text>
-                                        <Text style={styles.weatherItemDesc}>Gentle rain, 2-5mm</Text>
-                                    </View>
-                                    <View style={styles.weatherItem}>
-                                        <Text style={styles.weatherItemIcon}>🌧️</Text>
-                                        <Text style={styles.weatherItemLabel}>Drizzle</Text>
-                                        <Text style={styles.weatherItemDesc}>Misty conditions</Text>
-                                    </View>
-                                    <View style={styles.weatherItem}>
-                                        <Text style={styles.weatherItemIcon}>🥶</Text>
-                                        <Text style={styles.weatherItemLabel}>Cool Weather</Text>
-                                        <Text style={styles.weatherItemDesc}>Crisp morning air</Text>
+                            )}
+
+                            <StartWindowsCard
+                                card={weather.startWindowsCard}
+                                duration={outingHours}
+                                onDurationChange={setOutingHours}
+                            />
+                            <HourlyTimeline timeline={weather.timeline} />
+
+                            {/* Parts of the day, summarised from the hourly data */}
+                            {Object.entries(generateTimeBasedWeather(weather.timeline) || {}).map(([key, period]) => (
+                                <View key={key} style={styles.timeSection}>
+                                    <View style={styles.timeHeader}>
+                                        <Text style={styles.timeIcon}>{period.icon}</Text>
+                                        <Text style={styles.timeTitle}>{period.label} ({period.start}:00 - {period.end}:00)</Text>
+                                        <Text style={styles.timeTemp}>{period.range}</Text>
                                     </View>
-                                    <View style={styles.weatherItem}>
-                                        <Text style={styles.weatherItemIcon}>🌫️</Text>
-                                        <Text style={styles.weatherItemLabel}>Morning Mist</Text>
-                                        <Text style={styles.weatherItemDesc}>Reduced visibility</Text>
-                                    </View>
-                                </View>
-                                <View style={styles.timeAdvice}>
                                     <Text style={styles.timeAdviceText}>
-                                        {selectedActivity === 'hiking' && '🥾 Perfect for hiking with light rain gear. Cool morning air ideal for trail starts.'}
-                                        {selectedActivity === 'camping' && '⛺ Great time to break camp. Cool temperatures and light conditions.'}
-                                        {selectedActivity === 'fishing' && '🎣 Excellent fishing conditions. Fish are active in cooler morning waters.'}
-                                        {selectedActivity === 'cycling' && '🚴 Ideal cycling weather. Cool air perfect for long rides.'}
-                                        {selectedActivity === 'outdoor_events' && '📅 Perfect setup time for events. Comfortable working conditions.'}
+                                        {period.severity === 'SAFE' ? '✅ No weather risks for this activity' : `⚠️ ${period.severity} risk during part of this period`}
                                     </Text>
                                 </View>
-                            </View>
-
-                            {/* Afternoon Weather */}
-                            <View style={styles.timeSection}>
-                                <View style={styles.timeHeader}>
-                                    <Text style={styles.timeIcon}>☀️</Text>
-                                    <Text style={styles.timeTitle}>Afternoon (12 PM - 6 PM)</Text>
-                                    <Text style={styles.timeTemp}>{generateTimeBasedWeather(weather, selectedActivity).afternoon}</Text>
-                                </View>
-                                <View style={styles.timeWeatherGrid}>
-                                    <View style={styles.weatherItem}>
-                                        <Text style={styles.weatherItemIcon}>☀️</Text>
-                                        <Text style={styles.weatherItemLabel}>Sunny</Text>
-                                        <Text style={styles.weatherItemDesc}>Clear blue skies</Text>
-                                    </View>
-                                    <View style={styles.weatherItem}>
-                                        <Text style={styles.weatherItemIcon}>🔥</Text>
-                                        <Text style={styles.weatherItemLabel}>Heat Stroke Risk</Text>
-                                        <Text style={styles.weatherItemDesc}>Extreme heat warning</Text>
-                                    </View>
-                                    <View style={styles.weatherItem}>
-                                        <Text style={styles.weatherItemIcon}>🌡️</Text>
-                                        <Text style={styles.weatherItemLabel}>Peak Heat</Text>
-                                        <Text style={styles.weatherItemDesc}>Hottest part of day</Text>
-                                    </View>
-                                    <View style={styles.weatherItem}>
-                                        <Text style={styles.weatherItemIcon}>💧</Text>
-                                        <Text style={styles.weatherItemLabel}>High UV Index</Text>
-                                        <Text style={styles.weatherItemDesc}>Sun protection needed</Text>
-                                    </View>
-                                </View>
-                                <View style={styles.timeAdvice}>
-                                    <Text style={styles.timeAdviceText}>
-                                        {selectedActivity === 'hiking' && '🥾 AVOID hiking 12-4 PM. Risk of heat exhaustion on trails. Start before 7 AM.'}
-                                        {selectedActivity === 'camping' && '⛺ Stay in shade. Set up cooling systems. Avoid tent setup in direct sun.'}
-                                        {selectedActivity === 'fishing' && '🎣 Fish seek deeper, cooler waters. Focus on shaded areas and early morning spots.'}
-                                        {selectedActivity === 'cycling' && '🚴 DANGEROUS for cycling. High risk of overheating. Cycle before 8 AM only.'}
-                                        {selectedActivity === 'outdoor_events' && '📅 Provide cooling stations, shade structures, and medical support for guests.'}
-                                    </Text>
-                                </View>
-                            </View>
-
-                            {/* Evening Weather */}
-                            <View style={styles.timeSection}>
-                                <View style={styles.timeHeader}>
-                                    <Text style={styles.timeIcon}>🌆</Text>
-                                    <Text style={styles.timeTitle}>Evening (6 PM - 12 AM)</Text>
-                                    <Text style={styles.timeTemp}>{generateTimeBasedWeather(weather, selectedActivity).evening}</Text>
-                                </View>
-                                <View style={styles.timeWeatherGrid}>
-                                    <View style={styles.weatherItem}>
-                                        <Text style={styles.weatherItemIcon}>🌤️</Text>
-                                        <Text style={styles.weatherItemLabel}>Partly Cloudy</Text>
-                                        <Text style={styles.weatherItemDesc}>Mixed sun & clouds</Text>
-                                    </View>
-                                    <View style={styles.weatherItem}>
-                                        <Text style={styles.weatherItemIcon}>🌬️</Text>
-                                        <Text style={styles.weatherItemLabel}>Cool Breeze</Text>
-                                        <Text style={styles.weatherItemDesc}>Refreshing winds</Text>
-                                    </View>
-                                    <View style={styles.weatherItem}>
-                                        <Text style={styles.weatherItemIcon}>🌡️</Text>
-                                        <Text style={styles.weatherItemLabel}>Pleasant Temp</Text>
-                                        <Text style={styles.weatherItemDesc}>Comfortable conditions</Text>
-                                    </View>
-                                    <View style={styles.weatherItem}>
-                                        <Text style={styles.weatherItemIcon}>⭐</Text>
-                                        <Text style={styles.weatherItemLabel}>Clear Skies</Text>
-                                        <Text style={styles.weatherItemDesc}>Good visibility</Text>
-                                    </View>
-                                </View>
-                                <View style={styles.timeAdvice}>
-                                    <Text style={styles.timeAdviceText}>
-                                        {selectedActivity === 'hiking' && '🥾 Excellent for evening hikes. Cooler temperatures and beautiful sunset views.'}
-                                        {selectedActivity === 'camping' && '⛺ Perfect for campfire activities. Comfortable temperatures for outdoor cooking.'}
-                                        {selectedActivity === 'fishing' && '🎣 Prime fishing time. Fish become active again as temperatures cool.'}
-                                        {selectedActivity === 'cycling' && '🚴 Ideal cycling conditions. Cool breeze and comfortable temperatures.'}
-                                        {selectedActivity === 'outdoor_events' && '📅 Perfect for evening events. Comfortable conditions for guests and activities.'}
-                                    </Text>
-                                </View>
-                            </View>
-
-
+                            ))}
                         </View>
                     )
                 }
 
+                {/* Multi-Source Ensemble */}
+                {weather?.ensemble && <DataSourcesPanel ensemble={weather.ensemble} />}
+
                 {
                     loading && (
                         <View style={styles.loadingContainer}>
@@ -1792,6 +751,67 @@ export default function HomeScreen({ location }) {
                     />
                 )
             }
+
+            {/* Route import and exposure */}
+            {
+                showRoute && (
+                    <RouteScreen
+                        visible={showRoute}
+                        onClose={() => setShowRoute(false)}
+                        date={date}
+                        activity={selectedActivity}
+                    />
+                )
+            }
+
+            {/* Best day over the forecast and climatological outlook */}
+            {
+                showBestDays && (
+                    <BestDayScreen
+                        visible={showBestDays}
+                        onClose={() => setShowBestDays(false)}
+                        latitude={region.latitude}
+                        longitude={region.longitude}
+                        locationName={locationName}
+                        activity={selectedActivity}
+                        onSelectDate={setDate}
+                    />
+                )
+            }
+
+            {/* Activity profiles: thresholds and custom activities */}
+            {
+                showActivitySettings && (
+                    <ActivitySettingsScreen
+                        visible={showActivitySettings}
+                        onClose={() => setShowActivitySettings(false)}
+                        selectedActivity={selectedActivity}
+                        onChange={applyActivitySettings}
+                    />
+                )
+            }
+
+            {/* Saved places and trip plans */}
+            {
+                showTrips && (
+                    <SavedTripsScreen
+                        visible={showTrips}
+                        onClose={() => setShowTrips(false)}
+                        current={{
+                            place: {
+                                name: locationName || `${region.latitude.toFixed(4)}, ${region.longitude.toFixed(4)}`,
+                                latitude: region.latitude,
+                                longitude: region.longitude
+                            },
+                            date,
+                            activity: selectedActivity
+                        }}
+                        activities={activities}
+                        onSelectPlace={handleSavedPlaceSelect}
+                        onOpenTrip={handleOpenTrip}
+                    />
+                )
+            }
         </View >
     );
 }
@@ -2170,6 +1190,20 @@ const styles = StyleSheet.create({
         fontSize: 18,
         color: '#4a90e2',
     },
+    offlineBtn: {
+        marginTop: 12,
+        paddingVertical: 12,
+        borderRadius: 12,
+        borderWidth: 1,
+        borderColor: '#4a90e2',
+        borderStyle: 'dashed',
+        alignItems: 'center',
+    },
+    offlineBtnText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#4a90e2',
+    },
     activitySection: {
         backgroundColor: 'white',
         borderRadius: 16,
@@ -2313,6 +1347,58 @@ const styles = StyleSheet.create({
         flex: 1,
         fontWeight: '500',
     },
+    skinTypeRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginTop: 12,
+    },
+    skinTypeLabel: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#2c3e50',
+        marginRight: 8,
+    },
+    skinTypeChip: {
+        minWidth: 32,
+        paddingHorizontal: 8,
+        paddingVertical: 4,
+        borderRadius: 12,
+        borderWidth: 1,
+        borderColor: '#d0d7de',
+        alignItems: 'center',
+        marginRight: 6,
+    },
+    skinTypeChipSelected: {
+        backgroundColor: '#4a90e2',
+        borderColor: '#4a90e2',
+    },
+    skinTypeText: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#2c3e50',
+    },
+    skinTypeTextSelected: {
+        color: '#fff',
+    },
+    skinTypeHint: {
+        fontSize: 11,
+        color: '#7f8c8d',
+        marginTop: 4,
+    },
+    allergenLabel: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#2c3e50',
+        marginTop: 12,
+        marginBottom: 6,
+    },
+    allergenRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+    },
+    allergenChip: {
+        marginBottom: 6,
+    },
     weatherSection: {
         backgroundColor: 'white',
         borderRadius: 16,
@@ -2514,18 +1600,66 @@ const styles = StyleSheet.create({
         marginBottom: 16,
         fontStyle: 'italic',
     },
+    dataModeBadge: {
+        alignSelf: 'flex-start',
+        backgroundColor: '#e8f4fd',
+        paddingHorizontal: 10,
+        paddingVertical: 4,
+        borderRadius: 10,
+        marginTop: -8,
+        marginBottom: 16,
+    },
+    dataModeText: {
+        fontSize: 11,
+        color: '#4a90e2',
+        fontWeight: '600',
+    },
+    asOfBadge: {
+        alignSelf: 'flex-start',
+        backgroundColor: '#eafaf1',
+        paddingHorizontal: 10,
+        paddingVertical: 4,
+        borderRadius: 10,
+        marginTop: -8,
+        marginBottom: 16,
+    },
+    asOfBadgeStale: {
+        backgroundColor: '#fff3e0',
+    },
+    asOfText: {
+        fontSize: 11,
+        color: '#27ae60',
+        fontWeight: '600',
+    },
+    asOfTextStale: {
+        color: '#e67e22',
+    },
+    elevationBadge: {
+        alignSelf: 'flex-start',
+        backgroundColor: '#f5eee6',
+        paddingHorizontal: 10,
+        paddingVertical: 4,
+        borderRadius: 10,
+        marginTop: -8,
+        marginBottom: 16,
+    },
+    elevationText: {
+        fontSize: 11,
+        color: '#8e6e53',
+        fontWeight: '600',
+    },
     timeSection: {
         backgroundColor: '#f8f9fa',
         borderRadius: 12,
         padding: 16,
-        marginBottom: 16,
+        marginBottom: 12,
         borderWidth: 1,
         borderColor: '#e9ecef',
     },
     timeHeader: {
         flexDirection: 'row',
         alignItems: 'center',
-        marginBottom: 12,
+        marginBottom: 8,
     },
     timeIcon: {
         fontSize: 24,
@@ -2546,48 +1680,6 @@ const styles = StyleSheet.create({
         paddingVertical: 4,
         borderRadius: 12,
     },
-    timeWeatherGrid: {
-        flexDirection: 'row',
-        flexWrap: 'wrap',
-        justifyContent: 'space-between',
-        marginBottom: 12,
-    },
-    weatherItem: {
-        width: '48%',
-        backgroundColor: 'white',
-        borderRadius: 8,
-        padding: 10,
-        marginBottom: 8,
-        alignItems: 'center',
-        shadowColor: '#000',
-        shadowOffset: { width: 0, height: 1 },
-        shadowOpacity: 0.05,
-        shadowRadius: 2,
-        elevation: 1,
-    },
-    weatherItemIcon: {
-        fontSize: 20,
-        marginBottom: 4,
-    },
-    weatherItemLabel: {
-        fontSize: 12,
-        fontWeight: 'bold',
-        color: '#2c3e50',
-        textAlign: 'center',
-        marginBottom: 2,
-    },
-    weatherItemDesc: {
-        fontSize: 10,
-        color: '#7f8c8d',
-        textAlign: 'center',
-    },
-    timeAdvice: {
-        backgroundColor: '#e8f4fd',
-        borderRadius: 8,
-        padding: 12,
-        borderLeftWidth: 4,
-        borderLeftColor: '#4a90e2',
-    },
     timeAdviceText: {
         fontSize: 12,
         color: '#2c3e50',
@@ -0,0 +1,436 @@
+import React, { useState } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    Modal,
+    TextInput,
+    TouchableOpacity,
+    ScrollView,
+    Alert,
+    Platform
+} from 'react-native';
+import MapView, { Marker, Polyline } from 'react-native-maps';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+import weatherEngine from '../services/weatherEngine';
+import { parseRoute, measureRoute, getActivityProfile } from '../weather-engine';
+
+const SEVERITY_COLORS = {
+    SAFE: '#27ae60',
+    MODERATE: '#f1c40f',
+    HIGH: '#ff9800',
+    EXTREME: '#e74c3c',
+};
+const UNRATED_COLOR = '#95a5a6';
+
+const EXPOSURE_LABELS = {
+    hot: { icon: '🔥', label: 'Hottest' },
+    wind: { icon: '💨', label: 'Windiest' },
+    wet: { icon: '🌧️', label: 'Wettest' },
+    thunderstorm: { icon: '⛈️', label: 'Most unstable' }
+};
+
+const formatTime = (date) => date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+
+// Splits the track into runs of points walked during the same hour, coloured by that hour's risk
+const buildSegments = (points, positions, paceKmh) => {
+    const { distances } = measureRoute(points);
+    const segments = [];
+    points.forEach((point, index) => {
+        const hourIndex = Math.min(Math.floor(distances[index] / paceKmh), positions.length - 1);
+        const coordinate = { latitude: point.lat, longitude: point.lon };
+        const last = segments[segments.length - 1];
+        if (last && last.hourIndex === hourIndex) {
+            last.coordinates.push(coordinate);
+        } else {
+            // Start each run at the previous point so the line stays continuous
+            const start = last ? [last.coordinates[last.coordinates.length - 1]] : [];
+            segments.push({ hourIndex, coordinates: [...start, coordinate] });
+        }
+    });
+    return segments.map(segment => ({
+        ...segment,
+        color: SEVERITY_COLORS[positions[segment.hourIndex].conditions?.severity] || UNRATED_COLOR
+    }));
+};
+
+export default function RouteScreen({ visible, onClose, date, activity }) {
+    const [route, setRoute] = useState(null);
+    const [startTime, setStartTime] = useState(() => {
+        const start = new Date(date);
+        start.setHours(8, 0, 0, 0);
+        return start;
+    });
+    const [showTimePicker, setShowTimePicker] = useState(false);
+    // The activity's typical moving speed prefills the pace field
+    const [pace, setPace] = useState(String(getActivityProfile(activity).paceKmh || 4));
+    const [result, setResult] = useState(null);
+    const [analyzing, setAnalyzing] = useState(false);
+
+    const handleImport = async () => {
+        try {
+            const picked = await DocumentPicker.getDocumentAsync({ type: '*/*', copyToCacheDirectory: true });
+            if (picked.canceled) return;
+            const file = picked.assets[0];
+            const text = await FileSystem.readAsStringAsync(file.uri);
+            setRoute(parseRoute(text, file.name));
+            setResult(null);
+        } catch (error) {
+            Alert.alert('Import Failed', error.message || 'Could not read this GPX/KML file.');
+        }
+    };
+
+    const handleAnalyze = async () => {
+        const paceKmh = parseFloat(pace.replace(',', '.'));
+        if (!(paceKmh > 0)) {
+            Alert.alert('Invalid Pace', 'Enter your average speed in km/h.');
+            return;
+        }
+        setAnalyzing(true);
+        try {
+            setResult(await weatherEngine.analyzeRoute(route, { startTime, paceKmh, activity }));
+        } catch (error) {
+            Alert.alert('Analysis Failed', 'Could not analyze the route. Please try again.');
+        } finally {
+            setAnalyzing(false);
+        }
+    };
+
+    const onTimeChange = (event, selectedTime) => {
+        setShowTimePicker(Platform.OS === 'ios');
+        if (!selectedTime) return;
+        const start = new Date(date);
+        start.setHours(selectedTime.getHours(), selectedTime.getMinutes(), 0, 0);
+        setStartTime(start);
+        setResult(null);
+    };
+
+    const routeStats = route ? measureRoute(route.points) : null;
+    const mapRegion = route ? {
+        latitude: (Math.min(...route.points.map(point => point.lat)) + Math.max(...route.points.map(point => point.lat))) / 2,
+        longitude: (Math.min(...route.points.map(point => point.lon)) + Math.max(...route.points.map(point => point.lon))) / 2,
+        latitudeDelta: Math.max(0.02, (Math.max(...route.points.map(point => point.lat)) - Math.min(...route.points.map(point => point.lat))) * 1.4),
+        longitudeDelta: Math.max(0.02, (Math.max(...route.points.map(point => point.lon)) - Math.min(...route.points.map(point => point.lon))) * 1.4),
+    } : null;
+
+    return (
+        <Modal
+            visible={visible}
+            animationType="slide"
+            presentationStyle="pageSheet"
+            onRequestClose={onClose}
+        >
+            <View style={styles.container}>
+                {/* Header */}
+                <View style={styles.header}>
+                    <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+                        <Text style={styles.closeButtonText}>✕</Text>
+                    </TouchableOpacity>
+                    <Text style={styles.headerTitle}>🧭 Route Exposure</Text>
+                    <View style={styles.headerSpacer} />
+                </View>
+
+                <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+                    {/* Import & Plan */}
+                    <View style={styles.section}>
+                        <TouchableOpacity style={styles.importButton} onPress={handleImport}>
+                            <Text style={styles.importButtonText}>📂 {route ? 'Import another GPX/KML' : 'Import GPX or KML'}</Text>
+                        </TouchableOpacity>
+
+                        {route && (
+                            <>
+                                <Text style={styles.routeName}>{route.name}</Text>
+                                <Text style={styles.routeMeta}>
+                                    {routeStats.distanceKm.toFixed(1)} km
+                                    {routeStats.ascentM > 0 ? ` · ↗ ${Math.round(routeStats.ascentM)} m` : ''}
+                                    {' · '}{route.points.length} points
+                                </Text>
+
+                                <View style={styles.formRow}>
+                                    <Text style={styles.formLabel}>Start</Text>
+                                    <TouchableOpacity style={styles.formValue} onPress={() => setShowTimePicker(true)}>
+                                        <Text style={styles.formValueText}>
+                                            {startTime.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} · {formatTime(startTime)}
+                                        </Text>
+                                    </TouchableOpacity>
+                                </View>
+                                <View style={styles.formRow}>
+                                    <Text style={styles.formLabel}>Pace (km/h)</Text>
+                                    <TextInput
+                                        style={[styles.formValue, styles.formValueText]}
+                                        keyboardType="decimal-pad"
+                                        value={pace}
+                                        onChangeText={(text) => { setPace(text); setResult(null); }}
+                                    />
+                                </View>
+                                {showTimePicker && (
+                                    <DateTimePicker
+                                        value={startTime}
+                                        mode="time"
+                                        display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+                                        onChange={onTimeChange}
+                                    />
+                                )}
+
+                                <TouchableOpacity
+                                    style={[styles.analyzeButton, analyzing && styles.analyzeButtonBusy]}
+                                    onPress={handleAnalyze}
+                                    disabled={analyzing}
+                                >
+                                    <Text style={styles.analyzeButtonText}>{analyzing ? '⟳ Analyzing...' : 'Analyze Route Weather'}</Text>
+                                </TouchableOpacity>
+                            </>
+                        )}
+                    </View>
+
+                    {/* Route View */}
+                    {route && (
+                        <View style={styles.mapContainer}>
+                            <MapView style={styles.map} initialRegion={mapRegion} key={route.name + route.points.length}>
+                                {result ?
+                                    buildSegments(route.points, result.positions, result.paceKmh).map((segment, index) => (
+                                        <Polyline key={index} coordinates={segment.coordinates} strokeColor={segment.color} strokeWidth={5} />
+                                    )) : (
+                                        <Polyline
+                                            coordinates={route.points.map(point => ({ latitude: point.lat, longitude: point.lon }))}
+                                            strokeColor="#4a90e2"
+                                            strokeWidth={4}
+                                        />
+                                    )}
+                                {result && Object.entries(result.exposure).map(([factor, exposure]) => (
+                                    <Marker
+                                        key={factor}
+                                        coordinate={{ latitude: exposure.point.lat, longitude: exposure.point.lon }}
+                                        title={`${EXPOSURE_LABELS[factor].icon} ${EXPOSURE_LABELS[factor].label}`}
+                                        description={`${formatTime(exposure.time)} · km ${exposure.distanceKm.toFixed(1)} · ${Math.round(exposure.value)} ${exposure.unit}`}
+                                    />
+                                ))}
+                            </MapView>
+                        </View>
+                    )}
+
+                    {/* Exposure Summary */}
+                    {result && (
+                        <View style={styles.section}>
+                            <Text style={styles.sectionTitle}>⚠️ Worst Exposure</Text>
+                            <Text style={styles.sectionSubtitle}>
+                                Finish {formatTime(new Date(result.startTime.getTime() + result.durationHours * 3600000))}
+                                {result.summary.highRiskHours > 0 ? ` · ${result.summary.highRiskHours} h at high risk` : ''}
+                                {result.summary.ratedPositions < result.positions.length ? ' · some hours beyond the hourly forecast' : ''}
+                            </Text>
+                            {Object.entries(result.exposure).map(([factor, exposure]) => (
+                                <View key={factor} style={[styles.exposureRow, { borderLeftColor: SEVERITY_COLORS[exposure.severity] }]}>
+                                    <Text style={styles.exposureIcon}>{EXPOSURE_LABELS[factor].icon}</Text>
+                                    <Text style={styles.exposureText}>
+                                        {EXPOSURE_LABELS[factor].label}: {Math.round(exposure.value)} {exposure.unit} at {formatTime(exposure.time)}, km {exposure.distanceKm.toFixed(1)}
+                                    </Text>
+                                </View>
+                            ))}
+
+                            <Text style={[styles.sectionTitle, styles.hourlyTitle]}>⏱️ Hour by Hour</Text>
+                            {result.positions.map((position, index) => (
+                                <View key={index} style={styles.positionRow}>
+                                    <View style={[styles.positionDot, { backgroundColor: SEVERITY_COLORS[position.conditions?.severity] || UNRATED_COLOR }]} />
+                                    <Text style={styles.positionTime}>{formatTime(position.time)}</Text>
+                                    <Text style={styles.positionKm}>km {position.distanceKm.toFixed(1)}</Text>
+                                    <Text style={styles.positionWeather}>
+                                        {position.conditions ?
+                                            `${Math.round(position.conditions.temperature)}°C · 💨${Math.round(position.conditions.windSpeed ?? 0)} · 💧${Math.round(position.conditions.precipitationProbability ?? position.conditions.precipitation ?? 0)}${position.conditions.precipitationProbability !== null && position.conditions.precipitationProbability !== undefined ? '%' : 'mm'}` :
+                                            'No hourly data'}
+                                    </Text>
+                                </View>
+                            ))}
+                        </View>
+                    )}
+                </ScrollView>
+            </View>
+        </Modal>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#f8f9fa',
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        paddingTop: Platform.OS === 'ios' ? 50 : 30,
+        paddingBottom: 20,
+        paddingHorizontal: 20,
+        backgroundColor: '#007AFF',
+    },
+    closeButton: {
+        width: 32,
+        height: 32,
+        borderRadius: 16,
+        backgroundColor: 'rgba(255,255,255,0.2)',
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    closeButtonText: {
+        color: '#fff',
+        fontSize: 18,
+        fontWeight: 'bold',
+    },
+    headerTitle: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        color: '#fff',
+    },
+    headerSpacer: {
+        width: 32,
+        height: 32,
+    },
+    content: {
+        flex: 1,
+        padding: 16,
+    },
+    section: {
+        backgroundColor: '#fff',
+        borderRadius: 16,
+        padding: 16,
+        marginBottom: 16,
+        borderWidth: 1,
+        borderColor: 'rgba(102, 126, 234, 0.1)',
+    },
+    sectionTitle: {
+        fontSize: 17,
+        fontWeight: '700',
+        color: '#2c3e50',
+        marginBottom: 4,
+    },
+    sectionSubtitle: {
+        fontSize: 12,
+        color: '#7f8c8d',
+        marginBottom: 12,
+    },
+    importButton: {
+        paddingVertical: 12,
+        borderRadius: 12,
+        borderWidth: 1,
+        borderColor: '#4a90e2',
+        borderStyle: 'dashed',
+        alignItems: 'center',
+    },
+    importButtonText: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#4a90e2',
+    },
+    routeName: {
+        fontSize: 16,
+        fontWeight: '700',
+        color: '#2c3e50',
+        marginTop: 16,
+    },
+    routeMeta: {
+        fontSize: 12,
+        color: '#7f8c8d',
+        marginTop: 2,
+        marginBottom: 12,
+    },
+    formRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginBottom: 10,
+    },
+    formLabel: {
+        flex: 1,
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#2c3e50',
+    },
+    formValue: {
+        minWidth: 140,
+        backgroundColor: '#f3f4f6',
+        borderRadius: 10,
+        paddingHorizontal: 12,
+        paddingVertical: 8,
+    },
+    formValueText: {
+        fontSize: 14,
+        color: '#333',
+        textAlign: 'right',
+    },
+    analyzeButton: {
+        backgroundColor: '#4a90e2',
+        borderRadius: 12,
+        paddingVertical: 12,
+        alignItems: 'center',
+        marginTop: 6,
+    },
+    analyzeButtonBusy: {
+        backgroundColor: '#95a5a6',
+    },
+    analyzeButtonText: {
+        color: '#fff',
+        fontSize: 15,
+        fontWeight: '700',
+    },
+    mapContainer: {
+        height: 280,
+        borderRadius: 16,
+        overflow: 'hidden',
+        marginBottom: 16,
+    },
+    map: {
+        flex: 1,
+    },
+    exposureRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: '#f8f9fa',
+        borderRadius: 8,
+        padding: 10,
+        marginBottom: 6,
+        borderLeftWidth: 4,
+    },
+    exposureIcon: {
+        fontSize: 18,
+        marginRight: 8,
+    },
+    exposureText: {
+        flex: 1,
+        fontSize: 13,
+        color: '#2c3e50',
+    },
+    hourlyTitle: {
+        marginTop: 12,
+        marginBottom: 8,
+    },
+    positionRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 6,
+        borderTopWidth: 1,
+        borderTopColor: '#f0f0f0',
+    },
+    positionDot: {
+        width: 10,
+        height: 10,
+        borderRadius: 5,
+        marginRight: 8,
+    },
+    positionTime: {
+        width: 70,
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#2c3e50',
+    },
+    positionKm: {
+        width: 64,
+        fontSize: 12,
+        color: '#7f8c8d',
+    },
+    positionWeather: {
+        flex: 1,
+        fontSize: 12,
+        color: '#34495e',
+        textAlign: 'right',
+    },
+});
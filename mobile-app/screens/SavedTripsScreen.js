@@ -0,0 +1,558 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    Modal,
+    TextInput,
+    TouchableOpacity,
+    ScrollView,
+    Alert,
+    Platform
+} from 'react-native';
+import TripAnalysisScreen from './TripAnalysisScreen';
+import weatherEngine from '../services/weatherEngine';
+import planStore, { getTripWaypoints } from '../services/planStore';
+import { toDateKey, fromDateKey, addDays, daysBetween, RISK_PRESENTATION } from '../weather-engine';
+
+const SEVERITY_COLORS = {
+    SAFE: '#27ae60',
+    MODERATE: '#f1c40f',
+    HIGH: '#ff9800',
+    EXTREME: '#e74c3c',
+};
+
+const MAX_TRIP_NIGHTS = 14;
+
+const formatDay = (dateKey) => fromDateKey(dateKey).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+const formatTripDates = (trip) => (trip.startDate === trip.endDate ?
+    formatDay(trip.startDate) : `${formatDay(trip.startDate)} – ${formatDay(trip.endDate)}`);
+
+// Worst risk per category over every day of the trip
+const summarizeTrip = async (trip) => {
+    const { summary } = await weatherEngine.analyzeTrip({
+        startDate: fromDateKey(trip.startDate),
+        endDate: fromDateKey(trip.endDate),
+        activity: trip.activity,
+        waypoints: getTripWaypoints(trip)
+    });
+    return summary;
+};
+
+const tripNightCount = (trip) => daysBetween(fromDateKey(trip.startDate), fromDateKey(trip.endDate));
+
+export default function SavedTripsScreen({ visible, onClose, current, activities, onSelectPlace, onOpenTrip }) {
+    const [places, setPlaces] = useState([]);
+    const [trips, setTrips] = useState([]);
+    const [summaries, setSummaries] = useState({});
+    const [tripName, setTripName] = useState('');
+    const [tripNights, setTripNights] = useState(0);
+    const [analyzedTrip, setAnalyzedTrip] = useState(null);
+    // Drops summaries of a refresh that was started again or outlived the open screen
+    const latestRefresh = useRef(0);
+
+    useEffect(() => {
+        if (!visible) return undefined;
+        loadPlans();
+        return () => {
+            latestRefresh.current += 1;
+        };
+    }, [visible]);
+
+    const loadPlans = async () => {
+        const refreshId = latestRefresh.current;
+        const [savedPlaces, savedTrips] = await Promise.all([planStore.listPlaces(), planStore.listTrips()]);
+        if (refreshId !== latestRefresh.current) return;
+        setPlaces(savedPlaces);
+        setTrips(savedTrips);
+        refreshSummaries(savedTrips);
+    };
+
+    // One trip at a time keeps the request burst small on a weak connection
+    const refreshSummaries = async (tripList) => {
+        const refreshId = ++latestRefresh.current;
+        setSummaries({});
+        for (const trip of tripList) {
+            let summary;
+            try {
+                summary = await summarizeTrip(trip);
+            } catch (error) {
+                summary = { error: true };
+            }
+            if (refreshId !== latestRefresh.current) return;
+            setSummaries(previous => ({ ...previous, [trip.id]: summary }));
+        }
+    };
+
+    const activityFor = (key) => activities.find(activity => activity.key === key);
+
+    const handleSavePlace = async () => {
+        const place = await planStore.savePlace({
+            name: current.place.name,
+            latitude: current.place.latitude,
+            longitude: current.place.longitude,
+            favoriteActivities: [current.activity]
+        });
+        setPlaces(previous => [...previous, place]);
+    };
+
+    const handleRemovePlace = async (id) => {
+        setPlaces(await planStore.removePlace(id));
+    };
+
+    const handleCreateTrip = async () => {
+        const startDate = toDateKey(current.date);
+        const trip = await planStore.saveTrip({
+            name: tripName.trim() || `${activityFor(current.activity)?.title || current.activity} trip`,
+            place: current.place,
+            waypoints: [current.place],
+            startDate,
+            endDate: toDateKey(addDays(current.date, tripNights)),
+            activity: current.activity
+        });
+        setTripName('');
+        setTripNights(0);
+        const savedTrips = await planStore.listTrips();
+        setTrips(savedTrips);
+        try {
+            const summary = await summarizeTrip(trip);
+            setSummaries(previous => ({ ...previous, [trip.id]: summary }));
+        } catch (error) {
+            setSummaries(previous => ({ ...previous, [trip.id]: { error: true } }));
+        }
+    };
+
+    // The selected location becomes the next night's stop
+    const handleAddWaypoint = async (trip) => {
+        const waypoints = getTripWaypoints(trip);
+        if (waypoints.length > tripNightCount(trip)) {
+            Alert.alert('Itinerary Complete', 'Every night of this trip already has a waypoint.');
+            return;
+        }
+        const updated = await planStore.saveTrip({ ...trip, waypoints: [...waypoints, current.place] });
+        setTrips(previous => previous.map(item => (item.id === updated.id ? updated : item)));
+        try {
+            const summary = await summarizeTrip(updated);
+            setSummaries(previous => ({ ...previous, [updated.id]: summary }));
+        } catch (error) {
+            setSummaries(previous => ({ ...previous, [updated.id]: { error: true } }));
+        }
+    };
+
+    const handleRemoveTrip = (trip) => {
+        Alert.alert('Delete Trip', `Remove "${trip.name}"?`, [
+            { text: 'Cancel', style: 'cancel' },
+            {
+                text: 'Delete',
+                style: 'destructive',
+                onPress: async () => {
+                    await planStore.removeTrip(trip.id);
+                    setTrips(previous => previous.filter(item => item.id !== trip.id));
+                }
+            }
+        ]);
+    };
+
+    const handleDownloadTrip = async (trip) => {
+        try {
+            // Each day is stored at that night's waypoint
+            const days = [];
+            const start = fromDateKey(trip.startDate);
+            const waypoints = getTripWaypoints(trip);
+            for (let offset = 0; offset <= tripNightCount(trip); offset++) {
+                const waypoint = waypoints[Math.min(offset, waypoints.length - 1)];
+                const day = addDays(start, offset);
+                days.push(...await weatherEngine.prefetch(waypoint.latitude, waypoint.longitude, day, day));
+            }
+            const saved = days.filter(day => day.asOf).length;
+            Alert.alert('Saved for Offline', `Weather for ${saved} of ${days.length} days of "${trip.name}" is stored on this device.`);
+        } catch (error) {
+            Alert.alert('Download Failed', 'Could not download the forecast. Please try again with a connection.');
+        }
+    };
+
+    const renderSummary = (trip) => {
+        const summary = summaries[trip.id];
+        if (!summary) return <Text style={styles.summaryPending}>🔄 Analyzing...</Text>;
+        if (summary.error) return <Text style={styles.summaryPending}>⚠️ Analysis unavailable</Text>;
+
+        const flagged = Object.entries(summary.categories).filter(([, category]) => category.severity !== 'SAFE');
+        return (
+            <View style={styles.summaryRow}>
+                <View style={[styles.severityBadge, { backgroundColor: SEVERITY_COLORS[summary.severity] }]}>
+                    <Text style={styles.severityText}>{summary.severity === 'SAFE' ? 'ALL CLEAR' : summary.severity}</Text>
+                </View>
+                {flagged.map(([category, detail]) => (
+                    <View key={category} style={[styles.riskChip, { borderColor: SEVERITY_COLORS[detail.severity] }]}>
+                        <Text style={styles.riskChipText}>
+                            {RISK_PRESENTATION[category].icon} {RISK_PRESENTATION[category].label.replace('Very ', '')}
+                        </Text>
+                    </View>
+                ))}
+            </View>
+        );
+    };
+
+    return (
+        <Modal
+            visible={visible}
+            animationType="slide"
+            presentationStyle="pageSheet"
+            onRequestClose={onClose}
+        >
+            <View style={styles.container}>
+                {/* Header */}
+                <View style={styles.header}>
+                    <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+                        <Text style={styles.closeButtonText}>✕</Text>
+                    </TouchableOpacity>
+                    <Text style={styles.headerTitle}>🧳 My Trips</Text>
+                    <View style={styles.headerSpacer} />
+                </View>
+
+                <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+                    {/* Saved Places */}
+                    <View style={styles.section}>
+                        <View style={styles.sectionHeader}>
+                            <Text style={styles.sectionTitle}>⭐ Saved Places</Text>
+                            <TouchableOpacity style={styles.smallButton} onPress={handleSavePlace}>
+                                <Text style={styles.smallButtonText}>+ Save current</Text>
+                            </TouchableOpacity>
+                        </View>
+                        {places.length === 0 && (
+                            <Text style={styles.emptyText}>Save the selected location to reuse it later.</Text>
+                        )}
+                        {places.map(place => (
+                            <View key={place.id} style={styles.placeRow}>
+                                <TouchableOpacity style={styles.placeInfo} onPress={() => onSelectPlace(place)}>
+                                    <Text style={styles.placeName} numberOfLines={1}>{place.name}</Text>
+                                    <Text style={styles.placeMeta}>
+                                        {place.favoriteActivities.map(key => activityFor(key)?.icon).join(' ')}
+                                        {'  '}{place.latitude.toFixed(3)}, {place.longitude.toFixed(3)}
+                                    </Text>
+                                </TouchableOpacity>
+                                <TouchableOpacity onPress={() => handleRemovePlace(place.id)}>
+                                    <Text style={styles.removeText}>🗑️</Text>
+                                </TouchableOpacity>
+                            </View>
+                        ))}
+                    </View>
+
+                    {/* New Trip */}
+                    <View style={styles.section}>
+                        <Text style={styles.sectionTitle}>🗓️ Plan a Trip</Text>
+                        <Text style={styles.sectionSubtitle} numberOfLines={2}>
+                            {activityFor(current.activity)?.icon} {current.place.name} · from {formatDay(toDateKey(current.date))}
+                        </Text>
+                        <TextInput
+                            style={styles.input}
+                            placeholder="Trip name"
+                            value={tripName}
+                            onChangeText={setTripName}
+                        />
+                        <View style={styles.nightsRow}>
+                            <Text style={styles.nightsLabel}>Nights</Text>
+                            <TouchableOpacity
+                                style={styles.stepperButton}
+                                onPress={() => setTripNights(nights => Math.max(0, nights - 1))}
+                            >
+                                <Text style={styles.stepperText}>−</Text>
+                            </TouchableOpacity>
+                            <Text style={styles.nightsValue}>{tripNights}</Text>
+                            <TouchableOpacity
+                                style={styles.stepperButton}
+                                onPress={() => setTripNights(nights => Math.min(MAX_TRIP_NIGHTS, nights + 1))}
+                            >
+                                <Text style={styles.stepperText}>+</Text>
+                            </TouchableOpacity>
+                        </View>
+                        <TouchableOpacity style={styles.primaryButton} onPress={handleCreateTrip}>
+                            <Text style={styles.primaryButtonText}>Save Trip</Text>
+                        </TouchableOpacity>
+                    </View>
+
+                    {/* Trip Plans */}
+                    <View style={styles.section}>
+                        <View style={styles.sectionHeader}>
+                            <Text style={styles.sectionTitle}>🧭 Trip Plans</Text>
+                            {trips.length > 0 && (
+                                <TouchableOpacity style={styles.smallButton} onPress={() => refreshSummaries(trips)}>
+                                    <Text style={styles.smallButtonText}>⟳ Refresh</Text>
+                                </TouchableOpacity>
+                            )}
+                        </View>
+                        {trips.length === 0 && (
+                            <Text style={styles.emptyText}>No trips yet. Plan one above to track its risks.</Text>
+                        )}
+                        {trips.map(trip => (
+                            <View key={trip.id} style={styles.tripCard}>
+                                <TouchableOpacity onPress={() => onOpenTrip(trip)}>
+                                    <Text style={styles.tripName}>
+                                        {activityFor(trip.activity)?.icon || '🎯'} {trip.name}
+                                    </Text>
+                                    <Text style={styles.tripMeta} numberOfLines={1}>
+                                        {formatTripDates(trip)} · {trip.place.name}
+                                    </Text>
+                                    {getTripWaypoints(trip).length > 1 && (
+                                        <Text style={styles.tripMeta} numberOfLines={2}>
+                                            🏕️ {getTripWaypoints(trip).map(waypoint => waypoint.name).join(' → ')}
+                                        </Text>
+                                    )}
+                                    {renderSummary(trip)}
+                                </TouchableOpacity>
+                                <View style={styles.tripActions}>
+                                    <TouchableOpacity onPress={() => setAnalyzedTrip(trip)}>
+                                        <Text style={styles.tripActionText}>📊 Day by day</Text>
+                                    </TouchableOpacity>
+                                    {tripNightCount(trip) > 0 && (
+                                        <TouchableOpacity onPress={() => handleAddWaypoint(trip)}>
+                                            <Text style={styles.tripActionText}>➕ Stop</Text>
+                                        </TouchableOpacity>
+                                    )}
+                                    <TouchableOpacity onPress={() => handleDownloadTrip(trip)}>
+                                        <Text style={styles.tripActionText}>📥 Offline</Text>
+                                    </TouchableOpacity>
+                                    <TouchableOpacity onPress={() => handleRemoveTrip(trip)}>
+                                        <Text style={styles.tripActionText}>🗑️ Delete</Text>
+                                    </TouchableOpacity>
+                                </View>
+                            </View>
+                        ))}
+                    </View>
+                </ScrollView>
+
+                {analyzedTrip && (
+                    <TripAnalysisScreen
+                        visible={Boolean(analyzedTrip)}
+                        onClose={() => setAnalyzedTrip(null)}
+                        trip={analyzedTrip}
+                    />
+                )}
+            </View>
+        </Modal>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#f8f9fa',
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        paddingTop: Platform.OS === 'ios' ? 50 : 30,
+        paddingBottom: 20,
+        paddingHorizontal: 20,
+        backgroundColor: '#007AFF',
+    },
+    closeButton: {
+        width: 32,
+        height: 32,
+        borderRadius: 16,
+        backgroundColor: 'rgba(255,255,255,0.2)',
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    closeButtonText: {
+        color: '#fff',
+        fontSize: 18,
+        fontWeight: 'bold',
+    },
+    headerTitle: {
+        fontSize: 20,
+        fontWeight: 'bold',
+        color: '#fff',
+    },
+    headerSpacer: {
+        width: 32,
+        height: 32,
+    },
+    content: {
+        flex: 1,
+        padding: 16,
+    },
+    section: {
+        backgroundColor: '#fff',
+        borderRadius: 16,
+        padding: 16,
+        marginBottom: 16,
+        borderWidth: 1,
+        borderColor: 'rgba(102, 126, 234, 0.1)',
+    },
+    sectionHeader: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: 8,
+    },
+    sectionTitle: {
+        fontSize: 17,
+        fontWeight: '700',
+        color: '#2c3e50',
+        marginBottom: 4,
+    },
+    sectionSubtitle: {
+        fontSize: 12,
+        color: '#7f8c8d',
+        marginBottom: 12,
+    },
+    smallButton: {
+        paddingHorizontal: 10,
+        paddingVertical: 6,
+        borderRadius: 8,
+        backgroundColor: '#e8f4fd',
+    },
+    smallButtonText: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#4a90e2',
+    },
+    emptyText: {
+        fontSize: 13,
+        color: '#95a5a6',
+        fontStyle: 'italic',
+    },
+    placeRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 10,
+        borderTopWidth: 1,
+        borderTopColor: '#f0f0f0',
+    },
+    placeInfo: {
+        flex: 1,
+        marginRight: 12,
+    },
+    placeName: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#2c3e50',
+    },
+    placeMeta: {
+        fontSize: 11,
+        color: '#7f8c8d',
+        marginTop: 2,
+    },
+    removeText: {
+        fontSize: 16,
+    },
+    input: {
+        backgroundColor: '#f3f4f6',
+        borderRadius: 10,
+        paddingHorizontal: 14,
+        paddingVertical: 10,
+        fontSize: 15,
+        color: '#333',
+        marginBottom: 12,
+    },
+    nightsRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginBottom: 12,
+    },
+    nightsLabel: {
+        flex: 1,
+        fontSize: 14,
+        color: '#2c3e50',
+        fontWeight: '600',
+    },
+    stepperButton: {
+        width: 32,
+        height: 32,
+        borderRadius: 16,
+        backgroundColor: '#e8f4fd',
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    stepperText: {
+        fontSize: 18,
+        color: '#4a90e2',
+        fontWeight: '700',
+    },
+    nightsValue: {
+        width: 40,
+        textAlign: 'center',
+        fontSize: 16,
+        fontWeight: '700',
+        color: '#2c3e50',
+    },
+    primaryButton: {
+        backgroundColor: '#4a90e2',
+        borderRadius: 12,
+        paddingVertical: 12,
+        alignItems: 'center',
+    },
+    primaryButtonText: {
+        color: '#fff',
+        fontSize: 15,
+        fontWeight: '700',
+    },
+    tripCard: {
+        backgroundColor: '#f8f9fa',
+        borderRadius: 12,
+        padding: 12,
+        marginBottom: 10,
+        borderLeftWidth: 4,
+        borderLeftColor: '#4a90e2',
+    },
+    tripName: {
+        fontSize: 15,
+        fontWeight: '700',
+        color: '#2c3e50',
+    },
+    tripMeta: {
+        fontSize: 12,
+        color: '#7f8c8d',
+        marginTop: 2,
+        marginBottom: 8,
+    },
+    summaryPending: {
+        fontSize: 12,
+        color: '#95a5a6',
+    },
+    summaryRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        alignItems: 'center',
+    },
+    severityBadge: {
+        paddingHorizontal: 8,
+        paddingVertical: 3,
+        borderRadius: 8,
+        marginRight: 6,
+        marginBottom: 4,
+    },
+    severityText: {
+        fontSize: 11,
+        fontWeight: '700',
+        color: '#fff',
+    },
+    riskChip: {
+        paddingHorizontal: 8,
+        paddingVertical: 2,
+        borderRadius: 8,
+        borderWidth: 1,
+        marginRight: 6,
+        marginBottom: 4,
+        backgroundColor: '#fff',
+    },
+    riskChipText: {
+        fontSize: 11,
+        color: '#2c3e50',
+    },
+    tripActions: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        justifyContent: 'flex-end',
+        marginTop: 8,
+    },
+    tripActionText: {
+        fontSize: 12,
+        color: '#4a90e2',
+        fontWeight: '600',
+        marginLeft: 16,
+    },
+});
@@ -0,0 +1,378 @@
+import React, { useState, useEffect } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    Modal,
+    TouchableOpacity,
+    ScrollView,
+    Platform
+} from 'react-native';
+import weatherEngine from '../services/weatherEngine';
+import { getTripWaypoints } from '../services/planStore';
+import { fromDateKey, formatMetric, RISK_CATEGORIES, RISK_PRESENTATION } from '../weather-engine';
+
+const SEVERITY_COLORS = {
+    SAFE: '#27ae60',
+    MODERATE: '#f1c40f',
+    HIGH: '#ff9800',
+    EXTREME: '#e74c3c',
+};
+
+const SEVERITY_SHORT = {
+    SAFE: '✓',
+    MODERATE: 'MOD',
+    HIGH: 'HIGH',
+    EXTREME: 'EXT',
+};
+
+const formatDay = (dateKey, options) => fromDateKey(dateKey).toLocaleDateString('en-US', options);
+
+export default function TripAnalysisScreen({ visible, onClose, trip }) {
+    const [result, setResult] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [failed, setFailed] = useState(false);
+
+    useEffect(() => {
+        if (visible && trip) runAnalysis();
+    }, [visible, trip]);
+
+    const runAnalysis = async () => {
+        setLoading(true);
+        setFailed(false);
+        try {
+            setResult(await weatherEngine.analyzeTrip({
+                startDate: fromDateKey(trip.startDate),
+                endDate: fromDateKey(trip.endDate),
+                activity: trip.activity,
+                waypoints: getTripWaypoints(trip)
+            }));
+        } catch (error) {
+            setFailed(true);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const renderExtremes = (envelope) => [
+        ['🥶 Coldest', envelope.minTemp],
+        ['🔥 Hottest', envelope.maxTemp],
+        ['🌧️ Wettest', envelope.precipitation],
+        ['💨 Windiest', envelope.windSpeed]
+    ].map(([label, metric]) => (
+        <View key={label} style={styles.extremeItem}>
+            <Text style={styles.extremeLabel}>{label}</Text>
+            <Text style={styles.extremeValue}>{formatMetric(metric.value, metric.unit)}</Text>
+            <Text style={styles.extremeDate}>{formatDay(metric.date, { month: 'short', day: 'numeric' })}</Text>
+        </View>
+    ));
+
+    return (
+        <Modal
+            visible={visible}
+            animationType="slide"
+            presentationStyle="pageSheet"
+            onRequestClose={onClose}
+        >
+            <View style={styles.container}>
+                {/* Header */}
+                <View style={styles.header}>
+                    <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+                        <Text style={styles.closeButtonText}>✕</Text>
+                    </TouchableOpacity>
+                    <Text style={styles.headerTitle} numberOfLines={1}>📊 {trip?.name}</Text>
+                    <View style={styles.headerSpacer} />
+                </View>
+
+                <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+                    {loading && <Text style={styles.statusText}>🔄 Analyzing every day of the trip...</Text>}
+                    {failed && !loading && (
+                        <TouchableOpacity onPress={runAnalysis}>
+                            <Text style={styles.statusText}>⚠️ Trip analysis failed. Tap to retry.</Text>
+                        </TouchableOpacity>
+                    )}
+
+                    {result && !loading && (
+                        <>
+                            {/* Worst Day */}
+                            <View style={[styles.worstDay, { borderLeftColor: SEVERITY_COLORS[result.worstDay.severity] }]}>
+                                <Text style={styles.worstDayLabel}>
+                                    {result.worstDay.severity === 'SAFE' ? '✅ No risky days' : '⚠️ Worst day'}
+                                </Text>
+                                <Text style={styles.worstDayText}>
+                                    {formatDay(result.worstDay.date, { weekday: 'long', month: 'short', day: 'numeric' })}
+                                    {result.worstDay.waypoint?.name ? ` · ${result.worstDay.waypoint.name}` : ''}
+                                </Text>
+                                {result.worstDay.severity !== 'SAFE' && (
+                                    <Text style={[styles.worstDaySeverity, { color: SEVERITY_COLORS[result.worstDay.severity] }]}>
+                                        {result.worstDay.severity} risk
+                                    </Text>
+                                )}
+                            </View>
+
+                            {/* Day-by-day Matrix */}
+                            <View style={styles.section}>
+                                <Text style={styles.sectionTitle}>🗓️ Day-by-Day Risks</Text>
+                                <View style={styles.matrix}>
+                                    <View style={styles.labelColumn}>
+                                        <View style={styles.dayHeader} />
+                                        {Object.values(RISK_CATEGORIES).map(category => (
+                                            <View key={category} style={styles.labelCell}>
+                                                <Text style={styles.labelText} numberOfLines={1}>
+                                                    {RISK_PRESENTATION[category].icon} {RISK_PRESENTATION[category].label.replace('Very ', '')}
+                                                </Text>
+                                            </View>
+                                        ))}
+                                    </View>
+                                    <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                                        {result.matrix.map((row, index) => (
+                                            <View
+                                                key={row.date}
+                                                style={[styles.dayColumn, index === result.worstDay.index && styles.worstColumn]}
+                                            >
+                                                <View style={styles.dayHeader}>
+                                                    <Text style={styles.dayWeekday}>{formatDay(row.date, { weekday: 'short' })}</Text>
+                                                    <Text style={styles.dayDate}>{formatDay(row.date, { month: 'short', day: 'numeric' })}</Text>
+                                                    {row.waypoint?.name && (
+                                                        <Text style={styles.dayWaypoint} numberOfLines={1}>{row.waypoint.name}</Text>
+                                                    )}
+                                                </View>
+                                                {Object.values(RISK_CATEGORIES).map(category => (
+                                                    <View
+                                                        key={category}
+                                                        style={[styles.cell, { backgroundColor: SEVERITY_COLORS[row.severities[category]] }]}
+                                                    >
+                                                        <Text style={styles.cellText}>{SEVERITY_SHORT[row.severities[category]]}</Text>
+                                                    </View>
+                                                ))}
+                                            </View>
+                                        ))}
+                                    </ScrollView>
+                                </View>
+                            </View>
+
+                            {/* Packing List */}
+                            <View style={styles.section}>
+                                <Text style={styles.sectionTitle}>🎒 Packing List</Text>
+                                <Text style={styles.sectionSubtitle}>Covers the worst conditions of the whole trip</Text>
+                                {result.packingList.envelope ? (
+                                    <View style={styles.extremes}>{renderExtremes(result.packingList.envelope)}</View>
+                                ) : (
+                                    <Text style={styles.sectionSubtitle}>📡 No weather data for any day of the trip</Text>
+                                )}
+                                {result.packingList.items.map(item => (
+                                    <View key={item.category} style={styles.packingItem}>
+                                        <Text style={styles.packingIcon}>{item.icon}</Text>
+                                        <View style={styles.packingContent}>
+                                            <Text style={styles.packingCategory}>{item.category}</Text>
+                                            <Text style={styles.packingText}>{item.recommendation}</Text>
+                                        </View>
+                                    </View>
+                                ))}
+                            </View>
+                        </>
+                    )}
+                </ScrollView>
+            </View>
+        </Modal>
+    );
+}
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#f8f9fa',
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        paddingTop: Platform.OS === 'ios' ? 50 : 30,
+        paddingBottom: 20,
+        paddingHorizontal: 20,
+        backgroundColor: '#007AFF',
+    },
+    closeButton: {
+        width: 32,
+        height: 32,
+        borderRadius: 16,
+        backgroundColor: 'rgba(255,255,255,0.2)',
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    closeButtonText: {
+        color: '#fff',
+        fontSize: 18,
+        fontWeight: 'bold',
+    },
+    headerTitle: {
+        flex: 1,
+        fontSize: 20,
+        fontWeight: 'bold',
+        color: '#fff',
+        textAlign: 'center',
+        marginHorizontal: 12,
+    },
+    headerSpacer: {
+        width: 32,
+        height: 32,
+    },
+    content: {
+        flex: 1,
+        padding: 16,
+    },
+    statusText: {
+        fontSize: 14,
+        color: '#7f8c8d',
+        textAlign: 'center',
+        marginTop: 24,
+    },
+    worstDay: {
+        backgroundColor: '#fff',
+        borderRadius: 12,
+        padding: 16,
+        marginBottom: 16,
+        borderLeftWidth: 5,
+    },
+    worstDayLabel: {
+        fontSize: 12,
+        fontWeight: '700',
+        color: '#7f8c8d',
+        textTransform: 'uppercase',
+    },
+    worstDayText: {
+        fontSize: 17,
+        fontWeight: '700',
+        color: '#2c3e50',
+        marginTop: 4,
+    },
+    worstDaySeverity: {
+        fontSize: 13,
+        fontWeight: '700',
+        marginTop: 2,
+    },
+    section: {
+        backgroundColor: '#fff',
+        borderRadius: 16,
+        padding: 16,
+        marginBottom: 16,
+        borderWidth: 1,
+        borderColor: 'rgba(102, 126, 234, 0.1)',
+    },
+    sectionTitle: {
+        fontSize: 17,
+        fontWeight: '700',
+        color: '#2c3e50',
+        marginBottom: 8,
+    },
+    sectionSubtitle: {
+        fontSize: 12,
+        color: '#7f8c8d',
+        fontStyle: 'italic',
+        marginTop: -4,
+        marginBottom: 12,
+    },
+    matrix: {
+        flexDirection: 'row',
+    },
+    labelColumn: {
+        width: 110,
+    },
+    labelCell: {
+        height: 32,
+        justifyContent: 'center',
+        marginBottom: 4,
+    },
+    labelText: {
+        fontSize: 12,
+        color: '#2c3e50',
+        fontWeight: '600',
+    },
+    dayColumn: {
+        width: 56,
+        alignItems: 'center',
+        marginRight: 4,
+        borderRadius: 8,
+    },
+    worstColumn: {
+        backgroundColor: 'rgba(231, 76, 60, 0.08)',
+    },
+    dayHeader: {
+        height: 52,
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    dayWeekday: {
+        fontSize: 11,
+        fontWeight: '700',
+        color: '#2c3e50',
+    },
+    dayDate: {
+        fontSize: 10,
+        color: '#7f8c8d',
+    },
+    dayWaypoint: {
+        fontSize: 9,
+        color: '#4a90e2',
+        maxWidth: 52,
+    },
+    cell: {
+        width: 48,
+        height: 32,
+        borderRadius: 6,
+        justifyContent: 'center',
+        alignItems: 'center',
+        marginBottom: 4,
+    },
+    cellText: {
+        fontSize: 10,
+        fontWeight: '700',
+        color: '#fff',
+    },
+    extremes: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        marginBottom: 12,
+    },
+    extremeItem: {
+        flex: 1,
+        alignItems: 'center',
+    },
+    extremeLabel: {
+        fontSize: 11,
+        color: '#7f8c8d',
+    },
+    extremeValue: {
+        fontSize: 14,
+        fontWeight: '700',
+        color: '#2c3e50',
+    },
+    extremeDate: {
+        fontSize: 10,
+        color: '#95a5a6',
+    },
+    packingItem: {
+        flexDirection: 'row',
+        paddingVertical: 8,
+        borderTopWidth: 1,
+        borderTopColor: '#f0f0f0',
+    },
+    packingIcon: {
+        fontSize: 20,
+        marginRight: 10,
+    },
+    packingContent: {
+        flex: 1,
+    },
+    packingCategory: {
+        fontSize: 13,
+        fontWeight: '700',
+        color: '#2c3e50',
+    },
+    packingText: {
+        fontSize: 12,
+        color: '#34495e',
+        lineHeight: 17,
+        marginTop: 2,
+    },
+});
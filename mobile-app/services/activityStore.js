@@ -0,0 +1,66 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const KEY = 'climatrail:activities:v1';
+
+const EMPTY_SETTINGS = { overrides: {}, custom: [] };
+
+// The user's activity settings, persisted as JSON: `overrides` holds tuned thresholds of the
+// built-in activities by key, `custom` the user's own activity profiles. Every write returns
+// the new settings for setActivitySettings.
+export const createActivityStore = ({ storage }) => {
+    const load = async () => {
+        try {
+            const raw = await storage.getItem(KEY);
+            return raw ? { ...EMPTY_SETTINGS, ...JSON.parse(raw) } : EMPTY_SETTINGS;
+        } catch (error) {
+            return EMPTY_SETTINGS;
+        }
+    };
+
+    const write = async (settings) => {
+        await storage.setItem(KEY, JSON.stringify(settings));
+        return settings;
+    };
+
+    // Custom activities keep their thresholds in the profile; built-ins in `overrides`
+    const saveThresholds = async (key, thresholds) => {
+        const settings = await load();
+        const custom = settings.custom.find(profile => profile.key === key);
+        if (custom) {
+            return write({
+                ...settings,
+                custom: settings.custom.map(profile => (profile.key === key ?
+                    { ...profile, thresholds: { ...profile.thresholds, ...thresholds } } : profile))
+            });
+        }
+        return write({ ...settings, overrides: { ...settings.overrides, [key]: { ...settings.overrides[key], ...thresholds } } });
+    };
+
+    const resetThresholds = async (key) => {
+        const settings = await load();
+        const { [key]: removed, ...overrides } = settings.overrides;
+        return write({ ...settings, overrides });
+    };
+
+    const saveCustomActivity = async (profile) => {
+        const settings = await load();
+        const exists = settings.custom.some(custom => custom.key === profile.key);
+        return write({
+            ...settings,
+            custom: exists ?
+                settings.custom.map(custom => (custom.key === profile.key ? profile : custom)) :
+                [...settings.custom, profile]
+        });
+    };
+
+    const removeCustomActivity = async (key) => {
+        const settings = await load();
+        return write({ ...settings, custom: settings.custom.filter(profile => profile.key !== key) });
+    };
+
+    return { load, saveThresholds, resetThresholds, saveCustomActivity, removeCustomActivity };
+};
+
+const activityStore = createActivityStore({ storage: AsyncStorage });
+
+export default activityStore;
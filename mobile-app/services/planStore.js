@@ -0,0 +1,70 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const KEYS = {
+    places: 'climatrail:places:v1',
+    trips: 'climatrail:trips:v1',
+    session: 'climatrail:session:v1'
+};
+
+const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// One waypoint per night; trips saved without waypoints stay at their place
+export const getTripWaypoints = (trip) => (trip.waypoints?.length ? trip.waypoints : [trip.place]);
+
+// Saved places, trip plans and the last HomeScreen selection, persisted as JSON.
+// Places: { id, name, latitude, longitude, favoriteActivities }
+// Trips: { id, name, place: { name, latitude, longitude }, waypoints, startDate, endDate, activity }
+// with dates as "YYYY-MM-DD" keys.
+export const createPlanStore = ({ storage }) => {
+    const readList = async (key) => {
+        try {
+            const raw = await storage.getItem(key);
+            return raw ? JSON.parse(raw) : [];
+        } catch (error) {
+            return [];
+        }
+    };
+
+    const writeList = async (key, items) => {
+        await storage.setItem(key, JSON.stringify(items));
+        return items;
+    };
+
+    const upsert = async (key, item) => {
+        const items = await readList(key);
+        const saved = { ...item, id: item.id || createId(), updatedAt: new Date().toISOString() };
+        const index = items.findIndex(existing => existing.id === saved.id);
+        if (index === -1) items.push(saved);
+        else items[index] = saved;
+        await writeList(key, items);
+        return saved;
+    };
+
+    const remove = async (key, id) => writeList(key, (await readList(key)).filter(item => item.id !== id));
+
+    return {
+        listPlaces: () => readList(KEYS.places),
+        savePlace: (place) => upsert(KEYS.places, place),
+        removePlace: (id) => remove(KEYS.places, id),
+
+        // Trips are kept in start-date order
+        listTrips: async () => (await readList(KEYS.trips))
+            .sort((a, b) => a.startDate.localeCompare(b.startDate)),
+        saveTrip: (trip) => upsert(KEYS.trips, trip),
+        removeTrip: (id) => remove(KEYS.trips, id),
+
+        loadSession: async () => {
+            try {
+                const raw = await storage.getItem(KEYS.session);
+                return raw ? JSON.parse(raw) : null;
+            } catch (error) {
+                return null;
+            }
+        },
+        saveSession: (session) => storage.setItem(KEYS.session, JSON.stringify(session)).catch(() => {})
+    };
+};
+
+const planStore = createPlanStore({ storage: AsyncStorage });
+
+export default planStore;
@@ -0,0 +1,82 @@
+import { createPlanStore, getTripWaypoints } from './planStore';
+
+// AsyncStorage's string API over a plain object
+const createMemoryStorage = (items = {}) => ({
+    items,
+    getItem: async (key) => items[key] ?? null,
+    setItem: async (key, value) => {
+        items[key] = value;
+    }
+});
+
+const boulder = { name: 'Boulder', latitude: 40.01, longitude: -105.27 };
+const trip = (name, startDate) => ({ name, place: boulder, startDate, endDate: startDate, activity: 'hiking' });
+
+describe('trips', () => {
+    it('are saved with an id and listed in start-date order', async () => {
+        const store = createPlanStore({ storage: createMemoryStorage() });
+        const late = await store.saveTrip(trip('Flatirons', '2026-08-02'));
+        await store.saveTrip(trip('Mesa Trail', '2026-07-12'));
+
+        expect(late.id).toEqual(expect.any(String));
+        expect((await store.listTrips()).map(saved => saved.name)).toEqual(['Mesa Trail', 'Flatirons']);
+    });
+
+    it('are replaced when saved again under their id', async () => {
+        const store = createPlanStore({ storage: createMemoryStorage() });
+        const saved = await store.saveTrip(trip('Flatirons', '2026-08-02'));
+        await store.saveTrip({ ...saved, name: 'Royal Arch' });
+
+        expect((await store.listTrips()).map(({ id, name }) => [id, name])).toEqual([[saved.id, 'Royal Arch']]);
+    });
+
+    it('are deleted by id and leave the others', async () => {
+        const store = createPlanStore({ storage: createMemoryStorage() });
+        const first = await store.saveTrip(trip('Flatirons', '2026-08-02'));
+        await store.saveTrip(trip('Mesa Trail', '2026-07-12'));
+        await store.removeTrip(first.id);
+
+        expect((await store.listTrips()).map(saved => saved.name)).toEqual(['Mesa Trail']);
+    });
+
+    it('stay at their place without waypoints', () => {
+        expect(getTripWaypoints(trip('Flatirons', '2026-08-02'))).toEqual([boulder]);
+    });
+});
+
+describe('places and the session', () => {
+    it('survive a new store on the same storage', async () => {
+        const storage = createMemoryStorage();
+        await createPlanStore({ storage }).savePlace({ ...boulder, favoriteActivities: ['hiking'] });
+        await createPlanStore({ storage }).saveSession({ activity: 'cycling' });
+
+        const store = createPlanStore({ storage });
+        expect(await store.listPlaces()).toEqual([expect.objectContaining({ name: 'Boulder', favoriteActivities: ['hiking'] })]);
+        expect(await store.loadSession()).toEqual({ activity: 'cycling' });
+    });
+});
+
+describe('corrupt storage', () => {
+    it('reads as empty', async () => {
+        const store = createPlanStore({
+            storage: createMemoryStorage({ 'climatrail:trips:v1': '[{"name":', 'climatrail:session:v1': 'undefined' })
+        });
+
+        expect(await store.listTrips()).toEqual([]);
+        expect(await store.loadSession()).toBeNull();
+    });
+
+    it('reads as empty when storage fails', async () => {
+        const store = createPlanStore({ storage: { getItem: () => Promise.reject(new Error('disk full')) } });
+
+        expect(await store.listPlaces()).toEqual([]);
+        expect(await store.loadSession()).toBeNull();
+    });
+
+    it('is replaced by the next save', async () => {
+        const store = createPlanStore({ storage: createMemoryStorage({ 'climatrail:places:v1': '{oops' }) });
+        await store.savePlace(boulder);
+
+        expect((await store.listPlaces()).map(place => place.name)).toEqual(['Boulder']);
+    });
+});
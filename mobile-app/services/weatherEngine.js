@@ -0,0 +1,13 @@
+import Constants from 'expo-constants';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import axios from 'axios';
+import { createWeatherEngine } from '../weather-engine';
+
+// The app's single engine instance, shared by every screen so they share one offline cache
+const weatherEngine = createWeatherEngine({
+    http: axios,
+    noaaToken: Constants.expoConfig?.extra?.noaaToken || null,
+    storage: AsyncStorage
+});
+
+export default weatherEngine;
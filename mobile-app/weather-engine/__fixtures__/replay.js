@@ -0,0 +1,52 @@
+import { readFileSync } from 'fs';
+
+// 🎞️ API responses for Boulder, CO (40.01, -105.27) around 10 July 2026, replayed through an
+// axios-compatible stub so specs run offline against a fixed clock
+
+export const FIXTURE_LOCATION = { lat: 40.01, lon: -105.27 };
+// "Now" for every spec: the morning of the first forecast day
+export const FIXTURE_NOW = new Date(2026, 6, 10, 8, 0);
+
+export const loadFixture = (name) => JSON.parse(readFileSync(new URL(`./${name}.json`, import.meta.url), 'utf8'));
+
+const FORECAST_URL = 'https://api.open-meteo.com/v1/forecast';
+const ARCHIVE_URL = 'https://archive-api.open-meteo.com/v1/archive';
+const CDO_BASE_URL = 'https://www.ncei.noaa.gov/cdo-web/api/v2';
+
+// [matches(url, params), fixture] pairs, tried in order; a fixture is a file name or the response
+// body itself. Requests for other dates or services have no recording and fail like a network error.
+export const RECORDED_ROUTES = [
+    [(url, params) => url === FORECAST_URL && params.hourly && params.start_date === '2026-07-10', 'open-meteo-forecast-hourly'],
+    [(url, params) => url === FORECAST_URL && params.daily && !params.start_date, 'open-meteo-forecast-daily'],
+    [(url, params) => url === ARCHIVE_URL && params.start_date?.endsWith('-01-01') && params.end_date?.endsWith('-12-31'),
+        'open-meteo-archive-history'],
+    [(url, params) => url === ARCHIVE_URL && params.hourly && params.start_date === '2026-07-01', 'open-meteo-archive-hourly'],
+    [(url, params) => url === ARCHIVE_URL && params.daily && params.start_date === '2026-07-01', 'open-meteo-archive-daily'],
+    [(url) => url === 'https://api.open-meteo.com/v1/elevation', 'open-meteo-elevation'],
+    [(url, params) => url === 'https://air-quality-api.open-meteo.com/v1/air-quality' && params.start_date === '2026-07-10',
+        'open-meteo-air-quality'],
+    // Boulder is inland: the marine API answers with empty series
+    [(url, params) => url === 'https://marine-api.open-meteo.com/v1/marine' && params.start_date === '2026-07-10',
+        'open-meteo-marine-inland'],
+    [(url, params) => url.startsWith('https://power.larc.nasa.gov/') && params.start === '20260701', 'nasa-power-daily'],
+    [(url, params) => url === 'https://api.open-meteo.com/v1/era5' && params.start_date === '2026-07-01', 'era5-daily'],
+    [(url) => url === `${CDO_BASE_URL}/stations`, 'noaa-cdo-stations'],
+    [(url, params) => url.startsWith(`${CDO_BASE_URL}/data`) && params.startdate === '2026-07-01', 'noaa-cdo-data']
+];
+
+// Every request is kept in `calls` ({ url, params, headers }) for assertions
+export const createReplayHttp = (routes = RECORDED_ROUTES) => {
+    const calls = [];
+    return {
+        calls,
+        get: async (url, { params = {}, headers = {} } = {}) => {
+            calls.push({ url, params, headers });
+            const route = routes.find(([matches]) => matches(url, params));
+            if (!route) throw new Error(`No recorded response for ${url}`);
+            return { data: typeof route[1] === 'string' ? loadFixture(route[1]) : route[1] };
+        }
+    };
+};
+
+// A client whose every request fails, i.e. the device is offline
+export const createOfflineHttp = () => createReplayHttp([]);
@@ -0,0 +1,534 @@
+// Activity profiles: everything the engine knows about an activity, as plain data so that users
+// can tune the built-ins and save their own as JSON.
+//
+// - `name` reads inside sentences ("dangerous for {name}"), `summary` explains the analysis
+// - `traits` switch shared rules: lightning exposure, breathing rate, altitude and snow glare
+//   (`mountain`), water glare and sea state (`onWater`), grip on two wheels (`onWheels`)
+// - `thresholds` override the defaults in thresholds.js per risk category
+// - `weights` scale how much each risk category costs the suitability score (see suitability.js)
+// - `advice` templates per category and severity; `{value}` is the metric and `{dawn}`, `{dusk}`,
+//   `{sunrise}`, `{sunset}`, `{morningEnd}` and `{eveningStart}` the day's sun times. For the
+//   hourly hazards `{value}` is the lowest visibility, icy hours, fresh snow, glaze or highest
+//   wave; thunderstorms add `{window}`, `{stormStart}` and `{deadline}` (noon or the storm start,
+//   whichever is earlier), fog `{clearsAt}`, and freezing rain and rough water their hours as `{when}`
+// - `gear` lines for the clothing advice; missing lines fall back to DEFAULT_GEAR
+
+export const BUILT_IN_ACTIVITIES = {
+    hiking: {
+        key: 'hiking',
+        title: 'Hiking',
+        name: 'hiking',
+        icon: '🥾',
+        description: 'Trail and mountain adventures',
+        summary: 'Weather analysis includes trail conditions, UV exposure, and temperature comfort zones.',
+        paceKmh: 4,
+        windowHours: 4,
+        traits: { exposedToLightning: true, heavyExertion: true, mountain: true, onWater: false, onWheels: false },
+        // Lightning and lost footing on exposed trails weigh most
+        weights: { thunderstorm: 1.5, visibility: 1, ice: 1.2 },
+        thresholds: {
+            hot: { MODERATE: 30, EXTREME: 35 },
+            cold: { MODERATE: 0, HIGH: -5, EXTREME: -10 },
+            wind: { MODERATE: 25, HIGH: 35, EXTREME: 45 },
+            wet: { MODERATE: 15, HIGH: 20, EXTREME: 30 },
+            // Hikers need to see the next waymark
+            visibility: { MODERATE: 500, HIGH: 200, EXTREME: 50 }
+        },
+        advice: {
+            hot: {
+                EXTREME: '🥾 HIKING ALERT: {value}°C is dangerous for hiking. Start at {dawn}, bring 3L+ water, electrolytes, and consider postponing.',
+                HIGH: '🥾 HIKING CAUTION: {value}°C requires an early start (by {sunrise}), 2L+ water, frequent shade breaks, and sun protection.',
+                MODERATE: '🥾 HIKING ADVICE: {value}°C is warm for hiking. Bring extra water, wear light colors, and avoid midday sun.',
+                SAFE: '🥾 HIKING PERFECT: {value}°C is ideal for hiking. Comfortable temperature for all-day trails.'
+            },
+            cold: {
+                EXTREME: '🥾 HIKING ALERT: {value}°C is dangerous. Bring winter gear, insulated boots, emergency shelter, and inform others of your route.',
+                HIGH: '🥾 HIKING CAUTION: {value}°C requires warm layers, waterproof boots, gloves, hat, and emergency supplies.',
+                MODERATE: '🥾 HIKING ADVICE: {value}°C needs warm clothing, extra layers, and hot drinks. Check trail conditions.',
+                SAFE: '🥾 HIKING GOOD: {value}°C is comfortable for hiking with normal outdoor clothing.'
+            },
+            wind: {
+                EXTREME: '🥾 HIKING DANGER: {value} km/h winds are hazardous on ridges and exposed trails. Avoid high elevations.',
+                HIGH: '🥾 HIKING CAUTION: {value} km/h winds require extra stability. Avoid exposed ridges and secure all gear.',
+                MODERATE: '🥾 HIKING ADVICE: {value} km/h winds may affect balance on narrow trails. Secure loose items.',
+                SAFE: '🥾 HIKING IDEAL: {value} km/h winds are manageable for all hiking trails.'
+            },
+            wet: {
+                EXTREME: '🥾 HIKING ALERT: {value}mm rain makes trails dangerous. Risk of flash floods and slippery rocks. Consider postponing.',
+                HIGH: '🥾 HIKING CAUTION: {value}mm rain requires waterproof gear, extra grip shoes, and avoid stream crossings.',
+                MODERATE: '🥾 HIKING ADVICE: {value}mm rain needs rain gear and extra caution on rocky/muddy sections.',
+                SAFE: '🥾 HIKING PERFECT: {value}mm light rain won\'t affect most hiking trails.'
+            },
+            thunderstorm: {
+                EXTREME: '🥾 LIGHTNING DANGER: Severe storms likely {window}. Stay off summits and ridges today, or be below the treeline by {deadline}.',
+                HIGH: '🥾 LIGHTNING ALERT: Storms likely {window}. Start at {dawn} and leave summits and exposed ridges by {deadline}.',
+                MODERATE: '🥾 LIGHTNING WATCH: Afternoon storms possible {window}. Plan to be off summits by noon and know your bail-out routes.'
+            },
+            visibility: {
+                EXTREME: '🥾 FOG DANGER: Visibility down to {value}. Stay on marked trails, navigate by GPS and compass, or wait until {clearsAt}.',
+                HIGH: '🥾 FOG CAUTION: Waymarks will be hard to see ({value}). Carry an offline map and compass; avoid pathless terrain until {clearsAt}.',
+                MODERATE: '🥾 FOG ADVICE: Reduced visibility on open ground until {clearsAt}. Download the track and note bail-out points.',
+                SAFE: '🥾 VISIBILITY GOOD: Clear views for navigation all day.'
+            },
+            air: {
+                EXTREME: '🥾 AIR ALERT: Smoke or pollution makes a hike harmful for everyone. Postpone or move the workout indoors.',
+                HIGH: '🥾 AIR CAUTION: Unhealthy air for climbing and hard breathing. Pick a short, flat trail and keep the pace conversational.',
+                MODERATE: '🥾 AIR ADVICE: Unhealthy for sensitive groups. If you have asthma or a heart condition, shorten the hike and carry your inhaler.',
+                SAFE: '🥾 AIR GOOD: Clean air for a full day of hiking.'
+            },
+            ice: {
+                EXTREME: '🥾 ICE DANGER: Trails stay icy for {value} hours. Microspikes or crampons and poles are essential; avoid steep paths where a slip cannot be stopped.',
+                HIGH: '🥾 ICE CAUTION: Icy sections for much of the day. Wear microspikes, carry poles and allow extra time on descents.',
+                MODERATE: '🥾 ICE ADVICE: Patchy ice likely in shade and early in the day. Pack microspikes and watch for verglas on rocks and boardwalks.',
+                SAFE: '🥾 TRAILS CLEAR: No icy surfaces expected.'
+            },
+            snow: {
+                EXTREME: '🥾 DEEP SNOW: {value} of fresh snow buries the trail. Go only with snowshoes, avalanche awareness and a firm turn-back time.',
+                HIGH: '🥾 SNOW CAUTION: {value} of fresh snow hides the trail and slows you down. Bring gaiters, snowshoes or poles and plan for half your usual pace.',
+                MODERATE: '🥾 SNOW ADVICE: {value} of fresh snow. Wear waterproof boots and gaiters and follow waymarks closely.',
+                SAFE: '🥾 NO FRESH SNOW: Trail conditions are unaffected by snowfall.'
+            },
+            freezingRain: {
+                EXTREME: '🥾 FREEZING RAIN DANGER: {value} of glaze ice{when} turns trails and rocks into ice rinks and brings down branches. Postpone.',
+                HIGH: '🥾 FREEZING RAIN ALERT: Glaze ice forms on trails and rocks{when}. Only short, flat routes with microspikes or crampons.',
+                MODERATE: '🥾 FREEZING RAIN WATCH: Freezing drizzle{when} can glaze rocks and footbridges. Pack microspikes and a waterproof shell.'
+            },
+            daylight: '🥾 Be back at the trailhead by {sunset} or carry a headlamp; usable light ends at {dusk}.'
+        },
+        gear: {
+            footwear: 'HIKING: Sturdy hiking boots with ankle support + Non-slip soles + Weather-appropriate materials.',
+            kit: 'Backpack with water, first aid kit, trail snacks. Moisture-wicking socks essential.',
+            traction: 'Microspikes or crampons + Trekking poles',
+            snow: 'Gaiters',
+            deepSnow: 'Gaiters + Snowshoes',
+            snowTip: 'Gaiters keep snow out of your boots and socks dry.'
+        }
+    },
+    camping: {
+        key: 'camping',
+        title: 'Camping',
+        name: 'camping',
+        icon: '⛺',
+        description: 'Overnight outdoor stays',
+        summary: 'Get insights on overnight temperatures, precipitation, wind conditions, and comfort.',
+        paceKmh: 3,
+        windowHours: 3,
+        traits: { exposedToLightning: false, heavyExertion: false, mountain: false, onWater: false, onWheels: false },
+        // A cold, wet or windy night ruins a camp; sun matters less
+        weights: { cold: 1.2, wind: 1.2, wet: 1.2, uv: 0.3 },
+        thresholds: {
+            hot: { MODERATE: 30, EXTREME: 35 },
+            // Nights out feel the cold sooner
+            cold: { MODERATE: 5, HIGH: 0, EXTREME: -5 },
+            wind: { MODERATE: 25, HIGH: 35, EXTREME: 45 },
+            wet: { MODERATE: 10, HIGH: 15, EXTREME: 25 }
+        },
+        advice: {
+            hot: {
+                EXTREME: '⛺ CAMPING ALERT: {value}°C overnight heat is dangerous. Bring cooling towels, extra water, and consider air-conditioned shelter.',
+                HIGH: '⛺ CAMPING CAUTION: {value}°C requires shade setup, cooling strategies, and extra hydration for comfortable sleep.',
+                MODERATE: '⛺ CAMPING ADVICE: {value}°C is warm for camping. Set up in shade, bring fans, and extra water.',
+                SAFE: '⛺ CAMPING PERFECT: {value}°C is ideal for comfortable outdoor camping.'
+            },
+            cold: {
+                EXTREME: '⛺ CAMPING ALERT: {value}°C requires winter camping gear, 4-season tent, sleeping bag rated -10°C+, and emergency heating.',
+                HIGH: '⛺ CAMPING CAUTION: {value}°C needs warm sleeping bag, insulated pad, winter tent, and backup heating source.',
+                MODERATE: '⛺ CAMPING ADVICE: {value}°C requires warm sleeping gear, extra blankets, and windproof tent setup.',
+                SAFE: '⛺ CAMPING GOOD: {value}°C is comfortable for camping with standard gear.'
+            },
+            thunderstorm: {
+                EXTREME: '⛺ LIGHTNING DANGER: Severe storms likely {window}. A tent offers no protection; stay near a building or hard-topped car.',
+                HIGH: '⛺ LIGHTNING ALERT: Storms likely {window}. Pitch away from lone trees, hilltops and water; know where to shelter.',
+                MODERATE: '⛺ LIGHTNING WATCH: Storms possible {window}. Avoid camping under tall isolated trees or on exposed high ground.'
+            },
+            air: {
+                EXTREME: '⛺ AIR ALERT: Smoke overnight is harmful. Postpone the trip or pick a campsite outside the smoke plume.',
+                HIGH: '⛺ AIR CAUTION: Unhealthy air day and night. Skip the campfire, close the tent and bring N95 masks.',
+                MODERATE: '⛺ AIR ADVICE: Sensitive campers may notice the air. Skip the campfire and keep medication at hand.',
+                SAFE: '⛺ AIR GOOD: Clean air for camping.'
+            },
+            daylight: '⛺ Pitch camp before {sunset}; it is fully dark by {dusk}.'
+        },
+        gear: {
+            kit: 'Weather-appropriate sleeping bag, insulated clothing layers, waterproof gear.'
+        }
+    },
+    fishing: {
+        key: 'fishing',
+        title: 'Fishing',
+        name: 'fishing',
+        icon: '🎣',
+        description: 'Water and lake activities',
+        summary: 'Receive data on wind patterns, water conditions, and optimal fishing weather.',
+        paceKmh: 3,
+        windowHours: 3,
+        traits: { exposedToLightning: true, heavyExertion: false, mountain: false, onWater: true, onWheels: false },
+        weights: { wind: 1.2, thunderstorm: 1.5, roughWater: 1.5 },
+        thresholds: {
+            hot: { MODERATE: 30, EXTREME: 35 },
+            // Sitting still by the water gets cold early, and wind chops the water
+            cold: { MODERATE: 10, HIGH: 5, EXTREME: 0 },
+            wind: { MODERATE: 20, HIGH: 30, EXTREME: 40 },
+            wet: { MODERATE: 10, HIGH: 15, EXTREME: 25 },
+            // Sea state for small boats (significant wave height, m), after the small-craft bands:
+            // caution from 1 m, advisory from 2 m, hazardous seas from 3.5 m. Short-period seas
+            // (under `steepPeriod` s) are steep and graded one level worse; currents over
+            // `current` km/h (2 knots) sweep boats and waders.
+            roughWater: { waveHeight: { MODERATE: 1, HIGH: 2, EXTREME: 3.5 }, steepPeriod: 6, current: 3.7 }
+        },
+        advice: {
+            hot: {
+                EXTREME: '🎣 FISHING ALERT: {value}°C heat affects fish behavior. Fish around {dawn} and {dusk}, bring shade, and stay hydrated.',
+                HIGH: '🎣 FISHING ADVICE: {value}°C is hot for fishing. Fish until {morningEnd} and after {eveningStart}. Bring sun protection.',
+                MODERATE: '🎣 FISHING GOOD: {value}°C is warm but manageable. Fish in shaded areas and stay hydrated.',
+                SAFE: '🎣 FISHING PERFECT: {value}°C is ideal for all-day fishing comfort.'
+            },
+            wind: {
+                EXTREME: '🎣 FISHING DANGER: {value} km/h winds make boat fishing dangerous and casting nearly impossible.',
+                HIGH: '🎣 FISHING DIFFICULT: {value} km/h winds affect casting accuracy and boat stability. Shore fishing recommended.',
+                MODERATE: '🎣 FISHING CHALLENGING: {value} km/h winds require adjusted casting technique and secure equipment.',
+                SAFE: '🎣 FISHING IDEAL: {value} km/h winds are perfect for comfortable fishing.'
+            },
+            thunderstorm: {
+                EXTREME: '🎣 LIGHTNING DANGER: Severe storms likely {window}. Stay off the water and away from shorelines today.',
+                HIGH: '🎣 LIGHTNING ALERT: Storms likely {window}. Be off the water by {stormStart}; carbon rods conduct lightning.',
+                MODERATE: '🎣 LIGHTNING WATCH: Storms possible {window}. Get off the water at the first thunder and stay off for 30 minutes.'
+            },
+            air: {
+                EXTREME: '🎣 AIR ALERT: Very unhealthy air even at rest. Keep the trip short and wear an N95 mask.',
+                HIGH: '🎣 AIR CAUTION: Unhealthy air. Light effort is fine for most; sensitive anglers should stay indoors.',
+                MODERATE: '🎣 AIR ADVICE: Air quality is poor, but fishing is low-exertion. Sensitive groups should take breaks indoors.',
+                SAFE: '🎣 AIR GOOD: Air quality is fine for a relaxed day on the water.'
+            },
+            roughWater: {
+                EXTREME: '🎣 HAZARDOUS SEAS{when}: waves up to {value}. Stay in port; fish only from sheltered spots well back from breaking waves.',
+                HIGH: '🎣 SMALL CRAFT ADVISORY{when}: {value} seas. Small boats and kayaks stay ashore; fish sheltered harbours and beaches.',
+                MODERATE: '🎣 SMALL CRAFT CAUTION{when}: {value} seas. Wear a life jacket, stay near the harbour and watch for building swell.',
+                SAFE: '🎣 CALM WATER: {value} waves, good for boat and shore fishing.'
+            },
+            daylight: '🎣 Fish feed most around {dawn}–{sunrise} and {sunset}–{dusk}.'
+        },
+        gear: {
+            kit: 'Quick-dry clothing, sun hat, polarized sunglasses, waterproof jacket.'
+        }
+    },
+    cycling: {
+        key: 'cycling',
+        title: 'Cycling',
+        name: 'cycling',
+        icon: '🚴',
+        description: 'Road and trail biking',
+        summary: 'Analysis covers wind resistance, temperature comfort, and road safety conditions.',
+        paceKmh: 18,
+        windowHours: 3,
+        traits: { exposedToLightning: false, heavyExertion: true, mountain: false, onWater: false, onWheels: true },
+        // Grip and being seen decide road safety
+        weights: { wind: 1.2, visibility: 1.2, ice: 1.5, snow: 1.2, air: 0.8 },
+        thresholds: {
+            // Hard effort makes cyclists more sensitive to heat and headwinds
+            hot: { MODERATE: 25, HIGH: 30, EXTREME: 35 },
+            cold: { MODERATE: 0, HIGH: -5, EXTREME: -10 },
+            wind: { MODERATE: 20, HIGH: 30, EXTREME: 40 },
+            wet: { MODERATE: 10, HIGH: 15, EXTREME: 25 },
+            // Cyclists need to be seen by drivers
+            visibility: { MODERATE: 1000, HIGH: 500, EXTREME: 200 },
+            // A dusting already makes roads slick under tyres, and two wheels lose grip on ice long
+            // before boots with traction do
+            snow: { MODERATE: 0.5, HIGH: 3, EXTREME: 10 },
+            ice: { MODERATE: 0, HIGH: 2, EXTREME: 5 }
+        },
+        advice: {
+            hot: {
+                EXTREME: '🚴 CYCLING ALERT: {value}°C is dangerous for cycling. Risk of heat exhaustion. Cycle only between {dawn} and {morningEnd} or from {eveningStart} until {dusk}.',
+                HIGH: '🚴 CYCLING CAUTION: {value}°C requires early rides (done by {morningEnd}), frequent water breaks, and electrolyte replacement.',
+                MODERATE: '🚴 CYCLING ADVICE: {value}°C is warm for cycling. Bring extra water, wear light colors, and take shade breaks.',
+                SAFE: '🚴 CYCLING PERFECT: {value}°C is ideal for comfortable cycling at any time.'
+            },
+            wind: {
+                EXTREME: '🚴 CYCLING DANGER: {value} km/h headwinds make cycling extremely difficult and potentially unsafe.',
+                HIGH: '🚴 CYCLING CHALLENGING: {value} km/h winds significantly increase effort and affect bike handling.',
+                MODERATE: '🚴 CYCLING ADVICE: {value} km/h winds require extra effort and careful handling, especially on turns.',
+                SAFE: '🚴 CYCLING IDEAL: {value} km/h winds are manageable for comfortable cycling.'
+            },
+            thunderstorm: {
+                EXTREME: '🚴 LIGHTNING DANGER: Severe storms likely {window}. Postpone the ride or finish well before {stormStart}.',
+                HIGH: '🚴 LIGHTNING ALERT: Storms likely {window}. Ride early and plan stops near buildings, not under trees.',
+                MODERATE: '🚴 LIGHTNING WATCH: Storms possible {window}. Keep the route near shelter and watch the sky.'
+            },
+            visibility: {
+                EXTREME: '🚴 FOG DANGER: Visibility down to {value}. Drivers cannot see you; wait until the fog clears around {clearsAt}.',
+                HIGH: '🚴 FOG CAUTION: Visibility down to {value}. Front and rear lights on, hi-vis clothing, and avoid fast roads until {clearsAt}.',
+                MODERATE: '🚴 FOG ADVICE: Reduced visibility until {clearsAt}. Use lights and bright clothing and ride defensively.',
+                SAFE: '🚴 VISIBILITY GOOD: Clear air; drivers will see you in normal daylight.'
+            },
+            air: {
+                EXTREME: '🚴 AIR ALERT: Hard riding pulls 10× more air into the lungs. Skip the ride today or use an indoor trainer.',
+                HIGH: '🚴 AIR CAUTION: Unhealthy air for intense efforts. Ride easy, avoid intervals and long climbs, and cut the distance.',
+                MODERATE: '🚴 AIR ADVICE: Unhealthy for sensitive groups. Sensitive riders should keep efforts easy and the ride short.',
+                SAFE: '🚴 AIR GOOD: Clean air for any ride intensity.'
+            },
+            ice: {
+                EXTREME: '🚴 ICE DANGER: Roads icy for {value} hours. Don\'t ride on normal tyres; fit studded tyres or postpone.',
+                HIGH: '🚴 ICE CAUTION: Black ice likely on bridges, shaded corners and bike lanes. Use studded tyres or ride once roads have thawed.',
+                MODERATE: '🚴 ICE ADVICE: Possible black ice early and late. Lower tyre pressure, brake gently and stay upright through corners.',
+                SAFE: '🚴 ROADS CLEAR: No ice expected.'
+            },
+            snow: {
+                EXTREME: '🚴 SNOW DANGER: {value} of snow makes roads unrideable. Postpone or ride indoors.',
+                HIGH: '🚴 SNOW CAUTION: {value} of snow on unploughed roads and bike lanes. Ride only gritted routes on wide studded tyres with fenders.',
+                MODERATE: '🚴 SNOW ADVICE: {value} of snow hides ice and potholes. Lower tyre pressure, fit fenders and stick to cleared roads.',
+                SAFE: '🚴 NO FRESH SNOW: Roads are unaffected by snowfall.'
+            },
+            freezingRain: {
+                EXTREME: '🚴 FREEZING RAIN DANGER: Roads turn to sheet ice{when}. Do not ride.',
+                HIGH: '🚴 FREEZING RAIN ALERT: Glaze ice on roads{when}; even studded tyres struggle. Postpone the ride.',
+                MODERATE: '🚴 FREEZING RAIN WATCH: Freezing drizzle{when} can glaze roads without warning. Ride only on studded tyres or wait until it passes.'
+            },
+            daylight: '🚴 Lights on from {sunset}; before {sunrise} and after {dusk} ride only with front and rear lights.'
+        },
+        gear: {
+            footwear: 'CYCLING: Closed-toe athletic shoes + Secure laces + Avoid sandals for safety.',
+            kit: 'Helmet, reflective clothing, padded shorts, moisture-wicking jersey.',
+            traction: 'Studded winter tyres',
+            snow: 'Fenders + Waterproof overshoes'
+        }
+    },
+    outdoor_events: {
+        key: 'outdoor_events',
+        title: 'Events',
+        name: 'outdoor events',
+        icon: '📅',
+        description: 'Outdoor gatherings',
+        summary: 'Comprehensive weather planning for gatherings including comfort and precipitation.',
+        paceKmh: 3,
+        windowHours: 4,
+        traits: { exposedToLightning: true, heavyExertion: false, mountain: false, onWater: false, onWheels: false },
+        // Guests stay put, so rain, storms and heat matter more than the trail surface
+        weights: { hot: 1.2, wet: 1.3, thunderstorm: 1.3, comfort: 0.8, ice: 0.6, snow: 0.6 },
+        thresholds: {
+            hot: { MODERATE: 30, EXTREME: 35 },
+            cold: { MODERATE: 0, HIGH: -5, EXTREME: -10 },
+            wind: { MODERATE: 25, HIGH: 35, EXTREME: 45 },
+            // Guests and equipment notice even light rain
+            wet: { MODERATE: 5, HIGH: 10, EXTREME: 20 }
+        },
+        advice: {
+            hot: {
+                EXTREME: '📅 EVENT ALERT: {value}°C is dangerous for outdoor events. Provide cooling stations, medical support, and consider rescheduling.',
+                HIGH: '📅 EVENT CAUTION: {value}°C requires shade structures, water stations, and frequent breaks for attendees.',
+                MODERATE: '📅 EVENT ADVICE: {value}°C needs shade options, extra water, and sun protection for guests.',
+                SAFE: '📅 EVENT PERFECT: {value}°C is comfortable for outdoor events and activities.'
+            },
+            wet: {
+                EXTREME: '📅 EVENT ALERT: {value}mm rain will severely impact outdoor events. Have indoor backup or postpone.',
+                HIGH: '📅 EVENT CAUTION: {value}mm rain requires covered areas, waterproof setup, and weather contingency plans.',
+                MODERATE: '📅 EVENT ADVICE: {value}mm rain needs tent/canopy coverage and waterproof equipment protection.',
+                SAFE: '📅 EVENT GOOD: {value}mm light rain won\'t significantly affect most outdoor events.'
+            },
+            thunderstorm: {
+                EXTREME: '📅 LIGHTNING DANGER: Severe storms likely {window}. Move the event indoors or reschedule.',
+                HIGH: '📅 LIGHTNING ALERT: Storms likely {window}. Have an evacuation plan to buildings or vehicles and suspend at the first thunder.',
+                MODERATE: '📅 LIGHTNING WATCH: Storms possible {window}. Assign someone to monitor the sky and follow the 30-30 rule.'
+            },
+            air: {
+                EXTREME: '📅 AIR ALERT: Very unhealthy air for all guests. Move the event indoors or reschedule.',
+                HIGH: '📅 AIR CAUTION: Unhealthy air. Offer an indoor area and masks, and cancel strenuous games.',
+                MODERATE: '📅 AIR ADVICE: Unhealthy for sensitive guests (children, older adults, asthma). Provide an indoor refuge.',
+                SAFE: '📅 AIR GOOD: Air quality is fine for an outdoor event.'
+            },
+            daylight: '📅 Plan lighting from {sunset}; guests leave in the dark after {dusk}.'
+        },
+        gear: {
+            kit: 'Comfortable walking shoes, layers for temperature changes, portable seating.'
+        }
+    }
+};
+
+export const DEFAULT_ACTIVITY = 'hiking';
+
+// Advice for categories and activities without their own template; `{name}`, `{icon}` and
+// `{TITLE}` describe the activity
+export const DEFAULT_ADVICE = {
+    hot: {
+        EXTREME: '{icon} {TITLE} ALERT: {value}°C is dangerous for {name}. Go out only around {dawn} or after {eveningStart}, carry plenty of water, and consider postponing.',
+        HIGH: '{icon} {TITLE} CAUTION: {value}°C is hot for {name}. Finish by {morningEnd}, take shade breaks, and drink often.',
+        MODERATE: '{icon} {TITLE} ADVICE: {value}°C is warm for {name}. Bring extra water and avoid the midday sun.',
+        SAFE: 'Temperature {value}°C is comfortable for {name} activities.'
+    },
+    cold: {
+        EXTREME: '{icon} {TITLE} ALERT: {value}°C is dangerously cold for {name}. Insulated layers, hat, and gloves are essential; keep outings short.',
+        HIGH: '{icon} {TITLE} CAUTION: {value}°C needs warm layers, gloves, and a hat for {name}.',
+        MODERATE: '{icon} {TITLE} ADVICE: {value}°C is chilly for {name}. Bring an extra layer.',
+        SAFE: 'Temperature {value}°C is suitable for {name} with proper clothing.'
+    },
+    wind: {
+        EXTREME: '{icon} {TITLE} ALERT: {value} km/h winds are dangerous for {name}. Postpone or stay sheltered.',
+        HIGH: '{icon} {TITLE} CAUTION: {value} km/h winds make {name} hard work. Avoid exposed spots and secure loose gear.',
+        MODERATE: '{icon} {TITLE} ADVICE: {value} km/h winds are noticeable for {name}. Secure loose items.',
+        SAFE: 'Wind speed {value} km/h is manageable for {name} activities.'
+    },
+    wet: {
+        EXTREME: '{icon} {TITLE} ALERT: {value}mm rain will disrupt {name}. Consider postponing.',
+        HIGH: '{icon} {TITLE} CAUTION: {value}mm rain needs full waterproofs for {name}.',
+        MODERATE: '{icon} {TITLE} ADVICE: {value}mm rain calls for a rain jacket and a dry layer in the pack.',
+        SAFE: 'Precipitation {value}mm is minimal and won\'t affect {name}.'
+    },
+    thunderstorm: {
+        EXTREME: '{icon} LIGHTNING DANGER: Severe storms likely {window}. Postpone {name} or stay near a building or hard-topped car.',
+        HIGH: '{icon} LIGHTNING ALERT: Storms likely {window}. Finish {name} before {stormStart} and know where to shelter.',
+        MODERATE: '{icon} LIGHTNING WATCH: Storms possible {window}. Seek shelter in a building or hard-topped car at the first thunder.',
+        SAFE: '⛈️ No thunderstorms expected. The atmosphere is stable enough for {name}.'
+    },
+    visibility: {
+        EXTREME: '{icon} FOG DANGER: Visibility down to {value}. Wait until the fog clears around {clearsAt} before setting out.',
+        HIGH: '{icon} FOG CAUTION: Visibility down to {value}. Stick to routes you know and wear something bright until {clearsAt}.',
+        MODERATE: '{icon} FOG ADVICE: Reduced visibility until {clearsAt}. Allow extra time for {name}.',
+        SAFE: '{icon} VISIBILITY GOOD: Clear air for {name} all day.'
+    },
+    air: {
+        EXTREME: '{icon} AIR ALERT: Very unhealthy air for everyone. Postpone {name} or move it indoors.',
+        HIGH: '{icon} AIR CAUTION: Unhealthy air. Keep {name} short and easy and bring N95 masks.',
+        MODERATE: '{icon} AIR ADVICE: Unhealthy for sensitive groups. If you have asthma or a heart condition, keep {name} short and easy.',
+        SAFE: '{icon} AIR GOOD: Clean air for {name}.'
+    },
+    ice: {
+        EXTREME: '{icon} ICE DANGER: Paths stay icy for {value} hours. Wear ice cleats and keep {name} to flat, gritted ground, or postpone.',
+        HIGH: '{icon} ICE CAUTION: Icy paths for {value} hours. Wear shoes with grip or ice cleats and take steps and slopes slowly.',
+        MODERATE: '{icon} ICE ADVICE: Patchy ice for {value} hours, mostly in shade and early in the day. Wear shoes with good grip.',
+        SAFE: '🧊 No icy paths expected.'
+    },
+    snow: {
+        EXTREME: '{icon} DEEP SNOW: {value} of fresh snow. Expect blocked roads and paths, and allow plenty of extra time for {name}.',
+        HIGH: '{icon} SNOW CAUTION: {value} of fresh snow. Wear waterproof boots and gaiters and allow extra travel time.',
+        MODERATE: '{icon} SNOW ADVICE: {value} of fresh snow expected. Wear waterproof boots and allow extra travel time.',
+        SAFE: '❄️ No fresh snow expected.'
+    },
+    freezingRain: {
+        EXTREME: '{icon} FREEZING RAIN DANGER: {value} of glaze ice{when} on paths, steps and cars. Postpone {name}.',
+        HIGH: '{icon} FREEZING RAIN ALERT: Glaze ice{when} on paths, steps and cars. Avoid travelling while it falls.',
+        MODERATE: '{icon} FREEZING RAIN WATCH: Freezing drizzle{when} can glaze paths and steps without warning. Wear shoes with grip.',
+        SAFE: '🌨️ No freezing rain expected.'
+    },
+    roughWater: {
+        EXTREME: '{icon} HAZARDOUS SEAS{when}: waves up to {value}. Stay ashore and keep well back from breaking waves.',
+        HIGH: '{icon} SMALL CRAFT ADVISORY{when}: {value} seas. Small boats and kayaks stay ashore.',
+        MODERATE: '{icon} SMALL CRAFT CAUTION{when}: {value} seas. Wear a life jacket, stay near the shore and watch for building swell.',
+        SAFE: '{icon} CALM WATER: {value} waves, fine for {name}.'
+    }
+};
+
+export const DEFAULT_GEAR = {
+    footwear: 'GENERAL: Comfortable walking shoes or sneakers + Weather-appropriate materials.',
+    kit: 'Activity-appropriate clothing and safety gear as needed.',
+    traction: 'Slip-on ice cleats or traction devices for your shoes',
+    snow: 'Gaiters or insulated snow boots',
+    snowTip: ''
+};
+
+// Thresholds the settings screen lets users tune; `below` marks categories where lower is worse
+export const TUNABLE_THRESHOLDS = [
+    { key: 'hot', label: 'Heat', icon: '🔥', unit: '°C', metric: 'max temperature' },
+    { key: 'cold', label: 'Cold', icon: '🥶', unit: '°C', metric: 'min temperature', below: true },
+    { key: 'wind', label: 'Wind', icon: '💨', unit: 'km/h', metric: 'max wind' },
+    { key: 'wet', label: 'Rain', icon: '🌧️', unit: 'mm', metric: 'daily precipitation' }
+];
+
+// Starting points for custom activities: a built-in to copy plus the thresholds and gear that differ
+export const ACTIVITY_TEMPLATES = [
+    {
+        title: 'Trail running',
+        icon: '🏃',
+        basedOn: 'hiking',
+        paceKmh: 9,
+        windowHours: 2,
+        thresholds: { hot: { MODERATE: 22, HIGH: 27, EXTREME: 32 } },
+        kit: 'Running vest with soft flasks, light windproof shell, trail shoes with lugged soles, headlamp.'
+    },
+    {
+        title: 'Kayaking',
+        icon: '🛶',
+        basedOn: 'fishing',
+        paceKmh: 6,
+        windowHours: 3,
+        thresholds: { wind: { MODERATE: 15, HIGH: 25, EXTREME: 35 }, cold: { MODERATE: 15, HIGH: 10, EXTREME: 5 } },
+        kit: 'Buoyancy aid, spray deck, dry bag, whistle, quick-dry layers and a spare paddle leash.'
+    },
+    {
+        title: 'Climbing',
+        icon: '🧗',
+        basedOn: 'hiking',
+        paceKmh: 2,
+        windowHours: 5,
+        thresholds: { wind: { MODERATE: 20, HIGH: 30, EXTREME: 40 }, wet: { MODERATE: 1, HIGH: 5, EXTREME: 10 } },
+        kit: 'Helmet, harness, chalk, approach shoes and an insulated belay jacket.'
+    },
+    {
+        title: 'Skiing',
+        icon: '⛷️',
+        basedOn: 'hiking',
+        paceKmh: 10,
+        windowHours: 5,
+        // Fresh snow is the point; deep cold and wind on the lifts are the risk
+        thresholds: {
+            cold: { MODERATE: -10, HIGH: -18, EXTREME: -25 },
+            snow: { MODERATE: 40, HIGH: 60, EXTREME: 90 }
+        },
+        kit: 'Helmet, goggles, ski gloves, merino base layers and an avalanche kit off-piste.'
+    }
+];
+
+// User settings: `overrides` tune built-in thresholds ({ hiking: { hot: {...} } }), `custom`
+// holds the user's own profiles. Set by the app once loaded from storage.
+let activitySettings = { overrides: {}, custom: [] };
+
+export const setActivitySettings = ({ overrides = {}, custom = [] } = {}) => {
+    activitySettings = { overrides, custom };
+};
+
+// Profile for a key, with the user's threshold overrides. Unknown keys (a deleted custom activity
+// on an old trip) read as the default activity under their own name.
+export const getActivityProfile = (key) => {
+    const profile = activitySettings.custom.find(custom => custom.key === key) || BUILT_IN_ACTIVITIES[key] ||
+        { ...BUILT_IN_ACTIVITIES[DEFAULT_ACTIVITY], key, title: key, name: String(key).replace(/_/g, ' '), advice: {} };
+    const overrides = activitySettings.overrides[key];
+    return overrides ? { ...profile, thresholds: { ...profile.thresholds, ...overrides } } : profile;
+};
+
+// Built-ins first, then custom activities in the order they were created
+export const listActivityProfiles = () => [
+    ...Object.keys(BUILT_IN_ACTIVITIES).map(getActivityProfile),
+    ...activitySettings.custom
+];
+
+export const isBuiltInActivity = (key) => Boolean(BUILT_IN_ACTIVITIES[key]);
+
+// Letters and digits of any script, so 'Бег' and '登山' get keys of their own; a title without
+// any (only emoji) gets a random one
+const slugify = (text) => text.trim().toLocaleLowerCase().replace(/[^\p{L}\p{M}\p{N}]+/gu, '_').replace(/^_|_$/g, '') ||
+    `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// New custom profile copying a built-in's traits, thresholds, weights and pace. Advice templates
+// are not copied (they name the built-in); the defaults fill in until the user writes their own.
+export const createCustomActivity = ({ title, icon = '🎯', basedOn = DEFAULT_ACTIVITY, thresholds = {}, kit = null, paceKmh, windowHours }) => {
+    const base = getActivityProfile(basedOn);
+    return {
+        key: `custom_${slugify(title)}`,
+        title: title.trim(),
+        name: title.trim().toLowerCase(),
+        icon,
+        description: `Custom · based on ${base.title}`,
+        summary: `Graded like ${base.name}, with your own thresholds.`,
+        basedOn: base.key,
+        paceKmh: paceKmh ?? base.paceKmh,
+        windowHours: windowHours ?? base.windowHours,
+        traits: { ...base.traits },
+        thresholds: { ...base.thresholds, ...thresholds },
+        weights: { ...base.weights },
+        advice: {},
+        gear: { kit: kit || base.gear.kit }
+    };
+};
+
+// '{value}°C at {dawn}' with { value: '31.0', dawn: '05:42' } -> '31.0°C at 05:42'
+export const fillTemplate = (template, values) =>
+    template.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
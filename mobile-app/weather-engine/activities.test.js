@@ -0,0 +1,141 @@
+import {
+    getActivityProfile, listActivityProfiles, setActivitySettings, createCustomActivity, isBuiltInActivity,
+    fillTemplate, BUILT_IN_ACTIVITIES, ACTIVITY_TEMPLATES, DEFAULT_ADVICE
+} from './activities.js';
+import { getRiskThresholds, checkThresholdOrder } from './thresholds.js';
+import { getActivityAdvice } from './presentation.js';
+
+const kayaking = ACTIVITY_TEMPLATES.find(template => template.title === 'Kayaking');
+
+afterEach(() => setActivitySettings());
+
+describe('getActivityProfile', () => {
+    it('returns the built-in profile', () => {
+        expect(getActivityProfile('cycling')).toBe(BUILT_IN_ACTIVITIES.cycling);
+        expect(isBuiltInActivity('cycling')).toBe(true);
+    });
+
+    it('reads an unknown key as the default activity under its own name', () => {
+        const profile = getActivityProfile('custom_sea_swim');
+
+        expect(profile).toMatchObject({ key: 'custom_sea_swim', name: 'custom sea swim', advice: {} });
+        expect(profile.thresholds).toEqual(BUILT_IN_ACTIVITIES.hiking.thresholds);
+        expect(isBuiltInActivity('custom_sea_swim')).toBe(false);
+    });
+
+    it('applies the user\'s threshold overrides per category', () => {
+        setActivitySettings({ overrides: { hiking: { hot: { MODERATE: 26, HIGH: 30, EXTREME: 34 } } } });
+        const { thresholds } = getActivityProfile('hiking');
+
+        expect(thresholds.hot).toEqual({ MODERATE: 26, HIGH: 30, EXTREME: 34 });
+        expect(thresholds.cold).toBe(BUILT_IN_ACTIVITIES.hiking.thresholds.cold);
+        // The built-in itself is left alone
+        expect(BUILT_IN_ACTIVITIES.hiking.thresholds.hot).toEqual({ MODERATE: 30, EXTREME: 35 });
+    });
+});
+
+describe('custom activities', () => {
+    it('copy the base profile with the template\'s thresholds and kit', () => {
+        const profile = createCustomActivity(kayaking);
+        const fishing = BUILT_IN_ACTIVITIES.fishing;
+
+        expect(profile).toMatchObject({ key: 'custom_kayaking', title: 'Kayaking', name: 'kayaking', basedOn: 'fishing', paceKmh: 6, advice: {} });
+        expect(profile.traits).toEqual(fishing.traits);
+        expect(profile.traits).not.toBe(fishing.traits);
+        expect(profile.thresholds).toMatchObject({ ...fishing.thresholds, wind: kayaking.thresholds.wind, cold: kayaking.thresholds.cold });
+        expect(profile.gear.kit).toBe(kayaking.kit);
+    });
+
+    it('take the base pace, window and kit when left out', () => {
+        const profile = createCustomActivity({ title: '  Dog Walking! ' });
+
+        expect(profile).toMatchObject({ key: 'custom_dog_walking', title: 'Dog Walking!', basedOn: 'hiking', paceKmh: 4, windowHours: 4 });
+        expect(profile.gear.kit).toBe(BUILT_IN_ACTIVITIES.hiking.gear.kit);
+    });
+
+    it('keep the letters of any script in their key', () => {
+        expect(createCustomActivity({ title: 'Бег по тропам' }).key).toBe('custom_бег_по_тропам');
+        expect(createCustomActivity({ title: '登山' }).key).toBe('custom_登山');
+        expect(createCustomActivity({ title: 'Café Crawl' }).key).toBe('custom_café_crawl');
+    });
+
+    it('get distinct keys for titles without letters', () => {
+        const first = createCustomActivity({ title: '🏄' });
+        const second = createCustomActivity({ title: '🏄' });
+
+        expect(first.key).toMatch(/^custom_\w+$/);
+        expect(first.key).not.toBe(second.key);
+    });
+
+    it('are listed after the built-ins and found by key', () => {
+        const custom = createCustomActivity(kayaking);
+        setActivitySettings({ custom: [custom] });
+
+        const keys = listActivityProfiles().map(profile => profile.key);
+        expect(keys.slice(0, -1)).toEqual(Object.keys(BUILT_IN_ACTIVITIES));
+        expect(keys[keys.length - 1]).toBe('custom_kayaking');
+        expect(getActivityProfile('custom_kayaking')).toBe(custom);
+    });
+});
+
+describe('getRiskThresholds', () => {
+    it('layers the profile over the trait and default thresholds', () => {
+        const thresholds = getRiskThresholds('cycling');
+
+        expect(thresholds.hot).toEqual({ MODERATE: 25, HIGH: 30, EXTREME: 35 });
+        expect(thresholds.hourlyRainChance).toEqual({ MODERATE: 40, HIGH: 60, EXTREME: 80 });
+        expect(thresholds.iceHour).toEqual({ icy: 'HIGH', freezingRain: 'EXTREME' });
+    });
+
+    it('grades a custom activity by its own thresholds and its base\'s traits', () => {
+        setActivitySettings({ custom: [createCustomActivity(kayaking)] });
+        const thresholds = getRiskThresholds('custom_kayaking');
+
+        expect(thresholds.wind).toEqual(kayaking.thresholds.wind);
+        expect(thresholds.roughWater).toEqual(getRiskThresholds('fishing').roughWater);
+    });
+
+    it('ships templates with levels in order', () => {
+        const below = new Set(['cold', 'visibility']);
+        ACTIVITY_TEMPLATES.forEach(template => Object.entries(template.thresholds).forEach(([category, levels]) =>
+            expect(checkThresholdOrder(levels, { below: below.has(category) })).toBeNull()));
+    });
+});
+
+describe('advice templates', () => {
+    it('fills in the values and keeps unknown placeholders', () => {
+        expect(fillTemplate('{value}°C at {dawn}, {later}', { value: '31.0', dawn: '05:42' })).toBe('31.0°C at 05:42, {later}');
+    });
+
+    it('use the activity\'s own template first', () => {
+        expect(getActivityAdvice('hot', 'HIGH', '32.0', 'hiking')).toMatch(/^🥾 HIKING CAUTION: 32\.0°C requires an early start \(by sunrise\)/);
+    });
+
+    it('fall back to the defaults written around the activity\'s name', () => {
+        setActivitySettings({ custom: [createCustomActivity(kayaking)] });
+
+        expect(getActivityAdvice('wind', 'HIGH', '30', 'custom_kayaking'))
+            .toBe('🛶 KAYAKING CAUTION: 30 km/h winds make kayaking hard work. Avoid exposed spots and secure loose gear.');
+        expect(getActivityAdvice('uv', 'HIGH', '7', 'custom_kayaking')).toBe('Conditions are high for kayaking.');
+    });
+
+    it('fill the placeholders of the hourly hazards', () => {
+        setActivitySettings({ custom: [createCustomActivity(kayaking)] });
+        const storm = { window: '14:00–17:00', stormStart: '14:00', deadline: '12:00' };
+
+        expect(getActivityAdvice('thunderstorm', 'HIGH', null, 'fishing', null, storm))
+            .toBe('🎣 LIGHTNING ALERT: Storms likely 14:00–17:00. Be off the water by 14:00; carbon rods conduct lightning.');
+        expect(getActivityAdvice('thunderstorm', 'HIGH', null, 'custom_kayaking', null, storm))
+            .toBe('🛶 LIGHTNING ALERT: Storms likely 14:00–17:00. Finish kayaking before 14:00 and know where to shelter.');
+        expect(getActivityAdvice('roughWater', 'HIGH', '2.1 m', 'custom_kayaking', null, { when: ' 09:00–15:00' }))
+            .toBe('🛶 SMALL CRAFT ADVISORY 09:00–15:00: 2.1 m seas. Small boats and kayaks stay ashore.');
+    });
+
+    it('have defaults at every level for each category a built-in writes', () => {
+        const categories = new Set(Object.values(BUILT_IN_ACTIVITIES).flatMap(profile => Object.keys(profile.advice)));
+        categories.delete('daylight');
+
+        categories.forEach(category =>
+            expect(Object.keys(DEFAULT_ADVICE[category] || {})).toEqual(['EXTREME', 'HIGH', 'MODERATE', 'SAFE']));
+    });
+});
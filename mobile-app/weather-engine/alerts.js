@@ -0,0 +1,308 @@
+import { findAllergenExposure } from './pollen.js';
+import { formatClockTime } from './astronomy.js';
+
+// Hours above this are too warm for hard exercise
+const EXERCISE_HEAT_C = 25;
+
+// "between 06:12 and 09:00 or from 19:00 until 20:41": daylight before the first hot hour of the
+// day and after the last one. Without an hourly timeline, the two (hotter days: one) hours after
+// sunrise and before sunset.
+const getCoolExerciseTime = (daylight, timeline, maxTemp) => {
+    if (!daylight || daylight.sunrise === null) return 'in the coolest hours of the day';
+    const sunset = daylight.sunset ?? 24;
+    // Only hours in sunlight count: a warm night must not close the morning and evening windows
+    const hotHours = (timeline?.hours || [])
+        .filter(hour => hour.temperature > EXERCISE_HEAT_C && hour.hour + 1 > daylight.sunrise && hour.hour < sunset)
+        .map(hour => hour.hour);
+    const margin = maxTemp > 30 ? 1 : 2;
+    const morningEnd = hotHours.length > 0 ? Math.min(...hotHours) : daylight.sunrise + margin;
+    const eveningStart = hotHours.length > 0 ? Math.max(...hotHours) + 1 : daylight.sunset - margin;
+
+    const windows = [];
+    if (morningEnd > daylight.sunrise) windows.push(`between ${formatClockTime(daylight.sunrise)} and ${formatClockTime(morningEnd)}`);
+    // White nights have no civil dusk; the light lasts past sunset
+    const dusk = daylight.civilDusk ?? daylight.sunset;
+    windows.push(eveningStart < dusk ?
+        `from ${formatClockTime(eveningStart)} until dusk (${formatClockTime(dusk)})` :
+        `after ${formatClockTime(eveningStart)} with lights`);
+    return windows.join(' or ');
+};
+
+// `allergens` are the POLLEN_SPECIES keys the user reacts to
+export const generateSmartAlerts = (weatherData, currentTime = new Date(), { allergens = [] } = {}) => {
+    const alerts = [];
+    const currentHour = currentTime.getHours();
+
+    // Alerts need the structured metrics from analyzeWeatherRisks (demo weather has none)
+    if (!weatherData?.metrics) return alerts;
+
+    const {
+        maxTemp: { value: maxTemp },
+        minTemp: { value: minTemp },
+        windSpeed: { value: windSpeed },
+        precipitation: { value: precipitation },
+        humidity: { value: humidity }
+    } = weatherData.metrics;
+
+    // 🌧️ Rain-Based Smart Alerts
+    if (precipitation > 5) {
+        const rainTime = currentHour + 2; // Simulate rain in 2 hours
+        alerts.push({
+            id: 'rain_laundry',
+            icon: '👕',
+            priority: 'HIGH',
+            title: 'Laundry Alert',
+            message: `Dry your laundry now! Rain expected in 2 hours (${precipitation.toFixed(1)}mm).`,
+            action: 'Bring clothes inside',
+            timing: 'Next 2 hours',
+            category: 'household'
+        });
+
+        alerts.push({
+            id: 'rain_commute',
+            icon: '🚗',
+            priority: 'MEDIUM',
+            title: 'Commute Planning',
+            message: `Traffic will be slower due to rain. Leave 15 minutes earlier tomorrow.`,
+            action: 'Adjust departure time',
+            timing: 'Tomorrow morning',
+            category: 'transport'
+        });
+
+        if (precipitation > 15) {
+            alerts.push({
+                id: 'rain_outdoor',
+                icon: '⛺',
+                priority: 'HIGH',
+                title: 'Outdoor Activity Alert',
+                message: `Heavy rain (${precipitation.toFixed(1)}mm) will impact outdoor plans. Consider indoor alternatives.`,
+                action: 'Reschedule or move indoors',
+                timing: 'Today',
+                category: 'activity'
+            });
+        }
+    }
+
+    // 🌡️ Temperature-Based Smart Alerts
+    if (maxTemp > 30) {
+        alerts.push({
+            id: 'heat_pets',
+            icon: '🐕',
+            priority: 'HIGH',
+            title: 'Pet Safety Alert',
+            message: `${maxTemp.toFixed(1)}°C is too hot for pet walks. Walk early morning or late evening only.`,
+            action: 'Adjust pet schedule',
+            timing: 'Today',
+            category: 'safety'
+        });
+
+        alerts.push({
+            id: 'heat_car',
+            icon: '🚙',
+            priority: 'MEDIUM',
+            title: 'Vehicle Alert',
+            message: `Pre-cool your car before driving. Interior temperature can reach 50°C+.`,
+            action: 'Start AC remotely or park in shade',
+            timing: 'Before driving',
+            category: 'transport'
+        });
+
+        if (maxTemp > 35) {
+            alerts.push({
+                id: 'heat_health',
+                icon: '💊',
+                priority: 'EXTREME',
+                title: 'Health Alert',
+                message: `Extreme heat (${maxTemp.toFixed(1)}°C)! Stay indoors 10 AM - 6 PM. Check on elderly neighbors.`,
+                action: 'Avoid outdoor exposure',
+                timing: 'Midday hours',
+                category: 'health'
+            });
+        }
+    }
+
+    // 💨 Wind-Based Smart Alerts
+    if (windSpeed > 25) {
+        alerts.push({
+            id: 'wind_objects',
+            icon: '🪴',
+            priority: 'MEDIUM',
+            title: 'Secure Loose Items',
+            message: `${windSpeed.toFixed(1)} km/h winds! Secure outdoor furniture, plants, and decorations.`,
+            action: 'Move items indoors or tie down',
+            timing: 'Before winds increase',
+            category: 'property'
+        });
+
+        if (windSpeed > 40) {
+            alerts.push({
+                id: 'wind_driving',
+                icon: '🚛',
+                priority: 'HIGH',
+                title: 'Driving Hazard',
+                message: `Strong winds (${windSpeed.toFixed(1)} km/h) affect vehicle control. Avoid highways if possible.`,
+                action: 'Drive carefully or postpone',
+                timing: 'When driving',
+                category: 'transport'
+            });
+        }
+    }
+
+    // ⛈️ Lightning Alerts (from the hourly thunderstorm peak)
+    const stormPeak = weatherData.timeline?.thunderstormPeak;
+    if (stormPeak && stormPeak.severity !== 'MODERATE') {
+        const startTime = `${String(stormPeak.startHour).padStart(2, '0')}:00`;
+        alerts.push({
+            id: 'thunderstorm_lightning',
+            icon: '⚡',
+            priority: stormPeak.severity,
+            title: 'Lightning Risk',
+            message: `Thunderstorms likely from ${startTime}, peaking around ${String(stormPeak.hour).padStart(2, '0')}:00. Be off summits, water and open fields before they build.`,
+            action: 'Finish exposed activities early',
+            timing: `Before ${startTime}`,
+            category: 'safety'
+        });
+    }
+
+    // 🌊 Small Craft Advisory (sea state graded for activities on the water)
+    const roughWater = (weatherData.risks || []).find(risk => risk.category === 'roughWater');
+    if (roughWater && (roughWater.severity === 'HIGH' || roughWater.severity === 'EXTREME')) {
+        const { startHour, endHour } = roughWater.advisoryHours;
+        const from = `${String(startHour).padStart(2, '0')}:00`;
+        const until = `${String(endHour).padStart(2, '0')}:00`;
+        alerts.push({
+            id: 'marine_small_craft',
+            icon: '🌊',
+            priority: roughWater.severity,
+            title: roughWater.severity === 'EXTREME' ? 'Hazardous Seas' : 'Small Craft Advisory',
+            message: `Waves up to ${roughWater.value.toFixed(1)} m from ${from} to ${until}. Small boats and kayaks should stay in port.`,
+            action: 'Fish from a sheltered shore',
+            timing: `${from}–${until}`,
+            category: 'safety'
+        });
+    }
+
+    // 🌫️ Fog/Visibility Alerts (fog windows from hourly visibility)
+    const fogWindows = weatherData.timeline?.fogWindows || [];
+    const morningFog = fogWindows.find(window => window.morning);
+    if (morningFog) {
+        const from = `${String(morningFog.startHour).padStart(2, '0')}:00`;
+        const until = `${String(morningFog.endHour).padStart(2, '0')}:00`;
+        const visibility = morningFog.minVisibility !== null ? ` with visibility down to ${Math.round(morningFog.minVisibility)} m` : '';
+        alerts.push({
+            id: 'fog_commute',
+            icon: '🌫️',
+            priority: morningFog.minVisibility !== null && morningFog.minVisibility < 200 ? 'HIGH' : 'MEDIUM',
+            title: 'Fog Warning',
+            message: `Fog from ${from} to ${until}${visibility}. Leave 10 minutes earlier, use fog lights and keep extra distance.`,
+            action: 'Adjust commute time',
+            timing: `${from}–${until}`,
+            category: 'transport'
+        });
+    }
+
+    // 😷 Air Quality Alerts (US AQI bands; PM2.5 above 35 µg/m³ is the usual smoke signature)
+    const usAqi = weatherData.metrics.usAqi?.value ?? null;
+    const pm25 = weatherData.metrics.pm25?.value ?? null;
+    if (usAqi !== null && usAqi > 100) {
+        alerts.push({
+            id: 'air_sensitive',
+            icon: '🫁',
+            priority: usAqi > 150 ? 'HIGH' : 'MEDIUM',
+            title: usAqi > 150 ? 'Unhealthy Air' : 'Sensitive Groups Alert',
+            message: `US AQI ${Math.round(usAqi)}. Children, older adults and people with asthma, heart or lung conditions should limit time outdoors${usAqi > 150 ? ', and everyone should avoid strenuous exercise' : ''}.`,
+            action: 'Keep inhalers handy and limit exertion',
+            timing: 'Today',
+            category: 'health'
+        });
+    }
+    if (pm25 !== null && pm25 > 35) {
+        alerts.push({
+            id: 'air_smoke',
+            icon: '🔥',
+            priority: pm25 > 55 ? 'HIGH' : 'MEDIUM',
+            title: 'Smoke Alert',
+            message: `Fine particles at ${Math.round(pm25)} µg/m³ (PM2.5) suggest wildfire smoke. Keep windows closed and run an air purifier; wear an N95 outdoors.`,
+            action: 'Close windows and filter indoor air',
+            timing: 'While smoke persists',
+            category: 'health'
+        });
+    }
+
+    // 🌸 Pollen Alerts (only for the user's declared allergens, from the pollen forecast)
+    const allergenExposure = findAllergenExposure(weatherData.pollen, allergens);
+    if (allergenExposure.length > 0) {
+        const [worst] = allergenExposure;
+        const counts = allergenExposure
+            .map(exposure => `${exposure.label} ${Math.round(exposure.concentration)} ${exposure.unit} (${exposure.severity.toLowerCase()})`)
+            .join(', ');
+        alerts.push({
+            id: 'pollen_health',
+            icon: worst.icon,
+            priority: worst.severity === 'MODERATE' ? 'MEDIUM' : worst.severity,
+            title: 'Pollen Alert',
+            message: `Your allergens are in the air: ${counts}. ${worst.label} peaks around ${String(worst.peakHour).padStart(2, '0')}:00. Take allergy medication and keep windows closed.`,
+            action: 'Take allergy precautions',
+            timing: 'Before going outside',
+            category: 'health'
+        });
+    }
+
+    // ❄️ Frost/Ice Alerts
+    if (minTemp !== null && minTemp < 2 && humidity > 70) {
+        alerts.push({
+            id: 'frost_plants',
+            icon: '🌱',
+            priority: 'MEDIUM',
+            title: 'Frost Protection',
+            message: `Frost risk tonight (${minTemp.toFixed(1)}°C). Cover sensitive plants and bring potted plants indoors.`,
+            action: 'Protect plants',
+            timing: (weatherData.daylight?.sunset ?? null) !== null ? `Before sunset (${formatClockTime(weatherData.daylight.sunset)})` : 'Before sunset',
+            category: 'garden'
+        });
+
+        alerts.push({
+            id: 'frost_car',
+            icon: '🧊',
+            priority: 'LOW',
+            title: 'Morning Prep',
+            message: `Frost expected. Allow extra time to defrost car windows tomorrow morning.`,
+            action: 'Plan extra time',
+            timing: 'Tomorrow morning',
+            category: 'transport'
+        });
+    }
+
+    // 🏃‍♂️ Exercise/Activity Timing Alerts (cool hours between sunrise and dusk)
+    if (maxTemp > 25) {
+        const bestTime = getCoolExerciseTime(weatherData.daylight, weatherData.timeline, maxTemp);
+        alerts.push({
+            id: 'exercise_timing',
+            icon: '🏃‍♂️',
+            priority: 'LOW',
+            title: 'Exercise Timing',
+            message: `Best time for outdoor exercise: ${bestTime} to avoid heat (${maxTemp.toFixed(1)}°C).`,
+            action: 'Schedule exercise',
+            timing: 'Plan ahead',
+            category: 'fitness'
+        });
+    }
+
+    // 💧 Water Conservation Alert
+    if (precipitation !== null && precipitation < 1 && maxTemp > 28) {
+        alerts.push({
+            id: 'water_plants',
+            icon: '💧',
+            priority: 'LOW',
+            title: 'Garden Care',
+            message: `Hot and dry conditions. Water plants early morning or evening to prevent evaporation.`,
+            action: 'Water garden',
+            timing: 'Early morning/evening',
+            category: 'garden'
+        });
+    }
+
+    // Sort alerts by priority
+    const priorityOrder = { 'EXTREME': 0, 'HIGH': 1, 'MEDIUM': 2, 'LOW': 3 };
+    return alerts.sort((a, b) => priorityOrder[a.priority] - priorityOrder[b.priority]);
+};
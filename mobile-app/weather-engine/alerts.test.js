@@ -0,0 +1,49 @@
+import { generateSmartAlerts } from './alerts.js';
+import { createWeatherEngine } from './engine.js';
+import { fixedClock } from './clock.js';
+import { createReplayHttp, FIXTURE_LOCATION, FIXTURE_NOW } from './__fixtures__/replay.js';
+
+const analyzeSmokyDay = (activity) => createWeatherEngine({ http: createReplayHttp(), clock: fixedClock(FIXTURE_NOW) })
+    .analyze(FIXTURE_LOCATION.lat, FIXTURE_LOCATION.lon, new Date(2026, 6, 10), activity);
+
+describe('air quality', () => {
+    it('grades the peak US AQI, earlier for heavy exertion', async () => {
+        const hiking = (await analyzeSmokyDay('hiking')).weather.risks.find(risk => risk.category === 'air');
+        const camping = (await analyzeSmokyDay('camping')).weather.risks.find(risk => risk.category === 'air');
+
+        expect(hiking).toMatchObject({ value: 156, severity: 'HIGH', peak: { hour: 19, usAqi: 156 } });
+        expect(camping.severity).toBe('MODERATE');
+    });
+
+    it('reports particulates as 24-hour means', async () => {
+        const { weather } = await analyzeSmokyDay('hiking');
+        expect(weather.metrics.pm25.value).toBeCloseTo(38.24, 1);
+        expect(weather.metrics.ozone.value).toBe(134);
+    });
+
+    it('warns sensitive groups and flags the smoke', async () => {
+        const { weather } = await analyzeSmokyDay('hiking');
+        const alerts = generateSmartAlerts(weather, FIXTURE_NOW);
+
+        expect(alerts.find(alert => alert.id === 'air_sensitive')).toMatchObject({ priority: 'HIGH', title: 'Unhealthy Air' });
+        expect(alerts.find(alert => alert.id === 'air_smoke')).toMatchObject({ priority: 'MEDIUM', title: 'Smoke Alert' });
+    });
+});
+
+describe('exercise timing', () => {
+    const temperatureAt = (hour) => (hour >= 11 && hour <= 16 ? 31 : hour < 6 || hour > 20 ? 27 : 22);
+    const warmNight = {
+        metrics: {
+            maxTemp: { value: 31 }, minTemp: { value: 22 }, windSpeed: { value: 8 },
+            precipitation: { value: 0 }, humidity: { value: 45 }
+        },
+        daylight: { sunrise: 6, sunset: 20, civilDusk: 20.5 },
+        timeline: { hours: Array.from({ length: 24 }, (_, hour) => ({ hour, temperature: temperatureAt(hour) })) }
+    };
+
+    it('keeps the cool daylight around the hot afternoon of a warm night', () => {
+        const alert = generateSmartAlerts(warmNight, FIXTURE_NOW).find(({ id }) => id === 'exercise_timing');
+
+        expect(alert.message).toBe('Best time for outdoor exercise: between 06:00 and 11:00 or from 17:00 until dusk (20:30) to avoid heat (31.0°C).');
+    });
+});
@@ -0,0 +1,420 @@
+import { buildEnsemble, ENSEMBLE_VARIABLES } from './ensemble.js';
+import { daysBetween, toDateKey } from './dates.js';
+import { getRiskThresholds, classifySeverity, classifyComfort, worstSeverity, SEVERITY, SEVERITY_RANK } from './thresholds.js';
+import { getRiskLikelihoods, summarizeClimatology } from './climatology.js';
+import { buildHourlyTimeline } from './timeline.js';
+import { getElevationAdjustment, adjustTemperature, adjustWind, adjustHour, adjustClimatology } from './elevation.js';
+import { summarizePollen } from './pollen.js';
+import { getDewPointDepression } from './fog.js';
+import { annotateWinterHours, isFreezeThaw } from './winter.js';
+import { mergeMarineHours, findMarinePeak, findAdvisoryHours } from './marine.js';
+import { getDaylight } from './astronomy.js';
+import {
+    annotateComfortHours, estimateAfternoonHumidity, calculateHeatIndex, calculateWindChill, calculateApparentTemperature,
+    calculateDewPoint, estimateWbgt
+} from './comfort.js';
+import { scoreSuitability } from './suitability.js';
+import { findStartWindows } from './windows.js';
+import { getUvReflectionBoosts, applyUvBoosts, estimateBurnMinutes, findProtectionHours, planSunscreen, DEFAULT_SKIN_TYPE, SHADE_UV_INDEX } from './uv.js';
+
+export const RISK_CATEGORIES = {
+    HOT: 'hot',
+    COLD: 'cold',
+    WIND: 'wind',
+    WET: 'wet',
+    COMFORT: 'comfort',
+    THUNDERSTORM: 'thunderstorm',
+    VISIBILITY: 'visibility',
+    UV: 'uv',
+    AIR: 'air',
+    ICE: 'ice',
+    SNOW: 'snow',
+    FREEZING_RAIN: 'freezingRain',
+    ROUGH_WATER: 'roughWater'
+};
+
+const METRIC_VARIABLES = {
+    maxTemp: 'tempMax',
+    minTemp: 'tempMin',
+    windSpeed: 'windSpeed',
+    precipitation: 'precipitation',
+    humidity: 'humidity'
+};
+
+// Metrics that change with height, and how
+const ELEVATION_ADJUSTED = {
+    maxTemp: adjustTemperature,
+    minTemp: adjustTemperature,
+    windSpeed: adjustWind
+};
+
+// { value, unit, estimated, sources, spread } per metric, attributed to the contributing sources.
+// A metric no source reports stays null (`estimated`) and its risk is graded as unknown.
+// With an elevation adjustment, height-dependent metrics also keep the grid value as `raw`.
+const buildMetrics = (ensemble, adjustment = null) => {
+    const metrics = {};
+    Object.entries(METRIC_VARIABLES).forEach(([metric, variableKey]) => {
+        const variable = ensemble.variables[variableKey];
+        const measured = variable && variable.value !== null;
+        metrics[metric] = {
+            value: measured ? variable.value : null,
+            unit: ENSEMBLE_VARIABLES[variableKey].unit,
+            estimated: !measured,
+            sources: measured ? variable.contributions.map(contribution => contribution.source) : [],
+            spread: measured ? variable.spread : null
+        };
+    });
+
+    if (adjustment) {
+        Object.entries(ELEVATION_ADJUSTED).forEach(([metric, adjust]) => {
+            metrics[metric].raw = metrics[metric].value;
+            metrics[metric].value = adjust(metrics[metric].value, adjustment);
+        });
+    }
+    return metrics;
+};
+
+const maxOf = (values) => Math.max(...values);
+const minOf = (values) => Math.min(...values);
+const sumOf = (values) => values.reduce((sum, value) => sum + value, 0);
+const meanOf = (values) => sumOf(values) / values.length;
+
+// Daily convective metrics from the hourly forecast: peak CAPE, lowest lifted index and total
+// convective precipitation. Hourly data (and so these values) only exists for forecast dates.
+const CONVECTIVE_METRICS = {
+    cape: { field: 'cape', unit: 'J/kg', combine: maxOf },
+    liftedIndex: { field: 'liftedIndex', unit: '°C', combine: minOf },
+    convectivePrecipitation: { field: 'convectivePrecipitation', unit: 'mm', combine: sumOf }
+};
+
+// Poorest hourly visibility and the smallest dew-point depression (how close the air came to
+// saturation)
+const VISIBILITY_METRICS = {
+    visibility: { field: 'visibility', unit: 'm', combine: minOf },
+    dewPointDepression: { read: getDewPointDepression, unit: '°C', combine: minOf }
+};
+
+// Precipitation split by type, snow on the ground (cm) and the lowest freezing level (m above
+// sea level, forecast only). Reads the rows annotated by winter.js.
+const WINTER_METRICS = {
+    rain: { field: 'rain', unit: 'mm', combine: sumOf },
+    snowfall: { field: 'snowfall', unit: 'cm', combine: sumOf },
+    freezingRain: { field: 'freezingRain', unit: 'mm', combine: sumOf },
+    snowDepth: {
+        read: hour => (hour.snowDepth === null || hour.snowDepth === undefined ? null : hour.snowDepth * 100),
+        unit: 'cm',
+        combine: maxOf
+    },
+    freezingLevel: { field: 'freezingLevel', unit: 'm', combine: minOf },
+    icyHours: { read: hour => (hour.icy === undefined ? null : Number(hour.icy)), unit: 'h', combine: sumOf }
+};
+
+// Daily sea state: highest waves and swell, mean periods and sea surface temperature, and the
+// strongest current. Directions are reported with the peak hour (see marine.js).
+const MARINE_METRICS = {
+    waveHeight: { field: 'waveHeight', unit: 'm', combine: maxOf },
+    wavePeriod: { field: 'wavePeriod', unit: 's', combine: meanOf },
+    swellHeight: { field: 'swellHeight', unit: 'm', combine: maxOf },
+    swellPeriod: { field: 'swellPeriod', unit: 's', combine: meanOf },
+    seaSurfaceTemperature: { field: 'seaSurfaceTemperature', unit: '°C', combine: meanOf },
+    currentVelocity: { field: 'currentVelocity', unit: 'km/h', combine: maxOf }
+};
+
+// Daily air quality: particulates as 24-hour means (how health limits are set), ozone and the
+// AQIs at their hourly peak
+const AIR_QUALITY_METRICS = {
+    pm25: { field: 'pm25', unit: 'µg/m³', combine: meanOf },
+    pm10: { field: 'pm10', unit: 'µg/m³', combine: meanOf },
+    ozone: { field: 'ozone', unit: 'µg/m³', combine: maxOf },
+    europeanAqi: { field: 'europeanAqi', unit: 'EAQI', combine: maxOf },
+    usAqi: { field: 'usAqi', unit: 'AQI', combine: maxOf }
+};
+
+// Metrics ({ value, unit, estimated, sources, spread }) folded from an hourly input's rows;
+// each definition names the hourly `field` or derives the value with `read(hour)`
+const aggregateHourly = (input, definitions) => {
+    const hours = input?.available ? input.hours : [];
+    return Object.fromEntries(Object.entries(definitions).map(([metric, { field, read, unit, combine }]) => {
+        const values = hours.map(read || (hour => hour[field])).filter(value => value !== null && value !== undefined);
+        const measured = values.length > 0;
+        return [metric, {
+            value: measured ? combine(values) : null,
+            unit,
+            estimated: !measured,
+            sources: measured ? [input.source] : [],
+            spread: null
+        }];
+    }));
+};
+
+// Thermal comfort from coincident hourly inputs (see comfort.js): the day's worst heat index,
+// wind chill and WBGT, the apparent temperature range and the highest dew point
+const COMFORT_METRICS = {
+    heatIndex: { read: hour => hour.comfort?.heatIndex, unit: '°C', combine: maxOf },
+    windChill: { read: hour => hour.comfort?.windChill, unit: '°C', combine: minOf },
+    apparentTemperatureMax: { read: hour => hour.comfort?.apparentTemperature, unit: '°C', combine: maxOf },
+    apparentTemperatureMin: { read: hour => hour.comfort?.apparentTemperature, unit: '°C', combine: minOf },
+    dewPoint: { read: hour => hour.comfort?.dewPoint, unit: '°C', combine: maxOf },
+    wbgt: { read: hour => hour.comfort?.wbgt, unit: '°C', combine: maxOf }
+};
+
+// Comfort metrics plus `afternoonHumidity` (humidity at the hottest hour). Without hourly rows
+// each index falls back to the daily values, with the afternoon humidity estimated from the
+// overnight dew point rather than the daily maximum humidity.
+const buildComfortMetrics = (hourly, metrics) => {
+    const hourlyMetrics = aggregateHourly(hourly, COMFORT_METRICS);
+    const rated = hourly?.available ? hourly.hours.filter(hour => hour.comfort?.humidity !== null && hour.comfort?.humidity !== undefined) : [];
+    const hottest = rated.length > 0 ? rated.reduce((warmest, hour) => (hour.temperature > warmest.temperature ? hour : warmest)) : null;
+    hourlyMetrics.afternoonHumidity = hottest ?
+        { value: hottest.comfort.humidity, unit: '%', estimated: false, sources: [hourly.source], spread: null } :
+        { value: null, unit: '%', estimated: true, sources: [], spread: null };
+
+    const { maxTemp, minTemp, windSpeed, humidity } = metrics;
+    const afternoonHumidity = estimateAfternoonHumidity(maxTemp.value, minTemp.value, humidity.value);
+    const daily = {
+        heatIndex: calculateHeatIndex(maxTemp.value, afternoonHumidity),
+        windChill: calculateWindChill(minTemp.value, windSpeed.value),
+        apparentTemperatureMax: calculateApparentTemperature(maxTemp.value, afternoonHumidity, windSpeed.value),
+        apparentTemperatureMin: calculateApparentTemperature(minTemp.value, humidity.value, windSpeed.value),
+        dewPoint: calculateDewPoint(minTemp.value, humidity.value),
+        wbgt: estimateWbgt(maxTemp.value, afternoonHumidity),
+        afternoonHumidity
+    };
+    const dailySources = [...new Set([maxTemp, minTemp, windSpeed, humidity].flatMap(metric => metric.sources))];
+
+    return Object.fromEntries(Object.entries(daily).map(([key, value]) => [key, hourlyMetrics[key].value !== null ? hourlyMetrics[key] : {
+        value,
+        unit: hourlyMetrics[key].unit,
+        estimated: maxTemp.estimated || humidity.estimated,
+        sources: dailySources,
+        spread: null
+    }]));
+};
+
+// Hour of the day's worst US AQI, for "smoke peaks around 16:00"
+const findAirQualityPeak = (airQuality) => {
+    const rated = airQuality?.available ? airQuality.hours.filter(hour => hour.usAqi !== null) : [];
+    if (rated.length === 0) return null;
+    const peak = rated.reduce((worst, hour) => (hour.usAqi > worst.usAqi ? hour : worst));
+    return { hour: peak.hour, time: peak.time, usAqi: peak.usAqi, pm25: peak.pm25 };
+};
+
+// Daily UV maximum from the forecast, else the highest hourly value
+const buildUvMetric = (apiData, hourly) => {
+    const daily = apiData?.openMeteo?.available ? apiData.openMeteo.data.uvIndex ?? null : null;
+    const hourlyValues = hourly?.available ?
+        hourly.hours.map(hour => hour.uvIndex).filter(value => value !== null && value !== undefined) : [];
+    const value = daily !== null ? daily : hourlyValues.length > 0 ? Math.max(...hourlyValues) : null;
+    return {
+        value,
+        unit: 'UV',
+        estimated: value === null,
+        sources: daily !== null ? [apiData.openMeteo.source] : hourlyValues.length > 0 ? [hourly.source] : [],
+        spread: null
+    };
+};
+
+// A start window ({ start, end } in decimal hours, see windows.js) as the timeline's
+// { startHour, endHour } best window
+const toBestWindow = (window) => (window ?
+    { startHour: window.start, endHour: window.end, score: window.score, verdict: window.verdict } : null);
+
+// Boosted UV, burn time and sunscreen plan for the day's activity window
+const assessUvExposure = (uvMetric, { activity, skinType, elevation, hourly, timeline }) => {
+    const hours = hourly?.available ? hourly.hours : [];
+    const snowDepths = hours.map(hour => hour.snowDepth).filter(value => value !== null && value !== undefined);
+    const boosts = getUvReflectionBoosts({
+        activity,
+        elevationM: elevation?.available ? elevation.pointElevation : null,
+        snowDepth: snowDepths.length > 0 ? Math.max(...snowDepths) : null
+    });
+    const effectiveUvIndex = applyUvBoosts(uvMetric.value, boosts);
+    const window = timeline?.bestWindow || null;
+
+    return {
+        uvIndex: uvMetric.value,
+        effectiveUvIndex,
+        boosts,
+        skinType,
+        burnMinutes: estimateBurnMinutes(effectiveUvIndex, skinType),
+        protectionHours: findProtectionHours(hours, boosts),
+        shadeHours: findProtectionHours(hours, boosts, SHADE_UV_INDEX),
+        window,
+        sunscreen: planSunscreen(hours, window, boosts)
+    };
+};
+
+// Severity of a daily metric; SAFE (with a null value, i.e. unknown) when no source reported it
+const classifyMetric = (value, levels, options) => (value === null ? SEVERITY.SAFE : classifySeverity(value, levels, options));
+
+const buildRisk = (category, metric, severity, thresholds, likelihoods) => ({
+    category,
+    severity,
+    metric: metric.key,
+    value: metric.value,
+    rawValue: metric.raw ?? null,
+    unit: metric.unit,
+    thresholds,
+    estimated: metric.estimated,
+    sources: metric.sources,
+    likelihood: likelihoods?.[category] || null
+});
+
+// Structured result: numeric metrics with units and sources, one risk per category with its
+// severity, plus the ensemble, climatology and hourly timeline. Display strings are produced
+// separately by presentation.js.
+export const analyzeWeatherRisks = (apiData, lat, lon, selectedDate, activity,
+    { currentTime = new Date(), climatology = null, hourly = null, elevation = null, skinType = DEFAULT_SKIN_TYPE,
+        airQuality = null, marine = null, durationHours = null } = {}) => {
+    // Sources report grid-cell values; move them to the point's real elevation (see elevation.js)
+    const adjustment = elevation?.available ? getElevationAdjustment(elevation.pointElevation, elevation.gridElevation) : null;
+    climatology = adjustClimatology(climatology, adjustment);
+    if (adjustment && hourly?.available) {
+        hourly = { ...hourly, hours: hourly.hours.map(hour => adjustHour(hour, adjustment)) };
+    }
+    // Precipitation type and icy surfaces follow the adjusted temperature: rain in the valley
+    // can be snow on the summit
+    if (hourly?.available) {
+        hourly = { ...hourly, hours: annotateComfortHours(mergeMarineHours(annotateWinterHours(hourly.hours), marine)) };
+    }
+
+    // Weighted consensus across every available source (see ensemble.js)
+    const ensemble = buildEnsemble(apiData, { leadDays: daysBetween(currentTime, selectedDate) });
+    const dailyMetrics = buildMetrics(ensemble, adjustment);
+    const metrics = {
+        ...dailyMetrics,
+        ...buildComfortMetrics(hourly, dailyMetrics),
+        ...aggregateHourly(hourly, CONVECTIVE_METRICS),
+        ...aggregateHourly(hourly, VISIBILITY_METRICS),
+        ...aggregateHourly(hourly, WINTER_METRICS),
+        uvIndex: buildUvMetric(apiData, hourly),
+        ...aggregateHourly(airQuality, AIR_QUALITY_METRICS),
+        ...aggregateHourly(marine, MARINE_METRICS)
+    };
+    const metric = (key) => ({ key, ...metrics[key] });
+    // Sun and moon are computed locally; the hourly data knows the location's UTC offset,
+    // otherwise the device's is the best guess
+    const utcOffsetSeconds = hourly?.utcOffsetSeconds ?? -selectedDate.getTimezoneOffset() * 60;
+    const daylight = getDaylight(lat, lon, selectedDate, utcOffsetSeconds);
+    // Best start times for an outing of `durationHours` (the activity's typical length by
+    // default); the timeline's best window is the top one
+    const hourlyTimeline = buildHourlyTimeline(hourly, activity);
+    const startWindows = findStartWindows(hourlyTimeline, daylight, activity, durationHours);
+    const timeline = hourlyTimeline && { ...hourlyTimeline, bestWindow: toBestWindow(startWindows.windows[0]) };
+    const uvExposure = assessUvExposure(metrics.uvIndex, { activity, skinType, elevation, hourly, timeline });
+
+    const thresholds = getRiskThresholds(activity);
+    const roughWaterSeverity = worstSeverity((timeline?.hours || []).map(hour => hour.factors.water));
+    // Historical exceedance probabilities for each category, when climatology is available
+    const likelihoods = climatology ? getRiskLikelihoods(climatology, activity) : null;
+
+    // 🌡️ Activity-Specific Risk Categories - Always all 13 categories
+    const risks = [
+        buildRisk(RISK_CATEGORIES.HOT, metric('maxTemp'),
+            classifyMetric(metrics.maxTemp.value, thresholds.hot), thresholds.hot, likelihoods),
+        buildRisk(RISK_CATEGORIES.COLD, metric('minTemp'),
+            classifyMetric(metrics.minTemp.value, thresholds.cold, { below: true }), thresholds.cold, likelihoods),
+        buildRisk(RISK_CATEGORIES.WIND, metric('windSpeed'),
+            classifyMetric(metrics.windSpeed.value, thresholds.wind), thresholds.wind, likelihoods),
+        buildRisk(RISK_CATEGORIES.WET, metric('precipitation'),
+            classifyMetric(metrics.precipitation.value, thresholds.wet), thresholds.wet, likelihoods),
+        buildRisk(RISK_CATEGORIES.COMFORT, metric('heatIndex'),
+            classifyComfort(metrics.afternoonHumidity.value, metrics.maxTemp.value, thresholds.comfort), thresholds.comfort, likelihoods),
+        // Graded hour by hour (instability only matters where storms are triggered); the day
+        // takes its worst hour
+        buildRisk(RISK_CATEGORIES.THUNDERSTORM, metric('cape'),
+            timeline?.thunderstormPeak?.severity || SEVERITY.SAFE, thresholds.thunderstorm, likelihoods),
+        // Worst hour, like thunderstorms; only cycling and hiking are graded
+        buildRisk(RISK_CATEGORIES.VISIBILITY, metric('visibility'),
+            worstSeverity((timeline?.hours || []).map(hour => hour.factors.visibility)), thresholds.visibility, likelihoods),
+        // Graded on the UV that actually reaches the skin (altitude, snow, water)
+        {
+            ...buildRisk(RISK_CATEGORIES.UV, { ...metric('uvIndex'), value: uvExposure.effectiveUvIndex },
+                uvExposure.effectiveUvIndex === null ? SEVERITY.SAFE : classifySeverity(uvExposure.effectiveUvIndex, thresholds.uv),
+                thresholds.uv, likelihoods),
+            exposure: uvExposure
+        },
+        // Thresholds depend on how hard the activity makes you breathe
+        {
+            ...buildRisk(RISK_CATEGORIES.AIR, metric('usAqi'),
+                metrics.usAqi.value === null ? SEVERITY.SAFE : classifySeverity(metrics.usAqi.value, thresholds.airQuality),
+                thresholds.airQuality, likelihoods),
+            peak: findAirQualityPeak(airQuality)
+        },
+        // Winter surfaces, graded from the hourly rows (observed or forecast); unknown beyond
+        // the forecast horizon
+        {
+            ...buildRisk(RISK_CATEGORIES.ICE, metric('icyHours'),
+                metrics.icyHours.value === null ? SEVERITY.SAFE : classifySeverity(metrics.icyHours.value, thresholds.ice),
+                thresholds.ice, likelihoods),
+            freezeThaw: hourly?.available ? isFreezeThaw(hourly.hours) : false
+        },
+        buildRisk(RISK_CATEGORIES.SNOW, metric('snowfall'),
+            metrics.snowfall.value === null ? SEVERITY.SAFE : classifySeverity(metrics.snowfall.value, thresholds.snow),
+            thresholds.snow, likelihoods),
+        buildRisk(RISK_CATEGORIES.FREEZING_RAIN, metric('freezingRain'),
+            metrics.freezingRain.value === null ? SEVERITY.SAFE : classifySeverity(metrics.freezingRain.value, thresholds.freezingRain),
+            thresholds.freezingRain, likelihoods),
+        // Worst hour of the sea state, like visibility; only fishing is graded
+        {
+            ...buildRisk(RISK_CATEGORIES.ROUGH_WATER, metric('waveHeight'), roughWaterSeverity, thresholds.roughWater, likelihoods),
+            peak: findMarinePeak(marine),
+            advisoryHours: findAdvisoryHours(timeline?.hours || [], roughWaterSeverity),
+            inland: Boolean(marine?.inland)
+        }
+    ];
+
+    return {
+        // False when no source answered at all; every metric is then null
+        available: ensemble.sourceCount > 0 || Boolean(hourly?.available),
+        activity,
+        date: toDateKey(selectedDate),
+        location: { lat, lon },
+        elevation: adjustment,
+        daylight,
+        metrics,
+        risks,
+        suitability: scoreSuitability(risks, activity),
+        ensemble,
+        climatology: climatology ? summarizeClimatology(climatology) : null,
+        pollen: summarizePollen(airQuality),
+        timeline,
+        startWindows
+    };
+};
+
+// Worst risk per category over several analyses (e.g. the days of a trip), with the date it
+// occurs on, and the overall worst severity
+export const summarizeRisks = (analyses) => {
+    const categories = {};
+    analyses.forEach(analysis => (analysis?.risks || []).forEach(risk => {
+        const current = categories[risk.category];
+        if (!current || SEVERITY_RANK[risk.severity] > SEVERITY_RANK[current.severity]) {
+            categories[risk.category] = { severity: risk.severity, value: risk.value, unit: risk.unit, date: analysis.date };
+        }
+    }));
+
+    return {
+        severity: worstSeverity(Object.values(categories).map(category => category.severity)),
+        categories
+    };
+};
+
+// Shown instead of an analysis when no source answered: no metrics, risks or score, just a card
+// saying so
+export const generateDemoWeather = (lat, lon, selectedDate) => {
+    return {
+        available: false,
+        date: toDateKey(selectedDate),
+        location: { lat, lon },
+        metrics: null,
+        risks: [],
+        conditions: [{
+            label: "Weather Unavailable",
+            icon: "📡",
+            risk: "No data - no weather source answered",
+            advice: "Check your connection and try again. Nothing is shown rather than a guess.",
+            color: "gray"
+        }]
+    };
+};
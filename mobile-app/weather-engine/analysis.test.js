@@ -0,0 +1,65 @@
+import { analyzeWeatherRisks, generateDemoWeather } from './analysis.js';
+import { presentRisks } from './presentation.js';
+import { generateClothingAdvice } from './clothing.js';
+import { generateSmartAlerts } from './alerts.js';
+import { createWeatherEngine } from './engine.js';
+import { fixedClock } from './clock.js';
+import { createOfflineHttp, FIXTURE_LOCATION, FIXTURE_NOW } from './__fixtures__/replay.js';
+
+const { lat, lon } = FIXTURE_LOCATION;
+const FORECAST_DATE = new Date(2026, 6, 10);
+
+// A forecast reporting the day's maximum, wind and rain, but no minimum or humidity
+const partialSources = {
+    openMeteo: { available: true, source: 'Open-Meteo', mode: 'forecast', data: { tempMax: 24, windSpeed: 12, precipitation: 0 } }
+};
+
+const analyzePartial = () => analyzeWeatherRisks(partialSources, lat, lon, FORECAST_DATE, 'hiking', { currentTime: FIXTURE_NOW });
+
+describe('analyzeWeatherRisks', () => {
+    it('leaves metrics no source reported empty', () => {
+        const { metrics, available } = analyzePartial();
+
+        expect(available).toBe(true);
+        expect(metrics.maxTemp).toMatchObject({ value: 24, estimated: false });
+        expect(metrics.minTemp).toMatchObject({ value: null, estimated: true, sources: [] });
+        expect(metrics.humidity.value).toBeNull();
+    });
+
+    it('leaves the risk of a missing metric unrated', () => {
+        const analysis = analyzePartial();
+        const cold = analysis.risks.find(risk => risk.category === 'cold');
+
+        expect(cold).toMatchObject({ value: null, severity: 'SAFE' });
+        expect(analysis.suitability.unrated).toContain('cold');
+        expect(presentRisks(analysis).find(card => card.label.includes('Cold')).risk).toMatch(/No Data/);
+    });
+
+    it('gives no advice on a missing temperature', () => {
+        const analysis = analyzePartial();
+        const text = JSON.stringify([generateClothingAdvice(analysis, 'hiking', FIXTURE_NOW), generateSmartAlerts(analysis, FIXTURE_NOW)]);
+
+        expect(text).not.toMatch(/frost|freezing|°C \(estimated\)/i);
+    });
+});
+
+describe('no weather source', () => {
+    it('is an unavailable state without metrics or a score', () => {
+        const weather = generateDemoWeather(lat, lon, FORECAST_DATE);
+
+        expect(weather).toMatchObject({ available: false, date: '2026-07-10', metrics: null, risks: [] });
+        expect(weather.suitability).toBeUndefined();
+    });
+
+    it('is what the engine returns when every request fails', async () => {
+        const engine = createWeatherEngine({ http: createOfflineHttp(), clock: fixedClock(FIXTURE_NOW) });
+        const { weather, alerts, clothing } = await engine.analyze(lat, lon, FORECAST_DATE, 'hiking');
+
+        expect(weather.available).toBe(false);
+        expect(weather.conditions.map(card => card.label)).toEqual(['Weather Unavailable']);
+        expect(weather.suitabilityCard).toBeUndefined();
+        expect(alerts).toEqual([]);
+        expect(clothing).toEqual([]);
+        expect(JSON.stringify(weather)).not.toMatch(/estimated|Go for/);
+    });
+});
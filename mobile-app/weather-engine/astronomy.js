@@ -0,0 +1,218 @@
+import { toDateKey } from './dates.js';
+
+// Sun and moon positions from the low-precision formulas in Meeus, "Astronomical Algorithms"
+// (the same ones SunCalc uses). Accurate to a minute or two for the sun and a few minutes for
+// the moon – plenty for planning, and no network needed.
+
+const RAD = Math.PI / 180;
+const DAY_MS = 86400000;
+const HOUR_MS = 3600000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const OBLIQUITY = RAD * 23.4397;
+const SUN_DISTANCE_KM = 149598000;
+
+// Sun altitudes (degrees) that define each event. Sunrise allows for refraction and the sun's
+// radius; golden hour lasts while the sun is below 6°.
+export const SUN_ALTITUDES = {
+    sunrise: -0.833,
+    civil: -6,
+    nautical: -12,
+    goldenHour: 6
+};
+// Moon altitude at rise and set (parallax minus refraction and radius)
+const MOON_RISE_ALTITUDE = 0.133;
+
+export const MOON_PHASES = [
+    { name: 'New moon', icon: '🌑' },
+    { name: 'Waxing crescent', icon: '🌒' },
+    { name: 'First quarter', icon: '🌓' },
+    { name: 'Waxing gibbous', icon: '🌔' },
+    { name: 'Full moon', icon: '🌕' },
+    { name: 'Waning gibbous', icon: '🌖' },
+    { name: 'Last quarter', icon: '🌗' },
+    { name: 'Waning crescent', icon: '🌘' }
+];
+
+const toJulian = (time) => time / DAY_MS - 0.5 + J1970;
+const fromJulian = (julian) => (julian + 0.5 - J1970) * DAY_MS;
+const toDays = (time) => toJulian(time) - J2000;
+
+const rightAscension = (longitude, latitude) => Math.atan2(
+    Math.sin(longitude) * Math.cos(OBLIQUITY) - Math.tan(latitude) * Math.sin(OBLIQUITY), Math.cos(longitude));
+const declination = (longitude, latitude) => Math.asin(
+    Math.sin(latitude) * Math.cos(OBLIQUITY) + Math.cos(latitude) * Math.sin(OBLIQUITY) * Math.sin(longitude));
+const altitude = (hourAngle, phi, dec) => Math.asin(
+    Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(hourAngle));
+const siderealTime = (days, lw) => RAD * (280.16 + 360.9856235 * days) - lw;
+
+// ☀️ Sun
+const solarMeanAnomaly = (days) => RAD * (357.5291 + 0.98560028 * days);
+const eclipticLongitude = (anomaly) => {
+    const center = RAD * (1.9148 * Math.sin(anomaly) + 0.02 * Math.sin(2 * anomaly) + 0.0003 * Math.sin(3 * anomaly));
+    const perihelion = RAD * 102.9372;
+    return anomaly + center + perihelion + Math.PI;
+};
+const sunCoords = (days) => {
+    const longitude = eclipticLongitude(solarMeanAnomaly(days));
+    return { dec: declination(longitude, 0), ra: rightAscension(longitude, 0) };
+};
+
+const J0 = 0.0009;
+const julianCycle = (days, lw) => Math.round(days - J0 - lw / (2 * Math.PI));
+const approxTransit = (hourAngle, lw, cycle) => J0 + (hourAngle + lw) / (2 * Math.PI) + cycle;
+const solarTransit = (days, anomaly, longitude) =>
+    J2000 + days + 0.0053 * Math.sin(anomaly) - 0.0069 * Math.sin(2 * longitude);
+
+// Instant (ms) of sunrise/sunset-like events at `angle` degrees, or null when the sun never
+// crosses that altitude on the day
+const sunCrossings = (noonTime, lat, lon, angle) => {
+    const lw = RAD * -lon;
+    const phi = RAD * lat;
+    const cycle = julianCycle(toDays(noonTime), lw);
+    const transitDays = approxTransit(0, lw, cycle);
+    const anomaly = solarMeanAnomaly(transitDays);
+    const longitude = eclipticLongitude(anomaly);
+    const dec = declination(longitude, 0);
+    const noon = solarTransit(transitDays, anomaly, longitude);
+
+    const cosHourAngle = (Math.sin(RAD * angle) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec));
+    if (cosHourAngle < -1 || cosHourAngle > 1) {
+        return { noon: fromJulian(noon), rise: null, set: null, alwaysAbove: cosHourAngle < -1 };
+    }
+    const set = solarTransit(approxTransit(Math.acos(cosHourAngle), lw, cycle), anomaly, longitude);
+    return { noon: fromJulian(noon), rise: fromJulian(noon - (set - noon)), set: fromJulian(set), alwaysAbove: false };
+};
+
+// 🌙 Moon
+const moonCoords = (days) => {
+    const longitude = RAD * (218.316 + 13.176396 * days);
+    const anomaly = RAD * (134.963 + 13.064993 * days);
+    const distanceArg = RAD * (93.272 + 13.229350 * days);
+    const eclipticLon = longitude + RAD * 6.289 * Math.sin(anomaly);
+    const eclipticLat = RAD * 5.128 * Math.sin(distanceArg);
+    return {
+        ra: rightAscension(eclipticLon, eclipticLat),
+        dec: declination(eclipticLon, eclipticLat),
+        distance: 385001 - 20905 * Math.cos(anomaly)
+    };
+};
+
+const moonAltitude = (time, lat, lon) => {
+    const days = toDays(time);
+    const { ra, dec } = moonCoords(days);
+    const height = altitude(siderealTime(days, RAD * -lon) - ra, RAD * lat, dec);
+    // Atmospheric refraction
+    return height + RAD * 0.017 / Math.tan(height + RAD * 10.26 / (height + RAD * 5.10));
+};
+
+// Illuminated fraction and phase (0 new, 0.25 first quarter, 0.5 full, 0.75 last quarter)
+export const getMoonIllumination = (time) => {
+    const days = toDays(time);
+    const sun = sunCoords(days);
+    const moon = moonCoords(days);
+    const elongation = Math.acos(Math.sin(sun.dec) * Math.sin(moon.dec) +
+        Math.cos(sun.dec) * Math.cos(moon.dec) * Math.cos(sun.ra - moon.ra));
+    const inclination = Math.atan2(SUN_DISTANCE_KM * Math.sin(elongation), moon.distance - SUN_DISTANCE_KM * Math.cos(elongation));
+    const angle = Math.atan2(Math.cos(sun.dec) * Math.sin(sun.ra - moon.ra), Math.sin(sun.dec) * Math.cos(moon.dec) -
+        Math.cos(sun.dec) * Math.sin(moon.dec) * Math.cos(sun.ra - moon.ra));
+    return {
+        illumination: (1 + Math.cos(inclination)) / 2,
+        phase: 0.5 + 0.5 * inclination * (angle < 0 ? -1 : 1) / Math.PI
+    };
+};
+
+export const getMoonPhase = (phase) => MOON_PHASES[Math.round(phase * MOON_PHASES.length) % MOON_PHASES.length];
+
+// Moonrise and moonset between `startTime` and 24 hours later: the altitude is sampled every
+// two hours and each crossing found on a fitted parabola
+const findMoonCrossings = (startTime, lat, lon) => {
+    const threshold = RAD * MOON_RISE_ALTITUDE;
+    const at = (hours) => moonAltitude(startTime + hours * HOUR_MS, lat, lon) - threshold;
+    let rise = null;
+    let set = null;
+    let previous = at(0);
+    let highest = previous;
+
+    for (let hours = 1; hours <= 24 && (rise === null || set === null); hours += 2) {
+        const middle = at(hours);
+        const next = at(hours + 1);
+        highest = Math.max(highest, middle, next);
+
+        const a = (previous + next) / 2 - middle;
+        const b = (next - previous) / 2;
+        const vertex = -b / (2 * a);
+        const discriminant = b * b - 4 * a * middle;
+        if (discriminant >= 0) {
+            const spread = Math.sqrt(discriminant) / (Math.abs(a) * 2);
+            const roots = [vertex - spread, vertex + spread].filter(root => Math.abs(root) <= 1);
+            roots.forEach(root => {
+                const time = startTime + (hours + root) * HOUR_MS;
+                // Rising where the parabola's slope is positive
+                if (2 * a * root + b > 0) rise = rise ?? time;
+                else set = set ?? time;
+            });
+        }
+        previous = next;
+    }
+    return { rise, set, alwaysUp: rise === null && set === null && highest > 0, alwaysDown: rise === null && set === null && highest <= 0 };
+};
+
+// 6.5 -> '06:30'
+export const formatClockTime = (hours) => {
+    const minutes = ((Math.round(hours * 60) % 1440) + 1440) % 1440;
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+// Hours after local midnight (e.g. 6.5 for 06:30); can pass 24 for events after midnight
+const toLocalHours = (time, dayStart) => (time === null ? null : (time - dayStart) / HOUR_MS);
+
+// Sun and moon for the calendar day of `selectedDate` at a coordinate. Times are decimal hours
+// on the location's clock (`utcOffsetSeconds` east of UTC, e.g. 7200 for CEST), so they line up
+// with the hourly timeline.
+export const getDaylight = (lat, lon, selectedDate, utcOffsetSeconds) => {
+    const dateKey = toDateKey(selectedDate);
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const dayStart = Date.UTC(year, month - 1, day) - utcOffsetSeconds * 1000;
+    const noonTime = dayStart + 12 * HOUR_MS;
+    const local = (time) => toLocalHours(time, dayStart);
+
+    const sun = sunCrossings(noonTime, lat, lon, SUN_ALTITUDES.sunrise);
+    const civil = sunCrossings(noonTime, lat, lon, SUN_ALTITUDES.civil);
+    const nautical = sunCrossings(noonTime, lat, lon, SUN_ALTITUDES.nautical);
+    const golden = sunCrossings(noonTime, lat, lon, SUN_ALTITUDES.goldenHour);
+    const polar = sun.rise !== null ? null : sun.alwaysAbove ? 'day' : 'night';
+
+    // Golden hour runs from sunrise until the sun clears 6°, and from 6° down to sunset; a sun
+    // that never reaches 6° keeps the golden light all day
+    const goldenHours = sun.rise === null ? [] : golden.rise === null ?
+        [{ start: local(sun.rise), end: local(sun.set) }] :
+        [{ start: local(sun.rise), end: local(golden.rise) }, { start: local(golden.set), end: local(sun.set) }];
+
+    const { illumination, phase } = getMoonIllumination(noonTime);
+    const moon = findMoonCrossings(dayStart, lat, lon);
+
+    return {
+        date: dateKey,
+        utcOffsetSeconds,
+        sunrise: local(sun.rise),
+        sunset: local(sun.set),
+        solarNoon: local(sun.noon),
+        civilDawn: local(civil.rise),
+        civilDusk: local(civil.set),
+        nauticalDawn: local(nautical.rise),
+        nauticalDusk: local(nautical.set),
+        goldenHours,
+        dayLength: polar === 'day' ? 24 : polar === 'night' ? 0 : (sun.set - sun.rise) / HOUR_MS,
+        polar,
+        moon: {
+            phase,
+            illumination,
+            ...getMoonPhase(phase),
+            rise: local(moon.rise),
+            set: local(moon.set),
+            alwaysUp: moon.alwaysUp,
+            alwaysDown: moon.alwaysDown
+        }
+    };
+};
@@ -0,0 +1,72 @@
+import { getDaylight, getMoonIllumination, getMoonPhase, formatClockTime } from './astronomy.js';
+import { presentDaylight } from './presentation.js';
+import { createWeatherEngine } from './engine.js';
+import { fixedClock } from './clock.js';
+import { createReplayHttp, FIXTURE_LOCATION, FIXTURE_NOW } from './__fixtures__/replay.js';
+
+const { lat, lon } = FIXTURE_LOCATION;
+// Three minutes, in hours
+const MINUTES_3 = 0.05;
+
+describe('getDaylight', () => {
+    // Almanac times for Boulder on 10 July 2026 (MDT): sunrise 05:41, sunset 20:32, solar noon 13:07
+    const daylight = getDaylight(lat, lon, new Date(2026, 6, 10), -21600);
+
+    it('matches the almanac on the location clock', () => {
+        expect(Math.abs(daylight.sunrise - (5 + 41 / 60))).toBeLessThan(MINUTES_3);
+        expect(Math.abs(daylight.sunset - (20 + 32 / 60))).toBeLessThan(MINUTES_3);
+        expect(Math.abs(daylight.solarNoon - (13 + 7 / 60))).toBeLessThan(MINUTES_3);
+        expect(daylight.dayLength).toBeCloseTo(14.85, 1);
+        expect(daylight.polar).toBeNull();
+    });
+
+    it('orders the twilights and golden hours around the sun', () => {
+        expect(daylight.nauticalDawn).toBeLessThan(daylight.civilDawn);
+        expect(daylight.civilDawn).toBeLessThan(daylight.sunrise);
+        expect(daylight.civilDusk).toBeGreaterThan(daylight.sunset);
+        expect(daylight.goldenHours).toHaveLength(2);
+        expect(daylight.goldenHours[0].start).toBeCloseTo(daylight.sunrise);
+        expect(daylight.goldenHours[1].end).toBeCloseTo(daylight.sunset);
+    });
+
+    it('reports times on the clock it is given', () => {
+        // The same sunrise read on Berlin's clock, eight hours ahead
+        const berlin = getDaylight(lat, lon, new Date(2026, 6, 10), 7200);
+        expect(berlin.sunrise - daylight.sunrise).toBeCloseTo(8, 1);
+    });
+
+    it('knows the midnight sun and the polar night', () => {
+        expect(getDaylight(69.65, 18.96, new Date(2026, 5, 21), 7200)).toMatchObject({ polar: 'day', dayLength: 24, sunrise: null });
+        expect(getDaylight(69.65, 18.96, new Date(2026, 11, 21), 3600)).toMatchObject({ polar: 'night', dayLength: 0 });
+    });
+});
+
+describe('moon', () => {
+    it('is a thin waning crescent four days before the 14 July 2026 new moon', () => {
+        const { phase, illumination } = getMoonIllumination(Date.UTC(2026, 6, 10, 18));
+        expect(getMoonPhase(phase).name).toBe('Waning crescent');
+        expect(illumination).toBeLessThan(0.25);
+    });
+
+    it('is full on 29 July 2026', () => {
+        const { phase, illumination } = getMoonIllumination(Date.UTC(2026, 6, 29, 12));
+        expect(getMoonPhase(phase).name).toBe('Full moon');
+        expect(illumination).toBeGreaterThan(0.98);
+    });
+});
+
+describe('formatClockTime', () => {
+    it('formats decimal hours and wraps past midnight', () => {
+        expect([6.5, 13.125, 24.25, 23.999].map(formatClockTime)).toEqual(['06:30', '13:08', '00:15', '00:00']);
+    });
+});
+
+describe('daylight card', () => {
+    it('uses the hourly offset of the location', async () => {
+        const engine = createWeatherEngine({ http: createReplayHttp(), clock: fixedClock(FIXTURE_NOW) });
+        const { weather } = await engine.analyze(lat, lon, new Date(2026, 6, 10), 'hiking');
+
+        expect(weather.daylight.utcOffsetSeconds).toBe(-21600);
+        expect(presentDaylight(weather).risk).toMatch(/^Sunrise 05:4\d · Sunset 20:3\d · 14 h 5\d min of daylight$/);
+    });
+});
@@ -0,0 +1,51 @@
+import { fromDateKey } from './dates.js';
+import { DATA_MODES } from './sources/openMeteo.js';
+
+// Days searched by the best-day finder: the 16-day forecast, then climatology up to the app's
+// 30-day date limit
+export const BEST_DAY_SPAN_DAYS = 30;
+
+// Suitability of one analysed day; `outlook` marks days graded on climatology rather than a forecast.
+// A day no source answered for, or without heat, cold, wind and rain data, has no score or verdict.
+export const summarizeDay = ({ analysis, dataMode }) => ({
+    date: analysis.date,
+    dataMode,
+    outlook: dataMode === DATA_MODES.CLIMATOLOGY,
+    score: analysis.suitability?.score ?? null,
+    verdict: analysis.suitability?.verdict ?? null,
+    limitingFactors: analysis.suitability?.limitingFactors || [],
+    unrated: analysis.suitability?.unrated || []
+});
+
+// Forecast days first, then outlook days, then days without a score; best first within each
+// group, the earlier day among equals. Outlook scores leave the hourly-only categories unrated,
+// so they run higher than a forecast day's and are not compared with them.
+const rankGroup = (day) => (day.score === null ? 2 : day.outlook ? 1 : 0);
+
+export const rankDays = (days) => [...days].sort((a, b) =>
+    rankGroup(a) - rankGroup(b) || b.score - a.score || a.date.localeCompare(b.date));
+
+// Weeks of a calendar heatmap, Monday first: [[null, null, day, ...], ...], null outside the range
+export const buildSuitabilityCalendar = (days) => {
+    if (days.length === 0) return [];
+    const leading = (fromDateKey(days[0].date).getDay() + 6) % 7;
+    const cells = [...Array(leading).fill(null), ...days];
+    while (cells.length % 7 !== 0) cells.push(null);
+
+    const weeks = [];
+    for (let index = 0; index < cells.length; index += 7) weeks.push(cells.slice(index, index + 7));
+    return weeks;
+};
+
+// Days ({ analysis, dataMode } in date order) ranked by suitability, each with its `rank`
+export const buildBestDays = (analysed, activity) => {
+    const ranked = rankDays(analysed.map(summarizeDay)).map((day, index) => ({ ...day, rank: index + 1 }));
+    const days = [...ranked].sort((a, b) => a.date.localeCompare(b.date));
+    return {
+        activity,
+        days,
+        ranked,
+        best: ranked.find(day => day.score !== null) || null,
+        calendar: buildSuitabilityCalendar(days)
+    };
+};
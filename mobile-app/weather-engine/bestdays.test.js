@@ -0,0 +1,82 @@
+import { summarizeDay, rankDays, buildBestDays, buildSuitabilityCalendar } from './bestdays.js';
+import { DATA_MODES } from './sources/openMeteo.js';
+
+const analysed = (date, score, dataMode = DATA_MODES.FORECAST) => ({
+    dataMode,
+    analysis: {
+        date,
+        suitability: score === null ?
+            { score: null, verdict: null, limitingFactors: [], unrated: ['hot', 'cold', 'wind', 'wet'] } :
+            { score, verdict: score >= 75 ? 'go' : 'caution', limitingFactors: [], unrated: [] }
+    }
+});
+
+describe('summarizeDay', () => {
+    it('marks climatology days as outlook', () => {
+        expect(summarizeDay(analysed('2026-08-01', 88, DATA_MODES.CLIMATOLOGY)))
+            .toMatchObject({ date: '2026-08-01', score: 88, verdict: 'go', outlook: true });
+    });
+
+    it('has no score for a day no source answered', () => {
+        expect(summarizeDay({ analysis: { date: '2026-07-10', available: false }, dataMode: DATA_MODES.FORECAST }))
+            .toMatchObject({ score: null, verdict: null, limitingFactors: [], unrated: [] });
+    });
+});
+
+describe('rankDays', () => {
+    it('ranks forecast days ahead of higher outlook scores', () => {
+        const days = [
+            analysed('2026-07-10', 60),
+            analysed('2026-07-11', 72),
+            analysed('2026-07-27', 95, DATA_MODES.CLIMATOLOGY),
+            analysed('2026-07-28', 90, DATA_MODES.CLIMATOLOGY)
+        ].map(summarizeDay);
+
+        expect(rankDays(days).map(day => day.date)).toEqual(['2026-07-11', '2026-07-10', '2026-07-27', '2026-07-28']);
+    });
+
+    it('puts days without a score last and favours the earlier of equal days', () => {
+        const days = [
+            analysed('2026-07-10', null),
+            analysed('2026-07-11', 80),
+            analysed('2026-07-12', 80),
+            analysed('2026-07-27', null, DATA_MODES.CLIMATOLOGY)
+        ].map(summarizeDay);
+
+        expect(rankDays(days).map(day => day.date)).toEqual(['2026-07-11', '2026-07-12', '2026-07-10', '2026-07-27']);
+    });
+});
+
+describe('buildBestDays', () => {
+    it('picks the best forecast day and keeps the days in date order', () => {
+        const result = buildBestDays([
+            analysed('2026-07-10', null),
+            analysed('2026-07-11', 58),
+            analysed('2026-07-27', 97, DATA_MODES.CLIMATOLOGY)
+        ], 'hiking');
+
+        expect(result.best).toMatchObject({ date: '2026-07-11', rank: 1, outlook: false });
+        expect(result.days.map(day => [day.date, day.rank])).toEqual([['2026-07-10', 3], ['2026-07-11', 1], ['2026-07-27', 2]]);
+    });
+
+    it('falls back to an outlook day when no forecast day has a score', () => {
+        const result = buildBestDays([analysed('2026-07-10', null), analysed('2026-07-27', 70, DATA_MODES.CLIMATOLOGY)], 'hiking');
+        expect(result.best).toMatchObject({ date: '2026-07-27', outlook: true });
+    });
+
+    it('has no best day without any score', () => {
+        expect(buildBestDays([analysed('2026-07-10', null)], 'hiking').best).toBeNull();
+    });
+});
+
+describe('buildSuitabilityCalendar', () => {
+    it('lays the days out in Monday-first weeks', () => {
+        // Friday 10 July to Sunday 12 July
+        const days = ['2026-07-10', '2026-07-11', '2026-07-12'].map(date => ({ date }));
+        const weeks = buildSuitabilityCalendar(days);
+
+        expect(weeks).toHaveLength(1);
+        expect(weeks[0].map(day => day?.date ?? null)).toEqual([null, null, null, null, '2026-07-10', '2026-07-11', '2026-07-12']);
+        expect(buildSuitabilityCalendar([])).toEqual([]);
+    });
+});
@@ -0,0 +1,121 @@
+import { SOURCE_TYPES } from './ensemble.js';
+import { toDateKey } from './dates.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// How long a cached response counts as fresh. Forecasts change every model run; archives
+// only change while ERA5/POWER replace preliminary values with final ones.
+export const CACHE_TTLS = {
+    [SOURCE_TYPES.FORECAST]: 1 * HOUR_MS,
+    [SOURCE_TYPES.SATELLITE]: 1 * DAY_MS,
+    [SOURCE_TYPES.STATION]: 1 * DAY_MS,
+    [SOURCE_TYPES.REANALYSIS]: 7 * DAY_MS,
+    [SOURCE_TYPES.CLIMATOLOGY]: 30 * DAY_MS
+};
+
+const KEY_NAMESPACE = 'weather-cache';
+const KEY_PREFIX = `${KEY_NAMESPACE}:v1`;
+// TTL of entries written without one
+const DEFAULT_TTL = CACHE_TTLS[SOURCE_TYPES.CLIMATOLOGY];
+// How long an entry outlives its TTL as the offline fallback before pruning removes it
+const STALE_RETENTION = 7 * DAY_MS;
+// Two decimals ≈ 1 km, well inside a single model grid cell
+const COORDINATE_DECIMALS = 2;
+
+// Without a date the entry belongs to the location as a whole (e.g. its climatology history)
+export const getCacheKey = (sourceKey, lat, lon, date = null) =>
+    `${KEY_PREFIX}:${sourceKey}:${lat.toFixed(COORDINATE_DECIMALS)},${lon.toFixed(COORDINATE_DECIMALS)}${date ? `:${toDateKey(date)}` : ''}`;
+
+// Async key-value storage with the AsyncStorage interface, kept in memory
+export const createMemoryStorage = () => {
+    const items = new Map();
+    return {
+        getItem: async (key) => (items.has(key) ? items.get(key) : null),
+        setItem: async (key, value) => { items.set(key, value); },
+        removeItem: async (key) => { items.delete(key); },
+        getAllKeys: async () => [...items.keys()]
+    };
+};
+
+// `storage` is anything with async getItem/setItem/removeItem over strings (AsyncStorage,
+// localStorage wrappers, createMemoryStorage), optionally getAllKeys for pruning. Entries are
+// { value, fetchedAt, ttl }.
+export const createWeatherCache = ({ storage = createMemoryStorage(), clock }) => {
+    const read = async (key) => {
+        try {
+            const raw = await storage.getItem(key);
+            return raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            return null;
+        }
+    };
+
+    const write = async (key, value, ttl = DEFAULT_TTL) => {
+        const entry = { value, fetchedAt: clock.now().toISOString(), ttl };
+        try {
+            await storage.setItem(key, JSON.stringify(entry));
+        } catch (error) {
+            // A full or unavailable store only costs us the cache
+        }
+        return entry;
+    };
+
+    const isFresh = (entry, ttl) => clock.now().getTime() - new Date(entry.fetchedAt).getTime() < ttl;
+
+    // Stale-while-revalidate: a fresh entry is returned as is. A stale entry is returned at once
+    // with a `revalidation` promise when `background` is set, otherwise it is refreshed first.
+    // `isUsable` decides which responses are worth caching, so an offline failure falls back
+    // to the cached copy instead of overwriting it.
+    const resolve = async (key, ttl, fetcher, { isUsable = Boolean, background = false } = {}) => {
+        const cached = await read(key);
+        if (cached && isFresh(cached, ttl)) {
+            return { ...cached, stale: false, revalidation: null };
+        }
+
+        const refresh = async () => {
+            let value = null;
+            try {
+                value = await fetcher();
+            } catch (error) {
+                value = null;
+            }
+            if (isUsable(value)) return { ...(await write(key, value, ttl)), stale: false };
+            return cached ? { ...cached, stale: true } : { value, fetchedAt: null, stale: false };
+        };
+
+        if (cached && background) {
+            return { ...cached, stale: true, revalidation: refresh() };
+        }
+        return { ...(await refresh()), revalidation: null };
+    };
+
+    const remove = (key) => storage.removeItem(key);
+
+    // Removes entries older than their TTL plus STALE_RETENTION, unreadable ones and those of
+    // older key versions, so the store (AsyncStorage allows 6 MB on Android) does not fill up.
+    // Past days are kept like any other: observations and climatology do not change. Needs a
+    // storage that lists its keys (`getAllKeys`, as AsyncStorage has); without one nothing is
+    // pruned. Resolves to the number of entries removed.
+    const prune = async () => {
+        if (typeof storage.getAllKeys !== 'function') return 0;
+        try {
+            const keys = (await storage.getAllKeys()).filter(key => key.startsWith(`${KEY_NAMESPACE}:`));
+            const expired = [];
+            for (const key of keys) {
+                if (!key.startsWith(`${KEY_PREFIX}:`)) {
+                    expired.push(key);
+                    continue;
+                }
+                const entry = await read(key);
+                if (!entry?.fetchedAt || !isFresh(entry, (entry.ttl ?? DEFAULT_TTL) + STALE_RETENTION)) expired.push(key);
+            }
+            await Promise.all(expired.map(remove));
+            return expired.length;
+        } catch (error) {
+            return 0;
+        }
+    };
+
+    return { read, write, resolve, remove, prune };
+};
@@ -0,0 +1,72 @@
+import { createWeatherCache, createMemoryStorage, getCacheKey } from './cache.js';
+import { createWeatherEngine } from './engine.js';
+import { fixedClock } from './clock.js';
+import { createOfflineHttp, FIXTURE_LOCATION, FIXTURE_NOW } from './__fixtures__/replay.js';
+
+const { lat, lon } = FIXTURE_LOCATION;
+const clock = fixedClock(FIXTURE_NOW);
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const entry = (fetchedAt, ttl) => JSON.stringify({ value: { available: true }, fetchedAt: fetchedAt.toISOString(), ttl });
+
+// Storage as an earlier session left it
+const seededStorage = async () => {
+    const storage = createMemoryStorage();
+    // A forecast fetched this morning, and one nine days ago
+    await storage.setItem(getCacheKey('openMeteo', lat, lon, new Date(2026, 6, 10)), entry(new Date(2026, 6, 10, 6), HOUR_MS));
+    await storage.setItem(getCacheKey('hourly', lat, lon, new Date(2026, 6, 11)), entry(new Date(2026, 6, 1), HOUR_MS));
+    // Observations of past days, within and beyond their week
+    await storage.setItem(getCacheKey('era5', lat, lon, new Date(2026, 5, 28)), entry(new Date(2026, 5, 29), 7 * DAY_MS));
+    await storage.setItem(getCacheKey('era5', lat, lon, new Date(2026, 5, 10)), entry(new Date(2026, 5, 11), 7 * DAY_MS));
+    await storage.setItem(getCacheKey('climatologyHistory', lat, lon), entry(new Date(2026, 6, 1), 30 * DAY_MS));
+    // Written before entries had a TTL: kept as long as climatology
+    await storage.setItem(getCacheKey('openMeteo', lat, lon, new Date(2026, 5, 20)), entry(new Date(2026, 5, 20)));
+    await storage.setItem('weather-cache:v0:openMeteo:40.01,-105.27:2026-07-20', entry(new Date(2026, 6, 9), HOUR_MS));
+    await storage.setItem(getCacheKey('era5', lat, lon, new Date(2026, 6, 12)), 'not json');
+    await storage.setItem('settings', '{}');
+    return storage;
+};
+
+describe('cache pruning', () => {
+    it('removes entries a week past their TTL, unreadable ones and other key versions', async () => {
+        const storage = await seededStorage();
+        const cache = createWeatherCache({ storage, clock });
+
+        expect(await cache.prune()).toBe(4);
+        expect((await storage.getAllKeys()).sort()).toEqual([
+            'settings',
+            'weather-cache:v1:climatologyHistory:40.01,-105.27',
+            'weather-cache:v1:era5:40.01,-105.27:2026-06-28',
+            'weather-cache:v1:openMeteo:40.01,-105.27:2026-06-20',
+            'weather-cache:v1:openMeteo:40.01,-105.27:2026-07-10'
+        ]);
+    });
+
+    it('stores the TTL with each entry', async () => {
+        const storage = createMemoryStorage();
+        const cache = createWeatherCache({ storage, clock });
+        await cache.resolve('weather-cache:v1:test', HOUR_MS, async () => ({ available: true }), { isUsable: value => value.available });
+
+        expect(JSON.parse(await storage.getItem('weather-cache:v1:test'))).toMatchObject({ ttl: HOUR_MS });
+    });
+
+    it('leaves storage without getAllKeys alone', async () => {
+        const { getItem, setItem, removeItem } = await seededStorage();
+        const cache = createWeatherCache({ storage: { getItem, setItem, removeItem }, clock });
+        expect(await cache.prune()).toBe(0);
+    });
+
+    it('runs before the engine\'s first read', async () => {
+        const storage = await seededStorage();
+        // A forecast for the analysed day, long expired
+        await storage.setItem(getCacheKey('openMeteo', lat, lon, new Date(2026, 6, 10)), entry(new Date(2026, 4, 1), HOUR_MS));
+        const engine = createWeatherEngine({ http: createOfflineHttp(), clock, storage });
+
+        const { sources } = await engine.analyze(lat, lon, new Date(2026, 6, 10), 'hiking');
+        expect(sources.openMeteo.available).toBe(false);
+        expect(await storage.getAllKeys()).toHaveLength(4);
+        expect(await engine.pruneCache()).toBe(0);
+    });
+});
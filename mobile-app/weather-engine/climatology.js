@@ -0,0 +1,173 @@
+import { validateWeatherValue } from './validation.js';
+import { fromDateKey, daysBetween } from './dates.js';
+import { getRiskThresholds, SEVERITY_LEVELS } from './thresholds.js';
+import { estimateAfternoonHumidity } from './comfort.js';
+
+const ARCHIVE_URL = 'https://archive-api.open-meteo.com/v1/archive';
+const DAILY_VARIABLES = 'temperature_2m_max,temperature_2m_min,windspeed_10m_max,precipitation_sum,relative_humidity_2m_max';
+
+export const CLIMATOLOGY_YEARS = 30;
+export const CLIMATOLOGY_WINDOW_DAYS = 7;
+
+const parseSample = (daily, index) => ({
+    date: daily.time[index],
+    tempMax: validateWeatherValue(daily.temperature_2m_max?.[index], -50, 60),
+    tempMin: validateWeatherValue(daily.temperature_2m_min?.[index], -50, 60),
+    windSpeed: validateWeatherValue(daily.windspeed_10m_max?.[index], 0, 200),
+    precipitation: validateWeatherValue(daily.precipitation_sum?.[index], 0, 500),
+    humidity: validateWeatherValue(daily.relative_humidity_2m_max?.[index], 0, 100)
+});
+
+// Distance in days from `day` to the selected calendar day in the nearest year
+const dayOfYearDistance = (day, selectedDate) => {
+    const year = day.getFullYear();
+    return Math.min(...[year - 1, year, year + 1].map(anchorYear =>
+        Math.abs(daysBetween(new Date(anchorYear, selectedDate.getMonth(), selectedDate.getDate()), day))));
+};
+
+// The last `years` full years of daily archive data at a location, as the API's column arrays.
+// One download serves the climatology of every calendar day there (see selectClimatologyWindow).
+export const fetchClimatologyHistory = async (lat, lon, { http, clock }, { years = CLIMATOLOGY_YEARS } = {}) => {
+    const endYear = clock.now().getFullYear() - 1;
+    const startYear = endYear - years + 1;
+
+    const response = await http.get(ARCHIVE_URL, {
+        params: {
+            latitude: lat,
+            longitude: lon,
+            start_date: `${startYear}-01-01`,
+            end_date: `${endYear}-12-31`,
+            daily: DAILY_VARIABLES,
+            timezone: 'auto',
+            elevation: 'nan'
+        },
+        timeout: 30000
+    });
+
+    const daily = response.data?.daily;
+    return daily?.time?.length ? { daily, startYear, endYear } : null;
+};
+
+// Every day of the history within ±windowDays of the selected calendar day
+export const selectClimatologyWindow = (history, selectedDate, { windowDays = CLIMATOLOGY_WINDOW_DAYS } = {}) => {
+    if (!history?.daily?.time) return null;
+    const { daily, startYear, endYear } = history;
+
+    const samples = [];
+    daily.time.forEach((dateKey, index) => {
+        if (dayOfYearDistance(fromDateKey(dateKey), selectedDate) <= windowDays) {
+            samples.push(parseSample(daily, index));
+        }
+    });
+
+    return samples.length > 0 ? { samples, startYear, endYear, windowDays } : null;
+};
+
+// History and window in one go, for a single date
+export const fetchClimatologySamples = async (lat, lon, selectedDate, deps,
+    { years = CLIMATOLOGY_YEARS, windowDays = CLIMATOLOGY_WINDOW_DAYS } = {}) =>
+    selectClimatologyWindow(await fetchClimatologyHistory(lat, lon, deps, { years }), selectedDate, { windowDays });
+
+const mean = (values) => {
+    const valid = values.filter(value => value !== null);
+    return valid.length > 0 ? valid.reduce((sum, value) => sum + value, 0) / valid.length : null;
+};
+
+// Climatological normals for the window
+export const summarizeClimatology = (climatology) => ({
+    startYear: climatology.startYear,
+    endYear: climatology.endYear,
+    windowDays: climatology.windowDays,
+    sampleSize: climatology.samples.length,
+    tempMax: mean(climatology.samples.map(sample => sample.tempMax)),
+    tempMin: mean(climatology.samples.map(sample => sample.tempMin)),
+    windSpeed: mean(climatology.samples.map(sample => sample.windSpeed)),
+    precipitation: mean(climatology.samples.map(sample => sample.precipitation)),
+    humidity: mean(climatology.samples.map(sample => sample.humidity))
+});
+
+// Fraction of samples (with the needed fields present) for which `test` holds
+export const exceedanceProbability = (samples, fields, test) => {
+    const usable = samples.filter(sample => fields.every(field => sample[field] !== null));
+    if (usable.length === 0) return { probability: null, count: 0, sampleSize: 0 };
+    const count = usable.filter(test).length;
+    return { probability: count / usable.length, count, sampleSize: usable.length };
+};
+
+// One historical "event" per category and severity, phrased the way it is displayed
+const buildRiskEvents = (activity) => {
+    const thresholds = getRiskThresholds(activity);
+    const simpleEvents = (levels, field, comparison, describe) => SEVERITY_LEVELS
+        .filter(severity => levels[severity] !== undefined)
+        .map(severity => ({
+            severity,
+            fields: [field],
+            description: describe(levels[severity]),
+            test: comparison === '<' ?
+                (sample) => sample[field] < levels[severity] :
+                (sample) => sample[field] > levels[severity]
+        }));
+
+    const comfort = thresholds.comfort;
+    const comfortEvents = SEVERITY_LEVELS.map(severity => ({
+        severity,
+        fields: ['humidity', 'tempMax', 'tempMin'],
+        description: `afternoon humidity > ${comfort[severity].humidity}% with max temp > ${comfort[severity].maxTemp}°C`,
+        // Archive days only carry the maximum humidity, which comes with the overnight low
+        test: (sample) => estimateAfternoonHumidity(sample.tempMax, sample.tempMin, sample.humidity) > comfort[severity].humidity &&
+            sample.tempMax > comfort[severity].maxTemp
+    }));
+
+    return {
+        hot: simpleEvents(thresholds.hot, 'tempMax', '>', (value) => `max temp > ${value}°C`),
+        cold: simpleEvents(thresholds.cold, 'tempMin', '<', (value) => `min temp < ${value}°C`),
+        wind: simpleEvents(thresholds.wind, 'windSpeed', '>', (value) => `max wind > ${value} km/h`),
+        wet: simpleEvents(thresholds.wet, 'precipitation', '>', (value) => `precipitation > ${value} mm`),
+        comfort: comfortEvents
+    };
+};
+
+// What "not SAFE" means for a category: the MODERATE threshold, or for comfort any of its rules
+const describeAnyRisk = (category, events, activity) => {
+    if (category !== 'comfort') {
+        return (events.find(event => event.severity === 'MODERATE') || events[events.length - 1]).description;
+    }
+    const { HIGH, MODERATE } = getRiskThresholds(activity).comfort;
+    return `afternoon humidity > ${HIGH.humidity}% above ${HIGH.maxTemp}°C or > ${MODERATE.humidity}% above ${MODERATE.maxTemp}°C`;
+};
+
+const formatProbability = (probability) => `${Math.round(probability * 100)}%`;
+
+// Per category: probability of reaching each severity, plus the headline "at least MODERATE" figure
+export const getRiskLikelihoods = (climatology, activity) => {
+    if (!climatology?.samples?.length) return null;
+    const years = climatology.endYear - climatology.startYear + 1;
+    const likelihoods = {};
+
+    Object.entries(buildRiskEvents(activity)).forEach(([category, events]) => {
+        const levels = events.map(event => {
+            const { probability, sampleSize } = exceedanceProbability(climatology.samples, event.fields, event.test);
+            return {
+                severity: event.severity,
+                description: event.description,
+                probability,
+                sampleSize,
+                label: probability === null ? null : `P(${event.description}) = ${formatProbability(probability)}`
+            };
+        });
+
+        const anyRisk = exceedanceProbability(climatology.samples, events[0].fields,
+            (sample) => events.some(event => event.test(sample)));
+
+        likelihoods[category] = {
+            probability: anyRisk.probability,
+            label: anyRisk.probability === null ? null :
+                `P(${describeAnyRisk(category, events, activity)}) = ${formatProbability(anyRisk.probability)}`,
+            levels,
+            sampleSize: anyRisk.sampleSize,
+            years
+        };
+    });
+
+    return likelihoods;
+};
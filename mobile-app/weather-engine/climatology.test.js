@@ -0,0 +1,89 @@
+import {
+    fetchClimatologyHistory, selectClimatologyWindow, summarizeClimatology, exceedanceProbability, getRiskLikelihoods
+} from './climatology.js';
+import { createWeatherEngine } from './engine.js';
+import { createMemoryStorage } from './cache.js';
+import { fixedClock } from './clock.js';
+import { addDays } from './dates.js';
+import { createReplayHttp, FIXTURE_LOCATION, FIXTURE_NOW } from './__fixtures__/replay.js';
+
+const { lat, lon } = FIXTURE_LOCATION;
+const clock = fixedClock(FIXTURE_NOW);
+const OUTLOOK_DATE = new Date(2026, 7, 1);
+
+const isHistoryRequest = (call) => call.url === 'https://archive-api.open-meteo.com/v1/archive' && call.params.start_date.endsWith('-01-01');
+
+describe('climatology history', () => {
+    it('requests the last 30 full years once', async () => {
+        const http = createReplayHttp();
+        const history = await fetchClimatologyHistory(lat, lon, { http, clock });
+
+        expect(http.calls[0].params).toMatchObject({ start_date: '1996-01-01', end_date: '2025-12-31' });
+        expect(history).toMatchObject({ startYear: 1996, endYear: 2025 });
+    });
+
+    it('slices ±7 days around the calendar day of every year', async () => {
+        const history = await fetchClimatologyHistory(lat, lon, { http: createReplayHttp(), clock });
+        const window = selectClimatologyWindow(history, OUTLOOK_DATE);
+
+        // The recording holds three summers
+        expect(window.samples).toHaveLength(45);
+        expect(window.samples[0].date).toBe('2023-07-25');
+        expect(window.samples[44].date).toBe('2025-08-08');
+        expect(window).toMatchObject({ startYear: 1996, endYear: 2025, windowDays: 7 });
+    });
+
+    it('wraps the window around the new year', () => {
+        const history = {
+            startYear: 2024,
+            endYear: 2025,
+            daily: { time: ['2024-12-20', '2024-12-28', '2025-01-03', '2025-01-12'], temperature_2m_max: [1, 2, 3, 4] }
+        };
+        const window = selectClimatologyWindow(history, new Date(2026, 0, 1));
+        expect(window.samples.map(sample => sample.date)).toEqual(['2024-12-28', '2025-01-03']);
+    });
+});
+
+describe('likelihoods', () => {
+    it('counts the samples exceeding a threshold', () => {
+        const samples = [{ tempMax: 28 }, { tempMax: 31 }, { tempMax: 33 }, { tempMax: null }];
+        expect(exceedanceProbability(samples, ['tempMax'], sample => sample.tempMax > 30))
+            .toEqual({ probability: 2 / 3, count: 2, sampleSize: 3 });
+    });
+
+    it('labels each category with its historical probability', async () => {
+        const history = await fetchClimatologyHistory(lat, lon, { http: createReplayHttp(), clock });
+        const window = selectClimatologyWindow(history, OUTLOOK_DATE);
+        const likelihoods = getRiskLikelihoods(window, 'hiking');
+
+        expect(Object.keys(likelihoods)).toEqual(['hot', 'cold', 'wind', 'wet', 'comfort']);
+        expect(likelihoods.hot.years).toBe(30);
+        expect(likelihoods.hot.label).toMatch(/^P\(max temp > \d+°C\) = \d+%$/);
+        expect(summarizeClimatology(window).sampleSize).toBe(45);
+    });
+});
+
+describe('engine climatology', () => {
+    it('downloads the history once for a run of outlook days', async () => {
+        const http = createReplayHttp();
+        const storage = createMemoryStorage();
+        const engine = createWeatherEngine({ http, clock, storage });
+
+        for (let offset = 0; offset < 5; offset++) {
+            const { weather, sources } = await engine.analyze(lat, lon, addDays(OUTLOOK_DATE, offset), 'hiking');
+            expect(sources.openMeteo).toMatchObject({ available: true, mode: 'climatology' });
+            expect(weather.climatology.sampleSize).toBeGreaterThan(0);
+        }
+        expect(http.calls.filter(isHistoryRequest)).toHaveLength(1);
+        // Cached under the location alone
+        expect(await storage.getItem('weather-cache:v1:climatologyHistory:40.01,-105.27')).not.toBeNull();
+    });
+
+    it('gives the outlook day the normals of its window', async () => {
+        const engine = createWeatherEngine({ http: createReplayHttp(), clock });
+        const { sources, weather } = await engine.analyze(lat, lon, OUTLOOK_DATE, 'hiking');
+
+        expect(sources.openMeteo.data.tempMax).toBeCloseTo(weather.climatology.tempMax);
+        expect(weather.metrics.maxTemp.value).toBeCloseTo(weather.climatology.tempMax);
+    });
+});
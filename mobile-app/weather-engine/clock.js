@@ -0,0 +1,9 @@
+// Clocks are injected so analysis can be replayed for a fixed "now" in scripts and CI.
+
+export const systemClock = {
+    now: () => new Date()
+};
+
+export const fixedClock = (date) => ({
+    now: () => new Date(date)
+});
@@ -0,0 +1,357 @@
+import { getActivityProfile, DEFAULT_GEAR } from './activities.js';
+
+export const generateClothingAdvice = (weatherData, activity, currentTime = new Date()) => {
+    const advice = [];
+    const currentHour = currentTime.getHours();
+
+    // Clothing reads the structured metrics from analyzeWeatherRisks (demo weather has none)
+    if (!weatherData?.metrics) return advice;
+
+    const { metrics } = weatherData;
+    const { traits, gear: activityGear } = getActivityProfile(activity);
+    const gear = { ...DEFAULT_GEAR, ...activityGear };
+    const maxTemp = metrics.maxTemp.value;
+    const minTemp = metrics.minTemp.value;
+    const windSpeed = metrics.windSpeed.value;
+    const precipitation = metrics.precipitation.value;
+    const humidity = metrics.humidity.value;
+    const heatIndex = metrics.heatIndex.value;
+    const windChill = metrics.windChill?.value ?? minTemp;
+    const uvIndex = metrics.uvIndex?.value ?? null;
+    const snowfall = metrics.snowfall?.value ?? 0;
+    const snowDepth = metrics.snowDepth?.value ?? 0;
+    const freezingRain = metrics.freezingRain?.value ?? 0;
+    const icyHours = metrics.icyHours?.value ?? 0;
+
+    // Enhanced validation function to filter out invalid API values
+    const isValidValue = (value, min = -100, max = 100) => {
+        if (value === null || value === undefined || isNaN(value)) return false;
+        if (value === -9999 || value === -999 || value === -99.9 || value === -999.0) return false;
+        if (value < min || value > max) return false;
+        return true;
+    };
+
+    const contributingSources = [...new Set(Object.values(metrics).flatMap(metric => metric.sources))];
+    const dataSource = contributingSources.length > 0 ? `Ensemble of ${contributingSources.join(' + ')}` : 'Default';
+
+    // ADVANCED WEATHER ANALYTICS with validation
+    const comfortIndex = isValidValue(maxTemp) && isValidValue(minTemp) ?
+        (maxTemp + minTemp) / 2 : 20;
+    const weatherSeverity = {
+        rain: precipitation > 25 ? 'EXTREME' : precipitation > 15 ? 'HIGH' : precipitation > 5 ? 'MODERATE' : 'LOW',
+        heat: heatIndex > 35 ? 'EXTREME' : heatIndex > 30 ? 'HIGH' : heatIndex > 25 ? 'MODERATE' : 'LOW',
+        cold: windChill < -10 ? 'EXTREME' : windChill < 0 ? 'HIGH' : windChill < 5 ? 'MODERATE' : 'LOW',
+        wind: windSpeed > 40 ? 'EXTREME' : windSpeed > 25 ? 'HIGH' : windSpeed > 15 ? 'MODERATE' : 'LOW'
+    };
+
+    // DATA ANALYTICS SUMMARY with validation
+    const formatValue = (value, unit, validRange) => {
+        return isValidValue(value, validRange[0], validRange[1]) ?
+            `${value.toFixed(1)}${unit}` : `No Data`;
+    };
+
+    const tempRange = isValidValue(minTemp, -50, 60) && isValidValue(maxTemp, -50, 60) ?
+        `${minTemp.toFixed(1)}°C-${maxTemp.toFixed(1)}°C` : 'No Data';
+
+    advice.push({
+        category: "Weather Analytics",
+        icon: "📊",
+        recommendation: `Data Source: ${dataSource}. Temp: ${tempRange}, Heat Index: ${formatValue(heatIndex, '°C', [-50, 70])}, Wind Chill: ${formatValue(windChill, '°C', [-50, 60])}, Precipitation: ${formatValue(precipitation, 'mm', [0, 500])}, Wind: ${formatValue(windSpeed, 'km/h', [0, 200])}, Humidity: ${formatValue(humidity, '%', [0, 100])}`,
+        priority: "analytics"
+    });
+
+    // 🌧️ RAINFALL INTENSITY-BASED CLOTHING (Analytics-Driven)
+    if (precipitation > 0.5) {
+        let rainGear = "";
+        let rainIcon = "";
+        const rainSeverity = weatherSeverity.rain;
+
+        if (precipitation > 25) {
+            // HEAVY RAINFALL (25+ mm) - EXTREME SEVERITY
+            rainIcon = "🌧️";
+            rainGear = `HEAVY RAINFALL (${isValidValue(precipitation, 0, 500) ? precipitation.toFixed(1) + 'mm' : 'Heavy Rain'}): Waterproof raincoat with sealed seams + Large umbrella ${isValidValue(windSpeed) && windSpeed > 20 ? '(wind-resistant design)' : ''} + Waterproof boots + Rain pants + Waterproof bag covers. Avoid cotton, denim, suede. ${isValidValue(humidity) && humidity > 85 ? 'High humidity - choose breathable waterproof materials.' : ''}`;
+        } else if (precipitation > 15) {
+            // MODERATE RAINFALL (15-25 mm) - HIGH SEVERITY
+            rainIcon = "🌦️";
+            rainGear = `MODERATE RAIN (${isValidValue(precipitation, 0, 500) ? precipitation.toFixed(1) + 'mm' : 'Moderate Rain'}): Raincoat with hood + Compact umbrella + Water-resistant shoes + Quick-dry clothing. ${isValidValue(windSpeed) && windSpeed > 20 ? 'Strong winds detected - secure umbrella or avoid.' : 'Light winds - umbrella safe to use.'}`;
+        } else if (precipitation > 5) {
+            // LIGHT RAINFALL (5-15 mm) - MODERATE SEVERITY
+            rainIcon = "☔";
+            rainGear = `LIGHT RAIN (${isValidValue(precipitation, 0, 500) ? precipitation.toFixed(1) + 'mm' : 'Light Rain'}): Light rain jacket/windbreaker + Small umbrella + Water-resistant footwear. ${isValidValue(humidity) && humidity > 80 ? 'High humidity - choose breathable materials.' : 'Normal humidity levels.'}`;
+        } else {
+            // DRIZZLE (0.5-5 mm) - LOW SEVERITY
+            rainIcon = "🌦️";
+            rainGear = `DRIZZLE (${isValidValue(precipitation, 0, 500) ? precipitation.toFixed(1) + 'mm' : 'Light Drizzle'}): Light jacket with hood + Optional umbrella + Regular shoes with good grip. ${isValidValue(comfortIndex) && comfortIndex < 15 ? 'Cool conditions - layer appropriately.' : 'Mild conditions.'}`;
+        }
+
+        advice.push({
+            category: `Rain Protection (${rainSeverity} Risk)`,
+            icon: rainIcon,
+            recommendation: rainGear,
+            priority: "essential"
+        });
+    }
+
+    // ☀️ SUNNY WEATHER INTENSITY-BASED CLOTHING (Analytics-Driven)
+    if (maxTemp > 20 && precipitation < 2) {
+        let sunGear = "";
+        let sunIcon = "";
+        const heatSeverity = weatherSeverity.heat;
+
+        if (maxTemp > 35) {
+            // EXTREME HEAT (35+ °C) - EXTREME SEVERITY
+            sunIcon = "🔥";
+            const tempDisplay = isValidValue(maxTemp, -50, 60) ? maxTemp.toFixed(1) + '°C' : 'Hot';
+            const heatDisplay = isValidValue(heatIndex, -50, 70) ? heatIndex.toFixed(1) + '°C' : 'Very Hot';
+            sunGear = `EXTREME HEAT (${tempDisplay}, feels like ${heatDisplay}): Wide-brimmed hat + UV-blocking sunglasses + Long-sleeve UV shirt + Cooling towel + Electrolyte drinks. ${isValidValue(humidity) && humidity > 70 ? 'High humidity increases heat stress.' : ''} ${isValidValue(windSpeed) && windSpeed < 5 ? 'No wind relief - seek AC.' : 'Light breeze provides some relief.'}`;
+        } else if (maxTemp > 30) {
+            // HOT WEATHER (30-35 °C) - HIGH SEVERITY
+            sunIcon = "☀️";
+            const tempDisplay = isValidValue(maxTemp, -50, 60) ? maxTemp.toFixed(1) + '°C' : 'Hot';
+            const heatDisplay = isValidValue(heatIndex, -50, 70) ? heatIndex.toFixed(1) + '°C' : 'Hot';
+            sunGear = `HOT WEATHER (${tempDisplay}, feels like ${heatDisplay}): Baseball cap/sun hat + Sunglasses + Light-colored clothing + Sunscreen SPF 30+. ${traits.heavyExertion ? 'High exertion activity - extra cooling needed.' : ''} ${isValidValue(humidity) && humidity > 60 ? 'Moderate humidity - stay hydrated.' : ''}`;
+        } else if (maxTemp > 25) {
+            // WARM WEATHER (25-30 °C) - MODERATE SEVERITY
+            sunIcon = "�️";
+            const tempDisplay = isValidValue(maxTemp, -50, 60) ? maxTemp.toFixed(1) + '°C' : 'Warm';
+            sunGear = `WARM WEATHER (${tempDisplay}): Cap/hat + Sunglasses + Breathable fabrics + Light layers. ${currentHour >= 10 && currentHour <= 16 ? 'Peak UV hours - extra protection needed.' : 'Lower UV exposure time.'}`;
+        } else {
+            // MILD SUNNY (20-25 °C) - LOW SEVERITY
+            sunIcon = "🌞";
+            const tempDisplay = isValidValue(maxTemp, -50, 60) ? maxTemp.toFixed(1) + '°C' : 'Mild';
+            sunGear = `MILD SUN (${tempDisplay}): Optional cap + Sunglasses for bright conditions + Comfortable clothing. ${isValidValue(windSpeed) && windSpeed > 10 ? 'Breezy conditions - light layers recommended.' : 'Calm conditions.'}`;
+        }
+
+        advice.push({
+            category: `Sun Protection (${heatSeverity} Risk)`,
+            icon: sunIcon,
+            recommendation: sunGear,
+            priority: "essential"
+        });
+    }
+
+    // 🕶️ UV PROTECTION (from the UV index, whatever the temperature - cold summits burn too)
+    if (isValidValue(uvIndex, 0, 20) && uvIndex >= 3) {
+        const uvLevel = uvIndex >= 8 ? 'VERY HIGH' : uvIndex >= 6 ? 'HIGH' : 'MODERATE';
+        advice.push({
+            category: `UV Protection (UV ${uvIndex.toFixed(0)})`,
+            icon: "🕶️",
+            recommendation: `${uvLevel} UV: ${uvIndex >= 6 ? 'SPF 50+ sunscreen + Wide-brimmed hat + Long-sleeve UPF shirt' : 'SPF 30+ sunscreen + Cap/hat'} + UV-blocking sunglasses + Lip balm with SPF. ${traits.mountain ? 'UV rises with altitude and doubles near snow - reapply every 2 hours.' : traits.onWater ? 'Water glare adds UV from below - use polarized glasses and a neck gaiter.' : 'Reapply sunscreen every 2 hours.'}`,
+            priority: "essential"
+        });
+    }
+
+    // 🥶 WINTER/COLD INTENSITY-BASED CLOTHING (Analytics-Driven)
+    if (isValidValue(minTemp) && minTemp < 15) {
+        let winterGear = "";
+        let winterIcon = "";
+        const coldSeverity = weatherSeverity.cold;
+
+        if (minTemp < -10) {
+            // EXTREME COLD (-10°C and below) - EXTREME SEVERITY
+            winterIcon = "🧊";
+            winterGear = `EXTREME COLD (${minTemp.toFixed(1)}°C, feels like ${windChill.toFixed(1)}°C): Heavy winter coat + Thermal underwear + Insulated boots + Warm hat + Insulated gloves + Scarf + Face protection. ${windSpeed > 20 ? 'Strong winds increase frostbite risk.' : ''} ${humidity > 80 ? 'High humidity may cause ice formation.' : ''}`;
+        } else if (minTemp < 0) {
+            // FREEZING (0 to -10°C) - HIGH SEVERITY
+            winterIcon = "❄️";
+            winterGear = `FREEZING (${minTemp.toFixed(1)}°C, feels like ${windChill.toFixed(1)}°C): Winter coat + Sweater + Warm boots + Beanie/winter hat + Gloves + Scarf. ${traits.mountain ? 'Trail conditions may be icy - proper footwear essential.' : ''} ${windSpeed > 15 ? 'Wind chill factor significant.' : ''}`;
+        } else if (minTemp < 5) {
+            // VERY COLD (0-5°C) - MODERATE SEVERITY
+            winterIcon = "🥶";
+            winterGear = `VERY COLD (${minTemp.toFixed(1)}°C, feels like ${windChill.toFixed(1)}°C): Heavy sweater/coat + Long pants + Closed shoes + Light gloves + Warm hat. ${humidity > 70 ? 'High humidity may feel colder.' : ''} ${maxTemp - minTemp > 15 ? 'Large temperature range - layer clothing.' : ''}`;
+        } else if (minTemp < 10) {
+            // COLD (5-10°C) - MODERATE SEVERITY
+            winterIcon = "🧥";
+            winterGear = `COLD (${minTemp.toFixed(1)}°C): Sweater/light coat + Long sleeves + Jeans/long pants + Closed shoes. ${windSpeed > 20 ? 'Windy conditions - windproof outer layer recommended.' : ''} ${traits.onWheels ? 'Wind chill from movement - extra protection needed.' : ''}`;
+        } else {
+            // COOL (10-15°C) - LOW SEVERITY
+            winterIcon = "🧥";
+            winterGear = `COOL (${minTemp.toFixed(1)}°C): Light sweater/cardigan + Long sleeves + Comfortable pants + Regular shoes. ${maxTemp > 20 ? 'Temperature will rise - layering recommended.' : 'Stable cool conditions.'}`;
+        }
+
+        advice.push({
+            category: `Cold Protection (${coldSeverity} Risk)`,
+            icon: winterIcon,
+            recommendation: winterGear,
+            priority: "essential"
+        });
+    }
+
+    // 👕 BASE LAYER (Temperature-based)
+    let baseLayer = "";
+    if (!isValidValue(maxTemp)) {
+        baseLayer = "No temperature data - bring layers you can add or remove.";
+    } else if (maxTemp > 30) {
+        baseLayer = "Light, moisture-wicking t-shirt or tank top. Breathable cotton or synthetic blends.";
+    } else if (maxTemp > 20) {
+        baseLayer = "Comfortable t-shirt or light blouse. Cotton or cotton-blend materials.";
+    } else if (maxTemp > 10) {
+        baseLayer = "Long-sleeve shirt or light sweater. Layering-friendly materials.";
+    } else {
+        baseLayer = "Thermal underwear or warm base layer. Merino wool or synthetic thermal materials.";
+    }
+
+    advice.push({
+        category: "Base Layer",
+        icon: "👕",
+        recommendation: baseLayer,
+        priority: "essential"
+    });
+
+    // 💨 WIND INTENSITY-BASED CLOTHING
+    if (windSpeed > 15) {
+        let windGear = "";
+        let windIcon = "";
+
+        if (windSpeed > 40) {
+            // EXTREME WIND (40+ km/h)
+            windIcon = "🌪️";
+            windGear = "EXTREME WIND: Heavy windproof jacket + Secure hat with chin strap + Wind-resistant pants + Sturdy footwear. Avoid loose clothing.";
+        } else if (windSpeed > 30) {
+            // STRONG WIND (30-40 km/h)
+            windIcon = "💨";
+            windGear = "STRONG WIND: Windbreaker or wind-resistant jacket + Secure accessories + Avoid umbrellas + Closed shoes.";
+        } else if (windSpeed > 20) {
+            // MODERATE WIND (20-30 km/h)
+            windIcon = "🌬️";
+            windGear = "MODERATE WIND: Light windbreaker + Secure loose items + Wind-resistant materials.";
+        } else {
+            // LIGHT WIND (15-20 km/h)
+            windIcon = "🍃";
+            windGear = "LIGHT WIND: Light jacket or cardigan + Secure accessories + Comfortable layers.";
+        }
+
+        advice.push({
+            category: "Wind Protection",
+            icon: windIcon,
+            recommendation: windGear,
+            priority: "important"
+        });
+    }
+
+    // 👟 FOOTWEAR (Weather & Activity-specific)
+    let footwear = "";
+    if (precipitation > 15) {
+        footwear = "HEAVY RAIN: Waterproof rain boots + Avoid leather, suede, or canvas materials.";
+    } else if (precipitation > 5) {
+        footwear = "LIGHT RAIN: Water-resistant shoes or boots + Non-slip soles essential.";
+    } else if (isValidValue(minTemp) && minTemp < -5) {
+        footwear = "EXTREME COLD: Insulated winter boots with thermal lining + Ice grips recommended.";
+    } else if (isValidValue(minTemp) && minTemp < 5) {
+        footwear = "COLD: Warm boots or closed shoes + Thick socks + Waterproof materials.";
+    } else if (maxTemp > 35) {
+        footwear = "EXTREME HEAT: Breathable sandals or mesh sneakers + Light-colored materials.";
+    } else if (maxTemp > 28) {
+        footwear = "HOT: Breathable sneakers or sandals + Light colors to reflect heat.";
+    } else {
+        footwear = gear.footwear;
+    }
+
+    advice.push({
+        category: "Footwear",
+        icon: "👟",
+        recommendation: footwear,
+        priority: "essential"
+    });
+
+    // 🧊 TRACTION & SNOW GEAR (icy surfaces, freezing rain, fresh or lying snow)
+    const icy = icyHours > 0 || freezingRain > 0;
+    const snowy = snowfall > 2 || snowDepth > 10;
+    if (icy || snowy) {
+        const traction = [];
+        if (icy) traction.push(gear.traction);
+        if (snowy) traction.push(gear.deepSnow && (snowDepth > 30 || snowfall > 15) ? gear.deepSnow : gear.snow);
+        const condition = freezingRain > 0 ? 'FREEZING RAIN' : icy ? 'ICY SURFACES' : 'SNOW';
+
+        advice.push({
+            category: "Traction & Snow Gear",
+            icon: "🧊",
+            recommendation: `${condition}: ${traction.join(' + ')}. ${freezingRain > 0 ? 'Glaze ice covers every surface - take short, flat-footed steps.' : ''} ${snowy ? gear.snowTip : ''}`,
+            priority: "essential"
+        });
+    }
+
+    // 🕶️ Accessories & Protection
+    const accessories = [];
+
+    if (maxTemp > 25 || currentHour >= 10 && currentHour <= 16) {
+        accessories.push("UV-protection sunglasses");
+        accessories.push("Wide-brimmed hat or cap");
+    }
+
+    if (precipitation > 2) {
+        accessories.push("Compact umbrella");
+    }
+
+    if (windSpeed > 15) {
+        accessories.push("Scarf or neck warmer");
+    }
+
+    if (isValidValue(minTemp) && minTemp < 10) {
+        accessories.push("Warm gloves or mittens");
+        accessories.push("Insulated hat or beanie");
+    }
+
+    if (maxTemp > 30) {
+        accessories.push("Cooling towel or bandana");
+    }
+
+    if (accessories.length > 0) {
+        advice.push({
+            category: "Accessories",
+            icon: "🕶️",
+            recommendation: accessories.join(", ") + ".",
+            priority: "helpful"
+        });
+    }
+
+    // 🎒 Activity-Specific Gear
+    advice.push({
+        category: "Activity Gear",
+        icon: "🎒",
+        recommendation: gear.kit,
+        priority: "activity-specific"
+    });
+
+    // 💡 Smart Wardrobe Tips
+    const tips = [];
+
+    if (isValidValue(maxTemp) && isValidValue(minTemp) && maxTemp - minTemp > 10) {
+        tips.push("Layer clothing for temperature changes throughout the day");
+    }
+
+    if (humidity > 70) {
+        tips.push("Choose breathable, moisture-wicking fabrics to stay comfortable");
+    }
+
+    if (maxTemp > 25) {
+        tips.push("Light colors reflect heat better than dark colors");
+    }
+
+    if (precipitation > 1) {
+        tips.push("Avoid white or light-colored bottoms that show water stains");
+    }
+
+    if (windSpeed > 20) {
+        tips.push("Secure loose clothing and accessories that might blow away");
+    }
+
+    if (tips.length > 0) {
+        advice.push({
+            category: "Smart Tips",
+            icon: "💡",
+            recommendation: tips.join(". ") + ".",
+            priority: "helpful"
+        });
+    }
+
+    // 📱 AR & Tech Integration Placeholder
+    advice.push({
+        category: "Tech Integration",
+        icon: "📱",
+        recommendation: "Future: Point camera at wardrobe for AI outfit suggestions based on weather conditions.",
+        priority: "future"
+    });
+
+    return advice;
+};
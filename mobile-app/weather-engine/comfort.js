@@ -0,0 +1,105 @@
+// Thermal-comfort indices. Every index takes coincident inputs (one hour's temperature,
+// humidity and wind), so the daily values are the worst hour rather than a mix of the day's
+// maximum temperature and its maximum humidity.
+
+const isKnown = (value) => value !== null && value !== undefined;
+
+const toFahrenheit = (celsius) => celsius * 9 / 5 + 32;
+const toCelsius = (fahrenheit) => (fahrenheit - 32) * 5 / 9;
+
+// Magnus coefficients over water (Alduchov & Eskridge 1996)
+const MAGNUS_A = 17.625;
+const MAGNUS_B = 243.04;
+
+// Saturation vapour pressure (hPa)
+const saturationVapourPressure = (temperature) => 6.1094 * Math.exp(MAGNUS_A * temperature / (MAGNUS_B + temperature));
+
+// Dew point (°C) from temperature (°C) and relative humidity (%)
+export const calculateDewPoint = (temperature, humidity) => {
+    if (!isKnown(temperature) || !isKnown(humidity) || humidity <= 0) return null;
+    const gamma = Math.log(humidity / 100) + MAGNUS_A * temperature / (MAGNUS_B + temperature);
+    return MAGNUS_B * gamma / (MAGNUS_A - gamma);
+};
+
+// Relative humidity (%) of air at `temperature` with the given dew point
+export const calculateRelativeHumidity = (temperature, dewPoint) => {
+    if (!isKnown(temperature) || !isKnown(dewPoint)) return null;
+    return Math.min(100, 100 * saturationVapourPressure(dewPoint) / saturationVapourPressure(temperature));
+};
+
+// NWS heat index (°C): Steadman's simple formula, and the Rothfusz regression with its low- and
+// high-humidity adjustments once the simple value reaches 80°F
+export const calculateHeatIndex = (temperature, humidity) => {
+    if (!isKnown(temperature) || !isKnown(humidity)) return null;
+    const t = toFahrenheit(temperature);
+    const rh = humidity;
+    const simple = 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094);
+    if ((simple + t) / 2 < 80) return toCelsius(simple);
+
+    let index = -42.379 + 2.04901523 * t + 10.14333127 * rh - 0.22475541 * t * rh -
+        0.00683783 * t * t - 0.05481717 * rh * rh + 0.00122874 * t * t * rh +
+        0.00085282 * t * rh * rh - 0.00000199 * t * t * rh * rh;
+    if (rh < 13 && t >= 80 && t <= 112) {
+        index -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+    } else if (rh > 85 && t >= 80 && t <= 87) {
+        index += ((rh - 85) / 10) * ((87 - t) / 5);
+    }
+    return toCelsius(index);
+};
+
+// NWS/Environment Canada wind chill (°C, wind in km/h at 10 m). Defined at or below 10°C with
+// wind over 4.8 km/h; otherwise the air temperature.
+export const calculateWindChill = (temperature, windSpeed) => {
+    if (!isKnown(temperature)) return null;
+    if (temperature > 10 || !isKnown(windSpeed) || windSpeed <= 4.8) return temperature;
+    const wind = Math.pow(windSpeed, 0.16);
+    return 13.12 + 0.6215 * temperature - 11.37 * wind + 0.3965 * temperature * wind;
+};
+
+// Water vapour pressure (hPa) of the air
+const vapourPressure = (temperature, humidity) => humidity / 100 * saturationVapourPressure(temperature);
+
+// Apparent temperature (°C) in the shade, Steadman's formula as used by the Australian Bureau
+// of Meteorology: humidity warms, wind (m/s) cools
+export const calculateApparentTemperature = (temperature, humidity, windSpeed) => {
+    if (!isKnown(temperature) || !isKnown(humidity)) return null;
+    const wind = (windSpeed ?? 0) / 3.6;
+    return temperature + 0.33 * vapourPressure(temperature, humidity) - 0.7 * wind - 4;
+};
+
+// Estimated Wet Bulb Globe Temperature (°C) for moderate sun and light wind (Bureau of
+// Meteorology approximation). A real WBGT needs globe temperature; this tracks it within a
+// couple of degrees and is meant for exertion guidance, not occupational limits.
+export const estimateWbgt = (temperature, humidity) => {
+    if (!isKnown(temperature) || !isKnown(humidity)) return null;
+    return 0.567 * temperature + 0.393 * vapourPressure(temperature, humidity) + 3.94;
+};
+
+// Humidity of one hour, from its dew point when there is one. Elevation correction moves the
+// temperature and dew point together, so the pair stays consistent where the reported relative
+// humidity would not.
+const getHourHumidity = (hour) => (isKnown(hour.dewPoint) && isKnown(hour.temperature) ?
+    calculateRelativeHumidity(hour.temperature, hour.dewPoint) : hour.humidity ?? null);
+
+// All indices for one hourly row
+export const assessHourComfort = (hour) => {
+    const humidity = getHourHumidity(hour);
+    return {
+        humidity,
+        dewPoint: isKnown(hour.dewPoint) ? hour.dewPoint : calculateDewPoint(hour.temperature, humidity),
+        heatIndex: calculateHeatIndex(hour.temperature, humidity),
+        windChill: calculateWindChill(hour.temperature, hour.windSpeed),
+        apparentTemperature: calculateApparentTemperature(hour.temperature, humidity, hour.windSpeed),
+        wbgt: estimateWbgt(hour.temperature, humidity)
+    };
+};
+
+// Hourly rows with their `comfort` indices
+export const annotateComfortHours = (hours) => hours.map(hour => ({ ...hour, comfort: assessHourComfort(hour) }));
+
+// Without hourly data: the daily maximum humidity comes with the overnight low, so the dew
+// point there carries over to the afternoon maximum
+export const estimateAfternoonHumidity = (maxTemp, minTemp, maxHumidity) => {
+    const dewPoint = calculateDewPoint(minTemp, maxHumidity);
+    return dewPoint === null ? maxHumidity : calculateRelativeHumidity(maxTemp, Math.min(dewPoint, maxTemp));
+};
@@ -0,0 +1,69 @@
+import {
+    calculateDewPoint, calculateRelativeHumidity, calculateHeatIndex, calculateWindChill,
+    calculateApparentTemperature, estimateWbgt, assessHourComfort, estimateAfternoonHumidity
+} from './comfort.js';
+import { analyzeWeatherRisks } from './analysis.js';
+import { createWeatherEngine } from './engine.js';
+import { fixedClock } from './clock.js';
+import { createReplayHttp, FIXTURE_LOCATION, FIXTURE_NOW } from './__fixtures__/replay.js';
+
+describe('comfort indices', () => {
+    it('matches the NWS heat index table', () => {
+        // 90°F at 70% is 106°F; below 80°F the simple formula stays near the air temperature
+        expect(calculateHeatIndex(32.2, 70)).toBeCloseTo(41.1, 0);
+        expect(calculateHeatIndex(20, 50)).toBeCloseTo(19.4, 1);
+        expect(calculateHeatIndex(null, 50)).toBeNull();
+    });
+
+    it('matches the wind chill table and only applies in the cold', () => {
+        expect(calculateWindChill(-10, 30)).toBeCloseTo(-19.5, 1);
+        expect(calculateWindChill(15, 30)).toBe(15);
+        expect(calculateWindChill(-10, 3)).toBe(-10);
+    });
+
+    it('converts between humidity and dew point', () => {
+        expect(calculateDewPoint(20, 50)).toBeCloseTo(9.3, 1);
+        expect(calculateRelativeHumidity(20, calculateDewPoint(20, 50))).toBeCloseTo(50);
+        expect(calculateRelativeHumidity(10, 12)).toBe(100);
+    });
+
+    it('warms with humidity and cools with wind in the apparent temperature', () => {
+        expect(calculateApparentTemperature(30, 60, 10)).toBeCloseTo(32.4, 1);
+        expect(calculateApparentTemperature(30, 60, 40)).toBeLessThan(calculateApparentTemperature(30, 60, 10));
+        expect(estimateWbgt(30, 60)).toBeCloseTo(30.9, 1);
+    });
+
+    it('reads the humidity of an hour from its dew point', () => {
+        const comfort = assessHourComfort({ temperature: 30, dewPoint: 20, humidity: 90, windSpeed: 10 });
+        expect(comfort.humidity).toBeCloseTo(55, 0);
+        expect(comfort.heatIndex).toBeGreaterThan(30);
+    });
+
+    it('carries the overnight dew point to the afternoon', () => {
+        // 90% at a 15°C low is a 13.4°C dew point: 36% at 30°C, not 90%
+        expect(estimateAfternoonHumidity(30, 15, 90)).toBeCloseTo(36, 0);
+    });
+});
+
+describe('comfort metrics', () => {
+    it('takes the worst hour when there is hourly data', async () => {
+        const engine = createWeatherEngine({ http: createReplayHttp(), clock: fixedClock(FIXTURE_NOW) });
+        const { weather } = await engine.analyze(FIXTURE_LOCATION.lat, FIXTURE_LOCATION.lon, new Date(2026, 6, 10), 'hiking');
+        const hourlyHeat = weather.timeline.hours.map(hour => assessHourComfort(hour).heatIndex);
+
+        expect(weather.metrics.heatIndex.sources).toEqual(['Open-Meteo hourly']);
+        expect(weather.metrics.heatIndex.value).toBeCloseTo(Math.max(...hourlyHeat));
+        expect(weather.metrics.afternoonHumidity.estimated).toBe(false);
+    });
+
+    it('falls back to the daily values without it', () => {
+        const sources = {
+            openMeteo: { available: true, source: 'Open-Meteo', mode: 'forecast', data: { tempMax: 30, tempMin: 15, windSpeed: 10, precipitation: 0, humidity: 90 } }
+        };
+        const { metrics } = analyzeWeatherRisks(sources, FIXTURE_LOCATION.lat, FIXTURE_LOCATION.lon, FIXTURE_NOW, 'hiking', { currentTime: FIXTURE_NOW });
+
+        expect(metrics.afternoonHumidity.value).toBeCloseTo(36, 0);
+        expect(metrics.heatIndex.value).toBeCloseTo(calculateHeatIndex(30, metrics.afternoonHumidity.value));
+        expect(metrics.heatIndex.sources).toEqual(['Open-Meteo']);
+    });
+});
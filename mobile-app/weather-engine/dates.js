@@ -0,0 +1,39 @@
+// Calendar-date helpers. Weather APIs key daily rows by local "YYYY-MM-DD" strings,
+// so dates are compared by calendar day rather than by timestamp.
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export const toDateKey = (date) => {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+};
+
+export const fromDateKey = (dateKey) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+export const addDays = (date, days) => {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+};
+
+// Whole calendar days from `from` to `to` (negative when `to` is in the past)
+export const daysBetween = (from, to) => {
+    const fromUtc = Date.UTC(from.getFullYear(), from.getMonth(), from.getDate());
+    const toUtc = Date.UTC(to.getFullYear(), to.getMonth(), to.getDate());
+    return Math.round((toUtc - fromUtc) / MS_PER_DAY);
+};
+
+// Calendar day (a local-midnight Date, like fromDateKey) and hour of an instant on a location's
+// clock, `utcOffsetSeconds` east of UTC as Open-Meteo reports it, whatever the device's time zone
+export const toLocationTime = (date, utcOffsetSeconds) => {
+    const shifted = new Date(date.getTime() + utcOffsetSeconds * 1000);
+    return {
+        date: new Date(shifted.getUTCFullYear(), shifted.getUTCMonth(), shifted.getUTCDate()),
+        hour: shifted.getUTCHours()
+    };
+};
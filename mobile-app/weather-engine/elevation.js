@@ -0,0 +1,63 @@
+// Model values describe the mean height of a grid cell, which on mountain terrain can be
+// a thousand metres or more below a summit. These helpers move them to the real elevation of
+// the selected point.
+
+// Standard environmental lapse rate, and the slower fall of the dew point with height
+export const LAPSE_RATE_C_PER_KM = 6.5;
+const DEW_POINT_LAPSE_RATE_C_PER_KM = 1.8;
+
+// Wind over exposed high ground runs well above the smoothed grid value. There is no simple
+// physical law for it, so this is a conservative rule of thumb (+40% per km above the grid),
+// clamped so a wrong elevation cannot produce absurd speeds.
+const WIND_GAIN_PER_KM = 0.4;
+const WIND_FACTOR_RANGE = [0.7, 1.8];
+
+// Differences smaller than this are within the noise of the terrain model
+const MIN_ELEVATION_DELTA_M = 50;
+
+// { pointElevation, gridElevation, deltaM, temperatureOffset, windFactor }, or null when either
+// elevation is unknown or they are too close to matter
+export const getElevationAdjustment = (pointElevation, gridElevation) => {
+    if (pointElevation === null || pointElevation === undefined || gridElevation === null || gridElevation === undefined) {
+        return null;
+    }
+    const deltaM = pointElevation - gridElevation;
+    if (Math.abs(deltaM) < MIN_ELEVATION_DELTA_M) return null;
+
+    const deltaKm = deltaM / 1000;
+    const [minFactor, maxFactor] = WIND_FACTOR_RANGE;
+    return {
+        pointElevation,
+        gridElevation,
+        deltaM,
+        temperatureOffset: -LAPSE_RATE_C_PER_KM * deltaKm,
+        windFactor: Math.min(maxFactor, Math.max(minFactor, 1 + WIND_GAIN_PER_KM * deltaKm))
+    };
+};
+
+export const adjustTemperature = (value, adjustment) =>
+    (value === null || value === undefined || !adjustment ? value : value + adjustment.temperatureOffset);
+
+export const adjustWind = (value, adjustment) =>
+    (value === null || value === undefined || !adjustment ? value : value * adjustment.windFactor);
+
+// Hourly row at the point's elevation
+export const adjustHour = (hour, adjustment) => (adjustment ? {
+    ...hour,
+    temperature: adjustTemperature(hour.temperature, adjustment),
+    dewPoint: hour.dewPoint === null || hour.dewPoint === undefined ? hour.dewPoint :
+        hour.dewPoint - DEW_POINT_LAPSE_RATE_C_PER_KM * adjustment.deltaM / 1000,
+    windSpeed: adjustWind(hour.windSpeed, adjustment),
+    windGusts: adjustWind(hour.windGusts, adjustment)
+} : hour);
+
+// Historical samples at the point's elevation, so likelihoods compare like with like
+export const adjustClimatology = (climatology, adjustment) => (climatology && adjustment ? {
+    ...climatology,
+    samples: climatology.samples.map(sample => ({
+        ...sample,
+        tempMax: adjustTemperature(sample.tempMax, adjustment),
+        tempMin: adjustTemperature(sample.tempMin, adjustment),
+        windSpeed: adjustWind(sample.windSpeed, adjustment)
+    }))
+} : climatology);
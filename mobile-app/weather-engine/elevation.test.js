@@ -0,0 +1,68 @@
+import { getElevationAdjustment, adjustHour, adjustClimatology, LAPSE_RATE_C_PER_KM } from './elevation.js';
+import { fetchElevation } from './sources/elevation.js';
+import { analyzeWeatherRisks } from './analysis.js';
+import { createReplayHttp, createOfflineHttp, FIXTURE_LOCATION, FIXTURE_NOW } from './__fixtures__/replay.js';
+
+const { lat, lon } = FIXTURE_LOCATION;
+
+describe('fetchElevation', () => {
+    it('reads the point from the DEM and the grid cell from the forecast API', async () => {
+        const http = createReplayHttp();
+        const elevation = await fetchElevation(lat, lon, FIXTURE_NOW, { http });
+
+        expect(elevation).toMatchObject({ available: true, pointElevation: 1655, gridElevation: 1689 });
+        expect(http.calls.find(call => call.url.endsWith('/forecast')).params.elevation).toBe('nan');
+    });
+
+    it('is unavailable offline', async () => {
+        expect(await fetchElevation(lat, lon, FIXTURE_NOW, { http: createOfflineHttp() }))
+            .toEqual({ source: 'Open-Meteo elevation (error)', available: false });
+    });
+});
+
+describe('getElevationAdjustment', () => {
+    it('cools by the lapse rate and strengthens the wind with height', () => {
+        const adjustment = getElevationAdjustment(2689, 1689);
+        expect(adjustment.temperatureOffset).toBeCloseTo(-LAPSE_RATE_C_PER_KM);
+        expect(adjustment.windFactor).toBeCloseTo(1.4);
+    });
+
+    it('caps the wind factor', () => {
+        expect(getElevationAdjustment(4500, 500).windFactor).toBe(1.8);
+        expect(getElevationAdjustment(0, 2000).windFactor).toBe(0.7);
+    });
+
+    it('ignores small differences and unknown heights', () => {
+        // The recorded point sits 34 m below its grid cell
+        expect(getElevationAdjustment(1655, 1689)).toBeNull();
+        expect(getElevationAdjustment(null, 1689)).toBeNull();
+    });
+});
+
+describe('adjusted values', () => {
+    const adjustment = getElevationAdjustment(2689, 1689);
+
+    it('moves hourly rows to the point', () => {
+        const hour = adjustHour({ hour: 12, temperature: 20, dewPoint: 10, windSpeed: 10, windGusts: 20, precipitation: 1 }, adjustment);
+        expect(hour).toMatchObject({ temperature: 13.5, dewPoint: 8.2, precipitation: 1 });
+        expect(hour.windGusts).toBeCloseTo(28);
+        expect(adjustHour({ temperature: null }, adjustment).temperature).toBeNull();
+    });
+
+    it('moves climatology samples too', () => {
+        const climatology = adjustClimatology({ samples: [{ tempMax: 25, tempMin: 10, windSpeed: 10, precipitation: 2 }] }, adjustment);
+        expect(climatology.samples[0]).toMatchObject({ tempMax: 18.5, tempMin: 3.5, precipitation: 2 });
+    });
+
+    it('keeps the grid value of adjusted metrics as raw', () => {
+        const sources = {
+            openMeteo: { available: true, source: 'Open-Meteo', mode: 'forecast', data: { tempMax: 25, tempMin: 10, windSpeed: 20, precipitation: 0, humidity: 50 } }
+        };
+        const elevation = { available: true, pointElevation: 2689, gridElevation: 1689 };
+        const { metrics } = analyzeWeatherRisks(sources, lat, lon, FIXTURE_NOW, 'hiking', { currentTime: FIXTURE_NOW, elevation });
+
+        expect(metrics.maxTemp).toMatchObject({ value: 18.5, raw: 25 });
+        expect(metrics.windSpeed.value).toBeCloseTo(28);
+        expect(metrics.precipitation.raw).toBeUndefined();
+    });
+});
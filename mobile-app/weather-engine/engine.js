@@ -0,0 +1,299 @@
+import { systemClock } from './clock.js';
+import { addDays, daysBetween, toDateKey, toLocationTime } from './dates.js';
+import { createWeatherCache, getCacheKey, CACHE_TTLS } from './cache.js';
+import { SOURCE_TYPES } from './ensemble.js';
+import { fetchOpenMeteoData, getDataMode, DATA_MODES } from './sources/openMeteo.js';
+import { fetchOpenMeteoHourly } from './sources/openMeteoHourly.js';
+import { fetchNASAData } from './sources/nasaPower.js';
+import { fetchERA5Data } from './sources/era5.js';
+import { fetchNOAAData, createNoaaClient } from './sources/noaa.js';
+import { fetchElevation } from './sources/elevation.js';
+import { fetchAirQuality } from './sources/airQuality.js';
+import { fetchMarine } from './sources/marine.js';
+import { fetchClimatologyHistory, selectClimatologyWindow } from './climatology.js';
+import { analyzeWeatherRisks, generateDemoWeather } from './analysis.js';
+import { presentRisks, presentDaylight, presentSuitability, presentStartWindows } from './presentation.js';
+import { generateSmartAlerts } from './alerts.js';
+import { generateClothingAdvice } from './clothing.js';
+import { buildTripAnalysis, getTripWaypoint } from './trip.js';
+import { buildBestDays, BEST_DAY_SPAN_DAYS } from './bestdays.js';
+import { estimateRoutePositions, measureRoute, findRouteExposure, summarizeRouteRisk } from './route.js';
+import { assessHour } from './timeline.js';
+import { getRiskThresholds } from './thresholds.js';
+import { getElevationAdjustment, adjustHour } from './elevation.js';
+
+// Inputs of one analysis, each cached separately. `type` picks the cache TTL; Open-Meteo's
+// type follows the date (forecast, archive or climatology). `isUsable` decides what is worth
+// caching: available data, and answers that will not change on a retry.
+const CACHED_INPUTS = {
+    openMeteo: { fetch: fetchOpenMeteoData },
+    hourly: { fetch: fetchOpenMeteoHourly },
+    airQuality: { fetch: fetchAirQuality },
+    // A point on land stays on land
+    marine: { fetch: fetchMarine, isUsable: (value) => Boolean(value?.available || value?.inland) },
+    nasa: { fetch: fetchNASAData, type: SOURCE_TYPES.SATELLITE },
+    era5: { fetch: fetchERA5Data, type: SOURCE_TYPES.REANALYSIS },
+    noaa: { fetch: fetchNOAAData, type: SOURCE_TYPES.STATION },
+    // Terrain does not change; cached as long as climatology
+    elevation: { fetch: fetchElevation, type: SOURCE_TYPES.CLIMATOLOGY }
+};
+
+const MODE_SOURCE_TYPES = {
+    [DATA_MODES.FORECAST]: SOURCE_TYPES.FORECAST,
+    [DATA_MODES.OBSERVED]: SOURCE_TYPES.REANALYSIS,
+    [DATA_MODES.CLIMATOLOGY]: SOURCE_TYPES.CLIMATOLOGY
+};
+
+const isAvailable = (value) => Boolean(value?.available);
+
+// The 30-year archive behind climatology is cached once per location, not per date: every
+// date's window is sliced from it. Likelihoods are a bonus; the analysis still runs without it.
+const CLIMATOLOGY_HISTORY_KEY = 'climatologyHistory';
+const isUsableHistory = (value) => Boolean(value?.daily?.time?.length);
+
+// `http` is any axios-compatible client: get(url, { params, headers, timeout }) => { data }
+// `noaaToken` enables NOAA CDO observations; `noaaClient` replaces the built-in client entirely.
+// `storage` (AsyncStorage-compatible) persists fetched data; without it the cache is in memory.
+export const createWeatherEngine = ({ http, clock = systemClock, noaaToken = null, noaaClient = null, storage } = {}) => {
+    if (!http || typeof http.get !== 'function') {
+        throw new Error('createWeatherEngine requires an http client with a get() method');
+    }
+    const cache = createWeatherCache({ storage, clock });
+    // Clear out what earlier sessions left behind; failures only cost the cleanup. Cache reads
+    // wait for the running prune so it cannot remove what they are about to write.
+    let pruning = cache.prune();
+    const pruneCache = () => {
+        pruning = pruning.then(() => cache.prune());
+        return pruning;
+    };
+    const resolveCached = async (...args) => {
+        await pruning;
+        return cache.resolve(...args);
+    };
+
+    // Cache entry of a location's climatology history. Concurrent loads (the climatology input
+    // and Open-Meteo's climatology mode of the same analysis) share one request.
+    const historyLoads = new Map();
+    const loadClimatologyHistory = (lat, lon, { background = false } = {}) => {
+        const key = getCacheKey(CLIMATOLOGY_HISTORY_KEY, lat, lon);
+        if (!historyLoads.has(key)) {
+            const load = resolveCached(
+                key,
+                CACHE_TTLS[SOURCE_TYPES.CLIMATOLOGY],
+                () => fetchClimatologyHistory(lat, lon, deps),
+                { isUsable: isUsableHistory, background }
+            );
+            historyLoads.set(key, load);
+            load.then(() => historyLoads.delete(key), () => historyLoads.delete(key));
+        }
+        return historyLoads.get(key);
+    };
+
+    const deps = {
+        http,
+        clock,
+        noaaClient: noaaClient || (noaaToken ? createNoaaClient({ http, token: noaaToken }) : null),
+        loadClimatologyHistory: async (lat, lon) => (await loadClimatologyHistory(lat, lon)).value
+    };
+
+    // Cache entry ({ value, fetchedAt, stale, revalidation }) for one input of the analysis
+    const loadInput = (key, lat, lon, date, { background = false } = {}) => {
+        const input = CACHED_INPUTS[key];
+        const type = input.type || MODE_SOURCE_TYPES[getDataMode(date, clock.now())];
+        return resolveCached(
+            getCacheKey(key, lat, lon, date),
+            CACHE_TTLS[type],
+            () => input.fetch(lat, lon, date, deps),
+            { isUsable: input.isUsable || isAvailable, background }
+        );
+    };
+
+    // Climatology samples for the date, sliced from the location's cached history
+    const loadClimatology = async (lat, lon, date, options) => {
+        const forDate = (entry) => ({ ...entry, value: selectClimatologyWindow(entry.value, date) });
+        const history = await loadClimatologyHistory(lat, lon, options);
+        return { ...forDate(history), revalidation: history.revalidation ? history.revalidation.then(forDate) : null };
+    };
+
+    const loadInputs = async (lat, lon, date, options) => {
+        const keys = Object.keys(CACHED_INPUTS);
+        const [climatology, ...entries] = await Promise.all([
+            loadClimatology(lat, lon, date, options),
+            ...keys.map(key => loadInput(key, lat, lon, date, options))
+        ]);
+        return { ...Object.fromEntries(keys.map((key, index) => [key, entries[index]])), climatology };
+    };
+
+    const sourcesFrom = (entries) => ({
+        openMeteo: entries.openMeteo.value,
+        nasa: entries.nasa.value,
+        era5: entries.era5.value,
+        noaa: entries.noaa.value
+    });
+
+    // Oldest fetch time among the cached inputs, i.e. how current the whole analysis is
+    const cacheStatus = (entries) => {
+        const fetchedTimes = Object.values(entries)
+            .filter(entry => entry.fetchedAt)
+            .map(entry => new Date(entry.fetchedAt).getTime());
+        return {
+            asOf: fetchedTimes.length > 0 ? new Date(Math.min(...fetchedTimes)) : null,
+            stale: Object.values(entries).some(entry => entry.stale)
+        };
+    };
+
+    const fetchAllSources = async (lat, lon, date) => sourcesFrom(await loadInputs(lat, lon, date));
+
+    // `skinType` (a SKIN_TYPES key) personalises the UV burn time, `allergens` (POLLEN_SPECIES
+    // keys) the pollen alert, `durationHours` the length of the outing for the best start times
+    const buildResult = (entries, lat, lon, date, activity, { skinType, allergens, durationHours } = {}) => {
+        const now = clock.now();
+        const sources = sourcesFrom(entries);
+        const analysis = analyzeWeatherRisks(sources, lat, lon, date, activity, {
+            currentTime: now,
+            climatology: entries.climatology.value,
+            hourly: entries.hourly.value,
+            elevation: entries.elevation.value,
+            airQuality: entries.airQuality.value,
+            marine: entries.marine.value,
+            skinType,
+            durationHours
+        });
+
+        const dataMode = sources.openMeteo?.mode || getDataMode(date, now);
+
+        // Nothing answered: say so rather than grade an empty day
+        if (!analysis.available) {
+            return {
+                sources,
+                dataMode,
+                ...cacheStatus(entries),
+                weather: generateDemoWeather(lat, lon, date),
+                alerts: [],
+                clothing: []
+            };
+        }
+
+        return {
+            sources,
+            dataMode,
+            ...cacheStatus(entries),
+            // Structured analysis plus the display cards derived from it
+            weather: {
+                ...analysis,
+                suitabilityCard: presentSuitability(analysis),
+                conditions: presentRisks(analysis),
+                daylightCard: presentDaylight(analysis),
+                startWindowsCard: presentStartWindows(analysis)
+            },
+            alerts: generateSmartAlerts(analysis, now, { allergens }),
+            clothing: generateClothingAdvice(analysis, activity, now)
+        };
+    };
+
+    // With `onRefresh`, stale cached data is returned immediately (`refreshing: true`) and
+    // onRefresh receives the re-analysed result once the network refresh completes. Other
+    // options are user preferences (`skinType`, `allergens`, `durationHours`).
+    const analyze = async (lat, lon, date, activity, { onRefresh = null, ...preferences } = {}) => {
+        const entries = await loadInputs(lat, lon, date, { background: Boolean(onRefresh) });
+        const pending = Object.entries(entries).filter(([, entry]) => entry.revalidation);
+
+        if (pending.length > 0) {
+            Promise.all(pending.map(([, entry]) => entry.revalidation))
+                .then(refreshed => {
+                    const updated = { ...entries };
+                    pending.forEach(([key], index) => { updated[key] = refreshed[index]; });
+                    onRefresh({ ...buildResult(updated, lat, lon, date, activity, preferences), refreshing: false });
+                })
+                .catch(() => {});
+        }
+
+        return { ...buildResult(entries, lat, lon, date, activity, preferences), refreshing: pending.length > 0 };
+    };
+
+    // Download and cache every input for each day of a trip so it can be analysed offline
+    const prefetch = async (lat, lon, startDate, endDate = startDate) => {
+        const days = [];
+        for (let offset = 0; offset <= daysBetween(startDate, endDate); offset++) {
+            const date = addDays(startDate, offset);
+            const { asOf, stale } = cacheStatus(await loadInputs(lat, lon, date));
+            days.push({ date, asOf, stale });
+        }
+        return days;
+    };
+
+    // Multi-day trip: one analysis per day at that night's waypoint ({ latitude, longitude }),
+    // run a day at a time, combined into a risk matrix, worst day and packing list
+    const analyzeTrip = async ({ startDate, endDate = startDate, activity, waypoints }) => {
+        if (!waypoints?.length) throw new Error('analyzeTrip requires at least one waypoint');
+
+        const days = [];
+        for (let offset = 0; offset <= daysBetween(startDate, endDate); offset++) {
+            const waypoint = getTripWaypoint(waypoints, offset);
+            const { weather, dataMode, asOf } = await analyze(
+                waypoint.latitude, waypoint.longitude, addDays(startDate, offset), activity
+            );
+            days.push({ waypoint, analysis: weather, dataMode, asOf });
+        }
+        return buildTripAnalysis(days, activity, clock.now());
+    };
+
+    // Suitability of every day from `startDate` for one activity and place: the forecast days,
+    // then climatology. Runs a day at a time; `onProgress(done, total)` follows along.
+    const findBestDays = async (lat, lon, activity, { startDate = clock.now(), days = BEST_DAY_SPAN_DAYS, onProgress = null } = {}) => {
+        const analysed = [];
+        for (let offset = 0; offset < days; offset++) {
+            const { weather, dataMode } = await analyze(lat, lon, addDays(startDate, offset), activity);
+            analysed.push({ analysis: weather, dataMode });
+            if (onProgress) onProgress(offset + 1, days);
+        }
+        return buildBestDays(analysed, activity);
+    };
+
+    // Hourly conditions at each position along a route ({ name, points }) at a steady pace,
+    // corrected to the track's own elevation where the file has one. Positions beyond the
+    // hourly horizon keep `conditions: null`.
+    const analyzeRoute = async (route, { startTime, paceKmh, activity }) => {
+        const positions = estimateRoutePositions(route.points, { startTime, paceKmh });
+        const thresholds = getRiskThresholds(activity);
+
+        // Hourly rows are on the location's clock, so the day and hour of each position come from
+        // the offset the API reports, not the device's time zone
+        const loadRouteHour = async (lat, lon, time) => {
+            let { value: hourly } = await loadInput('hourly', lat, lon, time);
+            if (!hourly?.available) return { hourly, hour: null };
+            if (hourly.utcOffsetSeconds === null) {
+                return { hourly, hour: hourly.hours.find(candidate => candidate.hour === time.getHours()) || null };
+            }
+            const local = toLocationTime(time, hourly.utcOffsetSeconds);
+            if (toDateKey(local.date) !== hourly.date) {
+                ({ value: hourly } = await loadInput('hourly', lat, lon, local.date));
+            }
+            const hour = hourly?.available ? hourly.hours.find(candidate => candidate.hour === local.hour) : null;
+            return { hourly, hour: hour || null };
+        };
+
+        const rated = [];
+        for (const position of positions) {
+            const { hourly, hour } = await loadRouteHour(position.point.lat, position.point.lon, position.time);
+            const adjustment = getElevationAdjustment(position.point.ele, hourly?.gridElevation);
+            rated.push({ ...position, conditions: hour ? assessHour(adjustHour(hour, adjustment), thresholds) : null });
+        }
+
+        const { distanceKm, ascentM } = measureRoute(route.points);
+        return {
+            name: route.name,
+            activity,
+            startTime,
+            paceKmh,
+            distanceKm,
+            ascentM,
+            durationHours: distanceKm / paceKmh,
+            positions: rated,
+            exposure: findRouteExposure(rated),
+            summary: summarizeRouteRisk(rated)
+        };
+    };
+
+    return { fetchAllSources, analyze, analyzeTrip, analyzeRoute, findBestDays, prefetch, pruneCache };
+};
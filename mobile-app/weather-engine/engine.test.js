@@ -0,0 +1,87 @@
+import { createWeatherEngine } from './engine.js';
+import { fixedClock } from './clock.js';
+import { createReplayHttp, RECORDED_ROUTES, FIXTURE_LOCATION, FIXTURE_NOW } from './__fixtures__/replay.js';
+
+const { lat, lon } = FIXTURE_LOCATION;
+const FORECAST_DATE = new Date(2026, 6, 10);
+const OBSERVED_DATE = new Date(2026, 6, 1);
+
+const createEngine = (options = {}) => {
+    const http = createReplayHttp();
+    return { http, engine: createWeatherEngine({ http, clock: fixedClock(FIXTURE_NOW), ...options }) };
+};
+
+describe('createWeatherEngine', () => {
+    it('requires an http client', () => {
+        expect(() => createWeatherEngine({})).toThrow('http client');
+    });
+
+    it('analyses a forecast day from the recorded responses', async () => {
+        const { engine } = createEngine();
+        const result = await engine.analyze(lat, lon, FORECAST_DATE, 'hiking');
+
+        expect(result.dataMode).toBe('forecast');
+        expect(result.sources.openMeteo).toMatchObject({ available: true, mode: 'forecast', date: '2026-07-10' });
+        // POWER, ERA5 and NOAA hold nothing for a future date
+        expect(result.sources.nasa.available).toBe(false);
+        expect(result.sources.era5.available).toBe(false);
+        expect(result.sources.noaa.available).toBe(false);
+
+        const { weather } = result;
+        expect(weather.date).toBe('2026-07-10');
+        expect(weather.metrics.maxTemp).toMatchObject({ value: 31.4, unit: '°C', estimated: false, sources: ['Open-Meteo API'] });
+        expect(weather.metrics.minTemp.value).toBe(14.8);
+        expect(weather.risks).toHaveLength(13);
+        expect(weather.risks.find(risk => risk.category === 'hot').severity).toBe('MODERATE');
+        expect(weather.conditions.find(card => card.category === 'hot').risk).toBe('MODERATE heat risk - 31.4°C');
+        expect(weather.timeline.hours).toHaveLength(24);
+    });
+
+    it('combines every source for an observed day', async () => {
+        const { engine, http } = createEngine({ noaaToken: 'test-token' });
+        const sources = await engine.fetchAllSources(lat, lon, OBSERVED_DATE);
+
+        expect(sources.openMeteo).toMatchObject({ available: true, mode: 'observed' });
+        expect(sources.openMeteo.data.tempMax).toBe(30.6);
+        expect(sources.nasa.data.T2M_MAX).toEqual({ 20260701: 29.41 });
+        // POWER's -9999 fill value is dropped
+        expect(sources.nasa.data.RH2M).toBeUndefined();
+        expect(sources.era5.data).toMatchObject({ tempMax: 30.1, humidity: 79 });
+        expect(sources.noaa).toMatchObject({ available: true, data: { TMAX: 30, TMIN: 13.9, PRCP: 2 } });
+        expect(sources.noaa.station.name).toBe('BOULDER, CO US');
+        expect(http.calls.filter(call => call.url.includes('cdo-web')).every(call => call.headers.token === 'test-token')).toBe(true);
+    });
+
+    it('serves a repeated analysis from the cache and retries only what failed', async () => {
+        // POWER is down for the observed day
+        const http = createReplayHttp(RECORDED_ROUTES.filter(([, fixture]) => fixture !== 'nasa-power-daily'));
+        const engine = createWeatherEngine({ http, clock: fixedClock(FIXTURE_NOW) });
+        const callsTo = (prefix) => http.calls.filter(call => call.url.startsWith(prefix)).length;
+        await engine.analyze(lat, lon, OBSERVED_DATE, 'hiking');
+        const archiveCalls = callsTo('https://archive-api.open-meteo.com/v1/archive');
+        const powerCalls = callsTo('https://power.larc.nasa.gov/');
+
+        const again = await engine.analyze(lat, lon, OBSERVED_DATE, 'cycling');
+        expect(callsTo('https://archive-api.open-meteo.com/v1/archive')).toBe(archiveCalls);
+        expect(callsTo('https://power.larc.nasa.gov/')).toBe(powerCalls + 1);
+        expect(again.weather.activity).toBe('cycling');
+        expect(again.stale).toBe(false);
+    });
+
+    it('asks the observation sources nothing about today or later', async () => {
+        const { engine, http } = createEngine();
+        await engine.analyze(lat, lon, FORECAST_DATE, 'hiking');
+        await engine.analyze(lat, lon, new Date(2026, 6, 12), 'hiking');
+
+        expect(http.calls.filter(call => call.url.startsWith('https://power.larc.nasa.gov/') || call.url.endsWith('/v1/era5'))).toEqual([]);
+    });
+
+    it('remembers that an inland point has no sea', async () => {
+        const { engine, http } = createEngine();
+        const first = await engine.analyze(lat, lon, FORECAST_DATE, 'fishing');
+        await engine.analyze(lat, lon, FORECAST_DATE, 'fishing');
+
+        expect(first.weather.risks.find(risk => risk.category === 'roughWater').inland).toBe(true);
+        expect(http.calls.filter(call => call.url.startsWith('https://marine-api.open-meteo.com/'))).toHaveLength(1);
+    });
+});
@@ -0,0 +1,143 @@
+import { validateWeatherValue } from './validation.js';
+
+// Source types and how much each is trusted. Forecast skill decays with lead time;
+// station observations decay with distance from the selected point.
+export const SOURCE_TYPES = {
+    FORECAST: 'forecast',
+    REANALYSIS: 'reanalysis',
+    SATELLITE: 'satellite',
+    STATION: 'station',
+    CLIMATOLOGY: 'climatology'
+};
+
+const BASE_WEIGHTS = {
+    [SOURCE_TYPES.FORECAST]: 1.0,
+    [SOURCE_TYPES.REANALYSIS]: 0.8,
+    [SOURCE_TYPES.SATELLITE]: 0.6,
+    [SOURCE_TYPES.STATION]: 1.0,
+    [SOURCE_TYPES.CLIMATOLOGY]: 0.3
+};
+
+const FORECAST_DECAY_PER_DAY = 0.04;
+const MIN_FORECAST_WEIGHT = 0.3;
+const STATION_DISTANCE_SCALE_KM = 50;
+
+export const ENSEMBLE_VARIABLES = {
+    tempMax: { label: 'Max temperature', unit: '°C', range: [-50, 60], disagreement: 3 },
+    tempMin: { label: 'Min temperature', unit: '°C', range: [-50, 60], disagreement: 3 },
+    windSpeed: { label: 'Wind speed', unit: 'km/h', range: [0, 200], disagreement: 10 },
+    precipitation: { label: 'Precipitation', unit: 'mm', range: [0, 500], disagreement: 5 },
+    humidity: { label: 'Humidity', unit: '%', range: [0, 100], disagreement: 15 }
+};
+
+// Value of a POWER series ({ YYYYMMDD: value }) for the requested day; other days are ignored
+const dateValue = (series, dateKey) => series?.[dateKey] ?? null;
+
+// Each normaliser maps one source's payload onto the ENSEMBLE_VARIABLES keys
+const normalizers = {
+    openMeteo: (result) => ({
+        type: result.mode === 'climatology' ? SOURCE_TYPES.CLIMATOLOGY :
+            result.mode === 'observed' ? SOURCE_TYPES.REANALYSIS : SOURCE_TYPES.FORECAST,
+        values: result.data
+    }),
+    nasa: (result) => {
+        const read = (parameter) => dateValue(result.data[parameter], result.date);
+        const windMs = read('WS10M');
+        return {
+            type: SOURCE_TYPES.SATELLITE,
+            values: {
+                tempMax: read('T2M_MAX'),
+                tempMin: read('T2M_MIN'),
+                // POWER reports WS10M in m/s
+                windSpeed: typeof windMs === 'number' ? windMs * 3.6 : null,
+                precipitation: read('PRECTOTCORR'),
+                humidity: read('RH2M')
+            }
+        };
+    },
+    era5: (result) => ({
+        type: SOURCE_TYPES.REANALYSIS,
+        values: result.data
+    }),
+    noaa: (result) => ({
+        type: SOURCE_TYPES.STATION,
+        values: {
+            tempMax: result.data.TMAX,
+            tempMin: result.data.TMIN,
+            precipitation: result.data.PRCP
+        }
+    })
+};
+
+export const getSourceWeight = (type, { leadDays = 0, distanceKm = 0 } = {}) => {
+    const base = BASE_WEIGHTS[type] ?? 0.5;
+    if (type === SOURCE_TYPES.FORECAST) {
+        return base * Math.max(MIN_FORECAST_WEIGHT, 1 - FORECAST_DECAY_PER_DAY * Math.max(0, leadDays));
+    }
+    if (type === SOURCE_TYPES.STATION) {
+        return base * Math.exp(-distanceKm / STATION_DISTANCE_SCALE_KM);
+    }
+    return base;
+};
+
+const combineVariable = (key, samples) => {
+    const { range, disagreement } = ENSEMBLE_VARIABLES[key];
+    const valid = samples
+        .map(sample => ({ ...sample, value: validateWeatherValue(sample.values[key], range[0], range[1]) }))
+        .filter(sample => sample.value !== null && sample.weight > 0);
+
+    if (valid.length === 0) {
+        return { value: null, spread: null, disagrees: false, contributions: [] };
+    }
+
+    const totalWeight = valid.reduce((sum, sample) => sum + sample.weight, 0);
+    const value = valid.reduce((sum, sample) => sum + sample.value * sample.weight, 0) / totalWeight;
+    const values = valid.map(sample => sample.value);
+    const spread = Math.max(...values) - Math.min(...values);
+
+    return {
+        value,
+        spread,
+        disagrees: valid.length > 1 && spread >= disagreement,
+        contributions: valid
+            .map(sample => ({
+                sourceKey: sample.sourceKey,
+                source: sample.source,
+                type: sample.type,
+                value: sample.value,
+                weight: sample.weight,
+                share: sample.weight / totalWeight
+            }))
+            .sort((a, b) => b.share - a.share)
+    };
+};
+
+// Combines every available source into a weighted consensus per variable
+export const buildEnsemble = (apiData, { leadDays = 0 } = {}) => {
+    const samples = Object.entries(normalizers)
+        .filter(([sourceKey]) => apiData?.[sourceKey]?.available && apiData[sourceKey].data)
+        .map(([sourceKey, normalize]) => {
+            const result = apiData[sourceKey];
+            const { type, values } = normalize(result);
+            return {
+                sourceKey,
+                source: result.source,
+                type,
+                values,
+                weight: getSourceWeight(type, { leadDays, distanceKm: result.station?.distanceKm })
+            };
+        });
+
+    const variables = {};
+    Object.keys(ENSEMBLE_VARIABLES).forEach(key => {
+        variables[key] = combineVariable(key, samples);
+    });
+
+    return {
+        variables,
+        sourceCount: samples.length,
+        disagreements: Object.keys(variables).filter(key => variables[key].disagrees)
+    };
+};
+
+export const getConsensusValue = (ensemble, key) => ensemble?.variables?.[key]?.value ?? null;
@@ -0,0 +1,48 @@
+import { buildEnsemble, getSourceWeight, getConsensusValue, SOURCE_TYPES } from './ensemble.js';
+import { createWeatherEngine } from './engine.js';
+import { fixedClock } from './clock.js';
+import { createReplayHttp, FIXTURE_LOCATION, FIXTURE_NOW } from './__fixtures__/replay.js';
+
+describe('getSourceWeight', () => {
+    it('decays forecasts with lead time down to a floor', () => {
+        expect(getSourceWeight(SOURCE_TYPES.FORECAST)).toBe(1);
+        expect(getSourceWeight(SOURCE_TYPES.FORECAST, { leadDays: 5 })).toBeCloseTo(0.8);
+        expect(getSourceWeight(SOURCE_TYPES.FORECAST, { leadDays: 40 })).toBeCloseTo(0.3);
+    });
+
+    it('decays stations with distance', () => {
+        expect(getSourceWeight(SOURCE_TYPES.STATION, { distanceKm: 50 })).toBeCloseTo(Math.exp(-1));
+    });
+});
+
+describe('buildEnsemble', () => {
+    it('weighs the recorded sources of an observed day', async () => {
+        const engine = createWeatherEngine({ http: createReplayHttp(), clock: fixedClock(FIXTURE_NOW), noaaToken: 'test-token' });
+        const sources = await engine.fetchAllSources(FIXTURE_LOCATION.lat, FIXTURE_LOCATION.lon, new Date(2026, 6, 1));
+        const ensemble = buildEnsemble(sources, { leadDays: -9 });
+
+        expect(ensemble.sourceCount).toBe(4);
+        const { tempMax, windSpeed, humidity } = ensemble.variables;
+        // Archive 30.6 (0.8), POWER 29.41 (0.6), ERA5 30.1 (0.8), station 30.0 (~0.96)
+        expect(tempMax.value).toBeGreaterThan(29.41);
+        expect(tempMax.value).toBeLessThan(30.6);
+        expect(tempMax.spread).toBeCloseTo(1.19);
+        expect(tempMax.contributions.map(contribution => contribution.sourceKey)[0]).toBe('noaa');
+        // POWER's m/s converted to km/h; stations report no wind
+        expect(windSpeed.contributions.find(contribution => contribution.sourceKey === 'nasa').value).toBeCloseTo(13.9, 1);
+        expect(windSpeed.contributions).toHaveLength(3);
+        // POWER's humidity was a fill value
+        expect(humidity.contributions.map(contribution => contribution.sourceKey)).toEqual(['openMeteo', 'era5']);
+    });
+
+    it('flags variables the sources disagree on', () => {
+        const ensemble = buildEnsemble({
+            openMeteo: { available: true, source: 'A', mode: 'forecast', data: { tempMax: 30, windSpeed: 10 } },
+            era5: { available: true, source: 'B', data: { tempMax: 24, windSpeed: 12 } }
+        });
+
+        expect(ensemble.disagreements).toEqual(['tempMax']);
+        expect(getConsensusValue(ensemble, 'tempMax')).toBeCloseTo((30 * 1 + 24 * 0.8) / 1.8);
+        expect(getConsensusValue(ensemble, 'humidity')).toBeNull();
+    });
+});
@@ -0,0 +1,58 @@
+import { classifySeverity, worstSeverity, SEVERITY } from './thresholds.js';
+
+// Fog is visibility under 1 km. Without a visibility reading (the archive has none), saturated
+// air under a low overcast with little wind is the classic radiation-fog signature.
+export const FOG_VISIBILITY_M = 1000;
+const SATURATED_DEW_POINT_DEPRESSION = 1;
+const FOG_LOW_CLOUD_COVER = 80;
+const FOG_MAX_WIND_KMH = 10;
+
+// Mornings are when fog forms and commutes happen
+const MORNING_END_HOUR = 10;
+
+const isKnown = (value) => value !== null && value !== undefined;
+
+export const getDewPointDepression = (hour) =>
+    (isKnown(hour.temperature) && isKnown(hour.dewPoint) ? hour.temperature - hour.dewPoint : null);
+
+export const isFogHour = (hour) => {
+    if (isKnown(hour.visibility)) return hour.visibility < FOG_VISIBILITY_M;
+    const depression = getDewPointDepression(hour);
+    return depression !== null && depression <= SATURATED_DEW_POINT_DEPRESSION &&
+        (hour.cloudCoverLow ?? 0) >= FOG_LOW_CLOUD_COVER && (hour.windSpeed ?? 0) < FOG_MAX_WIND_KMH;
+};
+
+// Visibility severity of one hour; `levels` are metres (lower is worse) or null for activities
+// where visibility does not matter. Inferred fog without a reading counts as MODERATE.
+export const classifyVisibility = (hour, levels) => {
+    if (!levels) return SEVERITY.SAFE;
+    if (isKnown(hour.visibility)) return classifySeverity(hour.visibility, levels, { below: true });
+    return isFogHour(hour) ? SEVERITY.MODERATE : SEVERITY.SAFE;
+};
+
+// Runs of consecutive fog hours: [{ startHour, endHour, minVisibility, morning, severity }]
+export const findFogWindows = (hours) => {
+    const windows = [];
+    let current = null;
+    hours.forEach(hour => {
+        if (!isFogHour(hour)) {
+            current = null;
+            return;
+        }
+        if (!current || hour.hour !== current.endHour) {
+            current = { startHour: hour.hour, endHour: hour.hour + 1, minVisibility: null, severities: [] };
+            windows.push(current);
+        }
+        current.endHour = hour.hour + 1;
+        if (isKnown(hour.visibility)) {
+            current.minVisibility = current.minVisibility === null ? hour.visibility : Math.min(current.minVisibility, hour.visibility);
+        }
+        current.severities.push(hour.factors?.visibility || SEVERITY.SAFE);
+    });
+
+    return windows.map(({ severities, ...window }) => ({
+        ...window,
+        morning: window.startHour < MORNING_END_HOUR,
+        severity: worstSeverity(severities)
+    }));
+};
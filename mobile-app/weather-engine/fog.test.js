@@ -0,0 +1,68 @@
+import { isFogHour, classifyVisibility, findFogWindows, getDewPointDepression } from './fog.js';
+import { buildHourlyTimeline } from './timeline.js';
+import { generateSmartAlerts } from './alerts.js';
+import { getRiskThresholds } from './thresholds.js';
+import { createWeatherEngine } from './engine.js';
+import { fixedClock } from './clock.js';
+import { createReplayHttp, FIXTURE_LOCATION, FIXTURE_NOW } from './__fixtures__/replay.js';
+
+// Valley fog from 05:00, thickest at 07:00, burning off by 10:00
+const MORNING_VISIBILITY = { 5: 800, 6: 300, 7: 150, 8: 400, 9: 900 };
+const foggyHours = Array.from({ length: 24 }, (_, hour) => ({
+    hour,
+    time: `2026-10-20T${String(hour).padStart(2, '0')}:00`,
+    temperature: 8,
+    dewPoint: 7,
+    windSpeed: 4,
+    visibility: MORNING_VISIBILITY[hour] ?? 20000
+}));
+
+describe('isFogHour', () => {
+    it('uses the visibility reading when there is one', () => {
+        expect(isFogHour({ visibility: 999 })).toBe(true);
+        expect(isFogHour({ visibility: 1000, temperature: 5, dewPoint: 5, cloudCoverLow: 100 })).toBe(false);
+    });
+
+    it('infers fog from saturated, still air under low cloud without one', () => {
+        const archiveHour = { temperature: 5, dewPoint: 4.5, cloudCoverLow: 90, windSpeed: 5 };
+        expect(getDewPointDepression(archiveHour)).toBeCloseTo(0.5);
+        expect(isFogHour(archiveHour)).toBe(true);
+        expect(isFogHour({ ...archiveHour, windSpeed: 15 })).toBe(false);
+        expect(isFogHour({ ...archiveHour, cloudCoverLow: 20 })).toBe(false);
+    });
+});
+
+describe('classifyVisibility', () => {
+    const cycling = getRiskThresholds('cycling').visibility;
+
+    it('grades the reading for activities that set levels', () => {
+        expect(classifyVisibility({ visibility: 150 }, cycling)).toBe('EXTREME');
+        expect(classifyVisibility({ visibility: 800 }, cycling)).toBe('MODERATE');
+        expect(classifyVisibility({ visibility: 150 }, getRiskThresholds('camping').visibility)).toBe('SAFE');
+    });
+
+    it('counts inferred fog as moderate', () => {
+        expect(classifyVisibility({ temperature: 5, dewPoint: 5, cloudCoverLow: 100, windSpeed: 0 }, cycling)).toBe('MODERATE');
+    });
+});
+
+describe('fog windows', () => {
+    it('joins consecutive fog hours', () => {
+        const timeline = buildHourlyTimeline({ available: true, hours: foggyHours }, 'cycling');
+
+        expect(timeline.fogWindows).toEqual([{ startHour: 5, endHour: 10, minVisibility: 150, morning: true, severity: 'EXTREME' }]);
+        expect(findFogWindows([{ hour: 20, visibility: 500 }, { hour: 22, visibility: 500 }])).toHaveLength(2);
+    });
+
+    it('warns commuters about morning fog', async () => {
+        const engine = createWeatherEngine({ http: createReplayHttp(), clock: fixedClock(FIXTURE_NOW) });
+        const { weather } = await engine.analyze(FIXTURE_LOCATION.lat, FIXTURE_LOCATION.lon, new Date(2026, 6, 10), 'cycling');
+        const timeline = buildHourlyTimeline({ available: true, hours: foggyHours }, 'cycling');
+        const alert = generateSmartAlerts({ ...weather, timeline }, FIXTURE_NOW).find(candidate => candidate.id === 'fog_commute');
+
+        expect(alert).toMatchObject({ priority: 'HIGH', timing: '05:00–10:00' });
+        expect(alert.message).toContain('visibility down to 150 m');
+        // The recorded summer day has no fog
+        expect(weather.timeline.fogWindows).toEqual([]);
+    });
+});
@@ -0,0 +1,142 @@
+// Public surface of the Climatrail weather engine. Everything here is plain JS with no
+// React Native imports, so it runs unchanged in the app, in Node scripts and in CI.
+
+export { createWeatherEngine } from './engine.js';
+export { systemClock, fixedClock } from './clock.js';
+export { validateWeatherValue } from './validation.js';
+export { toDateKey, fromDateKey, addDays, daysBetween, toLocationTime } from './dates.js';
+export { haversineKm } from './geo.js';
+export { createWeatherCache, createMemoryStorage, getCacheKey, CACHE_TTLS } from './cache.js';
+
+export {
+    fetchOpenMeteoData,
+    getDataMode,
+    DATA_MODES,
+    DATA_MODE_LABELS,
+    FORECAST_HORIZON_DAYS
+} from './sources/openMeteo.js';
+export { fetchOpenMeteoHourly, HOURLY_FIELDS } from './sources/openMeteoHourly.js';
+export { fetchNASAData } from './sources/nasaPower.js';
+export { fetchERA5Data } from './sources/era5.js';
+export { fetchNOAAData, createNoaaClient } from './sources/noaa.js';
+export { fetchElevation } from './sources/elevation.js';
+export { fetchAirQuality, AIR_QUALITY_FIELDS, POLLEN_FIELDS, AIR_QUALITY_FORECAST_DAYS } from './sources/airQuality.js';
+export { fetchMarine, MARINE_FIELDS, MARINE_FORECAST_DAYS } from './sources/marine.js';
+
+export {
+    buildEnsemble,
+    getConsensusValue,
+    getSourceWeight,
+    SOURCE_TYPES,
+    ENSEMBLE_VARIABLES
+} from './ensemble.js';
+export {
+    fetchClimatologyHistory,
+    selectClimatologyWindow,
+    fetchClimatologySamples,
+    summarizeClimatology,
+    exceedanceProbability,
+    getRiskLikelihoods,
+    CLIMATOLOGY_YEARS,
+    CLIMATOLOGY_WINDOW_DAYS
+} from './climatology.js';
+export {
+    getElevationAdjustment,
+    adjustTemperature,
+    adjustWind,
+    adjustHour,
+    adjustClimatology,
+    LAPSE_RATE_C_PER_KM
+} from './elevation.js';
+export {
+    getRiskThresholds,
+    checkThresholdOrder,
+    classifySeverity,
+    classifyComfort,
+    classifyThunderstorm,
+    worstSeverity,
+    SEVERITY,
+    SEVERITY_LEVELS,
+    SEVERITY_RANK
+} from './thresholds.js';
+export {
+    getActivityProfile,
+    listActivityProfiles,
+    setActivitySettings,
+    createCustomActivity,
+    isBuiltInActivity,
+    fillTemplate,
+    BUILT_IN_ACTIVITIES,
+    ACTIVITY_TEMPLATES,
+    TUNABLE_THRESHOLDS,
+    DEFAULT_ACTIVITY
+} from './activities.js';
+export {
+    getUvReflectionBoosts,
+    applyUvBoosts,
+    estimateBurnMinutes,
+    findProtectionHours,
+    planSunscreen,
+    SKIN_TYPES,
+    DEFAULT_SKIN_TYPE,
+    SUNSCREEN_REAPPLY_HOURS,
+    SHADE_UV_INDEX
+} from './uv.js';
+export { isFogHour, classifyVisibility, findFogWindows, getDewPointDepression, FOG_VISIBILITY_M } from './fog.js';
+export { summarizePollen, findAllergenExposure, POLLEN_SPECIES } from './pollen.js';
+export { toCompassPoint, mergeMarineHours, classifyRoughWater, findMarinePeak } from './marine.js';
+export {
+    calculateHeatIndex,
+    calculateWindChill,
+    calculateDewPoint,
+    calculateRelativeHumidity,
+    calculateApparentTemperature,
+    estimateWbgt,
+    assessHourComfort,
+    annotateComfortHours,
+    estimateAfternoonHumidity
+} from './comfort.js';
+export { getDaylight, getMoonIllumination, getMoonPhase, formatClockTime, SUN_ALTITUDES, MOON_PHASES } from './astronomy.js';
+export { getPrecipitationType, isIcyHour, annotateWinterHours, isFreezeThaw, PRECIPITATION_TYPES } from './winter.js';
+export { analyzeWeatherRisks, summarizeRisks, generateDemoWeather, RISK_CATEGORIES } from './analysis.js';
+export { scoreSuitability, getRiskWeights, getVerdict, DEFAULT_RISK_WEIGHTS, VERDICTS } from './suitability.js';
+export { findStartWindows, getDaylightBounds, DEFAULT_WINDOW_COUNT } from './windows.js';
+export {
+    presentRisks,
+    presentRisk,
+    presentDaylight,
+    presentSuitability,
+    presentStartWindows,
+    describeStartWindow,
+    describeSuitability,
+    getActivityAdvice,
+    formatMetric,
+    RISK_PRESENTATION
+} from './presentation.js';
+export {
+    buildTripAnalysis,
+    buildRiskMatrix,
+    findWorstDay,
+    buildTripEnvelope,
+    buildPackingList,
+    getTripWaypoint
+} from './trip.js';
+export { buildBestDays, rankDays, summarizeDay, buildSuitabilityCalendar, BEST_DAY_SPAN_DAYS } from './bestdays.js';
+export {
+    parseRoute,
+    parseGpx,
+    parseKml,
+    measureRoute,
+    estimateRoutePositions,
+    findRouteExposure,
+    summarizeRouteRisk
+} from './route.js';
+export { generateSmartAlerts } from './alerts.js';
+export { generateClothingAdvice } from './clothing.js';
+export {
+    buildHourlyTimeline,
+    findThunderstormPeak,
+    assessHour,
+    generateTimeBasedWeather,
+    DAY_PERIODS
+} from './timeline.js';
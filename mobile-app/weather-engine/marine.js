@@ -0,0 +1,68 @@
+import { classifySeverity, SEVERITY, SEVERITY_RANK } from './thresholds.js';
+import { MARINE_FIELDS } from './sources/marine.js';
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+const isKnown = (value) => value !== null && value !== undefined;
+
+// 225 -> 'SW'
+export const toCompassPoint = (degrees) =>
+    (isKnown(degrees) ? COMPASS_POINTS[Math.round((((degrees % 360) + 360) % 360) / 45) % COMPASS_POINTS.length] : null);
+
+// Hourly weather rows with the marine fields of the same hour (null where the marine input has
+// no row)
+export const mergeMarineHours = (hours, marine) => {
+    const byTime = Object.fromEntries((marine?.available ? marine.hours : []).map(row => [row.time, row]));
+    return hours.map(hour => {
+        const row = byTime[hour.time];
+        return { ...hour, ...Object.fromEntries(Object.keys(MARINE_FIELDS).map(key => [key, row ? row[key] : null])) };
+    });
+};
+
+const raiseSeverity = (severity) => {
+    const rank = Math.min(SEVERITY_RANK.EXTREME, SEVERITY_RANK[severity] + 1);
+    return Object.keys(SEVERITY_RANK).find(key => SEVERITY_RANK[key] === rank);
+};
+
+// Sea state of one hour, small-craft style: graded on wave height, one level worse for short
+// steep seas, and at least MODERATE in a strong current. `levels` is null for activities that
+// are not on the water.
+export const classifyRoughWater = (hour, levels) => {
+    if (!levels || !isKnown(hour.waveHeight)) return SEVERITY.SAFE;
+    let severity = classifySeverity(hour.waveHeight, levels.waveHeight);
+    if (severity !== SEVERITY.SAFE && isKnown(hour.wavePeriod) && hour.wavePeriod < levels.steepPeriod) {
+        severity = raiseSeverity(severity);
+    }
+    if (severity === SEVERITY.SAFE && (hour.currentVelocity ?? 0) > levels.current) return SEVERITY.MODERATE;
+    return severity;
+};
+
+// Hour with the highest waves, with the swell and current of that hour, or null without sea data
+export const findMarinePeak = (marine) => {
+    const rated = marine?.available ? marine.hours.filter(hour => isKnown(hour.waveHeight)) : [];
+    if (rated.length === 0) return null;
+    const peak = rated.reduce((worst, hour) => (hour.waveHeight > worst.waveHeight ? hour : worst));
+    return {
+        hour: peak.hour,
+        time: peak.time,
+        waveHeight: peak.waveHeight,
+        wavePeriod: peak.wavePeriod,
+        swellHeight: peak.swellHeight,
+        swellPeriod: peak.swellPeriod,
+        swellDirection: peak.swellDirection,
+        currentVelocity: peak.currentVelocity,
+        currentDirection: peak.currentDirection
+    };
+};
+
+// Span of the hours whose sea state reaches `severity` (the day's worst, for "advisory
+// 12:00–18:00"): { startHour, endHour } or null
+export const findAdvisoryHours = (hours, severity) => {
+    if (severity === SEVERITY.SAFE) return null;
+    const rough = hours.filter(hour => SEVERITY_RANK[hour.factors?.water || SEVERITY.SAFE] >= SEVERITY_RANK[severity]);
+    if (rough.length === 0) return null;
+    return {
+        startHour: Math.min(...rough.map(hour => hour.hour)),
+        endHour: Math.max(...rough.map(hour => hour.hour)) + 1
+    };
+};
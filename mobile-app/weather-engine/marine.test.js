@@ -0,0 +1,82 @@
+import { toCompassPoint, mergeMarineHours, classifyRoughWater, findMarinePeak } from './marine.js';
+import { getRiskThresholds } from './thresholds.js';
+import { createWeatherEngine } from './engine.js';
+import { fixedClock } from './clock.js';
+import { createReplayHttp, RECORDED_ROUTES, FIXTURE_LOCATION, FIXTURE_NOW } from './__fixtures__/replay.js';
+
+const levels = getRiskThresholds('fishing').roughWater;
+
+// An afternoon sea breeze: short steep chop around midday, a bigger but longer sea by 15:00
+const seaHour = (hour) => {
+    const [waveHeight, wavePeriod] = hour >= 15 && hour < 18 ? [2.3, 7.5] : hour >= 12 && hour < 15 ? [1.4, 5] : [0.6, 8];
+    return { waveHeight, wavePeriod, swellHeight: 0.5, swellPeriod: 11, swellDirection: 250, seaSurfaceTemperature: 17, currentVelocity: 1.2 };
+};
+const SEA_RESPONSE = {
+    hourly: {
+        time: Array.from({ length: 24 }, (_, hour) => `2026-07-10T${String(hour).padStart(2, '0')}:00`),
+        ...Object.fromEntries([
+            ['wave_height', 'waveHeight'], ['wave_period', 'wavePeriod'], ['swell_wave_height', 'swellHeight'],
+            ['swell_wave_period', 'swellPeriod'], ['swell_wave_direction', 'swellDirection'],
+            ['sea_surface_temperature', 'seaSurfaceTemperature'], ['ocean_current_velocity', 'currentVelocity']
+        ].map(([param, key]) => [param, Array.from({ length: 24 }, (_, hour) => seaHour(hour)[key])]))
+    }
+};
+
+describe('classifyRoughWater', () => {
+    it('grades wave height, one level worse for a short period', () => {
+        expect(classifyRoughWater({ waveHeight: 1.4, wavePeriod: 8 }, levels)).toBe('MODERATE');
+        expect(classifyRoughWater({ waveHeight: 1.4, wavePeriod: 5 }, levels)).toBe('HIGH');
+        expect(classifyRoughWater({ waveHeight: 4, wavePeriod: 4 }, levels)).toBe('EXTREME');
+    });
+
+    it('flags a strong current on a calm sea', () => {
+        expect(classifyRoughWater({ waveHeight: 0.3, currentVelocity: 5 }, levels)).toBe('MODERATE');
+    });
+
+    it('ignores the sea for activities off the water', () => {
+        expect(classifyRoughWater({ waveHeight: 4 }, getRiskThresholds('hiking').roughWater)).toBe('SAFE');
+    });
+});
+
+describe('marine helpers', () => {
+    it('names compass points', () => {
+        expect([0, 44, 225, 350, -90].map(toCompassPoint)).toEqual(['N', 'NE', 'SW', 'N', 'W']);
+        expect(toCompassPoint(null)).toBeNull();
+    });
+
+    it('joins marine rows to the weather hour of the same time', () => {
+        const [noon, afternoon] = mergeMarineHours(
+            [{ time: '2026-07-10T12:00', temperature: 20 }, { time: '2026-07-10T13:00', temperature: 21 }],
+            { available: true, hours: [{ time: '2026-07-10T12:00', waveHeight: 1.1 }] }
+        );
+        expect(noon).toMatchObject({ temperature: 20, waveHeight: 1.1 });
+        expect(afternoon).toMatchObject({ temperature: 21, waveHeight: null, seaSurfaceTemperature: null });
+    });
+
+    it('finds the hour with the highest waves', () => {
+        expect(findMarinePeak({ available: true, hours: [{ hour: 9, waveHeight: 1 }, { hour: 15, waveHeight: 2 }] }).hour).toBe(15);
+        expect(findMarinePeak({ available: false, hours: [] })).toBeNull();
+    });
+});
+
+describe('rough water risk', () => {
+    const analyze = (routes) => createWeatherEngine({ http: createReplayHttp(routes), clock: fixedClock(FIXTURE_NOW) })
+        .analyze(FIXTURE_LOCATION.lat, FIXTURE_LOCATION.lon, new Date(2026, 6, 10), 'fishing');
+
+    it('takes the worst hour and the hours it lasts', async () => {
+        const { weather } = await analyze([[(url) => url.startsWith('https://marine-api.'), SEA_RESPONSE], ...RECORDED_ROUTES]);
+        const water = weather.risks.find(risk => risk.category === 'roughWater');
+
+        expect(water).toMatchObject({ severity: 'HIGH', value: 2.3, advisoryHours: { startHour: 12, endHour: 18 }, inland: false });
+        expect(water.peak).toMatchObject({ hour: 15, swellDirection: 250 });
+        expect(weather.metrics.seaSurfaceTemperature.value).toBe(17);
+    });
+
+    it('says so for an inland spot', async () => {
+        const { weather } = await analyze(RECORDED_ROUTES);
+        const water = weather.risks.find(risk => risk.category === 'roughWater');
+
+        expect(water).toMatchObject({ severity: 'SAFE', value: null, inland: true });
+        expect(weather.conditions.find(card => card.label === 'Rough Water').advice).toContain('No sea data');
+    });
+});
@@ -0,0 +1,51 @@
+import { classifySeverity, SEVERITY_RANK } from './thresholds.js';
+
+// Pollen species reported by the CAMS European forecast (grains/m³, daily mean). Levels follow
+// the US National Allergy Bureau bands for trees, grasses and weeds.
+const TREE_LEVELS = { MODERATE: 15, HIGH: 90, EXTREME: 1500 };
+const GRASS_LEVELS = { MODERATE: 5, HIGH: 20, EXTREME: 200 };
+const WEED_LEVELS = { MODERATE: 10, HIGH: 50, EXTREME: 500 };
+
+export const POLLEN_SPECIES = {
+    alder: { label: 'Alder', icon: '🌳', levels: TREE_LEVELS },
+    birch: { label: 'Birch', icon: '🌳', levels: TREE_LEVELS },
+    olive: { label: 'Olive', icon: '🫒', levels: TREE_LEVELS },
+    grass: { label: 'Grass', icon: '🌾', levels: GRASS_LEVELS },
+    mugwort: { label: 'Mugwort', icon: '🌿', levels: WEED_LEVELS },
+    ragweed: { label: 'Ragweed', icon: '🌼', levels: WEED_LEVELS }
+};
+
+const POLLEN_UNIT = 'grains/m³';
+
+// Per species: daily mean concentration, its severity and the peak hour; null when the air
+// quality input has no pollen (CAMS covers Europe only)
+export const summarizePollen = (airQuality) => {
+    if (!airQuality?.available) return null;
+
+    const species = {};
+    Object.entries(POLLEN_SPECIES).forEach(([key, { levels }]) => {
+        const rated = airQuality.hours.filter(hour => hour.pollen?.[key] !== null && hour.pollen?.[key] !== undefined);
+        if (rated.length === 0) return;
+
+        const concentration = rated.reduce((sum, hour) => sum + hour.pollen[key], 0) / rated.length;
+        const peak = rated.reduce((worst, hour) => (hour.pollen[key] > worst.pollen[key] ? hour : worst));
+        species[key] = {
+            concentration,
+            unit: POLLEN_UNIT,
+            severity: classifySeverity(concentration, levels),
+            peakHour: peak.hour,
+            peakConcentration: peak.pollen[key]
+        };
+    });
+
+    return Object.keys(species).length > 0 ? { source: airQuality.source, species } : null;
+};
+
+// The user's allergens that reach MODERATE or worse, worst first
+export const findAllergenExposure = (pollen, allergens = []) => {
+    if (!pollen) return [];
+    return allergens
+        .filter(key => pollen.species[key] && pollen.species[key].severity !== 'SAFE')
+        .map(key => ({ species: key, ...POLLEN_SPECIES[key], ...pollen.species[key] }))
+        .sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity] || b.concentration - a.concentration);
+};
@@ -0,0 +1,65 @@
+import { summarizePollen, findAllergenExposure } from './pollen.js';
+import { generateSmartAlerts } from './alerts.js';
+import { createWeatherEngine } from './engine.js';
+import { fixedClock } from './clock.js';
+import { createReplayHttp, FIXTURE_LOCATION, FIXTURE_NOW } from './__fixtures__/replay.js';
+
+// A June day in central Europe: grass pollen peaking mid-afternoon, a little birch, no ragweed yet
+const pollenHour = (hour) => ({
+    hour,
+    time: `2026-06-10T${String(hour).padStart(2, '0')}:00`,
+    pollen: {
+        grass: hour >= 10 && hour < 18 ? 30 + (hour === 15 ? 40 : 0) : 8,
+        birch: 4,
+        ragweed: 0,
+        alder: null,
+        olive: null,
+        mugwort: null
+    }
+});
+const airQuality = { available: true, source: 'Open-Meteo Air Quality (CAMS)', hours: Array.from({ length: 24 }, (_, hour) => pollenHour(hour)) };
+
+describe('summarizePollen', () => {
+    it('grades the daily mean of each reported species', () => {
+        const { species } = summarizePollen(airQuality);
+
+        expect(Object.keys(species)).toEqual(['birch', 'grass', 'ragweed']);
+        expect(species.grass).toMatchObject({ concentration: 17, severity: 'MODERATE', peakHour: 15, peakConcentration: 70 });
+        expect(species.birch.severity).toBe('SAFE');
+    });
+
+    it('is null without pollen data', () => {
+        expect(summarizePollen({ available: false, hours: [] })).toBeNull();
+        expect(summarizePollen({ available: true, hours: [{ hour: 0, pollen: { grass: null } }] })).toBeNull();
+    });
+});
+
+describe('allergens', () => {
+    const pollen = summarizePollen(airQuality);
+
+    it('keeps only the declared allergens that reach a risk', () => {
+        expect(findAllergenExposure(pollen, ['grass', 'birch', 'ragweed']).map(exposure => exposure.species)).toEqual(['grass']);
+        expect(findAllergenExposure(pollen)).toEqual([]);
+        expect(findAllergenExposure(null, ['grass'])).toEqual([]);
+    });
+
+    it('alerts only the user with the allergy', async () => {
+        const engine = createWeatherEngine({ http: createReplayHttp(), clock: fixedClock(FIXTURE_NOW) });
+        const analysed = await engine.analyze(FIXTURE_LOCATION.lat, FIXTURE_LOCATION.lon, new Date(2026, 6, 10), 'hiking');
+        const weather = { ...analysed.weather, pollen };
+        const alert = generateSmartAlerts(weather, FIXTURE_NOW, { allergens: ['grass'] }).find(candidate => candidate.id === 'pollen_health');
+
+        expect(alert).toMatchObject({ title: 'Pollen Alert', priority: 'MEDIUM' });
+        expect(alert.message).toContain('Grass 17 grains/m³ (moderate)');
+        expect(alert.message).toContain('peaks around 15:00');
+        expect(generateSmartAlerts(weather, FIXTURE_NOW).some(candidate => candidate.id === 'pollen_health')).toBe(false);
+    });
+
+    it('has no pollen outside Europe', async () => {
+        const engine = createWeatherEngine({ http: createReplayHttp(), clock: fixedClock(FIXTURE_NOW) });
+        const { weather, alerts } = await engine.analyze(FIXTURE_LOCATION.lat, FIXTURE_LOCATION.lon, new Date(2026, 6, 10), 'hiking', { allergens: ['grass'] });
+
+        expect(weather.pollen).toBeNull();
+        expect(alerts.some(alert => alert.id === 'pollen_health')).toBe(false);
+    });
+});
@@ -0,0 +1,506 @@
+import { SEVERITY, SEVERITY_RANK } from './thresholds.js';
+import { toCompassPoint } from './marine.js';
+import { formatClockTime } from './astronomy.js';
+import { getActivityProfile, fillTemplate, DEFAULT_ADVICE } from './activities.js';
+import { VERDICTS } from './suitability.js';
+
+// Display strings for the structured results of analyzeWeatherRisks. Nothing here feeds back
+// into the analysis; alerts, clothing and the timeline read the numeric fields directly.
+
+const WARM_COLORS = { EXTREME: 'red', HIGH: 'orange', MODERATE: 'yellow', SAFE: 'green' };
+const COOL_COLORS = { EXTREME: 'blue', HIGH: 'lightblue', MODERATE: 'cyan', SAFE: 'green' };
+
+// 'hiking', 'outdoor events' – how an activity reads inside a sentence
+const activityName = (activity) => getActivityProfile(activity).name;
+
+export const RISK_PRESENTATION = {
+    hot: { label: 'Very Hot', icon: '🔥', summary: 'heat risk', safeSummary: 'No heat risk', colors: WARM_COLORS },
+    cold: { label: 'Very Cold', icon: '🥶', summary: 'cold risk', safeSummary: 'No cold risk', colors: COOL_COLORS },
+    wind: { label: 'Very Windy', icon: '💨', summary: 'wind hazard', safeSummary: 'No wind hazard', colors: WARM_COLORS },
+    wet: { label: 'Very Wet', icon: '🌧️', summary: 'precipitation risk', safeSummary: 'No precipitation risk', colors: COOL_COLORS },
+    comfort: { label: 'Very Uncomfortable', icon: '😰', summary: 'discomfort', safeSummary: 'Comfortable conditions', colors: WARM_COLORS },
+    thunderstorm: { label: 'Thunderstorm', icon: '⛈️', summary: 'thunderstorm risk', safeSummary: 'No thunderstorm risk', colors: WARM_COLORS },
+    uv: { label: 'High UV', icon: '🕶️', summary: 'UV exposure', safeSummary: 'Low UV', colors: WARM_COLORS },
+    visibility: { label: 'Poor Visibility', icon: '🌫️', summary: 'visibility risk', safeSummary: 'Good visibility', colors: COOL_COLORS },
+    air: { label: 'Unhealthy Air', icon: '😷', summary: 'air quality risk', safeSummary: 'Good air quality', colors: WARM_COLORS },
+    ice: { label: 'Icy Trails', icon: '🧊', summary: 'ice risk', safeSummary: 'No ice expected', colors: COOL_COLORS },
+    snow: { label: 'Fresh Snow', icon: '❄️', summary: 'snow risk', safeSummary: 'No fresh snow', colors: COOL_COLORS },
+    freezingRain: { label: 'Freezing Rain', icon: '🌨️', summary: 'freezing rain risk', safeSummary: 'No freezing rain', colors: COOL_COLORS },
+    roughWater: { label: 'Rough Water', icon: '🌊', summary: 'rough water risk', safeSummary: 'Calm water', colors: COOL_COLORS }
+};
+
+// '24.3°C', '12.0 km/h', '3.5 mm', '60%'
+export const formatMetric = (value, unit, digits = 1) => {
+    if (value === null || value === undefined) return 'No Data';
+    return `${value.toFixed(digits)}${unit === '°C' || unit === '%' ? '' : ' '}${unit}`;
+};
+
+// Clock times for timing advice from the day's sun (see astronomy.js); words stand in when the
+// sun does not rise or set
+const getSunTiming = (daylight) => {
+    const at = (hours, fallback) => (hours === null || hours === undefined ? fallback : formatClockTime(hours));
+    const sunrise = daylight?.sunrise ?? null;
+    const sunset = daylight?.sunset ?? null;
+    return {
+        dawn: at(daylight?.civilDawn, 'first light'),
+        dusk: at(daylight?.civilDusk, 'last light'),
+        sunrise: at(sunrise, 'sunrise'),
+        sunset: at(sunset, 'sunset'),
+        // The two cooler hours after sunrise and before sunset
+        morningEnd: at(sunrise === null ? null : sunrise + 2, 'mid-morning'),
+        eveningStart: at(sunset === null ? null : sunset - 2, 'late afternoon')
+    };
+};
+
+// Activity-specific advice per category and severity from the activity profile's templates
+// (see activities.js); `value` is the formatted metric, `daylight` the day's sun times for
+// timing hints and `values` any placeholders of the category's own
+export const getActivityAdvice = (category, severity, value, activity, daylight = null, values = {}) => {
+    const profile = getActivityProfile(activity);
+    const template = profile.advice[category]?.[severity] || DEFAULT_ADVICE[category]?.[severity] ||
+        'Conditions are {severity} for {name}.';
+    return fillTemplate(template, {
+        ...getSunTiming(daylight),
+        value,
+        name: profile.name,
+        icon: profile.icon,
+        TITLE: profile.title.toUpperCase(),
+        severity: severity.toLowerCase(),
+        ...values
+    });
+};
+
+
+// Heavy-exertion WBGT limits (ACSM): above 23°C heat illness becomes likely, above 28°C hard
+// exercise should stop
+const WBGT_LIMITS = { caution: 23, stop: 28 };
+
+const getWbgtAdvice = (wbgt, activity) => {
+    if (wbgt === null || !getActivityProfile(activity).traits.heavyExertion) return '';
+    const value = formatMetric(wbgt, '°C');
+    if (wbgt > WBGT_LIMITS.stop) return ` WBGT ${value} is past the ${WBGT_LIMITS.stop}°C limit for strenuous exercise – shorten the route or move it to the cool of the morning.`;
+    if (wbgt > WBGT_LIMITS.caution) return ` WBGT ${value}: ease the pace and rest in shade every 30 minutes.`;
+    return '';
+};
+
+const getComfortAdvice = (severity, metrics, activity) => {
+    const conditions = `Heat index ${formatMetric(metrics.heatIndex.value, '°C')} with ${formatMetric(metrics.afternoonHumidity.value, '%', 0)} afternoon humidity`;
+    const comfortMessages = {
+        EXTREME: `😰 ${activityName(activity).toUpperCase()} ALERT: ${conditions} creates dangerous conditions. High risk of heat exhaustion.`,
+        HIGH: `😰 ${activityName(activity).toUpperCase()} CAUTION: ${conditions} requires frequent breaks and extra hydration.`,
+        MODERATE: `😰 ${activityName(activity).toUpperCase()} ADVICE: ${conditions} may cause discomfort. Stay hydrated.`,
+        SAFE: `😰 ${activityName(activity).toUpperCase()} PERFECT: ${conditions} creates comfortable conditions.`
+    };
+    const exertion = getWbgtAdvice(metrics.wbgt.value, activity);
+    // Humid-heat grading is for resting comfort; hard effort can still be too much
+    if (severity === SEVERITY.SAFE && exertion) {
+        return `😰 ${activityName(activity).toUpperCase()} ADVICE: ${conditions} is bearable at rest.${exertion}`;
+    }
+    return comfortMessages[severity] + exertion;
+};
+
+// "Heat index 31.2°C · dew point 19.0°C · WBGT 27.1°C"
+const describeComfort = (risk, metrics) => [
+    `Heat index ${formatMetric(risk.value, risk.unit)}`,
+    metrics.dewPoint.value !== null ? `dew point ${formatMetric(metrics.dewPoint.value, '°C')}` : null,
+    metrics.wbgt.value !== null ? `WBGT ${formatMetric(metrics.wbgt.value, '°C')}` : null
+].filter(Boolean).join(' · ');
+
+const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+// Lightning advice; `peak` is the timeline's thunderstorm peak (set whenever severity is not SAFE)
+const getThunderstormAdvice = (severity, peak, activity, daylight = null) =>
+    getActivityAdvice('thunderstorm', severity, null, activity, daylight, peak ? {
+        window: `${formatHour(peak.startHour)}–${formatHour(peak.endHour)}`,
+        stormStart: formatHour(peak.startHour),
+        deadline: formatHour(Math.min(12, peak.startHour))
+    } : {});
+
+// "CAPE 1200 J/kg · peak 15:00"
+const describeThunderstorm = (risk, peak) => {
+    if (risk.value === null) return 'No hourly forecast';
+    const cape = `CAPE ${formatMetric(risk.value, risk.unit, 0)}`;
+    return peak ? `${cape} · peak ${formatHour(peak.hour)}` : cape;
+};
+
+// "UV 9.4 (7 + snow reflection, altitude 2950 m)"
+const describeUv = (risk) => {
+    if (risk.value === null) return 'No UV forecast';
+    const { uvIndex, boosts } = risk.exposure;
+    const reasons = boosts.map(({ reason }) => reason).join(', ');
+    return `UV ${risk.value.toFixed(1)}${boosts.length > 0 ? ` (${uvIndex.toFixed(0)} + ${reasons})` : ''}`;
+};
+
+// Burn time for the chosen skin type, shade hours and when to put sunscreen on
+const getUvAdvice = (risk, activity) => {
+    const { burnMinutes, skinType, protectionHours, shadeHours, sunscreen } = risk.exposure;
+    if (risk.severity === SEVERITY.SAFE) {
+        return `🕶️ Low UV for ${activityName(activity)}. Sunglasses are enough; unprotected skin type ${skinType} takes over ${Math.round(burnMinutes ?? 120)} minutes to burn.`;
+    }
+
+    const spf = risk.severity === SEVERITY.MODERATE ? 'SPF 30+' : 'SPF 50+';
+    const parts = [`🧴 Skin type ${skinType} burns in about ${Math.round(burnMinutes)} minutes unprotected. Use ${spf}, a hat and UV-blocking sunglasses.`];
+    if (protectionHours) {
+        parts.push(`Cover up ${formatHour(protectionHours.startHour)}–${formatHour(protectionHours.endHour)}` +
+            `${shadeHours ? ` and seek shade ${formatHour(shadeHours.startHour)}–${formatHour(shadeHours.endHour)}` : ''}.`);
+    }
+    if (sunscreen.length > 0) {
+        const [first, ...rest] = sunscreen;
+        parts.push(`Sunscreen: apply before ${formatClockTime(first.hour)}${rest.length > 0 ?
+            `, reapply at ${rest.map(({ hour }) => formatClockTime(hour)).join(', ')}` : ''}${getActivityProfile(activity).traits.onWater ? ' and after every swim' : ''}.`);
+    }
+    return parts.join(' ');
+};
+
+// '350 m', '2.5 km'
+const formatVisibility = (metres) => (metres >= 1000 ? `${(metres / 1000).toFixed(1)} km` : `${Math.round(metres)} m`);
+
+const formatFogWindows = (windows) => windows
+    .map(window => `${formatHour(window.startHour)}–${formatHour(window.endHour)}`)
+    .join(', ');
+
+// "Min 350 m · fog 05:00–09:00"
+const describeVisibility = (risk, fogWindows) => {
+    const fog = fogWindows.length > 0 ? `fog ${formatFogWindows(fogWindows)}` : null;
+    if (risk.value === null) return fog || 'No visibility forecast';
+    return [`Min ${formatVisibility(risk.value)}`, fog].filter(Boolean).join(' · ');
+};
+
+// Activities graded on visibility get their fog advice; the others only hear about fog as a
+// travel delay
+const getVisibilityAdvice = (risk, fogWindows, activity) => {
+    const worst = fogWindows.reduce((current, window) => (
+        !current || SEVERITY_RANK[window.severity] > SEVERITY_RANK[current.severity] ? window : current), null);
+    if (!risk.thresholds) {
+        return worst ?
+            `🌫️ Fog ${formatFogWindows(fogWindows)}. Not a hazard for ${activityName(activity)}, but allow extra travel time.` :
+            '🌫️ No fog expected.';
+    }
+    const lowest = risk.value !== null ? formatVisibility(risk.value) : 'under 1 km';
+    return getActivityAdvice('visibility', risk.severity, lowest, activity, null,
+        { clearsAt: worst ? formatHour(worst.endHour) : null });
+};
+
+// "US AQI 162 · PM2.5 58 µg/m³ · peak 16:00"
+const describeAirQuality = (risk, metrics) => {
+    if (risk.value === null) return 'No air-quality forecast';
+    const pm25 = metrics.pm25.value !== null ? ` · PM2.5 ${formatMetric(metrics.pm25.value, metrics.pm25.unit, 0)}` : '';
+    return `US AQI ${Math.round(risk.value)}${pm25}${risk.peak ? ` · peak ${formatHour(risk.peak.hour)}` : ''}`;
+};
+
+// The profiles scale the advice with how hard each activity makes you breathe: hiking and
+// cycling are sustained heavy exertion, fishing, camping and events mostly light
+const getAirQualityAdvice = (severity, peak, activity) => {
+    const message = getActivityAdvice('air', severity, null, activity);
+    return severity === SEVERITY.SAFE || !peak ? message : `${message} Air is worst around ${formatHour(peak.hour)}.`;
+};
+
+// "6 icy hours · freeze–thaw", "12.0 cm fresh snow · 35 cm on the ground · freezing level 1400 m"
+const describeWinter = (risk, metrics) => {
+    if (risk.value === null) return 'No hourly data';
+    if (risk.category === 'ice') {
+        return `${Math.round(risk.value)} icy hours${risk.freezeThaw ? ' · freeze–thaw' : ''}`;
+    }
+    if (risk.category === 'snow') {
+        return [
+            `${formatMetric(risk.value, risk.unit)} fresh snow`,
+            metrics.snowDepth.value >= 1 ? `${Math.round(metrics.snowDepth.value)} cm on the ground` : null,
+            metrics.freezingLevel.value !== null ? `freezing level ${Math.round(metrics.freezingLevel.value)} m` : null
+        ].filter(Boolean).join(' · ');
+    }
+    return `${formatMetric(risk.value, risk.unit)} freezing rain`;
+};
+
+// Hours of freezing rain in the timeline, "04:00–08:00"
+const formatFreezingRainHours = (timeline) => {
+    const freezing = (timeline?.hours || []).filter(hour => hour.precipitationType === 'freezing_rain');
+    if (freezing.length === 0) return null;
+    return `${formatHour(Math.min(...freezing.map(hour => hour.hour)))}–${formatHour(Math.max(...freezing.map(hour => hour.hour)) + 1)}`;
+};
+
+// Traction advice from the profile, with freeze–thaw and freezing-level notes
+const getIceAdvice = (risk, { metrics, activity }) => {
+    const message = getActivityAdvice('ice', risk.severity, String(Math.round(risk.value)), activity);
+    if (risk.severity === SEVERITY.SAFE) return message;
+
+    const notes = [];
+    if (risk.freezeThaw) notes.push('Meltwater refreezes into sheet ice after sunset.');
+    if (getActivityProfile(activity).traits.mountain && metrics.freezingLevel.value !== null) {
+        notes.push(`Above ${Math.round(metrics.freezingLevel.value)} m expect snow and ice even if the trailhead is clear.`);
+    }
+    return [message, ...notes].join(' ');
+};
+
+const getSnowAdvice = (risk, { activity }) =>
+    getActivityAdvice('snow', risk.severity, formatMetric(risk.value, risk.unit), activity);
+
+const getFreezingRainAdvice = (risk, { timeline, activity }) => {
+    const window = formatFreezingRainHours(timeline);
+    return getActivityAdvice('freezingRain', risk.severity, formatMetric(risk.value, risk.unit), activity, null,
+        { when: window ? ` (${window})` : '' });
+};
+
+// "Waves 1.8 m · swell 1.2 m / 11 s from W · water 14.0°C"
+const describeRoughWater = (risk, metrics) => {
+    if (risk.value === null) return 'No marine forecast';
+    const peak = risk.peak;
+    const swell = metrics.swellHeight.value !== null ?
+        `swell ${metrics.swellHeight.value.toFixed(1)} m` +
+        `${metrics.swellPeriod.value !== null ? ` / ${Math.round(metrics.swellPeriod.value)} s` : ''}` +
+        `${peak?.swellDirection !== null && peak?.swellDirection !== undefined ? ` from ${toCompassPoint(peak.swellDirection)}` : ''}` : null;
+    const water = metrics.seaSurfaceTemperature.value !== null ?
+        `water ${formatMetric(metrics.seaSurfaceTemperature.value, '°C')}` : null;
+    return [`Waves ${risk.value.toFixed(1)} m`, swell, water].filter(Boolean).join(' · ');
+};
+
+// Cold shock and swim-failure risk for anyone who ends up in the water, and where the fish are
+const describeWaterTemperature = (temperature) => {
+    if (temperature === null) return null;
+    const water = `🌡️ Water ${formatMetric(temperature, '°C')}:`;
+    if (temperature < 10) return `${water} cold shock can incapacitate within minutes if you fall in. Life jacket on, dress for immersion.`;
+    if (temperature < 15) return `${water} cold-water immersion risk. Wear a life jacket and carry dry spare clothes.`;
+    if (temperature < 25) return `${water} fish are active in the shallows.`;
+    return `${water} warm surface water sends fish deep; fish at dawn and dusk or drop deeper.`;
+};
+
+// Small-craft style advisories from the profile, with the current and water temperature;
+// activities not graded on the water only hear the sea state
+const getRoughWaterAdvice = (risk, metrics, activity) => {
+    const waves = `${risk.value.toFixed(1)} m`;
+    if (!risk.thresholds) {
+        return `🌊 Waves up to ${waves}. Not graded for ${activityName(activity)}; check local surf reports before swimming.`;
+    }
+
+    const when = risk.advisoryHours ?
+        ` ${formatHour(risk.advisoryHours.startHour)}–${formatHour(risk.advisoryHours.endHour)}` : '';
+    const peak = risk.peak;
+    const notes = [];
+    if (peak?.currentVelocity > risk.thresholds.current) {
+        notes.push(`Strong current (${formatMetric(peak.currentVelocity, 'km/h')} toward ${toCompassPoint(peak.currentDirection)}) – anchor securely and keep clear of channel mouths.`);
+    }
+    notes.push(describeWaterTemperature(metrics.seaSurfaceTemperature.value));
+    return [getActivityAdvice('roughWater', risk.severity, waves, activity, null, { when }), ...notes].filter(Boolean).join(' ');
+};
+
+const WINTER_ADVICE = { ice: getIceAdvice, snow: getSnowAdvice, freezingRain: getFreezingRainAdvice };
+
+// One card ({ label, icon, risk, advice, color, likelihood }) for a structured risk
+// "⛰️ At 2950 m (model grid 1720 m): 4.5°C → -3.5°C" when the value was moved to the point's elevation
+const describeElevationAdjustment = (risk, elevation) => {
+    if (!elevation || risk.rawValue === null || risk.rawValue === undefined) return null;
+    return `⛰️ At ${Math.round(elevation.pointElevation)} m (model grid ${Math.round(elevation.gridElevation)} m): ` +
+        `${formatMetric(risk.rawValue, risk.unit)} → ${formatMetric(risk.value, risk.unit)}`;
+};
+
+export const presentRisk = (risk, analysis) => {
+    const meta = RISK_PRESENTATION[risk.category];
+    // Hourly-only categories (thunderstorm, visibility, UV, air, snow, ice, sea) have no value
+    // beyond their forecast; that is unknown, not safe
+    const unknown = risk.value === null && risk.severity === SEVERITY.SAFE;
+    let headline = unknown ? `Unknown ${meta.summary}` :
+        risk.severity !== SEVERITY.SAFE ? `${risk.severity} ${meta.summary}` : meta.safeSummary;
+    const peak = analysis.timeline?.thunderstormPeak || null;
+    let metricText = formatMetric(risk.value, risk.unit);
+    let advice;
+    if (risk.category === 'comfort') {
+        metricText = describeComfort(risk, analysis.metrics);
+        advice = getComfortAdvice(risk.severity, analysis.metrics, analysis.activity);
+    } else if (risk.category === 'thunderstorm') {
+        metricText = describeThunderstorm(risk, peak);
+        advice = risk.value === null ?
+            '⛈️ Thunderstorm potential is only forecast for the coming days. Check again closer to the date.' :
+            getThunderstormAdvice(risk.severity, peak, analysis.activity, analysis.daylight);
+    } else if (risk.category === 'uv') {
+        metricText = describeUv(risk);
+        advice = risk.value === null ?
+            '🕶️ UV is only forecast for the coming days. Pack sunscreen and check again closer to the date.' :
+            getUvAdvice(risk, analysis.activity);
+    } else if (risk.category === 'visibility') {
+        const fogWindows = analysis.timeline?.fogWindows || [];
+        // Activities not graded on visibility still hear about fog
+        if (!risk.thresholds && fogWindows.length > 0) headline = 'Fog expected';
+        metricText = describeVisibility(risk, fogWindows);
+        advice = risk.value === null && fogWindows.length === 0 ?
+            '🌫️ Visibility is only forecast for the coming days. Check again closer to the date.' :
+            getVisibilityAdvice(risk, fogWindows, analysis.activity);
+    } else if (risk.category === 'air') {
+        metricText = describeAirQuality(risk, analysis.metrics);
+        advice = risk.value === null ?
+            '😷 Air quality is only forecast 5 days ahead. Check again closer to the date, especially in smoke season.' :
+            getAirQualityAdvice(risk.severity, risk.peak, analysis.activity);
+    } else if (risk.category === 'roughWater') {
+        if (risk.inland) headline = 'No open water';
+        // Activities not graded on the water still see the sea state
+        if (!risk.thresholds && risk.value !== null) headline = 'Sea state';
+        metricText = describeRoughWater(risk, analysis.metrics);
+        advice = risk.value !== null ? getRoughWaterAdvice(risk, analysis.metrics, analysis.activity) :
+            risk.inland ? '🌊 No sea data for this location. Lakes and rivers are not covered by the marine forecast.' :
+                '🌊 Waves and currents are only forecast a week ahead. Check again closer to the date.';
+    } else if (WINTER_ADVICE[risk.category]) {
+        metricText = describeWinter(risk, analysis.metrics);
+        advice = risk.value === null ?
+            `${meta.icon} Snow and ice are only graded from hourly data for the coming days. Check again closer to the date.` :
+            WINTER_ADVICE[risk.category](risk, analysis);
+    } else {
+        advice = unknown ?
+            `${meta.icon} No source reported this for the day, so it is not rated. Check again later.` :
+            getActivityAdvice(risk.category, risk.severity, risk.value.toFixed(1), analysis.activity, analysis.daylight);
+    }
+
+    return {
+        category: risk.category,
+        label: meta.label,
+        icon: meta.icon,
+        risk: `${headline} - ${metricText}${risk.estimated && risk.value !== null ? ' (estimated)' : ''}`,
+        advice,
+        color: unknown ? 'gray' : meta.colors[risk.severity],
+        likelihood: risk.likelihood,
+        adjustment: describeElevationAdjustment(risk, analysis.elevation)
+    };
+};
+
+export const presentRisks = (analysis) => analysis.risks.map(risk => presentRisk(risk, analysis));
+
+// 🌅 Daylight card: sun and moon times with activity-specific timing (the profile's `daylight`
+// advice)
+const formatDuration = (hours) => `${Math.floor(hours)} h ${String(Math.round((hours % 1) * 60)).padStart(2, '0')} min`;
+
+const describeMoon = (moon) => {
+    const lit = `${moon.icon} ${moon.name}, ${Math.round(moon.illumination * 100)}% lit`;
+    if (moon.alwaysUp) return `${lit} – up all day.`;
+    if (moon.alwaysDown) return `${lit} – below the horizon all day.`;
+    const times = [
+        moon.rise !== null ? `moonrise ${formatClockTime(moon.rise)}` : null,
+        moon.set !== null ? `moonset ${formatClockTime(moon.set)}` : null
+    ].filter(Boolean);
+    return `${lit}${times.length > 0 ? ` – ${times.join(', ')}` : ''}.`;
+};
+
+export const presentDaylight = (analysis) => {
+    const daylight = analysis.daylight;
+    if (!daylight) return null;
+    const sun = getSunTiming(daylight);
+
+    let risk;
+    if (daylight.polar === 'day') {
+        risk = 'Midnight sun – the sun does not set';
+    } else if (daylight.polar === 'night') {
+        risk = 'Polar night – the sun does not rise';
+    } else {
+        risk = `Sunrise ${sun.sunrise} · Sunset ${sun.sunset} · ${formatDuration(daylight.dayLength)} of daylight`;
+    }
+
+    const parts = [];
+    if (daylight.civilDawn !== null) parts.push(`Civil twilight ${sun.dawn}–${sun.dusk}.`);
+    if (daylight.nauticalDawn !== null) {
+        parts.push(`Nautical twilight ${formatClockTime(daylight.nauticalDawn)}–${formatClockTime(daylight.nauticalDusk)}.`);
+    }
+    if (daylight.goldenHours.length > 0) {
+        parts.push(`Golden hour ${daylight.goldenHours
+            .map(({ start, end }) => `${formatClockTime(start)}–${formatClockTime(end)}`).join(' and ')}.`);
+    }
+    parts.push(describeMoon(daylight.moon));
+    const tip = getActivityProfile(analysis.activity).advice.daylight;
+    if (daylight.polar === null && tip) parts.push(fillTemplate(tip, sun));
+
+    return {
+        category: 'daylight',
+        label: 'Daylight',
+        icon: daylight.polar === 'night' ? '🌌' : '🌅',
+        risk,
+        advice: parts.join(' '),
+        color: 'darkblue',
+        likelihood: null,
+        adjustment: null
+    };
+};
+
+// 🎯 Suitability card: verdict and score for the activity, and what holds the score down
+const describeLimitingFactor = (factor) => {
+    const meta = RISK_PRESENTATION[factor.category];
+    const value = factor.value === null ? '' : ` (${formatMetric(factor.value, factor.unit, 0)})`;
+    return `${meta.icon} ${factor.severity.toLowerCase()} ${meta.summary}${value}`;
+};
+
+// 'Limited by 🔥 high heat risk (33°C) and …' for any suitability result (a day's analysis or a
+// best-day entry)
+export const describeSuitability = (suitability) => {
+    if (suitability.score === null) return 'No data for this day.';
+    const factors = suitability.limitingFactors.map(describeLimitingFactor);
+    return factors.length > 0 ? `Limited by ${factors.join(' and ')}.` : 'Nothing stands in the way.';
+};
+
+// Shown in place of a verdict when the day's core categories have no data
+const NO_VERDICT = { label: 'No data', icon: '❔', color: 'gray' };
+
+export const presentSuitability = (analysis) => {
+    const suitability = analysis.suitability;
+    if (!suitability) return null;
+    const verdict = VERDICTS.find(candidate => candidate.key === suitability.verdict) || NO_VERDICT;
+    const factors = suitability.limitingFactors.map(describeLimitingFactor);
+    const unrated = suitability.unrated.map(category => RISK_PRESENTATION[category].summary);
+
+    return {
+        score: suitability.score,
+        verdict: verdict.label,
+        icon: verdict.icon,
+        color: verdict.color,
+        headline: `${verdict.label} for ${activityName(analysis.activity)}`,
+        factors,
+        summary: describeSuitability(suitability),
+        note: unrated.length > 0 ? `No data yet for ${unrated.join(', ')}; not counted.` : null
+    };
+};
+
+// ⏱️ Best start times: "Start 06:30 – avoids 14:00 storms and 33°C heat"
+const HAZARD_NAMES = {
+    hot: 'heat',
+    cold: 'cold',
+    wind: 'gusts',
+    wet: 'rain',
+    thunderstorm: 'storms',
+    visibility: 'fog',
+    ice: 'ice',
+    snow: 'snow',
+    roughWater: 'rough water'
+};
+
+const describeHazard = (hazard) => (hazard.value === null ?
+    `${formatClockTime(hazard.hour)} ${HAZARD_NAMES[hazard.category]}` :
+    `${formatMetric(hazard.value, hazard.unit, 0)} ${HAZARD_NAMES[hazard.category]}`);
+
+export const describeStartWindow = (window) => {
+    // Storms bring their own rain; naming both says the same thing twice
+    const stormy = window.avoids.some(hazard => hazard.category === 'thunderstorm');
+    const avoids = window.avoids.filter(hazard => !(stormy && hazard.category === 'wet'));
+    const parts = [];
+    if (avoids.length > 0) parts.push(`avoids ${avoids.slice(0, 2).map(describeHazard).join(' and ')}`);
+    if (window.remaining.length > 0) {
+        parts.push(`still ${window.remaining.slice(0, 2)
+            .map(hazard => `${hazard.severity.toLowerCase()} ${RISK_PRESENTATION[hazard.category].summary}`).join(' and ')}`);
+    }
+    if (parts.length === 0) parts.push('no weather risks');
+    return `Start ${formatClockTime(window.start)} – ${parts.join('; ')}`;
+};
+
+export const presentStartWindows = (analysis) => {
+    if (!analysis.timeline) return null;
+    const { durationHours, windows } = analysis.startWindows;
+    return {
+        durationHours,
+        windows: windows.map(window => {
+            const verdict = VERDICTS.find(candidate => candidate.key === window.verdict);
+            return {
+                start: formatClockTime(window.start),
+                end: formatClockTime(window.end),
+                score: window.score,
+                verdict: verdict.label,
+                icon: verdict.icon,
+                color: verdict.color,
+                reason: describeStartWindow(window)
+            };
+        }),
+        note: windows.length > 0 ? null : analysis.daylight?.polar === 'night' ?
+            'No daylight today – the sun does not rise.' : `Not enough daylight for a ${durationHours} h outing.`
+    };
+};
@@ -0,0 +1,162 @@
+import { haversineKm } from './geo.js';
+import { worstSeverity, SEVERITY_RANK } from './thresholds.js';
+
+// Minimal GPX/KML readers. React Native has no DOMParser, and we only need track points, so
+// these scan the markup instead of building a document.
+
+const firstTagText = (xml, tag) => {
+    const match = xml.match(new RegExp(`<${tag}[^>]*>\\s*(?:<!\\[CDATA\\[)?([\\s\\S]*?)(?:\\]\\]>)?\\s*</${tag}>`, 'i'));
+    return match ? match[1].trim() : null;
+};
+
+const toPoint = (lat, lon, ele) => {
+    const point = { lat: parseFloat(lat), lon: parseFloat(lon), ele: ele === undefined || ele === null ? null : parseFloat(ele) };
+    if (Number.isNaN(point.lat) || Number.isNaN(point.lon)) return null;
+    if (Number.isNaN(point.ele)) point.ele = null;
+    return point;
+};
+
+// Track points (<trkpt>), falling back to route points (<rtept>)
+export const parseGpx = (xml) => {
+    const readPoints = (tag) => [...xml.matchAll(new RegExp(`<${tag}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</${tag}>)`, 'gi'))]
+        .map(([, attributes, body = '']) => {
+            const lat = attributes.match(/lat\s*=\s*["']([^"']+)["']/i)?.[1];
+            const lon = attributes.match(/lon\s*=\s*["']([^"']+)["']/i)?.[1];
+            return toPoint(lat, lon, firstTagText(body, 'ele'));
+        })
+        .filter(Boolean);
+
+    const trackPoints = readPoints('trkpt');
+    return {
+        name: firstTagText(xml, 'name'),
+        points: trackPoints.length > 0 ? trackPoints : readPoints('rtept')
+    };
+};
+
+// LineString <coordinates> ("lon,lat[,ele]" tuples) and Google <gx:coord> ("lon lat ele")
+export const parseKml = (xml) => {
+    const points = [...xml.matchAll(/<coordinates>([\s\S]*?)<\/coordinates>/gi)]
+        .flatMap(([, text]) => text.trim().split(/\s+/))
+        .map(tuple => {
+            const [lon, lat, ele] = tuple.split(',');
+            return toPoint(lat, lon, ele);
+        })
+        .filter(Boolean);
+
+    const trackPoints = [...xml.matchAll(/<gx:coord>([\s\S]*?)<\/gx:coord>/gi)]
+        .map(([, text]) => {
+            const [lon, lat, ele] = text.trim().split(/\s+/);
+            return toPoint(lat, lon, ele);
+        })
+        .filter(Boolean);
+
+    return {
+        name: firstTagText(xml, 'name'),
+        points: points.length > 0 ? points : trackPoints
+    };
+};
+
+// Detects the format from the file name or the root element
+export const parseRoute = (text, fileName = '') => {
+    const isKml = /\.kml$/i.test(fileName) || /<kml[\s>]/i.test(text);
+    const route = isKml ? parseKml(text) : parseGpx(text);
+    if (route.points.length < 2) {
+        throw new Error(`No track found in ${isKml ? 'KML' : 'GPX'} file`);
+    }
+    return { ...route, name: route.name || fileName.replace(/\.(gpx|kml)$/i, '') || 'Imported route' };
+};
+
+// Distance from the start (km) at every point, plus the total climb (m)
+export const measureRoute = (points) => {
+    let distanceKm = 0;
+    let ascentM = 0;
+    const distances = points.map((point, index) => {
+        if (index > 0) {
+            const previous = points[index - 1];
+            distanceKm += haversineKm(previous.lat, previous.lon, point.lat, point.lon);
+            if (point.ele !== null && previous.ele !== null && point.ele > previous.ele) {
+                ascentM += point.ele - previous.ele;
+            }
+        }
+        return distanceKm;
+    });
+    return { distances, distanceKm, ascentM };
+};
+
+// Point reached after `targetKm`, interpolated between track points
+const pointAtDistance = (points, distances, targetKm) => {
+    const index = distances.findIndex(distance => distance >= targetKm);
+    if (index <= 0) return index === 0 ? points[0] : points[points.length - 1];
+
+    const [before, after] = [points[index - 1], points[index]];
+    const span = distances[index] - distances[index - 1];
+    const ratio = span > 0 ? (targetKm - distances[index - 1]) / span : 0;
+    return {
+        lat: before.lat + (after.lat - before.lat) * ratio,
+        lon: before.lon + (after.lon - before.lon) * ratio,
+        ele: before.ele !== null && after.ele !== null ? before.ele + (after.ele - before.ele) * ratio : null
+    };
+};
+
+// Where we expect to be every hour at a steady pace (km/h), from the start to the finish
+export const estimateRoutePositions = (points, { startTime, paceKmh }) => {
+    if (!(paceKmh > 0)) throw new Error('Pace must be a positive speed in km/h');
+
+    const { distances, distanceKm } = measureRoute(points);
+    const durationHours = distanceKm / paceKmh;
+    const offsets = [];
+    for (let hour = 0; hour < durationHours; hour++) offsets.push(hour);
+    offsets.push(durationHours);
+
+    return offsets.map(offsetHours => {
+        const routeKm = Math.min(distanceKm, offsetHours * paceKmh);
+        return {
+            time: new Date(startTime.getTime() + offsetHours * 60 * 60 * 1000),
+            offsetHours,
+            distanceKm: routeKm,
+            point: pointAtDistance(points, distances, routeKm)
+        };
+    });
+};
+
+// Factor -> the hourly field that measures it, for picking the worst exposure along the route
+const EXPOSURE_FIELDS = {
+    hot: { field: 'temperature', unit: '°C' },
+    wind: { field: 'windGusts', fallback: 'windSpeed', unit: 'km/h' },
+    wet: { field: 'precipitationProbability', fallback: 'precipitation', unit: '%', fallbackUnit: 'mm' },
+    thunderstorm: { field: 'cape', unit: 'J/kg' }
+};
+
+// Position with the highest reading of each factor, so the route view can point at it
+export const findRouteExposure = (positions) => {
+    const rated = positions.filter(position => position.conditions);
+    const exposure = {};
+    Object.entries(EXPOSURE_FIELDS).forEach(([factor, { field, fallback, unit, fallbackUnit }]) => {
+        const hasPrimary = rated.some(position => position.conditions[field] !== null && position.conditions[field] !== undefined);
+        const key = hasPrimary ? field : fallback;
+        const candidates = rated.filter(position => position.conditions[key] !== null && position.conditions[key] !== undefined);
+        if (candidates.length === 0) return;
+
+        const worst = candidates.reduce((max, position) => (position.conditions[key] > max.conditions[key] ? position : max));
+        exposure[factor] = {
+            index: positions.indexOf(worst),
+            time: worst.time,
+            distanceKm: worst.distanceKm,
+            point: worst.point,
+            value: worst.conditions[key],
+            unit: hasPrimary ? unit : fallbackUnit || unit,
+            severity: worst.conditions.factors[factor]
+        };
+    });
+    return exposure;
+};
+
+export const summarizeRouteRisk = (positions) => {
+    const rated = positions.filter(position => position.conditions);
+    return {
+        severity: worstSeverity(rated.map(position => position.conditions.severity)),
+        ratedPositions: rated.length,
+        // Hours spent at HIGH or worse
+        highRiskHours: rated.filter(position => SEVERITY_RANK[position.conditions.severity] >= SEVERITY_RANK.HIGH).length
+    };
+};
@@ -0,0 +1,121 @@
+import { parseRoute, parseGpx, parseKml, measureRoute, estimateRoutePositions } from './route.js';
+import { toLocationTime, toDateKey } from './dates.js';
+import { createWeatherEngine } from './engine.js';
+import { fixedClock } from './clock.js';
+import { createReplayHttp, loadFixture, RECORDED_ROUTES, FIXTURE_LOCATION, FIXTURE_NOW } from './__fixtures__/replay.js';
+
+const { lat, lon } = FIXTURE_LOCATION;
+
+const GPX = `<?xml version="1.0"?>
+<gpx version="1.1"><trk><name>Mesa Trail</name><trkseg>
+  <trkpt lat="40.0100" lon="-105.2700"><ele>1700</ele></trkpt>
+  <trkpt lat="40.0190" lon="-105.2700"><ele>1760</ele></trkpt>
+  <trkpt lat="40.0280" lon="-105.2700"><ele>1740</ele></trkpt>
+</trkseg></trk></gpx>`;
+
+const KML = `<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name><![CDATA[Flatirons]]></name>
+  <Placemark><LineString><coordinates>
+    -105.27,40.01,1700 -105.28,40.01,1800
+  </coordinates></LineString></Placemark></Document></kml>`;
+
+describe('parseRoute', () => {
+    it('reads GPX track points with their elevation', () => {
+        const route = parseRoute(GPX, 'mesa.gpx');
+        expect(route.name).toBe('Mesa Trail');
+        expect(route.points).toHaveLength(3);
+        expect(route.points[1]).toEqual({ lat: 40.019, lon: -105.27, ele: 1760 });
+    });
+
+    it('falls back to GPX route points', () => {
+        const gpx = '<gpx><rte><rtept lat="40" lon="-105"/><rtept lat="40.1" lon="-105"/></rte></gpx>';
+        expect(parseGpx(gpx).points).toEqual([{ lat: 40, lon: -105, ele: null }, { lat: 40.1, lon: -105, ele: null }]);
+    });
+
+    it('reads KML coordinates as lon,lat,ele', () => {
+        const route = parseRoute(KML, 'flatirons.kml');
+        expect(route.name).toBe('Flatirons');
+        expect(route.points[1]).toEqual({ lat: 40.01, lon: -105.28, ele: 1800 });
+        expect(parseKml('<kml><gx:coord>-105.27 40.01 1700</gx:coord><gx:coord>-105.28 40.02 1710</gx:coord></kml>').points)
+            .toHaveLength(2);
+    });
+
+    it('names the route after the file and rejects files without a track', () => {
+        expect(parseRoute(GPX.replace('<name>Mesa Trail</name>', ''), 'mesa.gpx').name).toBe('mesa');
+        expect(() => parseRoute('<gpx></gpx>', 'empty.gpx')).toThrow('No track found in GPX file');
+    });
+});
+
+describe('route positions', () => {
+    const { points } = parseRoute(GPX);
+
+    it('measures the distance and climb', () => {
+        const { distanceKm, ascentM } = measureRoute(points);
+        expect(distanceKm).toBeCloseTo(2.0, 1);
+        expect(ascentM).toBe(60);
+    });
+
+    it('places a position at every hour and at the finish', () => {
+        const startTime = new Date(Date.UTC(2026, 6, 10, 20));
+        const positions = estimateRoutePositions(points, { startTime, paceKmh: 1.5 });
+
+        expect(positions.map(position => position.offsetHours)).toEqual([0, 1, expect.closeTo(1.33, 2)]);
+        expect(positions[1].point.lat).toBeCloseTo(40.0235, 3);
+        expect(positions[1].time.getTime() - startTime.getTime()).toBe(60 * 60 * 1000);
+        expect(() => estimateRoutePositions(points, { startTime, paceKmh: 0 })).toThrow('positive speed');
+    });
+});
+
+describe('toLocationTime', () => {
+    it('gives the day and hour on the location clock', () => {
+        // 03:00 UTC is 21:00 the evening before in Boulder
+        const local = toLocationTime(new Date(Date.UTC(2026, 6, 11, 3)), -21600);
+        expect(toDateKey(local.date)).toBe('2026-07-10');
+        expect(local.hour).toBe(21);
+    });
+});
+
+describe('engine.analyzeRoute', () => {
+    // The recorded hourly day, replayed for the days either side so a device in any time zone
+    // finds rows on its own calendar day first
+    const recorded = loadFixture('open-meteo-forecast-hourly');
+    const shiftedTo = (dateKey) => ({
+        ...recorded,
+        hourly: { ...recorded.hourly, time: recorded.hourly.time.map(time => `${dateKey}${time.slice(10)}`) }
+    });
+    const routes = [
+        ...['2026-07-09', '2026-07-11'].map(dateKey => [(url, params) => params.hourly && params.start_date === dateKey, shiftedTo(dateKey)]),
+        ...RECORDED_ROUTES
+    ];
+
+    const analyze = (startTime, http = createReplayHttp(routes)) =>
+        createWeatherEngine({ http, clock: fixedClock(FIXTURE_NOW) }).analyzeRoute(
+            { name: 'Mesa Trail', points: parseRoute(GPX).points },
+            { startTime, paceKmh: 1.5, activity: 'hiking' }
+        );
+
+    it('matches positions to the hours of the location, not the device', async () => {
+        // 20:00 UTC is 14:00 in Boulder, the peak of the recorded storms
+        const route = await analyze(new Date(Date.UTC(2026, 6, 10, 20)));
+
+        expect(route.positions[0].conditions).toMatchObject({ hour: 14, cape: 1900 });
+        expect(route.positions[1].conditions.hour).toBe(15);
+        expect(route.summary.severity).toBe('HIGH');
+    });
+
+    it('reads the evening before when the device is already past midnight', async () => {
+        const http = createReplayHttp(routes);
+        const route = await analyze(new Date(Date.UTC(2026, 6, 11, 3)), http);
+
+        expect(route.positions[0].conditions.hour).toBe(21);
+        expect(http.calls.some(call => call.params.hourly && call.params.start_date === '2026-07-10')).toBe(true);
+    });
+
+    it('corrects to the track elevation', async () => {
+        const route = await analyze(new Date(Date.UTC(2026, 6, 10, 20)));
+        // The grid cell sits at 1689 m: the trailhead (1700 m) is too close to adjust, the
+        // position an hour in (~1750 m) is cooler
+        expect(route.positions[0].conditions.temperature).toBe(recorded.hourly.temperature_2m[14]);
+        expect(route.positions[1].conditions.temperature).toBeLessThan(recorded.hourly.temperature_2m[15]);
+        expect(route).toMatchObject({ name: 'Mesa Trail', ascentM: 60 });
+    });
+});
@@ -0,0 +1,77 @@
+import { validateWeatherValue } from '../validation.js';
+import { toDateKey, daysBetween } from '../dates.js';
+
+const AIR_QUALITY_URL = 'https://air-quality-api.open-meteo.com/v1/air-quality';
+
+// CAMS air-quality forecasts run 5 days ahead; the API keeps about 3 months of history
+export const AIR_QUALITY_FORECAST_DAYS = 5;
+const AIR_QUALITY_PAST_DAYS = 92;
+
+// Engine field -> Open-Meteo air-quality variable (µg/m³ for pollutants)
+export const AIR_QUALITY_FIELDS = {
+    pm25: { param: 'pm2_5', range: [0, 2000] },
+    pm10: { param: 'pm10', range: [0, 3000] },
+    ozone: { param: 'ozone', range: [0, 1000] },
+    europeanAqi: { param: 'european_aqi', range: [0, 500] },
+    usAqi: { param: 'us_aqi', range: [0, 500] }
+};
+
+// Pollen species -> Open-Meteo variable (grains/m³; CAMS covers Europe only, elsewhere null)
+export const POLLEN_FIELDS = {
+    alder: 'alder_pollen',
+    birch: 'birch_pollen',
+    olive: 'olive_pollen',
+    grass: 'grass_pollen',
+    mugwort: 'mugwort_pollen',
+    ragweed: 'ragweed_pollen'
+};
+
+const parseHours = (hourly, dateKey) => (hourly?.time || [])
+    .map((time, index) => {
+        const hour = { time, hour: parseInt(time.slice(11, 13), 10), pollen: {} };
+        Object.entries(AIR_QUALITY_FIELDS).forEach(([key, { param, range }]) => {
+            hour[key] = validateWeatherValue(hourly[param]?.[index], range[0], range[1]);
+        });
+        Object.entries(POLLEN_FIELDS).forEach(([species, param]) => {
+            hour.pollen[species] = validateWeatherValue(hourly[param]?.[index], 0, 50000);
+        });
+        return hour;
+    })
+    .filter(hour => hour.time.startsWith(dateKey));
+
+const hasAnyValue = (hour) => Object.keys(AIR_QUALITY_FIELDS).some(key => hour[key] !== null) ||
+    Object.values(hour.pollen).some(value => value !== null);
+
+// Hourly pollutants, AQI and pollen for the selected date, within the CAMS forecast/history window
+export const fetchAirQuality = async (lat, lon, selectedDate, { http, clock }) => {
+    const dateKey = toDateKey(selectedDate);
+    const offset = daysBetween(clock.now(), selectedDate);
+    if (offset >= AIR_QUALITY_FORECAST_DAYS || offset < -AIR_QUALITY_PAST_DAYS) {
+        return { source: 'Open-Meteo Air Quality (outside forecast range)', available: false, date: dateKey, hours: [] };
+    }
+
+    try {
+        const response = await http.get(AIR_QUALITY_URL, {
+            params: {
+                latitude: lat,
+                longitude: lon,
+                hourly: [
+                    ...Object.values(AIR_QUALITY_FIELDS).map(field => field.param),
+                    ...Object.values(POLLEN_FIELDS)
+                ].join(','),
+                start_date: dateKey,
+                end_date: dateKey,
+                timezone: 'auto'
+            },
+            timeout: 15000
+        });
+
+        const hours = parseHours(response.data?.hourly, dateKey).filter(hasAnyValue);
+
+        return hours.length > 0 ?
+            { source: 'Open-Meteo Air Quality (CAMS)', available: true, date: dateKey, hours } :
+            { source: 'Open-Meteo Air Quality (no data)', available: false, date: dateKey, hours: [] };
+    } catch (error) {
+        return { source: 'Open-Meteo Air Quality (error)', available: false, date: dateKey, hours: [] };
+    }
+};
@@ -0,0 +1,33 @@
+import { fetchAirQuality } from './airQuality.js';
+import { fixedClock } from '../clock.js';
+import { createReplayHttp, createOfflineHttp, FIXTURE_LOCATION, FIXTURE_NOW } from '../__fixtures__/replay.js';
+
+const { lat, lon } = FIXTURE_LOCATION;
+const clock = fixedClock(FIXTURE_NOW);
+
+describe('fetchAirQuality', () => {
+    it('returns the hourly pollutants of the recorded smoky day', async () => {
+        const http = createReplayHttp();
+        const airQuality = await fetchAirQuality(lat, lon, new Date(2026, 6, 10), { http, clock });
+
+        expect(airQuality).toMatchObject({ available: true, source: 'Open-Meteo Air Quality (CAMS)', date: '2026-07-10' });
+        expect(airQuality.hours).toHaveLength(24);
+        expect(airQuality.hours[16]).toMatchObject({ hour: 16, pm25: 62.4, usAqi: 148 });
+        // CAMS pollen covers Europe only
+        expect(airQuality.hours[16].pollen.grass).toBeNull();
+        expect(http.calls[0].params.hourly).toContain('pm2_5');
+    });
+
+    it('only asks within the CAMS forecast and history window', async () => {
+        const http = createReplayHttp();
+        expect(await fetchAirQuality(lat, lon, new Date(2026, 6, 15), { http, clock }))
+            .toMatchObject({ available: false, source: 'Open-Meteo Air Quality (outside forecast range)' });
+        expect(await fetchAirQuality(lat, lon, new Date(2026, 2, 1), { http, clock })).toMatchObject({ available: false });
+        expect(http.calls).toHaveLength(0);
+    });
+
+    it('is unavailable offline', async () => {
+        expect(await fetchAirQuality(lat, lon, new Date(2026, 6, 10), { http: createOfflineHttp(), clock }))
+            .toMatchObject({ available: false, source: 'Open-Meteo Air Quality (error)', hours: [] });
+    });
+});
@@ -0,0 +1,29 @@
+import { validateWeatherValue } from '../validation.js';
+
+const ELEVATION_URL = 'https://api.open-meteo.com/v1/elevation';
+const FORECAST_URL = 'https://api.open-meteo.com/v1/forecast';
+
+// Terrain height of the point itself (Copernicus 90 m DEM) and the mean height of the model
+// grid cell the weather values belong to. The grid height comes back with any forecast
+// request made with `elevation=nan`.
+export const fetchElevation = async (lat, lon, selectedDate, { http }) => {
+    try {
+        const [pointResponse, gridResponse] = await Promise.all([
+            http.get(ELEVATION_URL, { params: { latitude: lat, longitude: lon }, timeout: 10000 }),
+            http.get(FORECAST_URL, {
+                params: { latitude: lat, longitude: lon, elevation: 'nan', daily: 'temperature_2m_max', forecast_days: 1 },
+                timeout: 10000
+            })
+        ]);
+
+        const pointElevation = validateWeatherValue(pointResponse.data?.elevation?.[0], -500, 9000);
+        const gridElevation = validateWeatherValue(gridResponse.data?.elevation, -500, 9000);
+        if (pointElevation === null || gridElevation === null) {
+            return { source: 'Open-Meteo elevation (no data)', available: false };
+        }
+
+        return { source: 'Open-Meteo elevation (Copernicus DEM)', available: true, pointElevation, gridElevation };
+    } catch (error) {
+        return { source: 'Open-Meteo elevation (error)', available: false };
+    }
+};
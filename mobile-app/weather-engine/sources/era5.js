@@ -0,0 +1,53 @@
+import { validateWeatherValue } from '../validation.js';
+import { daysBetween } from '../dates.js';
+
+export const fetchERA5Data = async (lat, lon, selectedDate, { http, clock }) => {
+    // Reanalysis only covers days already past
+    if (daysBetween(clock.now(), selectedDate) >= 0) {
+        return { source: 'Copernicus ERA5 (no data for future dates)', data: null, available: false };
+    }
+
+    try {
+        // ERA5 data through Copernicus Climate Data Store (CDS) API
+        // Note: This is a simplified implementation - actual CDS API requires authentication
+        const year = selectedDate.getFullYear();
+        const month = String(selectedDate.getMonth() + 1).padStart(2, '0');
+        const day = String(selectedDate.getDate()).padStart(2, '0');
+
+        // Using ERA5 reanalysis data via alternative endpoint (demo implementation)
+        const response = await http.get('https://api.open-meteo.com/v1/era5', {
+            params: {
+                latitude: parseFloat(lat).toFixed(4),
+                longitude: parseFloat(lon).toFixed(4),
+                start_date: `${year}-${month}-${day}`,
+                end_date: `${year}-${month}-${day}`,
+                daily: 'temperature_2m_max,temperature_2m_min,windspeed_10m_max,precipitation_sum,relative_humidity_2m_max',
+                timezone: 'auto',
+                elevation: 'nan'
+            },
+            timeout: 15000
+        });
+
+        if (!response.data?.daily) {
+            throw new Error('Invalid ERA5 response');
+        }
+
+        const daily = response.data.daily;
+        const validatedData = {
+            tempMax: validateWeatherValue(daily.temperature_2m_max[0], -50, 60),
+            tempMin: validateWeatherValue(daily.temperature_2m_min[0], -50, 60),
+            windSpeed: validateWeatherValue(daily.windspeed_10m_max[0], 0, 200),
+            precipitation: validateWeatherValue(daily.precipitation_sum[0], 0, 500),
+            humidity: validateWeatherValue(daily.relative_humidity_2m_max[0], 0, 100)
+        };
+
+        // Check if we have valid data (no -9999 values)
+        const hasValidData = Object.values(validatedData).some(value => value !== null);
+
+        return hasValidData ?
+            { source: 'Copernicus ERA5', data: validatedData, available: true } :
+            { source: 'Copernicus ERA5 (no data)', data: null, available: false };
+    } catch (error) {
+        return { source: 'Copernicus ERA5 (error)', data: null, available: false };
+    }
+};
@@ -0,0 +1,65 @@
+import { validateWeatherValue } from '../validation.js';
+import { toDateKey, daysBetween } from '../dates.js';
+
+const MARINE_URL = 'https://marine-api.open-meteo.com/v1/marine';
+
+// The wave models run about a week ahead; the API keeps about 3 months of history
+export const MARINE_FORECAST_DAYS = 7;
+const MARINE_PAST_DAYS = 92;
+
+// Engine field -> Open-Meteo marine variable. Heights in m, periods in s, directions in degrees
+// (swell: where it comes from; current: where it flows to), current velocity in km/h.
+export const MARINE_FIELDS = {
+    waveHeight: { param: 'wave_height', range: [0, 30] },
+    wavePeriod: { param: 'wave_period', range: [0, 30] },
+    windWaveHeight: { param: 'wind_wave_height', range: [0, 30] },
+    swellHeight: { param: 'swell_wave_height', range: [0, 30] },
+    swellPeriod: { param: 'swell_wave_period', range: [0, 30] },
+    swellDirection: { param: 'swell_wave_direction', range: [0, 360] },
+    seaSurfaceTemperature: { param: 'sea_surface_temperature', range: [-3, 40] },
+    currentVelocity: { param: 'ocean_current_velocity', range: [0, 20] },
+    currentDirection: { param: 'ocean_current_direction', range: [0, 360] }
+};
+
+const parseHours = (hourly, dateKey) => (hourly?.time || [])
+    .map((time, index) => {
+        const hour = { time, hour: parseInt(time.slice(11, 13), 10) };
+        Object.entries(MARINE_FIELDS).forEach(([key, { param, range }]) => {
+            hour[key] = validateWeatherValue(hourly[param]?.[index], range[0], range[1]);
+        });
+        return hour;
+    })
+    .filter(hour => hour.time.startsWith(dateKey));
+
+// Hourly waves, swell, sea temperature and currents for the selected date. Points on land have
+// no sea data and are reported `inland`.
+export const fetchMarine = async (lat, lon, selectedDate, { http, clock }) => {
+    const dateKey = toDateKey(selectedDate);
+    const offset = daysBetween(clock.now(), selectedDate);
+    if (offset >= MARINE_FORECAST_DAYS || offset < -MARINE_PAST_DAYS) {
+        return { source: 'Open-Meteo Marine (outside forecast range)', available: false, date: dateKey, hours: [] };
+    }
+
+    try {
+        const response = await http.get(MARINE_URL, {
+            params: {
+                latitude: lat,
+                longitude: lon,
+                hourly: Object.values(MARINE_FIELDS).map(field => field.param).join(','),
+                start_date: dateKey,
+                end_date: dateKey,
+                timezone: 'auto'
+            },
+            timeout: 15000
+        });
+
+        const hours = parseHours(response.data?.hourly, dateKey)
+            .filter(hour => hour.waveHeight !== null || hour.seaSurfaceTemperature !== null);
+
+        return hours.length > 0 ?
+            { source: 'Open-Meteo Marine', available: true, date: dateKey, hours } :
+            { source: 'Open-Meteo Marine (no sea data)', available: false, inland: true, date: dateKey, hours: [] };
+    } catch (error) {
+        return { source: 'Open-Meteo Marine (error)', available: false, date: dateKey, hours: [] };
+    }
+};
@@ -0,0 +1,44 @@
+import { fetchMarine } from './marine.js';
+import { fixedClock } from '../clock.js';
+import { createReplayHttp, createOfflineHttp, FIXTURE_LOCATION, FIXTURE_NOW } from '../__fixtures__/replay.js';
+
+const { lat, lon } = FIXTURE_LOCATION;
+const clock = fixedClock(FIXTURE_NOW);
+
+describe('fetchMarine', () => {
+    it('reports inland points that have no sea data', async () => {
+        const marine = await fetchMarine(lat, lon, new Date(2026, 6, 10), { http: createReplayHttp(), clock });
+        expect(marine).toEqual({ source: 'Open-Meteo Marine (no sea data)', available: false, inland: true, date: '2026-07-10', hours: [] });
+    });
+
+    it('parses the hourly sea state', async () => {
+        const body = {
+            hourly: {
+                time: ['2026-07-10T11:00', '2026-07-10T12:00'],
+                wave_height: [1.2, 99],
+                wave_period: [6.5, 7],
+                sea_surface_temperature: [17.4, 17.6],
+                ocean_current_velocity: [1.8, 2.1]
+            }
+        };
+        const http = createReplayHttp([[(url) => url.startsWith('https://marine-api.'), body]]);
+        const marine = await fetchMarine(lat, lon, new Date(2026, 6, 10), { http, clock });
+
+        expect(marine.available).toBe(true);
+        expect(marine.hours[0]).toMatchObject({ hour: 11, waveHeight: 1.2, wavePeriod: 6.5, swellHeight: null, currentVelocity: 1.8 });
+        // Out-of-range values are dropped
+        expect(marine.hours[1].waveHeight).toBeNull();
+    });
+
+    it('only asks within the wave forecast window', async () => {
+        const http = createReplayHttp();
+        expect(await fetchMarine(lat, lon, new Date(2026, 6, 20), { http, clock }))
+            .toMatchObject({ available: false, source: 'Open-Meteo Marine (outside forecast range)' });
+        expect(http.calls).toHaveLength(0);
+    });
+
+    it('is unavailable offline', async () => {
+        expect(await fetchMarine(lat, lon, new Date(2026, 6, 10), { http: createOfflineHttp(), clock }))
+            .toMatchObject({ available: false, source: 'Open-Meteo Marine (error)' });
+    });
+});
@@ -0,0 +1,53 @@
+import { toDateKey, daysBetween } from '../dates.js';
+
+export const fetchNASAData = async (lat, lon, selectedDate, { http, clock }) => {
+    // POWER only holds days already past
+    if (daysBetween(clock.now(), selectedDate) >= 0) {
+        return { source: 'NASA POWER (no observations for future dates)', data: null, available: false };
+    }
+
+    try {
+        // POWER keys its series by the local calendar day as YYYYMMDD
+        const dateStr = toDateKey(selectedDate).replace(/-/g, '');
+        const response = await http.get('https://power.larc.nasa.gov/api/temporal/daily/point', {
+            params: {
+                parameters: 'T2M_MAX,T2M_MIN,WS10M,PRECTOTCORR,RH2M',
+                community: 'RE',
+                longitude: parseFloat(lon).toFixed(4),
+                latitude: parseFloat(lat).toFixed(4),
+                start: dateStr,
+                end: dateStr,
+                format: 'JSON'
+            },
+            timeout: 20000
+        });
+
+        if (!response.data?.properties?.parameter) {
+            throw new Error('Invalid NASA response');
+        }
+
+        const rawData = response.data.properties.parameter;
+        const processedData = {};
+        let validDataCount = 0;
+
+        Object.keys(rawData).forEach(param => {
+            const paramData = rawData[param];
+            if (typeof paramData === 'object') {
+                Object.keys(paramData).forEach(dateKey => {
+                    const value = paramData[dateKey];
+                    if (typeof value === 'number' && value !== -9999) {
+                        if (!processedData[param]) processedData[param] = {};
+                        processedData[param][dateKey] = value;
+                        validDataCount++;
+                    }
+                });
+            }
+        });
+
+        return validDataCount > 0 ?
+            { source: 'NASA POWER', date: dateStr, data: processedData, available: true } :
+            { source: 'NASA POWER (no data)', data: null, available: false };
+    } catch (error) {
+        return { source: 'NASA POWER (error)', data: null, available: false };
+    }
+};
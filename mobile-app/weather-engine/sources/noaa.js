@@ -0,0 +1,124 @@
+import { validateWeatherValue } from '../validation.js';
+import { toDateKey, daysBetween } from '../dates.js';
+import { haversineKm } from '../geo.js';
+
+// NOAA NCEI Climate Data Online (CDO) v2 – requires a free token from
+// https://www.ncdc.noaa.gov/cdo-web/token
+const CDO_BASE_URL = 'https://www.ncei.noaa.gov/cdo-web/api/v2';
+
+// Search boxes (degrees either side of the point) tried in order until a station turns up
+const STATION_SEARCH_RADII = [0.25, 0.5, 1, 2];
+const MAX_STATION_ATTEMPTS = 3;
+const DATA_TYPES = ['TMAX', 'TMIN', 'TAVG', 'PRCP'];
+
+const unavailable = (reason, extra = {}) => ({
+    source: `NOAA NCEI (${reason})`,
+    data: null,
+    available: false,
+    ...extra
+});
+
+// A CDO client bound to one token. Stations are cached per ~1 km grid cell so repeated
+// analyses of the same place only hit the station search once.
+export const createNoaaClient = ({ http, token }) => {
+    const stationCache = new Map();
+    const headers = { token };
+
+    const searchStations = async (lat, lon) => {
+        const cacheKey = `${lat.toFixed(2)},${lon.toFixed(2)}`;
+        if (stationCache.has(cacheKey)) return stationCache.get(cacheKey);
+
+        let stations = [];
+        for (const radius of STATION_SEARCH_RADII) {
+            const response = await http.get(`${CDO_BASE_URL}/stations`, {
+                params: {
+                    datasetid: 'GHCND',
+                    extent: [lat - radius, lon - radius, lat + radius, lon + radius].map(v => v.toFixed(4)).join(','),
+                    limit: 1000
+                },
+                headers,
+                timeout: 15000
+            });
+            stations = response.data?.results || [];
+            if (stations.length > 0) break;
+        }
+
+        stationCache.set(cacheKey, stations);
+        return stations;
+    };
+
+    // GHCN-Daily stations whose period of record covers the date, nearest first
+    const findNearestStations = async (lat, lon, selectedDate) => {
+        const dateKey = toDateKey(selectedDate);
+        const stations = await searchStations(lat, lon);
+
+        return stations
+            .filter(station => station.mindate <= dateKey && station.maxdate >= dateKey)
+            .map(station => ({
+                id: station.id,
+                name: station.name,
+                latitude: station.latitude,
+                longitude: station.longitude,
+                elevation: station.elevation,
+                distanceKm: haversineKm(lat, lon, station.latitude, station.longitude)
+            }))
+            .sort((a, b) => a.distanceKm - b.distanceKm);
+    };
+
+    const fetchDailySummary = async (stationId, selectedDate) => {
+        const dateKey = toDateKey(selectedDate);
+        // CDO expects repeated datatypeid params, which axios would serialise as datatypeid[]
+        const typeQuery = DATA_TYPES.map(type => `datatypeid=${type}`).join('&');
+        const response = await http.get(`${CDO_BASE_URL}/data?${typeQuery}`, {
+            params: {
+                datasetid: 'GHCND',
+                stationid: stationId,
+                startdate: dateKey,
+                enddate: dateKey,
+                units: 'metric',
+                limit: 100
+            },
+            headers,
+            timeout: 15000
+        });
+
+        const processedData = {};
+        (response.data?.results || []).forEach(item => {
+            const range = item.datatype === 'PRCP' ? [0, 500] : [-60, 60];
+            const validValue = validateWeatherValue(item.value, range[0], range[1]);
+            if (validValue !== null) processedData[item.datatype] = validValue;
+        });
+        return processedData;
+    };
+
+    return { findNearestStations, fetchDailySummary };
+};
+
+export const fetchNOAAData = async (lat, lon, selectedDate, { http, clock, noaaToken, noaaClient }) => {
+    const client = noaaClient || (noaaToken ? createNoaaClient({ http, token: noaaToken }) : null);
+    if (!client) return unavailable('no token');
+
+    // GHCN-Daily only holds observations
+    if (daysBetween(clock.now(), selectedDate) >= 0) return unavailable('no observations for future dates');
+
+    try {
+        const stations = await client.findNearestStations(lat, lon, selectedDate);
+        if (stations.length === 0) return unavailable('no nearby station');
+
+        for (const station of stations.slice(0, MAX_STATION_ATTEMPTS)) {
+            const data = await client.fetchDailySummary(station.id, selectedDate);
+            if (Object.keys(data).length > 0) {
+                return {
+                    source: `NOAA NCEI GHCN-Daily (${station.name})`,
+                    data,
+                    available: true,
+                    station
+                };
+            }
+        }
+
+        return unavailable('no data', { station: stations[0] });
+    } catch (error) {
+        return unavailable('error');
+    }
+};
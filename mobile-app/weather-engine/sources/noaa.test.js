@@ -0,0 +1,65 @@
+import { fetchNOAAData, createNoaaClient } from './noaa.js';
+import { fixedClock } from '../clock.js';
+import { createReplayHttp, FIXTURE_LOCATION, FIXTURE_NOW } from '../__fixtures__/replay.js';
+
+const { lat, lon } = FIXTURE_LOCATION;
+const clock = fixedClock(FIXTURE_NOW);
+const OBSERVED_DATE = new Date(2026, 6, 1);
+
+describe('createNoaaClient', () => {
+    it('lists stations covering the date, nearest first', async () => {
+        const client = createNoaaClient({ http: createReplayHttp(), token: 'test-token' });
+        const stations = await client.findNearestStations(lat, lon, OBSERVED_DATE);
+
+        // Gross Reservoir closed in 1995
+        expect(stations.map(station => station.id)).toEqual(['GHCND:USC00050848', 'GHCND:US1COBO0010']);
+        expect(stations[0].distanceKm).toBeLessThan(stations[1].distanceKm);
+    });
+
+    it('searches stations once per grid cell', async () => {
+        const http = createReplayHttp();
+        const client = createNoaaClient({ http, token: 'test-token' });
+        await client.findNearestStations(lat, lon, OBSERVED_DATE);
+        await client.findNearestStations(lat + 0.001, lon, OBSERVED_DATE);
+
+        expect(http.calls.filter(call => call.url.endsWith('/stations'))).toHaveLength(1);
+    });
+});
+
+describe('fetchNOAAData', () => {
+    it('returns the nearest station with observations', async () => {
+        const http = createReplayHttp();
+        const result = await fetchNOAAData(lat, lon, OBSERVED_DATE, { http, clock, noaaToken: 'test-token' });
+
+        expect(result).toMatchObject({
+            source: 'NOAA NCEI GHCN-Daily (BOULDER, CO US)',
+            available: true,
+            data: { TMAX: 30, TMIN: 13.9, PRCP: 2 }
+        });
+        const dataCall = http.calls.find(call => call.url.includes('/data?'));
+        expect(dataCall.url).toContain('datatypeid=TMAX&datatypeid=TMIN');
+        expect(dataCall.params).toMatchObject({ stationid: 'GHCND:USC00050848', startdate: '2026-07-01', units: 'metric' });
+        expect(dataCall.headers).toEqual({ token: 'test-token' });
+    });
+
+    it('tries the next station when the nearest reported nothing', async () => {
+        const http = createReplayHttp([
+            [(url) => url.endsWith('/stations'), 'noaa-cdo-stations'],
+            [(url, params) => url.includes('/data?') && params.stationid === 'GHCND:USC00050848', { metadata: {} }],
+            [(url) => url.includes('/data?'), 'noaa-cdo-data']
+        ]);
+        const result = await fetchNOAAData(lat, lon, OBSERVED_DATE, { http, clock, noaaToken: 'test-token' });
+
+        expect(result.available).toBe(true);
+        expect(result.station.id).toBe('GHCND:US1COBO0010');
+    });
+
+    it('is unavailable without a token, for future dates and offline', async () => {
+        const http = createReplayHttp([]);
+        expect(await fetchNOAAData(lat, lon, OBSERVED_DATE, { http, clock })).toMatchObject({ available: false, source: 'NOAA NCEI (no token)' });
+        expect(await fetchNOAAData(lat, lon, new Date(2026, 6, 10), { http, clock, noaaToken: 'test-token' }))
+            .toMatchObject({ available: false, source: 'NOAA NCEI (no observations for future dates)' });
+        expect(await fetchNOAAData(lat, lon, OBSERVED_DATE, { http, clock, noaaToken: 'test-token' }))
+            .toMatchObject({ available: false, source: 'NOAA NCEI (error)' });
+    });
+});
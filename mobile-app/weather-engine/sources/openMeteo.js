@@ -0,0 +1,126 @@
+import { validateWeatherValue } from '../validation.js';
+import { toDateKey, daysBetween } from '../dates.js';
+import { fetchClimatologyHistory, selectClimatologyWindow, summarizeClimatology } from '../climatology.js';
+
+const FORECAST_URL = 'https://api.open-meteo.com/v1/forecast';
+const ARCHIVE_URL = 'https://archive-api.open-meteo.com/v1/archive';
+const DAILY_VARIABLES = 'temperature_2m_max,temperature_2m_min,windspeed_10m_max,precipitation_sum,relative_humidity_2m_max';
+// UV is forecast-only; the archive rejects unknown variables
+const FORECAST_DAILY_VARIABLES = `${DAILY_VARIABLES},uv_index_max`;
+
+// Open-Meteo serves 16 forecast days (today + 15)
+export const FORECAST_HORIZON_DAYS = 16;
+
+export const DATA_MODES = {
+    FORECAST: 'forecast',
+    OBSERVED: 'observed',
+    CLIMATOLOGY: 'climatology'
+};
+
+export const DATA_MODE_LABELS = {
+    [DATA_MODES.FORECAST]: 'forecast',
+    [DATA_MODES.OBSERVED]: 'observed',
+    [DATA_MODES.CLIMATOLOGY]: 'climatological estimate'
+};
+
+export const getDataMode = (selectedDate, now) => {
+    const offset = daysBetween(now, selectedDate);
+    if (offset < 0) return DATA_MODES.OBSERVED;
+    if (offset < FORECAST_HORIZON_DAYS) return DATA_MODES.FORECAST;
+    return DATA_MODES.CLIMATOLOGY;
+};
+
+const parseDailyRow = (daily, index) => ({
+    tempMax: validateWeatherValue(daily.temperature_2m_max?.[index], -50, 60),
+    tempMin: validateWeatherValue(daily.temperature_2m_min?.[index], -50, 60),
+    windSpeed: validateWeatherValue(daily.windspeed_10m_max?.[index], 0, 200),
+    precipitation: validateWeatherValue(daily.precipitation_sum?.[index], 0, 500),
+    humidity: validateWeatherValue(daily.relative_humidity_2m_max?.[index], 0, 100),
+    uvIndex: validateWeatherValue(daily.uv_index_max?.[index], 0, 20)
+});
+
+const hasAnyValue = (row) => Object.values(row).some(value => value !== null);
+
+const findDailyRow = (daily, dateKey) => {
+    const index = daily?.time?.indexOf(dateKey) ?? -1;
+    return index === -1 ? null : parseDailyRow(daily, index);
+};
+
+const fetchDaily = async (http, url, params) => {
+    const response = await http.get(url, {
+        params: {
+            daily: DAILY_VARIABLES,
+            timezone: 'auto',
+            // Grid-cell values; the engine applies its own elevation correction (see elevation.js)
+            elevation: 'nan',
+            ...params
+        },
+        timeout: 15000
+    });
+    return response.data?.daily;
+};
+
+const fetchForecastDay = async (lat, lon, dateKey, http) => {
+    const daily = await fetchDaily(http, FORECAST_URL, {
+        latitude: lat,
+        longitude: lon,
+        forecast_days: FORECAST_HORIZON_DAYS,
+        daily: FORECAST_DAILY_VARIABLES
+    });
+    return findDailyRow(daily, dateKey);
+};
+
+const fetchObservedDay = async (lat, lon, dateKey, http) => {
+    const archived = findDailyRow(await fetchDaily(http, ARCHIVE_URL, {
+        latitude: lat,
+        longitude: lon,
+        start_date: dateKey,
+        end_date: dateKey
+    }), dateKey);
+    if (archived && hasAnyValue(archived)) return archived;
+
+    // The archive lags a few days behind; the forecast API still holds recent past days
+    return findDailyRow(await fetchDaily(http, FORECAST_URL, {
+        latitude: lat,
+        longitude: lon,
+        start_date: dateKey,
+        end_date: dateKey
+    }), dateKey);
+};
+
+// Same calendar day (± a week) averaged over the last 30 years. `loadClimatologyHistory(lat, lon)`
+// lets the engine share its cached history instead of downloading it again.
+const fetchClimatologyDay = async (lat, lon, selectedDate, { http, clock, loadClimatologyHistory }) => {
+    const history = loadClimatologyHistory ?
+        await loadClimatologyHistory(lat, lon) :
+        await fetchClimatologyHistory(lat, lon, { http, clock });
+    const climatology = selectClimatologyWindow(history, selectedDate);
+    if (!climatology) return null;
+
+    const { tempMax, tempMin, windSpeed, precipitation, humidity } = summarizeClimatology(climatology);
+    return { tempMax, tempMin, windSpeed, precipitation, humidity };
+};
+
+export const fetchOpenMeteoData = async (lat, lon, selectedDate, { http, clock, loadClimatologyHistory }) => {
+    const mode = getDataMode(selectedDate, clock.now());
+    const dateKey = toDateKey(selectedDate);
+
+    try {
+        let validatedData;
+        if (mode === DATA_MODES.FORECAST) {
+            validatedData = await fetchForecastDay(lat, lon, dateKey, http);
+        } else if (mode === DATA_MODES.OBSERVED) {
+            validatedData = await fetchObservedDay(lat, lon, dateKey, http);
+        } else {
+            validatedData = await fetchClimatologyDay(lat, lon, selectedDate, { http, clock, loadClimatologyHistory });
+        }
+
+        if (!validatedData || !hasAnyValue(validatedData)) {
+            return { source: 'Open-Meteo (no data)', data: null, available: false, mode, date: dateKey };
+        }
+
+        return { source: 'Open-Meteo API', data: validatedData, available: true, mode, date: dateKey };
+    } catch (error) {
+        return { source: 'Open-Meteo (error)', data: null, available: false, mode, date: dateKey };
+    }
+};
@@ -0,0 +1,57 @@
+import { fetchOpenMeteoData, getDataMode, DATA_MODES } from './openMeteo.js';
+import { fixedClock } from '../clock.js';
+import { createReplayHttp, createOfflineHttp, loadFixture, FIXTURE_LOCATION, FIXTURE_NOW } from '../__fixtures__/replay.js';
+
+const { lat, lon } = FIXTURE_LOCATION;
+const clock = fixedClock(FIXTURE_NOW);
+
+describe('getDataMode', () => {
+    it('splits dates into observed, forecast and climatology', () => {
+        expect(getDataMode(new Date(2026, 6, 9), FIXTURE_NOW)).toBe(DATA_MODES.OBSERVED);
+        expect(getDataMode(new Date(2026, 6, 10), FIXTURE_NOW)).toBe(DATA_MODES.FORECAST);
+        expect(getDataMode(new Date(2026, 6, 25), FIXTURE_NOW)).toBe(DATA_MODES.FORECAST);
+        expect(getDataMode(new Date(2026, 6, 26), FIXTURE_NOW)).toBe(DATA_MODES.CLIMATOLOGY);
+    });
+});
+
+describe('fetchOpenMeteoData', () => {
+    it('returns the row of the selected forecast day, not the first one', async () => {
+        const result = await fetchOpenMeteoData(lat, lon, new Date(2026, 6, 13), { http: createReplayHttp(), clock });
+
+        expect(result).toMatchObject({ available: true, mode: DATA_MODES.FORECAST, date: '2026-07-13' });
+        expect(result.data).toEqual({ tempMax: 29.8, tempMin: 15.2, windSpeed: 31.6, precipitation: 11.8, humidity: 91, uvIndex: 7.2 });
+    });
+
+    it('reads past days from the archive', async () => {
+        const http = createReplayHttp();
+        const result = await fetchOpenMeteoData(lat, lon, new Date(2026, 6, 1), { http, clock });
+
+        expect(result).toMatchObject({ available: true, mode: DATA_MODES.OBSERVED });
+        expect(result.data.tempMax).toBe(30.6);
+        expect(http.calls[0].url).toBe('https://archive-api.open-meteo.com/v1/archive');
+        expect(http.calls[0].params).toMatchObject({ start_date: '2026-07-01', end_date: '2026-07-01' });
+    });
+
+    it('falls back to the forecast API while the archive lags behind', async () => {
+        // The forecast API answering for two days ago with the first recorded row
+        const { daily } = loadFixture('open-meteo-forecast-daily');
+        const firstRow = Object.fromEntries(Object.entries(daily).map(([key, values]) => [key, values.slice(0, 1)]));
+        const recent = { daily: { ...firstRow, time: ['2026-07-08'] } };
+        const http = createReplayHttp([
+            [(url) => url.startsWith('https://archive-api.'), 'open-meteo-archive-daily'],
+            [(url, params) => url === 'https://api.open-meteo.com/v1/forecast' && params.start_date === '2026-07-08', recent]
+        ]);
+
+        const result = await fetchOpenMeteoData(lat, lon, new Date(2026, 6, 8), { http, clock });
+        expect(result).toMatchObject({ available: true, mode: DATA_MODES.OBSERVED, data: { tempMax: 31.4 } });
+        expect(http.calls.map(call => call.url)).toEqual([
+            'https://archive-api.open-meteo.com/v1/archive',
+            'https://api.open-meteo.com/v1/forecast'
+        ]);
+    });
+
+    it('reports an unavailable source when the request fails', async () => {
+        const result = await fetchOpenMeteoData(lat, lon, new Date(2026, 6, 10), { http: createOfflineHttp(), clock });
+        expect(result).toMatchObject({ available: false, data: null, mode: DATA_MODES.FORECAST, source: 'Open-Meteo (error)' });
+    });
+});
@@ -0,0 +1,84 @@
+import { validateWeatherValue } from '../validation.js';
+import { toDateKey } from '../dates.js';
+import { getDataMode, DATA_MODES } from './openMeteo.js';
+
+const FORECAST_URL = 'https://api.open-meteo.com/v1/forecast';
+const ARCHIVE_URL = 'https://archive-api.open-meteo.com/v1/archive';
+
+// Engine field -> Open-Meteo hourly variable. `forecastOnly` variables are not in the archive.
+export const HOURLY_FIELDS = {
+    temperature: { param: 'temperature_2m', range: [-60, 60] },
+    humidity: { param: 'relative_humidity_2m', range: [0, 100] },
+    precipitation: { param: 'precipitation', range: [0, 200] },
+    precipitationProbability: { param: 'precipitation_probability', range: [0, 100], forecastOnly: true },
+    // Precipitation split by type: rain (mm) and snowfall (cm of fresh snow)
+    rain: { param: 'rain', range: [0, 200] },
+    snowfall: { param: 'snowfall', range: [0, 50] },
+    weatherCode: { param: 'weathercode', range: [0, 99] },
+    windSpeed: { param: 'windspeed_10m', range: [0, 250] },
+    windGusts: { param: 'windgusts_10m', range: [0, 300] },
+    cape: { param: 'cape', range: [0, 10000], forecastOnly: true },
+    liftedIndex: { param: 'lifted_index', range: [-20, 40], forecastOnly: true },
+    // Showers are Open-Meteo's convective share of the precipitation
+    convectivePrecipitation: { param: 'showers', range: [0, 200], forecastOnly: true },
+    uvIndex: { param: 'uv_index', range: [0, 20], forecastOnly: true },
+    snowDepth: { param: 'snow_depth', range: [0, 20] },
+    freezingLevel: { param: 'freezinglevel_height', range: [0, 8000], forecastOnly: true },
+    visibility: { param: 'visibility', range: [0, 100000], forecastOnly: true },
+    cloudCoverLow: { param: 'cloudcover_low', range: [0, 100] },
+    dewPoint: { param: 'dewpoint_2m', range: [-80, 40] }
+};
+
+const parseHours = (hourly, fields) => (hourly?.time || []).map((time, index) => {
+    const hour = { time, hour: parseInt(time.slice(11, 13), 10) };
+    fields.forEach(([key, { param, range }]) => {
+        hour[key] = validateWeatherValue(hourly[param]?.[index], range[0], range[1]);
+    });
+    return hour;
+});
+
+// 24 hourly rows for the selected date. Forecast dates use the forecast API, past dates the
+// archive; there is no hourly data beyond the forecast horizon.
+export const fetchOpenMeteoHourly = async (lat, lon, selectedDate, { http, clock }) => {
+    const mode = getDataMode(selectedDate, clock.now());
+    const dateKey = toDateKey(selectedDate);
+    if (mode === DATA_MODES.CLIMATOLOGY) {
+        return { source: 'Open-Meteo hourly (beyond forecast horizon)', available: false, mode, date: dateKey, hours: [] };
+    }
+
+    const fields = Object.entries(HOURLY_FIELDS)
+        .filter(([, field]) => mode === DATA_MODES.FORECAST || !field.forecastOnly);
+
+    try {
+        const response = await http.get(mode === DATA_MODES.FORECAST ? FORECAST_URL : ARCHIVE_URL, {
+            params: {
+                latitude: lat,
+                longitude: lon,
+                hourly: fields.map(([, field]) => field.param).join(','),
+                start_date: dateKey,
+                end_date: dateKey,
+                timezone: 'auto',
+                elevation: 'nan'
+            },
+            timeout: 15000
+        });
+
+        const hours = parseHours(response.data?.hourly, fields)
+            .filter(hour => hour.time.startsWith(dateKey) && hour.temperature !== null);
+
+        return hours.length > 0 ?
+            {
+                source: 'Open-Meteo hourly',
+                available: true,
+                mode,
+                date: dateKey,
+                hours,
+                gridElevation: response.data?.elevation ?? null,
+                // The location's clock, so astronomy times line up with the hourly rows
+                utcOffsetSeconds: response.data?.utc_offset_seconds ?? null
+            } :
+            { source: 'Open-Meteo hourly (no data)', available: false, mode, date: dateKey, hours: [] };
+    } catch (error) {
+        return { source: 'Open-Meteo hourly (error)', available: false, mode, date: dateKey, hours: [] };
+    }
+};
@@ -0,0 +1,82 @@
+import { SEVERITY } from './thresholds.js';
+import { getActivityProfile } from './activities.js';
+
+// 🎯 Suitability: one 0–100 score and a verdict per activity and day, from the graded risks.
+// Each category takes a share of the score by severity, scaled by the activity's `weights`;
+// shares multiply, so several moderate risks cost less than one extreme.
+
+// Share of the score a category takes at weight 1
+const SEVERITY_PENALTY = { SAFE: 0, MODERATE: 15, HIGH: 40, EXTREME: 75 };
+
+// How much each category matters for an activity without its own weight
+export const DEFAULT_RISK_WEIGHTS = {
+    hot: 1,
+    cold: 1,
+    wind: 1,
+    wet: 1,
+    comfort: 0.6,
+    thunderstorm: 1.2,
+    visibility: 0.8,
+    uv: 0.5,
+    air: 0.6,
+    ice: 1,
+    snow: 0.8,
+    freezingRain: 1.2,
+    roughWater: 1.2
+};
+
+// Lowest score for each verdict, best first
+export const VERDICTS = [
+    { key: 'go', label: 'Go', icon: '✅', color: 'green', minScore: 75 },
+    { key: 'caution', label: 'Caution', icon: '⚠️', color: 'yellow', minScore: 55 },
+    { key: 'reconsider', label: 'Reconsider', icon: '🤔', color: 'orange', minScore: 30 },
+    { key: 'no_go', label: 'No-go', icon: '⛔', color: 'red', minScore: 0 }
+];
+
+// Categories every forecast reports; without any of them there is nothing to judge the day by
+const CORE_CATEGORIES = ['hot', 'cold', 'wind', 'wet'];
+
+export const getRiskWeights = (activity) => ({ ...DEFAULT_RISK_WEIGHTS, ...getActivityProfile(activity).weights });
+
+export const getVerdict = (score) => VERDICTS.find(verdict => score >= verdict.minScore) || VERDICTS[VERDICTS.length - 1];
+
+// Score for a list of graded risks ({ category, severity }, as in analysis.risks). An extreme
+// risk in a category the activity weighs fully is a no-go whatever the rest of the day looks
+// like. Graded categories without measured data (value null, graded SAFE, or an `estimated`
+// metric) are listed as `unrated` and cost nothing; with all the core categories unrated the day
+// has no score or verdict.
+export const scoreSuitability = (risks, activity) => {
+    const weights = getRiskWeights(activity);
+    const factors = [];
+    const unrated = [];
+    let remaining = 1;
+
+    (risks || []).forEach(risk => {
+        if (risk.estimated || (risk.value === null && risk.severity === SEVERITY.SAFE)) {
+            if (risk.thresholds) unrated.push(risk.category);
+            return;
+        }
+        const weight = weights[risk.category] ?? 1;
+        const penalty = Math.min(100, (SEVERITY_PENALTY[risk.severity] || 0) * weight);
+        if (penalty <= 0) return;
+        remaining *= 1 - penalty / 100;
+        factors.push({ category: risk.category, severity: risk.severity, value: risk.value ?? null, unit: risk.unit || null, penalty });
+    });
+
+    if (CORE_CATEGORIES.every(category => unrated.includes(category))) {
+        return { activity, score: null, verdict: null, limitingFactors: [], unrated };
+    }
+
+    const score = Math.round(Math.max(0, Math.min(100, remaining * 100)));
+    const blocking = factors.some(factor => factor.severity === SEVERITY.EXTREME && (weights[factor.category] ?? 1) >= 1);
+    const verdict = blocking ? VERDICTS[VERDICTS.length - 1] : getVerdict(score);
+
+    return {
+        activity,
+        score,
+        verdict: verdict.key,
+        // The two categories costing the most points
+        limitingFactors: factors.sort((a, b) => b.penalty - a.penalty).slice(0, 2),
+        unrated
+    };
+};
@@ -0,0 +1,74 @@
+import { scoreSuitability, getRiskWeights, getVerdict } from './suitability.js';
+import { analyzeWeatherRisks } from './analysis.js';
+import { presentSuitability } from './presentation.js';
+import { FIXTURE_LOCATION, FIXTURE_NOW } from './__fixtures__/replay.js';
+
+const thresholds = { MODERATE: 1, HIGH: 2, EXTREME: 3 };
+const risk = (category, severity, value = 1, extra = {}) => ({ category, severity, value, unit: null, thresholds, estimated: false, ...extra });
+
+// The four core categories measured and safe
+const calmDay = ['hot', 'cold', 'wind', 'wet'].map(category => risk(category, 'SAFE'));
+
+describe('scoreSuitability', () => {
+    it('multiplies the share each risk takes', () => {
+        const suitability = scoreSuitability([...calmDay, risk('hot', 'MODERATE'), risk('wind', 'MODERATE')], 'hiking');
+
+        // 0.85 × 0.85
+        expect(suitability).toMatchObject({ score: 72, verdict: 'caution', unrated: [] });
+        expect(suitability.limitingFactors.map(factor => factor.category)).toEqual(['hot', 'wind']);
+    });
+
+    it('scales the share by the activity\'s weights', () => {
+        expect(getRiskWeights('camping')).toMatchObject({ wet: 1.2, uv: 0.3, hot: 1 });
+        // 40 × 1.2
+        expect(scoreSuitability([...calmDay, risk('wet', 'HIGH')], 'camping').score).toBe(52);
+        // An extreme risk the activity hardly weighs is no no-go: 75 × 0.3
+        expect(scoreSuitability([...calmDay, risk('uv', 'EXTREME')], 'camping')).toMatchObject({ score: 78, verdict: 'go' });
+    });
+
+    it('reads the verdict off the score', () => {
+        expect([100, 75, 74, 55, 54, 30, 29, 0].map(score => getVerdict(score).key))
+            .toEqual(['go', 'go', 'caution', 'caution', 'reconsider', 'reconsider', 'no_go', 'no_go']);
+    });
+
+    it('leaves categories without data unrated and free', () => {
+        const suitability = scoreSuitability([...calmDay, risk('uv', 'SAFE', null), risk('air', 'SAFE', null)], 'hiking');
+        expect(suitability).toMatchObject({ score: 100, verdict: 'go', unrated: ['uv', 'air'] });
+    });
+
+    it('does not score estimated metrics', () => {
+        const suitability = scoreSuitability([...calmDay, risk('comfort', 'EXTREME', 31, { estimated: true })], 'hiking');
+
+        expect(suitability).toMatchObject({ score: 100, unrated: ['comfort'], limitingFactors: [] });
+    });
+
+    it('gives no verdict without heat, cold, wind and rain data', () => {
+        const risks = ['hot', 'cold', 'wind', 'wet'].map(category => risk(category, 'SAFE', null, { estimated: true }));
+        const suitability = scoreSuitability([...risks, risk('uv', 'HIGH', 7)], 'hiking');
+
+        expect(suitability).toMatchObject({ score: null, verdict: null, limitingFactors: [] });
+        expect(suitability.unrated).toEqual(['hot', 'cold', 'wind', 'wet']);
+    });
+
+    it('scores hourly hazards, which carry no thresholds', () => {
+        expect(scoreSuitability([], 'hiking')).toMatchObject({ score: 100, verdict: 'go', unrated: [] });
+        expect(scoreSuitability([{ category: 'thunderstorm', severity: 'HIGH', value: null }], 'hiking').score).toBe(40);
+    });
+});
+
+describe('presentSuitability', () => {
+    it('shows no data for a day with only humidity', () => {
+        const sources = { openMeteo: { available: true, source: 'Open-Meteo', mode: 'forecast', data: { humidity: 40 } } };
+        const analysis = analyzeWeatherRisks(sources, FIXTURE_LOCATION.lat, FIXTURE_LOCATION.lon, new Date(2026, 6, 10), 'hiking',
+            { currentTime: FIXTURE_NOW });
+
+        expect(analysis.suitability).toMatchObject({ score: null, verdict: null });
+        expect(presentSuitability(analysis)).toMatchObject({
+            score: null,
+            verdict: 'No data',
+            color: 'gray',
+            headline: 'No data for hiking',
+            summary: 'No data for this day.'
+        });
+    });
+});
@@ -0,0 +1,119 @@
+import { getActivityProfile } from './activities.js';
+
+// Activity-specific severity thresholds for the risk categories. Shared by the live analysis
+// and the climatology module so that "MODERATE heat" means the same number in both.
+
+export const SEVERITY = {
+    SAFE: 'SAFE',
+    MODERATE: 'MODERATE',
+    HIGH: 'HIGH',
+    EXTREME: 'EXTREME'
+};
+
+// Levels that carry a threshold, worst first
+export const SEVERITY_LEVELS = [SEVERITY.EXTREME, SEVERITY.HIGH, SEVERITY.MODERATE];
+
+// Thresholds shared by every activity; profiles (see activities.js) override whole categories
+const DEFAULT_THRESHOLDS = {
+    hot: { MODERATE: 30, EXTREME: 35 },
+    cold: { MODERATE: 0, HIGH: -5, EXTREME: -10 },
+    wind: { MODERATE: 25, HIGH: 35, EXTREME: 45 },
+    wet: { MODERATE: 10, HIGH: 15, EXTREME: 25 },
+    // Hourly rain: chance of precipitation (%) for forecasts, amount (mm/h) for observed days
+    hourlyRainChance: { MODERATE: 40, HIGH: 60, EXTREME: 80 },
+    hourlyRain: { MODERATE: 0.5, HIGH: 2, EXTREME: 8 },
+    // Gusts are tolerated at 1.5× the sustained wind thresholds
+    gustFactor: 1.5,
+    // WHO UV index bands (3–5 moderate, 6–7 high, 8+ very high); the index is reported
+    // in whole numbers
+    uv: { MODERATE: 2.5, HIGH: 5.5, EXTREME: 7.5 },
+    // Hourly visibility (m, lower is worse); only activities that set it are graded
+    visibility: null,
+    // Fresh snow (cm in the day): boots cope until it is deep enough to posthole; hourly
+    // snowfall rate in cm/h
+    snow: { MODERATE: 5, HIGH: 15, EXTREME: 30 },
+    hourlySnow: { MODERATE: 0.2, HIGH: 1, EXTREME: 3 },
+    // Icy hours in the day
+    ice: { MODERATE: 0, HIGH: 4, EXTREME: 8 },
+    // Freezing rain (mm of glaze): any amount is hazardous, a few millimetres bring down branches
+    freezingRain: { MODERATE: 0, HIGH: 0.5, EXTREME: 2 },
+    // Sea state (see marine.js); only activities on the water are graded
+    roughWater: null,
+    comfort: {
+        MODERATE: { humidity: 60, maxTemp: 28 },
+        HIGH: { humidity: 70, maxTemp: 25 },
+        EXTREME: { humidity: 80, maxTemp: 25 }
+    }
+};
+
+// Thresholds that follow an activity's traits rather than its own numbers
+const getTraitThresholds = ({ exposedToLightning, heavyExertion, onWheels }) => ({
+    // Instability (CAPE J/kg, lifted index °C) that can feed thunderstorms; convective
+    // precipitation (mm) above `trigger` shows storms are actually forming. Summits, open
+    // water and open fields put people in the strike path.
+    thunderstorm: {
+        cape: exposedToLightning ? { MODERATE: 300, HIGH: 1000, EXTREME: 2000 } : { MODERATE: 500, HIGH: 1500, EXTREME: 2500 },
+        liftedIndex: { MODERATE: -1, HIGH: -3, EXTREME: -6 },
+        trigger: 0.1
+    },
+    // US AQI bands: 101–150 unhealthy for sensitive groups, 151–200 unhealthy, 201+ very
+    // unhealthy. Sustained heavy breathing draws far more pollution into the lungs, so light
+    // activities start one band later.
+    airQuality: heavyExertion ? { MODERATE: 100, HIGH: 150, EXTREME: 200 } : { MODERATE: 150, HIGH: 200, EXTREME: 300 },
+    // Hourly severity of an icy surface and of freezing rain
+    iceHour: onWheels ?
+        { icy: SEVERITY.HIGH, freezingRain: SEVERITY.EXTREME } : { icy: SEVERITY.MODERATE, freezingRain: SEVERITY.HIGH }
+});
+
+export const getRiskThresholds = (activity) => {
+    const profile = getActivityProfile(activity);
+    return {
+        ...DEFAULT_THRESHOLDS,
+        ...getTraitThresholds(profile.traits),
+        ...profile.thresholds
+    };
+};
+
+// Problem with a set of user-entered levels, or null: each must be a number and each level
+// worse than the one before (lower for `below` categories). Levels may be left out.
+export const checkThresholdOrder = (levels, { below = false } = {}) => {
+    const present = [...SEVERITY_LEVELS].reverse().filter(level => levels[level] !== undefined && levels[level] !== null);
+    if (present.length === 0) return 'Set at least one level';
+    const invalid = present.find(level => !Number.isFinite(levels[level]));
+    if (invalid) return `${invalid} must be a number`;
+    const unordered = present.find((level, index) => index > 0 &&
+        (below ? levels[level] >= levels[present[index - 1]] : levels[level] <= levels[present[index - 1]]));
+    return unordered ? `${unordered} must be ${below ? 'below' : 'above'} ${present[present.indexOf(unordered) - 1]}` : null;
+};
+
+// Highest severity whose threshold is exceeded (`below` flips the comparison for cold)
+export const classifySeverity = (value, levels, { below = false } = {}) => {
+    const severity = SEVERITY_LEVELS.find(level =>
+        levels[level] !== undefined && (below ? value < levels[level] : value > levels[level]));
+    return severity || SEVERITY.SAFE;
+};
+
+export const SEVERITY_RANK = { SAFE: 0, MODERATE: 1, HIGH: 2, EXTREME: 3 };
+
+export const worstSeverity = (severities) => severities.reduce((worst, severity) =>
+    (SEVERITY_RANK[severity] > SEVERITY_RANK[worst] ? severity : worst), SEVERITY.SAFE);
+
+export const classifyComfort = (humidity, maxTemp, levels) => {
+    const severity = SEVERITY_LEVELS.find(level =>
+        humidity > levels[level].humidity && maxTemp > levels[level].maxTemp);
+    return severity || SEVERITY.SAFE;
+};
+
+// Worst of the CAPE and lifted-index severities, one level lower when no convective
+// precipitation is forecast (instability alone rarely produces lightning)
+export const classifyThunderstorm = ({ cape, liftedIndex, convectivePrecipitation }, levels) => {
+    if ((cape === null || cape === undefined) && (liftedIndex === null || liftedIndex === undefined)) return SEVERITY.SAFE;
+    const instability = worstSeverity([
+        cape === null || cape === undefined ? SEVERITY.SAFE : classifySeverity(cape, levels.cape),
+        liftedIndex === null || liftedIndex === undefined ? SEVERITY.SAFE :
+            classifySeverity(liftedIndex, levels.liftedIndex, { below: true })
+    ]);
+    if ((convectivePrecipitation ?? 0) > levels.trigger) return instability;
+    const rank = Math.max(0, SEVERITY_RANK[instability] - 1);
+    return Object.keys(SEVERITY_RANK).find(severity => SEVERITY_RANK[severity] === rank);
+};
@@ -0,0 +1,50 @@
+import { classifyThunderstorm, classifySeverity, getRiskThresholds } from './thresholds.js';
+import { createWeatherEngine } from './engine.js';
+import { fixedClock } from './clock.js';
+import { createReplayHttp, FIXTURE_LOCATION, FIXTURE_NOW } from './__fixtures__/replay.js';
+
+describe('classifySeverity', () => {
+    const levels = { MODERATE: 10, HIGH: 20, EXTREME: 30 };
+
+    it('grades values strictly above or below the levels', () => {
+        expect(classifySeverity(10, levels)).toBe('SAFE');
+        expect([5, 15, 25, 40].map(value => classifySeverity(value, levels))).toEqual(['SAFE', 'MODERATE', 'HIGH', 'EXTREME']);
+        expect(classifySeverity(-5, { MODERATE: 0, HIGH: -10, EXTREME: -20 }, { below: true })).toBe('MODERATE');
+    });
+});
+
+describe('classifyThunderstorm', () => {
+    const levels = getRiskThresholds('hiking').thunderstorm;
+
+    it('takes the worse of CAPE and lifted index once showers are forming', () => {
+        expect(classifyThunderstorm({ cape: 1900, liftedIndex: -4.4, convectivePrecipitation: 1.1 }, levels)).toBe('HIGH');
+        expect(classifyThunderstorm({ cape: 2400, liftedIndex: -2, convectivePrecipitation: 2 }, levels)).toBe('EXTREME');
+    });
+
+    it('drops a level without convective precipitation', () => {
+        expect(classifyThunderstorm({ cape: 1250, liftedIndex: -2.8, convectivePrecipitation: 0 }, levels)).toBe('MODERATE');
+        expect(classifyThunderstorm({ cape: 400, liftedIndex: 0.4, convectivePrecipitation: 0 }, levels)).toBe('SAFE');
+    });
+
+    it('is safe without instability data', () => {
+        expect(classifyThunderstorm({ cape: null, liftedIndex: undefined, convectivePrecipitation: 5 }, levels)).toBe('SAFE');
+    });
+
+    it('starts lower for activities in the strike path', () => {
+        const exposed = getRiskThresholds('hiking').thunderstorm.cape;
+        const sheltered = getRiskThresholds('camping').thunderstorm.cape;
+        expect(exposed.MODERATE).toBeLessThan(sheltered.MODERATE);
+    });
+});
+
+describe('thunderstorm risk', () => {
+    it('takes the worst hour of the recorded afternoon', async () => {
+        const engine = createWeatherEngine({ http: createReplayHttp(), clock: fixedClock(FIXTURE_NOW) });
+        const { weather } = await engine.analyze(FIXTURE_LOCATION.lat, FIXTURE_LOCATION.lon, new Date(2026, 6, 10), 'hiking');
+        const storm = weather.risks.find(risk => risk.category === 'thunderstorm');
+
+        expect(storm).toMatchObject({ severity: 'HIGH', metric: 'cape', value: 1900 });
+        expect(weather.timeline.thunderstormPeak).toMatchObject({ startHour: 13, endHour: 17 });
+        expect(weather.conditions.find(card => card.label === 'Thunderstorm').advice).toMatch(/13:00/);
+    });
+});
@@ -0,0 +1,98 @@
+import { getRiskThresholds, classifySeverity, classifyThunderstorm, worstSeverity, SEVERITY_RANK } from './thresholds.js';
+import { classifyVisibility, findFogWindows } from './fog.js';
+import { annotateWinterHours, classifyIce, classifySnowfall } from './winter.js';
+import { classifyRoughWater } from './marine.js';
+
+export const DAY_PERIODS = {
+    morning: { label: 'Morning', icon: '🌅', start: 6, end: 12 },
+    afternoon: { label: 'Afternoon', icon: '☀️', start: 12, end: 18 },
+    evening: { label: 'Evening', icon: '🌆', start: 18, end: 24 }
+};
+
+const scaleLevels = (levels, factor) => Object.fromEntries(
+    Object.entries(levels).map(([severity, value]) => [severity, value * factor]));
+
+// Per-hour risk for each factor, the worst of them and a score summing their ranks
+export const assessHour = (hour, thresholds) => {
+    const rainSeverity = hour.precipitationProbability !== null && hour.precipitationProbability !== undefined ?
+        classifySeverity(hour.precipitationProbability, thresholds.hourlyRainChance) :
+        classifySeverity(hour.precipitation ?? 0, thresholds.hourlyRain);
+
+    const hasTemperature = hour.temperature !== null && hour.temperature !== undefined;
+
+    const factors = {
+        hot: hasTemperature ? classifySeverity(hour.temperature, thresholds.hot) : 'SAFE',
+        cold: hasTemperature ? classifySeverity(hour.temperature, thresholds.cold, { below: true }) : 'SAFE',
+        wind: worstSeverity([
+            classifySeverity(hour.windSpeed ?? 0, thresholds.wind),
+            classifySeverity(hour.windGusts ?? 0, scaleLevels(thresholds.wind, thresholds.gustFactor))
+        ]),
+        wet: rainSeverity,
+        thunderstorm: classifyThunderstorm(hour, thresholds.thunderstorm),
+        visibility: classifyVisibility(hour, thresholds.visibility),
+        ice: classifyIce(hour, thresholds.iceHour),
+        snow: classifySnowfall(hour, thresholds.hourlySnow),
+        water: classifyRoughWater(hour, thresholds.roughWater)
+    };
+    const severity = worstSeverity(Object.values(factors));
+    const score = Object.values(factors).reduce((sum, factor) => sum + SEVERITY_RANK[factor], 0);
+
+    return { ...hour, factors, severity, score };
+};
+
+// Hour with the worst thunderstorm rating (highest CAPE among equals), or null on a quiet day
+export const findThunderstormPeak = (hours) => {
+    const stormy = hours.filter(hour => hour.factors.thunderstorm !== 'SAFE');
+    if (stormy.length === 0) return null;
+
+    const peak = stormy.reduce((worst, hour) => {
+        const rankDifference = SEVERITY_RANK[hour.factors.thunderstorm] - SEVERITY_RANK[worst.factors.thunderstorm];
+        if (rankDifference !== 0) return rankDifference > 0 ? hour : worst;
+        return (hour.cape ?? 0) > (worst.cape ?? 0) ? hour : worst;
+    });
+    return {
+        hour: peak.hour,
+        time: peak.time,
+        severity: peak.factors.thunderstorm,
+        cape: peak.cape ?? null,
+        liftedIndex: peak.liftedIndex ?? null,
+        // Span of the stormy hours around the peak, for "storms 13:00–18:00"
+        startHour: Math.min(...stormy.map(hour => hour.hour)),
+        endHour: Math.max(...stormy.map(hour => hour.hour)) + 1
+    };
+};
+
+export const buildHourlyTimeline = (hourly, activity) => {
+    if (!hourly?.available || hourly.hours.length === 0) return null;
+
+    const thresholds = getRiskThresholds(activity);
+    const hours = annotateWinterHours(hourly.hours).map(hour => assessHour(hour, thresholds));
+
+    return {
+        date: hourly.date,
+        mode: hourly.mode,
+        hours,
+        thunderstormPeak: findThunderstormPeak(hours),
+        fogWindows: findFogWindows(hours)
+    };
+};
+
+// Temperature range per part of the day, from the hourly timeline
+export const generateTimeBasedWeather = (timeline) => {
+    if (!timeline?.hours?.length) return null;
+
+    const periods = {};
+    Object.entries(DAY_PERIODS).forEach(([key, period]) => {
+        const periodHours = timeline.hours.filter(hour => hour.hour >= period.start && hour.hour < period.end);
+        const temperatures = periodHours.map(hour => hour.temperature).filter(value => value !== null);
+        if (temperatures.length === 0) return;
+        periods[key] = {
+            ...period,
+            minTemp: Math.min(...temperatures),
+            maxTemp: Math.max(...temperatures),
+            range: `${Math.round(Math.min(...temperatures))}-${Math.round(Math.max(...temperatures))}°C`,
+            severity: worstSeverity(periodHours.map(hour => hour.severity))
+        };
+    });
+    return periods;
+};
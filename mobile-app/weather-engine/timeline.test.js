@@ -0,0 +1,71 @@
+import { assessHour, buildHourlyTimeline, generateTimeBasedWeather } from './timeline.js';
+import { fetchOpenMeteoHourly } from './sources/openMeteoHourly.js';
+import { getRiskThresholds } from './thresholds.js';
+import { fixedClock } from './clock.js';
+import { createReplayHttp, FIXTURE_LOCATION, FIXTURE_NOW } from './__fixtures__/replay.js';
+
+const { lat, lon } = FIXTURE_LOCATION;
+const clock = fixedClock(FIXTURE_NOW);
+
+const fetchHours = (date, http = createReplayHttp()) => fetchOpenMeteoHourly(lat, lon, date, { http, clock });
+
+describe('fetchOpenMeteoHourly', () => {
+    it('returns the 24 forecast hours with the location clock', async () => {
+        const hourly = await fetchHours(new Date(2026, 6, 10));
+
+        expect(hourly).toMatchObject({ available: true, mode: 'forecast', date: '2026-07-10', utcOffsetSeconds: -21600 });
+        expect(hourly.hours).toHaveLength(24);
+        expect(hourly.hours[14]).toMatchObject({ time: '2026-07-10T14:00', hour: 14, cape: 1900, windGusts: 54 });
+    });
+
+    it('leaves forecast-only variables out of archive requests', async () => {
+        const http = createReplayHttp();
+        const hourly = await fetchHours(new Date(2026, 6, 1), http);
+
+        expect(hourly.mode).toBe('observed');
+        expect(http.calls[0].params.hourly).not.toContain('cape');
+        expect(hourly.hours[14].cape).toBeUndefined();
+    });
+
+    it('has nothing beyond the forecast horizon', async () => {
+        const http = createReplayHttp();
+        expect(await fetchHours(new Date(2026, 7, 1), http)).toMatchObject({ available: false, hours: [] });
+        expect(http.calls).toHaveLength(0);
+    });
+});
+
+describe('assessHour', () => {
+    const thresholds = getRiskThresholds('hiking');
+
+    it('grades each factor and keeps the worst', () => {
+        const hour = assessHour({ hour: 12, temperature: 20, windSpeed: 10, windGusts: 20, precipitationProbability: 80 }, thresholds);
+        expect(hour.factors.wet).toBe('HIGH');
+        expect(hour.factors.hot).toBe('SAFE');
+        expect(hour.severity).toBe('HIGH');
+    });
+
+    it('does not grade heat or cold without a temperature', () => {
+        const hour = assessHour({ hour: 3, temperature: null }, thresholds);
+        expect(hour.factors).toMatchObject({ hot: 'SAFE', cold: 'SAFE' });
+    });
+});
+
+describe('buildHourlyTimeline', () => {
+    it('finds the afternoon storms of the recorded day', async () => {
+        const timeline = buildHourlyTimeline(await fetchHours(new Date(2026, 6, 10)), 'hiking');
+
+        expect(timeline.thunderstormPeak).toMatchObject({ hour: 14, severity: 'HIGH', startHour: 13, endHour: 17 });
+        expect(timeline.hours.filter(hour => hour.severity === 'HIGH').map(hour => hour.hour)).toEqual([14, 15]);
+        expect(timeline.fogWindows).toEqual([]);
+    });
+
+    it('is null without hourly data', () => {
+        expect(buildHourlyTimeline({ available: false, hours: [] }, 'hiking')).toBeNull();
+    });
+
+    it('summarises each part of the day', async () => {
+        const periods = generateTimeBasedWeather(buildHourlyTimeline(await fetchHours(new Date(2026, 6, 10)), 'hiking'));
+        expect(periods.morning).toMatchObject({ range: '17-28°C', severity: 'SAFE' });
+        expect(periods.afternoon).toMatchObject({ range: '30-31°C', severity: 'HIGH' });
+    });
+});
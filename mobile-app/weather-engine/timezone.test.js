@@ -0,0 +1,47 @@
+import { execFileSync } from 'child_process';
+
+// Jest fixes the time zone when it starts, so each check runs the engine in a child Node
+// process on the device clock of `timeZone` and prints its result as JSON
+const moduleUrl = (path) => new URL(path, import.meta.url).href;
+
+const runIn = (timeZone, body) => JSON.parse(execFileSync(process.execPath, ['--input-type=module', '-e', `
+    import { createWeatherEngine } from '${moduleUrl('./engine.js')}';
+    import { buildEnsemble } from '${moduleUrl('./ensemble.js')}';
+    import { fixedClock } from '${moduleUrl('./clock.js')}';
+    import { createReplayHttp, FIXTURE_LOCATION, FIXTURE_NOW } from '${moduleUrl('./__fixtures__/replay.js')}';
+    const { lat, lon } = FIXTURE_LOCATION;
+    const http = createReplayHttp();
+    const engine = createWeatherEngine({ http, clock: fixedClock(FIXTURE_NOW), noaaToken: 'test-token' });
+    const result = await (async () => { ${body} })();
+    console.log(JSON.stringify(result));
+`], { env: { ...process.env, TZ: timeZone }, encoding: 'utf8', timeout: 30000 }));
+
+describe('east of UTC', () => {
+    it('requests and weighs the selected day of every observed source', () => {
+        const result = runIn('Asia/Tokyo', `
+            const sources = await engine.fetchAllSources(lat, lon, new Date(2026, 6, 1));
+            return {
+                offset: new Date(2026, 6, 1).getTimezoneOffset(),
+                powerDay: http.calls.find(call => call.url.startsWith('https://power.larc.nasa.gov/')).params.start,
+                nasa: sources.nasa.data.T2M_MAX,
+                ensemble: buildEnsemble(sources, { leadDays: -9 }).variables.tempMax.contributions.map(contribution => contribution.sourceKey)
+            };
+        `);
+
+        expect(result.offset).toBe(-540);
+        expect(result.powerDay).toBe('20260701');
+        expect(result.nasa).toEqual({ 20260701: 29.41 });
+        expect(result.ensemble).toEqual(expect.arrayContaining(['openMeteo', 'nasa', 'era5', 'noaa']));
+    });
+
+    it('ignores POWER readings for another day', () => {
+        const result = runIn('Asia/Tokyo', `
+            const sources = {
+                nasa: { available: true, source: 'NASA POWER', date: '20260701', data: { T2M_MAX: { 20260630: 25 } } }
+            };
+            return buildEnsemble(sources).variables.tempMax.value;
+        `);
+
+        expect(result).toBeNull();
+    });
+});
@@ -0,0 +1,102 @@
+import { RISK_CATEGORIES, summarizeRisks } from './analysis.js';
+import { generateClothingAdvice } from './clothing.js';
+import { worstSeverity, SEVERITY_RANK } from './thresholds.js';
+
+// Waypoint used on each day of a trip: one per night, the last one repeating once the list
+// runs out (a base camp trip is a single waypoint)
+export const getTripWaypoint = (waypoints, dayIndex) => waypoints[Math.min(dayIndex, waypoints.length - 1)];
+
+// Severity of every category on every day: [{ date, waypoint, severities: { hot, cold, ... } }]
+export const buildRiskMatrix = (days) => days.map(day => ({
+    date: day.analysis.date,
+    waypoint: day.waypoint,
+    severities: Object.fromEntries(Object.values(RISK_CATEGORIES).map(category => [
+        category,
+        day.analysis.risks.find(risk => risk.category === category)?.severity || 'SAFE'
+    ]))
+}));
+
+// The day with the highest combined severity; ties go to the day with the single worst risk,
+// then to the earlier day
+export const findWorstDay = (matrix) => {
+    const scored = matrix.map((row, index) => {
+        const severities = Object.values(row.severities);
+        return {
+            index,
+            date: row.date,
+            waypoint: row.waypoint,
+            severity: worstSeverity(severities),
+            score: severities.reduce((sum, severity) => sum + SEVERITY_RANK[severity], 0)
+        };
+    });
+    return scored.reduce((worst, day) => {
+        if (day.score !== worst.score) return day.score > worst.score ? day : worst;
+        return SEVERITY_RANK[day.severity] > SEVERITY_RANK[worst.severity] ? day : worst;
+    });
+};
+
+// Metric direction that matters for packing: the coldest night, the hottest, wettest and
+// windiest day, the sharpest wind chill, and the snowiest and iciest
+const ENVELOPE_EXTREMES = {
+    maxTemp: Math.max,
+    minTemp: Math.min,
+    windSpeed: Math.max,
+    precipitation: Math.max,
+    humidity: Math.max,
+    heatIndex: Math.max,
+    windChill: Math.min,
+    snowfall: Math.max,
+    snowDepth: Math.max,
+    freezingRain: Math.max,
+    icyHours: Math.max
+};
+
+// Worst-case metrics over the whole trip, each with the date it occurs on. Days no source
+// answered for have no metrics and are left out; null when that is every day.
+export const buildTripEnvelope = (allAnalyses) => {
+    const analyses = allAnalyses.filter(analysis => analysis.metrics);
+    if (analyses.length === 0) return { metrics: null };
+    const metrics = {};
+    Object.entries(ENVELOPE_EXTREMES).forEach(([key, pick]) => {
+        const values = analyses.map(analysis => analysis.metrics[key].value);
+        // Hourly-only metrics are null beyond the forecast; the envelope covers the known days
+        const known = values.filter(value => value !== null);
+        const extreme = known.length > 0 ? pick(...known) : null;
+        const source = analyses[Math.max(0, values.indexOf(extreme))];
+        metrics[key] = {
+            ...source.metrics[key],
+            value: extreme,
+            estimated: analyses.some(analysis => analysis.metrics[key].estimated),
+            sources: [...new Set(analyses.flatMap(analysis => analysis.metrics[key].sources))],
+            date: source.date
+        };
+    });
+    return { metrics };
+};
+
+// Packing advice is clothing advice for the trip's worst-case envelope, so the list covers
+// both the coldest night and the hottest afternoon
+export const buildPackingList = (analyses, activity, currentTime = new Date()) => {
+    const envelope = buildTripEnvelope(analyses);
+    if (!envelope.metrics) return { envelope: null, items: [] };
+    const advice = generateClothingAdvice(envelope, activity, currentTime)
+        .filter(item => item.priority !== 'analytics' && item.priority !== 'future');
+    return { envelope: envelope.metrics, items: advice };
+};
+
+// Combines per-day analyses ({ waypoint, analysis }) into the trip result
+export const buildTripAnalysis = (days, activity, currentTime = new Date()) => {
+    const analyses = days.map(day => day.analysis);
+    const matrix = buildRiskMatrix(days);
+
+    return {
+        activity,
+        startDate: analyses[0].date,
+        endDate: analyses[analyses.length - 1].date,
+        days,
+        matrix,
+        worstDay: findWorstDay(matrix),
+        summary: summarizeRisks(analyses),
+        packingList: buildPackingList(analyses, activity, currentTime)
+    };
+};
@@ -0,0 +1,82 @@
+import { getTripWaypoint, buildRiskMatrix, findWorstDay, buildTripEnvelope, buildPackingList } from './trip.js';
+import { summarizeRisks, generateDemoWeather } from './analysis.js';
+import { createWeatherEngine } from './engine.js';
+import { fixedClock } from './clock.js';
+import { createReplayHttp, FIXTURE_LOCATION, FIXTURE_NOW } from './__fixtures__/replay.js';
+
+const { lat, lon } = FIXTURE_LOCATION;
+
+const day = (date, severities) => ({
+    waypoint: { name: date },
+    analysis: { date, risks: Object.entries(severities).map(([category, severity]) => ({ category, severity, value: 1, unit: '' })) }
+});
+
+describe('getTripWaypoint', () => {
+    it('repeats the last waypoint once the list runs out', () => {
+        const waypoints = ['camp 1', 'camp 2'];
+        expect([0, 1, 2, 3].map(index => getTripWaypoint(waypoints, index))).toEqual(['camp 1', 'camp 2', 'camp 2', 'camp 2']);
+    });
+});
+
+describe('risk matrix', () => {
+    const days = [
+        day('2026-07-10', { hot: 'MODERATE', wet: 'MODERATE' }),
+        day('2026-07-11', { wind: 'HIGH' }),
+        day('2026-07-12', { cold: 'MODERATE', wet: 'MODERATE' })
+    ];
+
+    it('grades every category on every day', () => {
+        const matrix = buildRiskMatrix(days);
+        expect(matrix[1].severities).toMatchObject({ wind: 'HIGH', hot: 'SAFE', roughWater: 'SAFE' });
+    });
+
+    it('picks the day with the most risk, then the single worst, then the earliest', () => {
+        // Days one and three tie on combined severity with day two; day two has the single worst risk
+        expect(findWorstDay(buildRiskMatrix(days))).toMatchObject({ date: '2026-07-11', severity: 'HIGH' });
+        expect(findWorstDay(buildRiskMatrix([days[0], days[2]]))).toMatchObject({ date: '2026-07-10' });
+    });
+
+    it('keeps the worst of each category over the trip', () => {
+        const summary = summarizeRisks(days.map(entry => entry.analysis));
+        expect(summary.severity).toBe('HIGH');
+        expect(summary.categories.wet.date).toBe('2026-07-10');
+    });
+});
+
+describe('engine.analyzeTrip', () => {
+    const analyzeTrip = () => createWeatherEngine({ http: createReplayHttp(), clock: fixedClock(FIXTURE_NOW) }).analyzeTrip({
+        startDate: new Date(2026, 6, 10),
+        endDate: new Date(2026, 6, 12),
+        activity: 'camping',
+        waypoints: [{ latitude: lat, longitude: lon, name: 'Trailhead' }, { latitude: lat + 0.05, longitude: lon, name: 'Lake' }]
+    });
+
+    it('analyses each night at its waypoint', async () => {
+        const trip = await analyzeTrip();
+
+        expect(trip).toMatchObject({ startDate: '2026-07-10', endDate: '2026-07-12' });
+        expect(trip.days.map(entry => entry.waypoint.name)).toEqual(['Trailhead', 'Lake', 'Lake']);
+        expect(trip.matrix).toHaveLength(3);
+    });
+
+    it('packs for the coldest night and the hottest day', async () => {
+        const { envelope, items } = (await analyzeTrip()).packingList;
+
+        expect(envelope.minTemp).toMatchObject({ value: 14.8, date: '2026-07-10' });
+        expect(envelope.maxTemp).toMatchObject({ value: 34.6, date: '2026-07-12' });
+        expect(items.length).toBeGreaterThan(0);
+    });
+
+    it('requires a waypoint', async () => {
+        const engine = createWeatherEngine({ http: createReplayHttp(), clock: fixedClock(FIXTURE_NOW) });
+        await expect(engine.analyzeTrip({ startDate: FIXTURE_NOW, activity: 'camping', waypoints: [] })).rejects.toThrow('waypoint');
+    });
+});
+
+describe('trip without weather', () => {
+    it('leaves out days no source answered for', () => {
+        const unavailable = generateDemoWeather(lat, lon, new Date(2026, 6, 10));
+        expect(buildTripEnvelope([unavailable]).metrics).toBeNull();
+        expect(buildPackingList([unavailable], 'camping', FIXTURE_NOW)).toEqual({ envelope: null, items: [] });
+    });
+});
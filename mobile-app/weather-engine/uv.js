@@ -0,0 +1,91 @@
+import { getActivityProfile } from './activities.js';
+
+// UV exposure: reflection boosts, burn time per skin type and sunscreen timing.
+
+// Fitzpatrick skin types with their minimal erythemal dose (J/m² of erythemally weighted UV
+// that reddens unprotected skin)
+export const SKIN_TYPES = {
+    I: { label: 'Type I – always burns, never tans', med: 200 },
+    II: { label: 'Type II – burns easily, tans minimally', med: 250 },
+    III: { label: 'Type III – sometimes burns, tans gradually', med: 350 },
+    IV: { label: 'Type IV – rarely burns, tans well', med: 450 },
+    V: { label: 'Type V – very rarely burns', med: 600 },
+    VI: { label: 'Type VI – never burns', med: 1000 }
+};
+
+export const DEFAULT_SKIN_TYPE = 'II';
+
+// One UV index unit is 25 mW/m² of erythemal irradiance
+const UV_INDEX_IRRADIANCE = 0.025;
+
+// Water-resistant sunscreen lasts about two hours of sweat and wear
+export const SUNSCREEN_REAPPLY_HOURS = 2;
+
+// UV index at which skin needs protection (WHO: 3+) and shade is advised (WHO: 6+)
+const PROTECTION_UV_INDEX = 3;
+export const SHADE_UV_INDEX = 6;
+
+// WHO figures: +10% UV per 1,000 m of altitude, fresh snow reflects up to 80%, sea foam and
+// water glare about 25%
+const ALTITUDE_BOOST_PER_KM = 0.1;
+const SNOW_REFLECTION = 0.8;
+const WATER_REFLECTION = 0.25;
+// Snow depth (m) that counts as snow cover
+const SNOW_COVER_DEPTH_M = 0.01;
+
+// Extra UV reaching someone above the treeline or on the water: [{ reason, boost }]
+export const getUvReflectionBoosts = ({ activity, elevationM = null, snowDepth = null }) => {
+    const { mountain, onWater } = getActivityProfile(activity).traits;
+    const boosts = [];
+    if (mountain && elevationM > 0) {
+        const boost = ALTITUDE_BOOST_PER_KM * elevationM / 1000;
+        if (boost >= 0.05) boosts.push({ reason: `altitude ${Math.round(elevationM)} m`, boost });
+    }
+    if (mountain && snowDepth > SNOW_COVER_DEPTH_M) {
+        boosts.push({ reason: 'snow reflection', boost: SNOW_REFLECTION });
+    }
+    if (onWater) {
+        boosts.push({ reason: 'water reflection', boost: WATER_REFLECTION });
+    }
+    return boosts;
+};
+
+export const applyUvBoosts = (uvIndex, boosts) =>
+    (uvIndex === null || uvIndex === undefined ? uvIndex : uvIndex * (1 + boosts.reduce((sum, { boost }) => sum + boost, 0)));
+
+// Minutes until unprotected skin of `skinType` burns at a steady UV index
+export const estimateBurnMinutes = (uvIndex, skinType = DEFAULT_SKIN_TYPE) => {
+    if (!(uvIndex > 0)) return null;
+    const { med } = SKIN_TYPES[skinType] || SKIN_TYPES[DEFAULT_SKIN_TYPE];
+    return med / (uvIndex * UV_INDEX_IRRADIANCE * 60);
+};
+
+// Hours (inclusive start, exclusive end) whose UV needs protection, boosted the same way as
+// the daily value: { startHour, endHour } or null
+export const findProtectionHours = (hours, boosts, minUvIndex = PROTECTION_UV_INDEX) => {
+    const exposed = hours.filter(hour => applyUvBoosts(hour.uvIndex, boosts) >= minUvIndex);
+    if (exposed.length === 0) return null;
+    return {
+        startHour: Math.min(...exposed.map(hour => hour.hour)),
+        endHour: Math.max(...exposed.map(hour => hour.hour)) + 1
+    };
+};
+
+// Sunscreen times for an activity window ({ startHour, endHour }, decimal hours): apply before
+// setting off, then every SUNSCREEN_REAPPLY_HOURS while the UV still needs protection
+export const planSunscreen = (hours, window, boosts) => {
+    if (!window) return [];
+    const needsProtection = (hour) => {
+        const row = hours.find(candidate => candidate.hour === Math.floor(hour));
+        return applyUvBoosts(row?.uvIndex ?? 0, boosts) >= PROTECTION_UV_INDEX;
+    };
+
+    const times = [];
+    for (let hour = window.startHour; hour < window.endHour; hour += SUNSCREEN_REAPPLY_HOURS) {
+        const protectedUntil = Math.min(hour + SUNSCREEN_REAPPLY_HOURS, window.endHour);
+        let exposed = false;
+        for (let check = hour; check < protectedUntil; check++) exposed = exposed || needsProtection(check);
+        if (exposed) times.push({ hour, kind: times.length === 0 ? 'apply' : 'reapply' });
+    }
+    return times;
+};
@@ -0,0 +1,61 @@
+import {
+    getUvReflectionBoosts, applyUvBoosts, estimateBurnMinutes, findProtectionHours, planSunscreen
+} from './uv.js';
+import { createWeatherEngine } from './engine.js';
+import { fixedClock } from './clock.js';
+import { createReplayHttp, loadFixture, FIXTURE_LOCATION, FIXTURE_NOW } from './__fixtures__/replay.js';
+
+// The recorded day's UV curve, peaking at 9.6 at 13:00
+const hours = loadFixture('open-meteo-forecast-hourly').hourly.uv_index.map((uvIndex, hour) => ({ hour, uvIndex }));
+
+describe('getUvReflectionBoosts', () => {
+    it('adds altitude and snow for mountain activities', () => {
+        const boosts = getUvReflectionBoosts({ activity: 'hiking', elevationM: 3000, snowDepth: 0.4 });
+        expect(boosts).toEqual([{ reason: 'altitude 3000 m', boost: expect.closeTo(0.3) }, { reason: 'snow reflection', boost: 0.8 }]);
+        expect(applyUvBoosts(5, boosts)).toBeCloseTo(10.5);
+    });
+
+    it('adds water glare for activities on the water only', () => {
+        expect(getUvReflectionBoosts({ activity: 'fishing', elevationM: 3000 })).toEqual([{ reason: 'water reflection', boost: 0.25 }]);
+        expect(getUvReflectionBoosts({ activity: 'camping', elevationM: 3000, snowDepth: 1 })).toEqual([]);
+    });
+});
+
+describe('estimateBurnMinutes', () => {
+    it('shortens with the UV index and lengthens with the skin type', () => {
+        expect(estimateBurnMinutes(10, 'II')).toBeCloseTo(16.7, 1);
+        expect(estimateBurnMinutes(10, 'IV')).toBeCloseTo(30);
+        expect(estimateBurnMinutes(0)).toBeNull();
+    });
+});
+
+describe('protection and shade hours', () => {
+    it('spans the hours at or above UV 3 and 6', () => {
+        expect(findProtectionHours(hours, [])).toEqual({ startHour: 8, endHour: 19 });
+        expect(findProtectionHours(hours, [], 6)).toEqual({ startHour: 10, endHour: 17 });
+    });
+
+    it('plans sunscreen before setting off and every two hours while exposed', () => {
+        expect(planSunscreen(hours, { startHour: 9, endHour: 15 }, [])).toEqual([
+            { hour: 9, kind: 'apply' }, { hour: 11, kind: 'reapply' }, { hour: 13, kind: 'reapply' }
+        ]);
+        // Only the last two hours of an early start need it
+        expect(planSunscreen(hours, { startHour: 5, endHour: 9 }, [])).toEqual([{ hour: 7, kind: 'apply' }]);
+        expect(planSunscreen(hours, null, [])).toEqual([]);
+    });
+});
+
+describe('UV risk', () => {
+    it('grades the boosted UV index of the recorded day', async () => {
+        const engine = createWeatherEngine({ http: createReplayHttp(), clock: fixedClock(FIXTURE_NOW) });
+        const { weather } = await engine.analyze(FIXTURE_LOCATION.lat, FIXTURE_LOCATION.lon, new Date(2026, 6, 10), 'hiking', { skinType: 'II' });
+        const uv = weather.risks.find(risk => risk.category === 'uv');
+
+        // The daily 9.6, 10% higher per 1,000 m at the 1,655 m trailhead
+        expect(uv.value).toBeCloseTo(9.6 * 1.1655);
+        expect(uv.severity).not.toBe('SAFE');
+        expect(uv.exposure.boosts).toEqual([{ reason: 'altitude 1655 m', boost: expect.closeTo(0.1655) }]);
+        expect(uv.exposure.protectionHours).toEqual({ startHour: 8, endHour: 19 });
+        expect(uv.exposure.burnMinutes).toBeLessThan(20);
+    });
+});
@@ -0,0 +1,7 @@
+// Range validation shared by every source parser. APIs use -9999 as a missing-value sentinel.
+
+export const validateWeatherValue = (value, min, max) => {
+    if (value === null || value === undefined || isNaN(value) || value === -9999) return null;
+    const numValue = typeof value === 'string' ? parseFloat(value) : value;
+    return (numValue >= min && numValue <= max) ? numValue : null;
+};
@@ -0,0 +1,101 @@
+import { SEVERITY, SEVERITY_RANK } from './thresholds.js';
+import { scoreSuitability } from './suitability.js';
+import { getActivityProfile } from './activities.js';
+
+// ⏱️ Best start times for an outing of a given length: every half-hour start inside the day's
+// usable light is scored like a day (the worst hour of each category), and the best windows
+// that do not overlap are returned with the hazards they avoid.
+
+const START_STEP_HOURS = 0.5;
+export const DEFAULT_WINDOW_COUNT = 3;
+
+// Hourly factors (see timeline.js assessHour) under their risk category names
+const FACTOR_CATEGORIES = { water: 'roughWater' };
+
+// Civil twilight where the sun rises and sets; the whole day under the midnight sun; nothing in
+// the polar night
+export const getDaylightBounds = (daylight) => {
+    if (!daylight) return { start: 0, end: 24 };
+    if (daylight.polar === 'day') return { start: 0, end: 24 };
+    if (daylight.polar === 'night') return null;
+    return { start: daylight.civilDawn ?? daylight.sunrise ?? 0, end: daylight.civilDusk ?? daylight.sunset ?? 24 };
+};
+
+// The number that makes a hazard concrete: the peak temperature for heat and cold, the strongest
+// gust for wind; other hazards are named by their hour
+const hazardValue = (factor, hour) => {
+    if (factor === 'hot' || factor === 'cold') return { value: hour.temperature ?? null, unit: '°C' };
+    if (factor === 'wind') return { value: hour.windGusts ?? hour.windSpeed ?? null, unit: 'km/h' };
+    return { value: null, unit: null };
+};
+
+// Worst hour of each factor over the given hours (hottest, coldest or gustiest among equals)
+const findHazardPeaks = (hours) => {
+    const peaks = {};
+    hours.forEach(hour => Object.entries(hour.factors).forEach(([factor, severity]) => {
+        if (severity === SEVERITY.SAFE) return;
+        const current = peaks[factor];
+        const rankDifference = current ? SEVERITY_RANK[severity] - SEVERITY_RANK[current.severity] : 1;
+        const value = hazardValue(factor, hour).value;
+        const sharper = current && value !== null && current.value !== null &&
+            (factor === 'cold' ? value < current.value : value > current.value);
+        if (rankDifference > 0 || (rankDifference === 0 && sharper)) {
+            peaks[factor] = { category: FACTOR_CATEGORIES[factor] || factor, severity, hour: hour.hour, ...hazardValue(factor, hour) };
+        }
+    }));
+    return peaks;
+};
+
+const bySeverity = (a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity];
+
+// Windows of `durationHours` (the activity's typical length by default), best first, keeping
+// only windows that do not overlap a better one. Each window has its `start` and `end` (decimal
+// hours), the suitability `score` and `verdict` of its worst hours, the day's hazards it
+// `avoids` and those `remaining` inside it. Equal scores go to the window with fewer risky hours
+// (the higher mean `hourlyScore`), then the earlier start.
+export const findStartWindows = (timeline, daylight, activity, durationHours = null, { count = DEFAULT_WINDOW_COUNT } = {}) => {
+    const hours = timeline?.hours || [];
+    const bounds = getDaylightBounds(daylight);
+    const duration = durationHours || getActivityProfile(activity).windowHours || 3;
+    if (hours.length === 0 || !bounds) return { durationHours: duration, windows: [] };
+
+    const hourScores = new Map(hours.map(hour => [hour, scoreSuitability(Object.values(findHazardPeaks([hour])), activity).score]));
+    const covering = (start, end) => hours
+        .map(hour => ({ hour, overlap: Math.min(hour.hour + 1, end) - Math.max(hour.hour, start) }))
+        .filter(({ overlap }) => overlap > 0);
+    const dayPeaks = findHazardPeaks(covering(bounds.start, bounds.end).map(({ hour }) => hour));
+
+    const candidates = [];
+    for (let start = Math.ceil(bounds.start / START_STEP_HOURS) * START_STEP_HOURS;
+        start + duration <= bounds.end; start += START_STEP_HOURS) {
+        const end = start + duration;
+        const covered = covering(start, end);
+        // Every hour of the outing needs data
+        if (covered.reduce((sum, { overlap }) => sum + overlap, 0) < duration - 1e-9) continue;
+
+        const windowPeaks = findHazardPeaks(covered.map(({ hour }) => hour));
+        const suitability = scoreSuitability(Object.values(windowPeaks), activity);
+        candidates.push({
+            start,
+            end,
+            durationHours: duration,
+            score: suitability.score,
+            verdict: suitability.verdict,
+            hourlyScore: Math.round(covered.reduce((sum, { hour, overlap }) => sum + hourScores.get(hour) * overlap, 0) / duration),
+            avoids: Object.entries(dayPeaks)
+                .filter(([factor, peak]) => SEVERITY_RANK[windowPeaks[factor]?.severity || SEVERITY.SAFE] < SEVERITY_RANK[peak.severity])
+                .map(([, peak]) => peak)
+                .sort(bySeverity),
+            remaining: Object.values(windowPeaks).sort(bySeverity)
+        });
+    }
+
+    const ranked = candidates.sort((a, b) => b.score - a.score || b.hourlyScore - a.hourlyScore || a.start - b.start);
+    const windows = [];
+    ranked.forEach(candidate => {
+        if (windows.length >= count) return;
+        if (windows.some(window => candidate.start < window.end && window.start < candidate.end)) return;
+        windows.push(candidate);
+    });
+    return { durationHours: duration, windows };
+};
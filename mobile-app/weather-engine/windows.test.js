@@ -0,0 +1,84 @@
+import { findStartWindows, getDaylightBounds } from './windows.js';
+import { createWeatherEngine } from './engine.js';
+import { fixedClock } from './clock.js';
+import { createReplayHttp, FIXTURE_LOCATION, FIXTURE_NOW } from './__fixtures__/replay.js';
+
+const { lat, lon } = FIXTURE_LOCATION;
+const FORECAST_DATE = new Date(2026, 6, 10);
+
+const analyze = async (options = {}) => {
+    const engine = createWeatherEngine({ http: createReplayHttp(), clock: fixedClock(FIXTURE_NOW) });
+    return (await engine.analyze(lat, lon, FORECAST_DATE, 'hiking', options)).weather;
+};
+
+// A calm day of hourly rows with every factor safe
+const calmHours = (from = 0, to = 24) => Array.from({ length: to - from }, (_, index) =>
+    ({ hour: from + index, temperature: 20, factors: { hot: 'SAFE', wind: 'SAFE' } }));
+
+describe('getDaylightBounds', () => {
+    it('runs from civil dawn to civil dusk', () => {
+        expect(getDaylightBounds({ polar: null, civilDawn: 5.2, civilDusk: 21.1, sunrise: 5.7 })).toEqual({ start: 5.2, end: 21.1 });
+    });
+
+    it('covers the whole day under the midnight sun or without sun times', () => {
+        expect(getDaylightBounds({ polar: 'day' })).toEqual({ start: 0, end: 24 });
+        expect(getDaylightBounds(null)).toEqual({ start: 0, end: 24 });
+    });
+
+    it('is empty in the polar night', () => {
+        expect(getDaylightBounds({ polar: 'night' })).toBeNull();
+    });
+});
+
+describe('findStartWindows', () => {
+    const daylight = { polar: null, civilDawn: 6.2, civilDusk: 12 };
+
+    it('starts on the half hour inside the usable light', () => {
+        const { durationHours, windows } = findStartWindows({ hours: calmHours() }, daylight, 'hiking', 2);
+
+        expect(durationHours).toBe(2);
+        expect(windows.map(window => [window.start, window.end])).toEqual([[6.5, 8.5], [8.5, 10.5]]);
+    });
+
+    it('needs hourly data for every hour of the outing', () => {
+        const hours = calmHours().filter(hour => hour.hour !== 7);
+        const { windows } = findStartWindows({ hours }, daylight, 'hiking', 2);
+
+        expect(windows.map(window => window.start)).toEqual([8, 10]);
+    });
+
+    it('takes the activity\'s typical length and finds nothing in the polar night', () => {
+        expect(findStartWindows({ hours: calmHours() }, null, 'hiking').durationHours).toBe(4);
+        expect(findStartWindows({ hours: calmHours() }, { polar: 'night' }, 'hiking', 2).windows).toEqual([]);
+    });
+});
+
+describe('start windows of the recorded day', () => {
+    it('set off after dawn and keep clear of the afternoon storms', async () => {
+        const weather = await analyze();
+        const { durationHours, windows } = weather.startWindows;
+
+        expect(durationHours).toBe(4);
+        expect(windows.map(window => [window.start, window.end, window.verdict])).toEqual([
+            [5.5, 9.5, 'go'],
+            [17, 21, 'go'],
+            [9.5, 13.5, 'caution']
+        ]);
+        expect(windows[0].start).toBeGreaterThan(weather.daylight.civilDawn);
+        expect(weather.startWindowsCard.windows[0].reason).toBe('Start 05:30 – avoids 14:00 storms and 54 km/h gusts');
+    });
+
+    it('give the timeline its best window', async () => {
+        const weather = await analyze();
+        expect(weather.timeline.bestWindow).toEqual({ startHour: 5.5, endHour: 9.5, score: 100, verdict: 'go' });
+    });
+
+    it('follow the length of the outing into the timeline and the sunscreen plan', async () => {
+        const weather = await analyze({ durationHours: 8 });
+        const uv = weather.risks.find(risk => risk.category === 'uv');
+
+        expect(weather.timeline.bestWindow).toMatchObject({ startHour: 5.5, endHour: 13.5, verdict: 'caution' });
+        expect(uv.exposure.window).toBe(weather.timeline.bestWindow);
+        expect(uv.exposure.sunscreen.map(({ hour }) => hour)).toEqual([7.5, 9.5, 11.5]);
+    });
+});
@@ -0,0 +1,73 @@
+import { classifySeverity, SEVERITY } from './thresholds.js';
+
+// WMO weather codes for freezing drizzle (56, 57) and freezing rain (66, 67)
+const FREEZING_WEATHER_CODES = [56, 57, 66, 67];
+
+export const PRECIPITATION_TYPES = {
+    RAIN: 'rain',
+    SNOW: 'snow',
+    MIXED: 'mixed',
+    FREEZING_RAIN: 'freezing_rain'
+};
+
+// Surfaces freeze at or just below 0°C; a little margin covers radiative cooling of the ground
+const FREEZING_SURFACE_C = 0.5;
+// Snow depth (m) that counts as snow cover on the trail
+const SNOW_COVER_DEPTH_M = 0.01;
+// Meltwater or rain from the last few hours is still on the ground when it freezes
+const WET_SURFACE_LOOKBACK_HOURS = 6;
+// Saturated air on a freezing surface deposits hoar frost
+const FROST_DEW_POINT_DEPRESSION = 1;
+
+const isKnown = (value) => value !== null && value !== undefined;
+
+// Type of an hour's precipitation, or null when dry. Rain falling at or below freezing is
+// supercooled and glazes whatever it lands on.
+export const getPrecipitationType = (hour) => {
+    const rain = hour.rain ?? 0;
+    const snowfall = hour.snowfall ?? 0;
+    if (FREEZING_WEATHER_CODES.includes(hour.weatherCode)) return PRECIPITATION_TYPES.FREEZING_RAIN;
+    if (rain > 0 && isKnown(hour.temperature) && hour.temperature <= 0) return PRECIPITATION_TYPES.FREEZING_RAIN;
+    if (rain > 0 && snowfall > 0) return PRECIPITATION_TYPES.MIXED;
+    if (snowfall > 0) return PRECIPITATION_TYPES.SNOW;
+    if (rain > 0 || (hour.precipitation ?? 0) > 0) return PRECIPITATION_TYPES.RAIN;
+    return null;
+};
+
+// An hour is icy when the surface is freezing and there is something to freeze: snow cover,
+// recent rain or meltwater, or frost from saturated air. `previous` are the hours before it.
+export const isIcyHour = (hour, previous = []) => {
+    if (!isKnown(hour.temperature) || hour.temperature > FREEZING_SURFACE_C) return false;
+    if ((hour.snowDepth ?? 0) >= SNOW_COVER_DEPTH_M) return true;
+    if (getPrecipitationType(hour) === PRECIPITATION_TYPES.FREEZING_RAIN) return true;
+    const recentlyWet = previous.slice(-WET_SURFACE_LOOKBACK_HOURS).some(earlier =>
+        (earlier.precipitation ?? 0) > 0 || (earlier.temperature > 0 && (earlier.snowDepth ?? 0) >= SNOW_COVER_DEPTH_M));
+    if (recentlyWet) return true;
+    return isKnown(hour.dewPoint) && hour.temperature - hour.dewPoint <= FROST_DEW_POINT_DEPRESSION;
+};
+
+// Hourly rows with `precipitationType`, `freezingRain` (mm) and `icy` set
+export const annotateWinterHours = (hours) => hours.map((hour, index) => {
+    const precipitationType = getPrecipitationType(hour);
+    return {
+        ...hour,
+        precipitationType,
+        freezingRain: precipitationType === PRECIPITATION_TYPES.FREEZING_RAIN ? hour.precipitation ?? hour.rain ?? 0 : 0,
+        icy: isIcyHour(hour, hours.slice(0, index))
+    };
+});
+
+// Hourly ice factor: freezing rain glazes everything, icy surfaces make footing unreliable
+export const classifyIce = (hour, levels) => {
+    if (getPrecipitationType(hour) === PRECIPITATION_TYPES.FREEZING_RAIN) return levels.freezingRain;
+    return (hour.icy ?? isIcyHour(hour)) ? levels.icy : SEVERITY.SAFE;
+};
+
+// Hourly snow factor from the snowfall rate (cm/h)
+export const classifySnowfall = (hour, levels) =>
+    (isKnown(hour.snowfall) ? classifySeverity(hour.snowfall, levels) : SEVERITY.SAFE);
+
+// Thaw by day and freeze by night turns meltwater into sheet ice on snowy ground
+export const isFreezeThaw = (hours) =>
+    hours.some(hour => hour.temperature > 0) && hours.some(hour => hour.temperature <= 0) &&
+    hours.some(hour => (hour.snowDepth ?? 0) >= SNOW_COVER_DEPTH_M);
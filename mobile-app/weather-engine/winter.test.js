@@ -0,0 +1,92 @@
+import { getPrecipitationType, isIcyHour, annotateWinterHours, classifyIce, isFreezeThaw, PRECIPITATION_TYPES } from './winter.js';
+import { analyzeWeatherRisks } from './analysis.js';
+import { getRiskThresholds } from './thresholds.js';
+import { FIXTURE_LOCATION } from './__fixtures__/replay.js';
+
+// A January day: freezing rain before dawn, a morning of snow, a thaw in the afternoon
+const winterHour = (hour) => {
+    const freezingRain = hour >= 3 && hour < 6;
+    const snowing = hour >= 8 && hour < 13;
+    return {
+        hour,
+        time: `2027-01-12T${String(hour).padStart(2, '0')}:00`,
+        temperature: hour >= 13 && hour < 17 ? 2 : -2,
+        dewPoint: -6,
+        windSpeed: 8,
+        rain: freezingRain ? 0.4 : 0,
+        snowfall: snowing ? 1.5 : 0,
+        precipitation: freezingRain ? 0.4 : snowing ? 1.2 : 0,
+        snowDepth: hour >= 9 ? 0.06 : 0,
+        weatherCode: freezingRain ? 66 : snowing ? 73 : 3
+    };
+};
+const hours = Array.from({ length: 24 }, (_, hour) => winterHour(hour));
+
+describe('getPrecipitationType', () => {
+    it('tells rain, snow, mixed and freezing rain apart', () => {
+        expect(getPrecipitationType({ rain: 1, temperature: 4 })).toBe(PRECIPITATION_TYPES.RAIN);
+        expect(getPrecipitationType({ snowfall: 1, temperature: -3 })).toBe(PRECIPITATION_TYPES.SNOW);
+        expect(getPrecipitationType({ rain: 1, snowfall: 1, temperature: 1 })).toBe(PRECIPITATION_TYPES.MIXED);
+        // Supercooled rain, and the freezing-drizzle weather codes
+        expect(getPrecipitationType({ rain: 1, temperature: -1 })).toBe(PRECIPITATION_TYPES.FREEZING_RAIN);
+        expect(getPrecipitationType({ weatherCode: 56, temperature: 2 })).toBe(PRECIPITATION_TYPES.FREEZING_RAIN);
+        expect(getPrecipitationType({ temperature: 5 })).toBeNull();
+    });
+});
+
+describe('isIcyHour', () => {
+    it('needs a freezing surface and something to freeze', () => {
+        expect(isIcyHour({ temperature: -1, snowDepth: 0.05 })).toBe(true);
+        expect(isIcyHour({ temperature: -1, dewPoint: -8 })).toBe(false);
+        // Rain from a few hours ago refreezing, and hoar frost from saturated air
+        expect(isIcyHour({ temperature: -1, dewPoint: -8 }, [{ temperature: 3, precipitation: 1 }])).toBe(true);
+        expect(isIcyHour({ temperature: -1, dewPoint: -1.5 })).toBe(true);
+        expect(isIcyHour({ temperature: 2, snowDepth: 0.3 })).toBe(false);
+    });
+});
+
+describe('winter hours', () => {
+    const annotated = annotateWinterHours(hours);
+
+    it('marks freezing rain and icy hours', () => {
+        expect(annotated[4]).toMatchObject({ precipitationType: 'freezing_rain', freezingRain: 0.4, icy: true });
+        expect(annotated[10]).toMatchObject({ precipitationType: 'snow', freezingRain: 0, icy: true });
+        // Thawing snow is slushy, not icy
+        expect(annotated[14].icy).toBe(false);
+        expect(annotated[1].icy).toBe(false);
+    });
+
+    it('grades ice harder for activities on wheels', () => {
+        const cycling = getRiskThresholds('cycling').iceHour;
+        const hiking = getRiskThresholds('hiking').iceHour;
+        expect(classifyIce(annotated[4], cycling)).toBe('EXTREME');
+        expect(classifyIce(annotated[20], cycling)).toBe('HIGH');
+        expect(classifyIce(annotated[4], hiking)).toBe('HIGH');
+        expect(classifyIce(annotated[20], hiking)).toBe('MODERATE');
+        expect(classifyIce(annotated[14], hiking)).toBe('SAFE');
+    });
+
+    it('spots a freeze-thaw day', () => {
+        expect(isFreezeThaw(hours)).toBe(true);
+        expect(isFreezeThaw(hours.map(hour => ({ ...hour, snowDepth: 0 })))).toBe(false);
+    });
+});
+
+describe('winter risks', () => {
+    it('grades snowfall, freezing rain and icy hours for the day', () => {
+        const sources = {
+            openMeteo: { available: true, source: 'Open-Meteo', mode: 'forecast', data: { tempMax: 2, tempMin: -2, windSpeed: 8, precipitation: 7.2, humidity: 80 } }
+        };
+        const hourly = { available: true, source: 'Open-Meteo hourly', mode: 'forecast', date: '2027-01-12', hours, utcOffsetSeconds: -25200 };
+        const analysis = analyzeWeatherRisks(sources, FIXTURE_LOCATION.lat, FIXTURE_LOCATION.lon, new Date(2027, 0, 12), 'hiking',
+            { currentTime: new Date(2027, 0, 11), hourly });
+        const severity = (category) => analysis.risks.find(risk => risk.category === category).severity;
+
+        expect(analysis.metrics.snowfall.value).toBeCloseTo(7.5);
+        expect(analysis.metrics.freezingRain.value).toBeCloseTo(1.2);
+        expect(analysis.metrics.snowDepth.value).toBeCloseTo(6);
+        expect(severity('snow')).toBe('MODERATE');
+        expect(severity('freezingRain')).toBe('HIGH');
+        expect(severity('ice')).not.toBe('SAFE');
+    });
+});